@@ -0,0 +1,140 @@
+/**
+ * Fulfillments de órdenes (Admin API)
+ *
+ * Shopify crea los fulfillments sobre fulfillment orders (lo que una ubicación
+ * debe enviar), no sobre la orden: los line items pedidos se reparten entre las
+ * fulfillment orders abiertas que los contienen, según su cantidad pendiente.
+ */
+
+const { legacyId } = require('./orderMapper');
+
+const FULFILLMENT_ORDERS_QUERY = `
+  query OrderFulfillmentOrders($id: ID!) {
+    order(id: $id) {
+      id
+      fulfillmentOrders(first: 25) {
+        nodes {
+          id status
+          supportedActions { action }
+          assignedLocation { name location { id } }
+          lineItems(first: 100) {
+            nodes { id remainingQuantity lineItem { id } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const FULFILLMENT_CREATE_MUTATION = `
+  mutation FulfillmentCreate($fulfillment: FulfillmentV2Input!) {
+    fulfillmentCreateV2(fulfillment: $fulfillment) {
+      fulfillment {
+        id status
+        trackingInfo { number company url }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Error de line items que no se pueden enviar (error.code = 'NOT_FULFILLABLE')
+ */
+function notFulfillableError(message, errors = []) {
+  const error = new Error(message);
+  error.code = 'NOT_FULFILLABLE';
+  error.status = 422;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Reparte los line items pedidos entre las fulfillment orders que aceptan envíos
+ * @param {object[]} fulfillmentOrders - Nodos de FULFILLMENT_ORDERS_QUERY
+ * @param {Array<{ id: number, quantity: number }>|null} lineItems - IDs REST de line items;
+ *   null envía todo lo pendiente
+ * @returns {Array<{ fulfillmentOrderId: string, fulfillmentOrderLineItems: Array<{ id: string, quantity: number }> }>}
+ *   lineItemsByFulfillmentOrder para fulfillmentCreateV2
+ * @throws {Error} error.code = 'NOT_FULFILLABLE' con error.errors ([{ param, message, received }])
+ */
+function allocateFulfillment(fulfillmentOrders, lineItems) {
+  const open = fulfillmentOrders.filter((fo) =>
+    (fo.supportedActions || []).some((a) => a.action === 'CREATE_FULFILLMENT'));
+
+  // Pendiente por line item de fulfillment order
+  const pending = open.flatMap((fo) => fo.lineItems.nodes
+    .filter((item) => item.remainingQuantity > 0)
+    .map((item) => ({
+      fulfillmentOrderId: fo.id,
+      locationId: fo.assignedLocation?.location?.id || null,
+      id: item.id,
+      lineItemId: legacyId(item.lineItem?.id),
+      remaining: item.remainingQuantity,
+    })));
+
+  let allocations;
+  if (!lineItems) {
+    allocations = pending.map((item) => ({ ...item, quantity: item.remaining }));
+  } else {
+    allocations = [];
+    const errors = [];
+
+    lineItems.forEach((requested, index) => {
+      let missing = requested.quantity;
+      for (const item of pending) {
+        if (missing === 0) break;
+        if (item.lineItemId !== requested.id || item.remaining === 0) continue;
+
+        const quantity = Math.min(missing, item.remaining);
+        allocations.push({ ...item, quantity });
+        item.remaining -= quantity;
+        missing -= quantity;
+      }
+
+      if (missing > 0) {
+        const available = requested.quantity - missing;
+        errors.push({
+          param: `line_items[${index}]`,
+          message: available > 0
+            ? `Only ${available} unit(s) of line item ${requested.id} are pending fulfillment`
+            : `Line item ${requested.id} has no units pending fulfillment`,
+          received: requested,
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      throw notFulfillableError(errors.map((e) => e.message).join('; '), errors);
+    }
+  }
+
+  if (allocations.length === 0) {
+    throw notFulfillableError('The order has no line items pending fulfillment');
+  }
+
+  // fulfillmentCreateV2 solo acepta fulfillment orders de una misma ubicación
+  const locations = new Set(allocations.map((item) => item.locationId));
+  if (locations.size > 1) {
+    throw notFulfillableError('The line items are assigned to different locations. Create one fulfillment per location.');
+  }
+
+  const byFulfillmentOrder = new Map();
+  for (const item of allocations) {
+    if (!byFulfillmentOrder.has(item.fulfillmentOrderId)) {
+      byFulfillmentOrder.set(item.fulfillmentOrderId, []);
+    }
+    byFulfillmentOrder.get(item.fulfillmentOrderId).push({ id: item.id, quantity: item.quantity });
+  }
+
+  return [...byFulfillmentOrder].map(([fulfillmentOrderId, items]) => ({
+    fulfillmentOrderId,
+    fulfillmentOrderLineItems: items,
+  }));
+}
+
+module.exports = {
+  FULFILLMENT_ORDERS_QUERY,
+  FULFILLMENT_CREATE_MUTATION,
+  allocateFulfillment,
+};
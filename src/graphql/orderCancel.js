@@ -0,0 +1,54 @@
+/**
+ * Cancelación de órdenes (Admin API, desde la versión 2024-04)
+ *
+ * orderCancel no cancela en el momento: devuelve un job que Shopify procesa en
+ * segundo plano, así que la orden se vuelve a leer cuando el job termina. Los
+ * errores de la mutation llegan en orderCancelUserErrors (con code).
+ */
+
+const ORDER_CANCEL_MUTATION = `
+  mutation OrderCancel($orderId: ID!, $reason: OrderCancelReason!, $refund: Boolean!, $restock: Boolean!, $notifyCustomer: Boolean) {
+    orderCancel(orderId: $orderId, reason: $reason, refund: $refund, restock: $restock, notifyCustomer: $notifyCustomer) {
+      job { id done }
+      orderCancelUserErrors { field message code }
+    }
+  }
+`;
+
+const JOB_QUERY = `
+  query Job($id: ID!) {
+    job(id: $id) { id done }
+  }
+`;
+
+// reason de la API (igual que REST) -> OrderCancelReason de GraphQL
+const CANCEL_REASONS = {
+  customer: 'CUSTOMER',
+  inventory: 'INVENTORY',
+  fraud: 'FRAUD',
+  declined: 'DECLINED',
+  other: 'OTHER',
+};
+
+/**
+ * Variables de ORDER_CANCEL_MUTATION (no reembolsa: para eso está refundCreate)
+ * @param {string|number} orderId - ID de la orden
+ * @param {{ reason: string, restock: boolean, email: boolean }} cancel - Resultado de validateCancelRequest
+ * @returns {object}
+ */
+function buildCancelVariables(orderId, { reason, restock, email }) {
+  return {
+    orderId: `gid://shopify/Order/${orderId}`,
+    reason: CANCEL_REASONS[reason],
+    refund: false,
+    restock,
+    notifyCustomer: email,
+  };
+}
+
+module.exports = {
+  ORDER_CANCEL_MUTATION,
+  JOB_QUERY,
+  CANCEL_REASONS,
+  buildCancelVariables,
+};
@@ -0,0 +1,245 @@
+/**
+ * Convierte órdenes de GraphQL a la forma de la API REST (orders.json)
+ *
+ * formatOrder, el espejo local y los filtros trabajan con la orden REST; este
+ * mapeo mantiene su salida idéntica: IDs numéricos, montos con 2 decimales,
+ * estados en minúsculas y fechas con el offset de la zona horaria de la tienda.
+ */
+
+/**
+ * ID numérico de un GID ("gid://shopify/LineItem/123" -> 123)
+ */
+function legacyId(gid) {
+  if (gid === null || gid === undefined) return null;
+  const match = String(gid).match(/(\d+)(?:\?.*)?$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Monto de un MoneyBag como string con 2 decimales ("10.0" -> "10.00")
+ */
+function money(set) {
+  const amount = set && set.shopMoney ? set.shopMoney.amount : null;
+  return amount === null || amount === undefined ? null : Number(amount).toFixed(2);
+}
+
+/**
+ * Decimal como lo serializa REST ("10" -> "10.0", "2.5" -> "2.5")
+ */
+function decimal(value) {
+  const text = String(Number(value));
+  return text.includes('.') ? text : `${text}.0`;
+}
+
+/**
+ * Fecha ISO en la zona horaria de la tienda ("2024-01-01T15:00:00Z" -> "2024-01-01T10:00:00-05:00")
+ * @param {string|null} value - Fecha ISO (UTC) de GraphQL
+ * @param {string|null} timeZone - ianaTimezone de la tienda
+ * @returns {string|null}
+ */
+function toShopTime(value, timeZone) {
+  if (!value || !timeZone) return value || null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+
+  let parts;
+  try {
+    parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }).formatToParts(date).map((part) => [part.type, part.value])
+    );
+  } catch {
+    return value;
+  }
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offsetMinutes = Math.round((local - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  const offset = `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+}
+
+// displayFulfillmentStatus -> fulfillment_status de REST (el resto es null: sin enviar)
+const FULFILLMENT_STATUS = {
+  FULFILLED: 'fulfilled',
+  PARTIALLY_FULFILLED: 'partial',
+  RESTOCKED: 'restocked',
+};
+
+// __typename de la aplicación de descuento -> type de REST
+const DISCOUNT_APPLICATION_TYPE = {
+  DiscountCodeApplication: 'discount_code',
+  ManualDiscountApplication: 'manual',
+  AutomaticDiscountApplication: 'automatic',
+  ScriptDiscountApplication: 'script',
+};
+
+const mapTaxLines = (taxLines) => (taxLines || []).map((tax) => ({
+  title: tax.title,
+  rate: tax.rate,
+  price: money(tax.priceSet),
+}));
+
+function mapAddress(address) {
+  if (!address) return null;
+
+  return {
+    first_name: address.firstName,
+    last_name: address.lastName,
+    name: address.name,
+    company: address.company,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    province_code: address.provinceCode,
+    zip: address.zip,
+    country: address.country,
+    country_code: address.countryCodeV2,
+    phone: address.phone,
+  };
+}
+
+function mapLineItem(item) {
+  return {
+    id: legacyId(item.id),
+    sku: item.sku,
+    title: item.title,
+    variant_title: item.variantTitle,
+    quantity: item.quantity,
+    price: money(item.originalUnitPriceSet),
+    total_discount: money(item.totalDiscountSet) || '0.00',
+    tax_lines: mapTaxLines(item.taxLines),
+    taxable: item.taxable,
+    variant_id: item.variant ? Number(item.variant.legacyResourceId) : null,
+    product_id: item.product ? Number(item.product.legacyResourceId) : null,
+    requires_shipping: item.requiresShipping,
+  };
+}
+
+function mapShippingLine(line) {
+  return {
+    id: legacyId(line.id),
+    title: line.title,
+    code: line.code,
+    source: line.source,
+    price: money(line.originalPriceSet),
+    discounted_price: money(line.discountedPriceSet),
+    tax_lines: mapTaxLines(line.taxLines),
+  };
+}
+
+/**
+ * Suma lo asignado a cada aplicación de descuento (por index) en líneas y envíos
+ */
+function allocatedByApplication(node) {
+  const totals = new Map();
+  const lines = [...(node.lineItems?.nodes || []), ...(node.shippingLines?.nodes || [])];
+
+  for (const line of lines) {
+    for (const allocation of line.discountAllocations || []) {
+      const index = allocation.discountApplication?.index;
+      totals.set(index, (totals.get(index) || 0) + Number(money(allocation.allocatedAmountSet) || 0));
+    }
+  }
+
+  return totals;
+}
+
+function discountValue(application) {
+  const value = application.value || {};
+  if (value.__typename === 'PricingPercentageValue') {
+    return { value: decimal(value.percentage), value_type: 'percentage' };
+  }
+  return { value: decimal(value.amount), value_type: 'fixed_amount' };
+}
+
+/**
+ * Convierte una orden de GraphQL a la forma REST
+ * @param {object} node - Orden de GraphQL (ORDER_FIELDS, con todos sus lineItems)
+ * @param {string|null} timeZone - ianaTimezone de la tienda
+ * @returns {object} Orden con la forma de orders.json
+ */
+function mapOrderNode(node, timeZone) {
+  const applications = node.discountApplications?.nodes || [];
+  const allocated = allocatedByApplication(node);
+
+  const discountApplications = applications.map((application) => ({
+    type: DISCOUNT_APPLICATION_TYPE[application.__typename] || 'manual',
+    title: application.title || null,
+    description: application.description || null,
+    code: application.code || undefined,
+    ...discountValue(application),
+    allocation_method: String(application.allocationMethod || '').toLowerCase() || null,
+    target_type: String(application.targetType || '').toLowerCase() || null,
+  }));
+
+  const discountCodes = applications
+    .filter((application) => application.__typename === 'DiscountCodeApplication')
+    .map((application) => {
+      const { value_type: valueType } = discountValue(application);
+      const shipping = application.targetType === 'SHIPPING_LINE';
+      return {
+        code: application.code,
+        amount: (allocated.get(application.index) || 0).toFixed(2),
+        type: shipping ? 'shipping' : valueType,
+      };
+    });
+
+  return {
+    id: Number(node.legacyResourceId),
+    admin_graphql_api_id: node.id,
+    name: node.name,
+    email: node.email,
+    note: node.note,
+    tags: (node.tags || []).join(', '),
+    source_name: node.sourceName,
+    created_at: toShopTime(node.createdAt, timeZone),
+    updated_at: toShopTime(node.updatedAt, timeZone),
+    processed_at: toShopTime(node.processedAt, timeZone),
+    closed_at: toShopTime(node.closedAt, timeZone),
+    cancelled_at: toShopTime(node.cancelledAt, timeZone),
+    financial_status: node.displayFinancialStatus ? node.displayFinancialStatus.toLowerCase() : null,
+    fulfillment_status: FULFILLMENT_STATUS[node.displayFulfillmentStatus] || null,
+    currency: node.currencyCode,
+    taxes_included: node.taxesIncluded,
+    subtotal_price: money(node.subtotalPriceSet),
+    total_price: money(node.totalPriceSet),
+    total_tax: money(node.totalTaxSet),
+    total_discounts: money(node.totalDiscountsSet),
+    tax_lines: mapTaxLines(node.taxLines),
+    discount_codes: discountCodes,
+    discount_applications: discountApplications,
+    note_attributes: (node.customAttributes || []).map((attr) => ({ name: attr.key, value: attr.value })),
+    customer: node.customer
+      ? {
+          id: Number(node.customer.legacyResourceId),
+          first_name: node.customer.firstName,
+          last_name: node.customer.lastName,
+          email: node.customer.email,
+          phone: node.customer.phone,
+        }
+      : null,
+    billing_address: mapAddress(node.billingAddress),
+    shipping_address: mapAddress(node.shippingAddress),
+    shipping_lines: (node.shippingLines?.nodes || []).map(mapShippingLine),
+    line_items: (node.lineItems?.nodes || []).map(mapLineItem),
+  };
+}
+
+module.exports = {
+  legacyId,
+  toShopTime,
+  mapOrderNode,
+};
@@ -0,0 +1,213 @@
+/**
+ * Queries GraphQL de órdenes (Admin API)
+ *
+ * Los campos pedidos son los que necesita graphql/orderMapper para armar una
+ * orden con la forma de REST (la que consumen formatOrder, el espejo local y
+ * los filtros). El costo de cada query crece con los "first" anidados: por eso
+ * las órdenes se piden en lotes de ORDERS_PER_REQUEST (las que entran en el
+ * costo máximo) y los line items que no entran en la primera página se
+ * completan con ORDER_LINE_ITEMS_QUERY.
+ */
+
+// Elementos por orden de las conexiones anidadas (los line items que no entran se piden aparte)
+const DISCOUNT_APPLICATIONS_PER_ORDER = 10;
+const SHIPPING_LINES_PER_ORDER = 10;
+const LINE_ITEMS_PER_ORDER = 10;
+const LINE_ITEMS_PER_REQUEST = 25;
+
+// Costo máximo de una query de Shopify (requestedQueryCost)
+const MAX_QUERY_COST = 1000;
+
+// Costo estimado de una conexión: 2 + first
+const connectionCost = (first) => 2 + first;
+
+// Costo estimado por orden: la orden y sus objetos (montos, impuestos, cliente, direcciones) y sus conexiones
+const ORDER_QUERY_COST = 14
+  + connectionCost(DISCOUNT_APPLICATIONS_PER_ORDER)
+  + connectionCost(SHIPPING_LINES_PER_ORDER)
+  + connectionCost(LINE_ITEMS_PER_ORDER);
+
+// Órdenes por request: las que entran en el costo máximo (shop y la conexión orders cuestan 4)
+const ORDERS_PER_REQUEST = Math.min(250, Math.floor((MAX_QUERY_COST - 4) / ORDER_QUERY_COST));
+
+/**
+ * Órdenes por request que entran en el costo máximo, según el error MAX_COST_EXCEEDED
+ * (extensions: { cost, maxCost }), o null si el error es otro
+ * @param {Error} error - Error de shopifyGraphQL (error.shopifyErrors)
+ * @param {number} count - Órdenes pedidas en el request rechazado
+ * @returns {number|null}
+ */
+function reducedBatchSize(error, count) {
+  const exceeded = error.shopifyErrors?.find((e) => e.extensions?.code === 'MAX_COST_EXCEEDED');
+  if (!exceeded || count <= 1) return null;
+
+  const { cost, maxCost } = exceeded.extensions;
+  const fitting = cost > 0 && maxCost > 0 ? Math.floor((count * maxCost) / cost) : Math.floor(count / 2);
+  return Math.max(1, Math.min(fitting, count - 1));
+}
+
+const MONEY = 'shopMoney { amount }';
+
+const TAX_LINE_FIELDS = `title rate priceSet { ${MONEY} }`;
+
+const DISCOUNT_ALLOCATION_FIELDS = `allocatedAmountSet { ${MONEY} } discountApplication { index }`;
+
+const ADDRESS_FIELDS = `
+  firstName lastName name company address1 address2 city province provinceCode
+  zip country countryCodeV2 phone
+`;
+
+const LINE_ITEM_FIELDS = `
+  id sku title variantTitle quantity requiresShipping taxable
+  originalUnitPriceSet { ${MONEY} }
+  totalDiscountSet { ${MONEY} }
+  taxLines { ${TAX_LINE_FIELDS} }
+  discountAllocations { ${DISCOUNT_ALLOCATION_FIELDS} }
+  variant { legacyResourceId }
+  product { legacyResourceId }
+`;
+
+const ORDER_FIELDS = `
+  id legacyResourceId name email note tags sourceName
+  createdAt updatedAt processedAt closedAt cancelledAt
+  taxesIncluded currencyCode displayFinancialStatus displayFulfillmentStatus
+  subtotalPriceSet { ${MONEY} }
+  totalPriceSet { ${MONEY} }
+  totalTaxSet { ${MONEY} }
+  totalDiscountsSet { ${MONEY} }
+  customAttributes { key value }
+  taxLines { ${TAX_LINE_FIELDS} }
+  customer { legacyResourceId firstName lastName email phone }
+  billingAddress { ${ADDRESS_FIELDS} }
+  shippingAddress { ${ADDRESS_FIELDS} }
+  discountApplications(first: ${DISCOUNT_APPLICATIONS_PER_ORDER}) {
+    nodes {
+      __typename index targetType allocationMethod
+      value {
+        __typename
+        ... on MoneyV2 { amount }
+        ... on PricingPercentageValue { percentage }
+      }
+      ... on DiscountCodeApplication { code }
+      ... on ManualDiscountApplication { title description }
+      ... on AutomaticDiscountApplication { title }
+      ... on ScriptDiscountApplication { title }
+    }
+  }
+  shippingLines(first: ${SHIPPING_LINES_PER_ORDER}) {
+    nodes {
+      id title code source
+      originalPriceSet { ${MONEY} }
+      discountedPriceSet { ${MONEY} }
+      taxLines { ${TAX_LINE_FIELDS} }
+      discountAllocations { ${DISCOUNT_ALLOCATION_FIELDS} }
+    }
+  }
+  lineItems(first: ${LINE_ITEMS_PER_ORDER}) {
+    pageInfo { hasNextPage endCursor }
+    nodes { ${LINE_ITEM_FIELDS} }
+  }
+`;
+
+const ORDERS_QUERY = `
+  query Orders($first: Int, $last: Int, $after: String, $before: String, $query: String, $sortKey: OrderSortKeys, $reverse: Boolean) {
+    shop { ianaTimezone }
+    orders(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: $sortKey, reverse: $reverse) {
+      pageInfo { hasNextPage hasPreviousPage startCursor endCursor }
+      nodes { ${ORDER_FIELDS} }
+    }
+  }
+`;
+
+const ORDER_QUERY = `
+  query Order($id: ID!) {
+    shop { ianaTimezone }
+    order(id: $id) { ${ORDER_FIELDS} }
+  }
+`;
+
+// Zona horaria y moneda de la tienda (límites de fechas de los reportes)
+const SHOP_QUERY = `
+  query Shop {
+    shop { ianaTimezone currencyCode }
+  }
+`;
+
+const ORDER_LINE_ITEMS_QUERY = `
+  query OrderLineItems($id: ID!, $after: String) {
+    order(id: $id) {
+      lineItems(first: ${LINE_ITEMS_PER_REQUEST}, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${LINE_ITEM_FIELDS} }
+      }
+    }
+  }
+`;
+
+/**
+ * Escapa un valor para la sintaxis de búsqueda de Shopify
+ */
+const quote = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// Filtros REST que abarcan varios valores de búsqueda (misma semántica que matchesOrderFilters)
+const FINANCIAL_STATUS_SEARCH = {
+  unpaid: ['authorized', 'pending', 'partially_paid'],
+};
+
+const FULFILLMENT_STATUS_SEARCH = {
+  unfulfilled: ['unshipped', 'partial'],
+};
+
+const anyOf = (field, values) => (values.length === 1
+  ? `${field}:${values[0]}`
+  : `(${values.map((value) => `${field}:${value}`).join(' OR ')})`);
+
+/**
+ * Convierte los filtros validados (formato orders.json) a la búsqueda de GraphQL
+ * @param {object} params - Filtros de validateOrderFilters (status, financial_status, ...)
+ * @returns {{ query: string, sortKey: string, reverse: boolean }}
+ */
+function buildOrderSearch(params = {}) {
+  const terms = [];
+
+  if (params.status && params.status !== 'any') {
+    terms.push(`status:${params.status}`);
+  }
+  if (params.financial_status && params.financial_status !== 'any') {
+    terms.push(anyOf('financial_status', FINANCIAL_STATUS_SEARCH[params.financial_status] || [params.financial_status]));
+  }
+  if (params.fulfillment_status && params.fulfillment_status !== 'any') {
+    terms.push(anyOf('fulfillment_status', FULFILLMENT_STATUS_SEARCH[params.fulfillment_status] || [params.fulfillment_status]));
+  }
+  if (params.created_at_min) terms.push(`created_at:>=${quote(params.created_at_min)}`);
+  if (params.created_at_max) terms.push(`created_at:<=${quote(params.created_at_max)}`);
+  if (params.updated_at_min) terms.push(`updated_at:>=${quote(params.updated_at_min)}`);
+  if (params.updated_at_max) terms.push(`updated_at:<=${quote(params.updated_at_max)}`);
+  if (params.since_id) terms.push(`id:>${params.since_id}`);
+  if (params.ids) terms.push(anyOf('id', String(params.ids).split(',')));
+  if (params.name) terms.push(`name:${quote(params.name)}`);
+  if (params.source_name) terms.push(`source_name:${quote(params.source_name)}`);
+  for (const tag of params.tagged ? params.tagged.split(',') : []) {
+    terms.push(`tag:${quote(tag)}`);
+  }
+  for (const tag of params.not_tagged ? params.not_tagged.split(',') : []) {
+    terms.push(`tag_not:${quote(tag)}`);
+  }
+
+  // Igual que orders.json: más recientes primero, salvo con since_id (por ID ascendente)
+  return {
+    query: terms.join(' AND '),
+    sortKey: params.since_id ? 'ID' : 'CREATED_AT',
+    reverse: !params.since_id,
+  };
+}
+
+module.exports = {
+  ORDERS_PER_REQUEST,
+  ORDERS_QUERY,
+  ORDER_QUERY,
+  SHOP_QUERY,
+  ORDER_LINE_ITEMS_QUERY,
+  buildOrderSearch,
+  reducedBatchSize,
+};
@@ -0,0 +1,72 @@
+/**
+ * Etiquetas y atributos de nota de órdenes (Admin API)
+ *
+ * tagsAdd / tagsRemove cambian solo las etiquetas indicadas. orderUpdate
+ * reemplaza la lista completa de customAttributes (note_attributes en REST),
+ * así que para modificar algunos atributos se parte de los actuales.
+ */
+
+const ORDER_TAGS_QUERY = `
+  query OrderTagsAndAttributes($id: ID!) {
+    order(id: $id) {
+      id tags
+      customAttributes { key value }
+    }
+  }
+`;
+
+const TAGS_ADD_MUTATION = `
+  mutation TagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      node { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const TAGS_REMOVE_MUTATION = `
+  mutation TagsRemove($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) {
+      node { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const ORDER_ATTRIBUTES_MUTATION = `
+  mutation OrderUpdateAttributes($input: OrderInput!) {
+    orderUpdate(input: $input) {
+      order { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Combina los atributos actuales con los nuevos
+ * @param {Array<{ key: string, value: string }>} current - customAttributes actuales
+ * @param {object} attributes - { nombre: valor }; null elimina el atributo
+ * @param {boolean} replace - true descarta los actuales
+ * @returns {Array<{ key: string, value: string }>} AttributeInput (mantiene el orden actual)
+ */
+function mergeAttributes(current, attributes, replace) {
+  const merged = new Map(replace ? [] : current.map((attr) => [attr.key, attr.value]));
+
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value === null) {
+      merged.delete(key);
+    } else {
+      merged.set(key, value);
+    }
+  }
+
+  return [...merged].map(([key, value]) => ({ key, value }));
+}
+
+module.exports = {
+  ORDER_TAGS_QUERY,
+  TAGS_ADD_MUTATION,
+  TAGS_REMOVE_MUTATION,
+  ORDER_ATTRIBUTES_MUTATION,
+  mergeAttributes,
+};
@@ -0,0 +1,239 @@
+/**
+ * Reembolsos de órdenes (Admin API)
+ *
+ * El cálculo usa Order.suggestedRefund (lo mismo que muestra el admin de Shopify)
+ * y la creación envía a refundCreate las transacciones sugeridas, así el monto
+ * devuelto a cada pasarela es el que Shopify calcula. Los reembolsos se
+ * convierten a la forma de REST (refunds/calculate.json y refunds.json).
+ */
+
+const { legacyId } = require('./orderMapper');
+
+const MONEY = 'shopMoney { amount currencyCode }';
+
+const REFUND_LINE_ITEM_FIELDS = `
+  quantity restockType
+  location { id }
+  lineItem { id sku title variantTitle }
+  priceSet { ${MONEY} }
+  subtotalSet { ${MONEY} }
+  totalTaxSet { ${MONEY} }
+`;
+
+// Estado de la orden para validar el reembolso antes de calcularlo
+const REFUNDABLE_ORDER_QUERY = `
+  query RefundableOrder($id: ID!) {
+    order(id: $id) {
+      id refundable cancelledAt displayFinancialStatus
+      lineItems(first: 250) {
+        nodes { id refundableQuantity }
+      }
+    }
+  }
+`;
+
+const SUGGESTED_REFUND_QUERY = `
+  query SuggestedRefund($id: ID!, $refundLineItems: [RefundLineItemInput!], $refundShipping: Boolean, $shippingAmount: Money) {
+    order(id: $id) {
+      suggestedRefund(refundLineItems: $refundLineItems, refundShipping: $refundShipping, shippingAmount: $shippingAmount) {
+        amountSet { ${MONEY} }
+        subtotalSet { ${MONEY} }
+        totalTaxSet { ${MONEY} }
+        maximumRefundableSet { ${MONEY} }
+        shipping {
+          amountSet { ${MONEY} }
+          taxSet { ${MONEY} }
+          maximumRefundableSet { ${MONEY} }
+        }
+        refundLineItems { ${REFUND_LINE_ITEM_FIELDS} }
+        suggestedTransactions {
+          gateway kind
+          amountSet { ${MONEY} }
+          maximumRefundableSet { ${MONEY} }
+          parentTransaction { id }
+        }
+      }
+    }
+  }
+`;
+
+const REFUND_CREATE_MUTATION = `
+  mutation RefundCreate($input: RefundInput!) {
+    refundCreate(input: $input) {
+      refund {
+        id createdAt note
+        totalRefundedSet { ${MONEY} }
+        refundLineItems(first: 250) {
+          nodes { ${REFUND_LINE_ITEM_FIELDS} }
+        }
+        transactions(first: 10) {
+          nodes { id kind status gateway amountSet { ${MONEY} } }
+        }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+// restock_type de REST <-> RefundLineItemRestockType de GraphQL
+const RESTOCK_TYPES = {
+  no_restock: 'NO_RESTOCK',
+  cancel: 'CANCEL',
+  return: 'RETURN',
+};
+
+/**
+ * Error de orden que no se puede reembolsar (error.code = 'NOT_REFUNDABLE')
+ */
+function notRefundableError(message, errors = []) {
+  const error = new Error(message);
+  error.code = 'NOT_REFUNDABLE';
+  error.status = 422;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Verifica que la orden admita el reembolso pedido y arma los line items de GraphQL
+ * @param {object} order - Orden de REFUNDABLE_ORDER_QUERY
+ * @param {Array<{ id: number, quantity: number, restockType: string, locationId: number|null }>} lineItems
+ * @returns {object[]} RefundLineItemInput
+ * @throws {Error} error.code = 'NOT_REFUNDABLE' con error.errors ([{ param, message, received }])
+ */
+function buildRefundLineItems(order, lineItems) {
+  if (!order.refundable) {
+    throw notRefundableError(`The order cannot be refunded (financial status: ${String(order.displayFinancialStatus || '').toLowerCase()})`);
+  }
+
+  const refundable = new Map(order.lineItems.nodes.map((item) => [legacyId(item.id), item]));
+  const errors = [];
+
+  lineItems.forEach((requested, index) => {
+    const item = refundable.get(requested.id);
+    if (!item) {
+      errors.push({
+        param: `line_items[${index}].id`,
+        message: `Line item ${requested.id} does not belong to the order`,
+        received: requested.id,
+      });
+    } else if (requested.quantity > item.refundableQuantity) {
+      errors.push({
+        param: `line_items[${index}].quantity`,
+        message: item.refundableQuantity > 0
+          ? `Only ${item.refundableQuantity} unit(s) of line item ${requested.id} can be refunded`
+          : `Line item ${requested.id} has no refundable units`,
+        received: requested.quantity,
+      });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw notRefundableError(errors.map((e) => e.message).join('; '), errors);
+  }
+
+  return lineItems.map((requested) => ({
+    lineItemId: refundable.get(requested.id).id,
+    quantity: requested.quantity,
+    restockType: RESTOCK_TYPES[requested.restockType],
+    ...(requested.locationId ? { locationId: `gid://shopify/Location/${requested.locationId}` } : {}),
+  }));
+}
+
+const amount = (set) => (set && set.shopMoney ? Number(set.shopMoney.amount).toFixed(2) : '0.00');
+
+function mapRefundLineItem(item) {
+  return {
+    line_item_id: legacyId(item.lineItem?.id),
+    quantity: item.quantity,
+    restock_type: String(item.restockType || '').toLowerCase(),
+    location_id: legacyId(item.location?.id),
+    price: amount(item.priceSet),
+    subtotal: amount(item.subtotalSet),
+    total_tax: amount(item.totalTaxSet),
+    line_item: item.lineItem
+      ? { sku: item.lineItem.sku, title: item.lineItem.title, variant_title: item.lineItem.variantTitle }
+      : null,
+  };
+}
+
+/**
+ * Convierte el suggestedRefund a la forma de refunds/calculate.json
+ * (más subtotal, total_tax, amount y maximum_refundable del reembolso completo)
+ * @param {object} suggested - Order.suggestedRefund
+ * @returns {object}
+ */
+function mapSuggestedRefund(suggested) {
+  return {
+    currency: suggested.amountSet?.shopMoney?.currencyCode || null,
+    subtotal: amount(suggested.subtotalSet),
+    total_tax: amount(suggested.totalTaxSet),
+    amount: amount(suggested.amountSet),
+    maximum_refundable: amount(suggested.maximumRefundableSet),
+    shipping: {
+      amount: amount(suggested.shipping?.amountSet),
+      tax: amount(suggested.shipping?.taxSet),
+      maximum_refundable: amount(suggested.shipping?.maximumRefundableSet),
+    },
+    refund_line_items: (suggested.refundLineItems || []).map(mapRefundLineItem),
+    transactions: (suggested.suggestedTransactions || []).map((transaction) => ({
+      kind: 'suggested_refund',
+      gateway: transaction.gateway,
+      parent_id: legacyId(transaction.parentTransaction?.id),
+      amount: amount(transaction.amountSet),
+      maximum_refundable: amount(transaction.maximumRefundableSet),
+    })),
+  };
+}
+
+/**
+ * Transacciones de refundCreate a partir de las sugeridas
+ * @param {string} orderGid - ID de GraphQL de la orden
+ * @param {object} suggested - Order.suggestedRefund
+ * @returns {object[]} OrderTransactionInput
+ */
+function refundTransactions(orderGid, suggested) {
+  return (suggested.suggestedTransactions || [])
+    .filter((transaction) => Number(transaction.amountSet?.shopMoney?.amount) > 0)
+    .map((transaction) => ({
+      orderId: orderGid,
+      kind: 'REFUND',
+      gateway: transaction.gateway,
+      amount: transaction.amountSet.shopMoney.amount,
+      ...(transaction.parentTransaction ? { parentId: transaction.parentTransaction.id } : {}),
+    }));
+}
+
+/**
+ * Convierte un Refund de GraphQL a la forma de refunds.json
+ * @param {object} refund - Refund de REFUND_CREATE_MUTATION
+ * @returns {object}
+ */
+function mapRefund(refund) {
+  return {
+    id: legacyId(refund.id),
+    created_at: refund.createdAt,
+    note: refund.note || null,
+    currency: refund.totalRefundedSet?.shopMoney?.currencyCode || null,
+    amount: amount(refund.totalRefundedSet),
+    refund_line_items: (refund.refundLineItems?.nodes || []).map(mapRefundLineItem),
+    transactions: (refund.transactions?.nodes || []).map((transaction) => ({
+      id: legacyId(transaction.id),
+      kind: String(transaction.kind || '').toLowerCase(),
+      status: String(transaction.status || '').toLowerCase(),
+      gateway: transaction.gateway,
+      amount: amount(transaction.amountSet),
+    })),
+  };
+}
+
+module.exports = {
+  RESTOCK_TYPES,
+  REFUNDABLE_ORDER_QUERY,
+  SUGGESTED_REFUND_QUERY,
+  REFUND_CREATE_MUTATION,
+  notRefundableError,
+  buildRefundLineItems,
+  mapSuggestedRefund,
+  refundTransactions,
+  mapRefund,
+};
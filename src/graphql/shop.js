@@ -0,0 +1,42 @@
+/**
+ * Datos de la tienda y de la instalación de la app (Admin API)
+ * Sirve también para verificar el token: un 401 indica que ya no es válido.
+ */
+
+const SHOP_DETAILS_QUERY = `
+  query ShopDetails {
+    shop {
+      name email myshopifyDomain currencyCode ianaTimezone
+      primaryDomain { host }
+      plan { displayName }
+    }
+    currentAppInstallation {
+      accessScopes { handle }
+    }
+  }
+`;
+
+/**
+ * Convierte la respuesta de SHOP_DETAILS_QUERY
+ * @param {object} data - data de SHOP_DETAILS_QUERY
+ * @returns {{ name: string, email: string, domain: string, myshopifyDomain: string, currency: string, timeZone: string, plan: string|null, scopes: string[] }}
+ */
+function mapShopDetails(data) {
+  const shop = data.shop || {};
+
+  return {
+    name: shop.name || null,
+    email: shop.email || null,
+    domain: shop.primaryDomain?.host || null,
+    myshopifyDomain: shop.myshopifyDomain || null,
+    currency: shop.currencyCode || null,
+    timeZone: shop.ianaTimezone || null,
+    plan: shop.plan?.displayName || null,
+    scopes: (data.currentAppInstallation?.accessScopes || []).map((scope) => scope.handle),
+  };
+}
+
+module.exports = {
+  SHOP_DETAILS_QUERY,
+  mapShopDetails,
+};
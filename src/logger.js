@@ -0,0 +1,118 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Logs estructurados: una línea JSON por evento en stdout (warn / error en stderr)
+ *
+ * { time, level, tag, msg, requestId, ...campos }
+ *
+ * El requestId sale del contexto del request (runWithContext), así cada llamada a
+ * Shopify queda ligada al request de la API que la originó. Los campos pasan por
+ * redact: los tokens, secretos y firmas nunca llegan al log.
+ *
+ * LOG_LEVEL: debug | info (default) | warn | error
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+
+// Campos que nunca se escriben (access tokens, session tokens, secretos, firmas)
+const SENSITIVE_KEY_REGEX = /token|secret|password|authorization|cookie|hmac|signature|^api[-_]?key$|^key$/i;
+
+// Tokens de Shopify (shpat_, shpua_, ...), API keys de clientes (sk_...) y JWT dentro de un texto
+const SENSITIVE_VALUE_REGEX = /\b(?:shp[a-z]{2}_|sk_)[A-Za-z0-9_-]+|\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+function minLevel() {
+  return LEVELS[String(process.env.LOG_LEVEL || 'info').trim().toLowerCase()] || LEVELS.info;
+}
+
+/**
+ * Copia de un valor sin datos sensibles
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.replace(SENSITIVE_VALUE_REGEX, REDACTED);
+  }
+  if (value instanceof Error) {
+    return redact({ message: value.message, status: value.status, code: value.code }, depth);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    result[key] = SENSITIVE_KEY_REGEX.test(key) && item !== null && typeof item !== 'boolean'
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Ejecuta fn con un contexto de request (requestId y estadísticas de Shopify)
+ * @param {{ requestId: string }} store
+ * @param {Function} fn
+ */
+function runWithContext(store, fn) {
+  return context.run(store, fn);
+}
+
+/**
+ * Contexto del request en curso (o undefined fuera de un request)
+ * @returns {object|undefined}
+ */
+function getContext() {
+  return context.getStore();
+}
+
+function write(level, tag, message, fields = {}) {
+  if (LEVELS[level] < minLevel()) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    tag,
+    msg: message,
+    requestId: getContext()?.requestId,
+    ...fields,
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Crea un logger para un módulo
+ * @param {string} tag - Módulo (OAuth, Orders, Shopify, ...)
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ *   Cada método recibe (mensaje, campos); error: un Error se guarda con message, status y code.
+ */
+function createLogger(tag) {
+  return {
+    debug: (message, fields) => write('debug', tag, message, fields),
+    info: (message, fields) => write('info', tag, message, fields),
+    warn: (message, fields) => write('warn', tag, message, fields),
+    error: (message, fields) => write('error', tag, message, fields),
+  };
+}
+
+module.exports = {
+  createLogger,
+  runWithContext,
+  getContext,
+  redact,
+};
@@ -0,0 +1,191 @@
+/**
+ * Métricas del servicio en el formato de texto de Prometheus (GET /metrics)
+ *
+ * Contadores e histogramas en memoria, por proceso (se reinician con el servidor).
+ * Los valores que ya existen en otro lado (presupuesto de Shopify, tiendas
+ * instaladas) no se guardan aquí: se leen al momento del scrape.
+ */
+
+// Latencia de los requests a la API (segundos)
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Latencia de las llamadas a Shopify (segundos)
+const SHOPIFY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escapa el valor de un label (\, " y saltos de línea)
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Labels en formato {a="1",b="2"} (texto vacío sin labels)
+ * @param {object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+/**
+ * Contador con labels
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} labelNames
+ */
+function createCounter(name, help, labelNames) {
+  const series = new Map();
+
+  return {
+    inc(labels, value = 1) {
+      const values = labelNames.map((label) => String(labels[label] ?? ''));
+      const key = JSON.stringify(values);
+      const current = series.get(key) || { values, count: 0 };
+      current.count += value;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { values, count } of series.values()) {
+        const labels = Object.fromEntries(labelNames.map((label, i) => [label, values[i]]));
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(count)}`);
+      }
+      return lines;
+    },
+  };
+}
+
+/**
+ * Histograma con labels (buckets acumulados, _sum y _count)
+ * @param {string} name
+ * @param {string} help
+ * @param {string[]} labelNames
+ * @param {number[]} buckets - Límites superiores, de menor a mayor
+ */
+function createHistogram(name, help, labelNames, buckets) {
+  const series = new Map();
+
+  return {
+    observe(labels, value) {
+      const values = labelNames.map((label) => String(labels[label] ?? ''));
+      const key = JSON.stringify(values);
+      const current = series.get(key) || { values, buckets: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((limit, i) => {
+        if (value <= limit) current.buckets[i]++;
+      });
+      current.sum += value;
+      current.count++;
+      series.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const current of series.values()) {
+        const labels = Object.fromEntries(labelNames.map((label, i) => [label, current.values[i]]));
+        buckets.forEach((limit, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(limit) })} ${current.buckets[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${current.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(current.sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${current.count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+const httpRequests = createCounter(
+  'http_requests_total',
+  'Requests HTTP atendidos',
+  ['method', 'route', 'status']
+);
+const httpDuration = createHistogram(
+  'http_request_duration_seconds',
+  'Latencia de los requests HTTP',
+  ['method', 'route', 'status'],
+  HTTP_BUCKETS
+);
+const shopifyCalls = createCounter(
+  'shopify_api_calls_total',
+  'Llamadas a la API de Shopify por tienda (code: status HTTP o código de error de red)',
+  ['shop', 'api', 'code']
+);
+const shopifyDuration = createHistogram(
+  'shopify_api_call_duration_seconds',
+  'Latencia de las llamadas a la API de Shopify',
+  ['shop', 'api'],
+  SHOPIFY_BUCKETS
+);
+const oauthInstalls = createCounter(
+  'oauth_installs_total',
+  'Instalaciones por OAuth (result: success / failure)',
+  ['result', 'reason']
+);
+
+/**
+ * Registra un request HTTP atendido
+ * @param {{ method: string, route: string, status: number, durationMs: number }} request
+ *   route: ruta de Express (ej: /v1/orders/:orderId), nunca la URL real
+ */
+function recordHttpRequest({ method, route, status, durationMs }) {
+  const labels = { method, route, status };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, durationMs / 1000);
+}
+
+/**
+ * Registra una llamada a Shopify (cada intento, incluidos los reintentos)
+ * @param {{ shop: string, api: string, code: number|string, durationMs: number }} call
+ */
+function recordShopifyCall({ shop, api, code, durationMs }) {
+  shopifyCalls.inc({ shop, api, code });
+  shopifyDuration.observe({ shop, api }, durationMs / 1000);
+}
+
+/**
+ * Registra el resultado de un callback de OAuth
+ * @param {'success'|'failure'} result
+ * @param {string} [reason] - Motivo del fallo (invalid_hmac, invalid_state, missing_scopes, ...)
+ */
+function recordOAuthInstall(result, reason = '') {
+  oauthInstalls.inc({ result, reason });
+}
+
+/**
+ * Texto de /metrics
+ * @param {Array<{ name: string, help: string, type: 'gauge'|'counter', samples: Array<{ labels?: object, value: number }> }>} [families]
+ *   Métricas leídas al momento del scrape
+ * @returns {string}
+ */
+function renderMetrics(families = []) {
+  const lines = [
+    ...httpRequests.render(),
+    ...httpDuration.render(),
+    ...shopifyCalls.render(),
+    ...shopifyDuration.render(),
+    ...oauthInstalls.render(),
+  ];
+
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      lines.push(`${family.name}${formatLabels(sample.labels || {})} ${formatValue(sample.value)}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  recordHttpRequest,
+  recordShopifyCall,
+  recordOAuthInstall,
+  renderMetrics,
+};
@@ -1,40 +1,249 @@
+const crypto = require('crypto');
+const { findApiKey, touchApiKey } = require('../store/apiKeys');
+const { normalizeShopDomain } = require('../utils/shopValidator');
+const { verifySessionToken } = require('../oauth');
+const { createLogger } = require('../logger');
+
+const log = createLogger('Auth');
+
+// Métodos que solo leen; el resto requiere acceso read_write
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
 /**
- * Middleware de autenticación Bearer Token
- * Valida que el header Authorization contenga el token correcto
+ * Extrae el token del header Authorization
+ * Responde 401 y retorna null si falta o tiene formato inválido
  */
-function authMiddleware(req, res, next) {
+function extractBearerToken(req, res) {
   const authHeader = req.headers.authorization;
-  const expectedToken = process.env.API_BEARER_TOKEN;
 
+  // Verificar que existe el header Authorization
+  if (!authHeader) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing Authorization header',
+    });
+    return null;
+  }
+
+  // Verificar formato del header (Bearer token)
+  if (!authHeader.startsWith('Bearer ')) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid Authorization header format. Expected: Bearer <token>',
+    });
+    return null;
+  }
+
+  return authHeader.slice(7); // Quitar "Bearer "
+}
+
+/**
+ * Compara un token con el esperado en tiempo constante
+ * @param {string} token - Token recibido
+ * @param {string} expectedToken - Token configurado
+ * @returns {boolean}
+ */
+function tokensMatch(token, expectedToken) {
+  if (!expectedToken || !token) return false;
+
+  const expected = crypto.createHash('sha256').update(expectedToken).digest();
+  const received = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Compara el token con API_BEARER_TOKEN en tiempo constante
+ * @param {string} token - Token recibido
+ * @returns {boolean}
+ */
+function isAdminToken(token) {
+  return tokensMatch(token, process.env.API_BEARER_TOKEN);
+}
+
+/**
+ * Indica si un cliente puede acceder a una tienda
+ * @param {object} client - req.apiClient
+ * @param {string} shop - Dominio de la tienda (normalizado)
+ * @returns {boolean}
+ */
+function canAccessShop(client, shop) {
+  if (!client) return false;
+  return client.shops.includes('*') || client.shops.includes(shop);
+}
+
+/**
+ * Indica si el token tiene forma de JWT (session token de App Bridge)
+ * Las API keys (sk_...) no llevan puntos.
+ */
+function isSessionToken(token) {
+  return token.split('.').length === 3;
+}
+
+/**
+ * Verifica un session token y arma su cliente (usuario del admin de una tienda)
+ * Responde 401 y retorna null si el token no es válido.
+ * @returns {object|null} Cliente con session: { shop, userId, sessionId, token }
+ */
+function authenticateSessionToken(token, res) {
+  const result = verifySessionToken(token);
+  if (!result.valid) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: result.error,
+    });
+    return null;
+  }
+
+  const { shop, payload } = result;
+  return {
+    id: `session:${shop}:${payload.sub || 'anonymous'}`,
+    name: shop,
+    shops: [shop],
+    access: 'read_write',
+    admin: false,
+    session: {
+      shop,
+      userId: payload.sub || null,
+      sessionId: payload.sid || null,
+      token,
+    },
+  };
+}
+
+/**
+ * Middleware de autenticación para /v1
+ * Acepta API_BEARER_TOKEN (acceso total), una API key de cliente,
+ * limitada a sus tiendas y a lectura o lectura/escritura, o un session token
+ * de App Bridge, limitado a la tienda de su dest (que pasa a ser el shop por defecto).
+ * Deja el cliente autenticado en req.apiClient.
+ */
+function authMiddleware(req, res, next) {
+  const token = extractBearerToken(req, res);
+  if (token === null) return;
+
+  if (isAdminToken(token)) {
+    req.apiClient = { id: 'admin', name: 'admin', shops: ['*'], access: 'read_write', admin: true };
+    return next();
+  }
+
+  if (isSessionToken(token)) {
+    const client = authenticateSessionToken(token, res);
+    if (!client) return;
+
+    // La tienda sale de dest: shop es opcional y, si viene, tiene que ser la misma
+    const shop = normalizeShopDomain(req.query.shop);
+    if (shop && shop !== client.session.shop) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This session token does not have access to ${shop}`,
+      });
+    }
+    if (!req.query.shop) {
+      req.query.shop = client.session.shop;
+    }
+
+    req.apiClient = client;
+    return next();
+  }
+
+  const apiKey = findApiKey(token);
+  if (!apiKey) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid token',
+    });
+  }
+
+  touchApiKey(apiKey);
+
+  // Verificar nivel de acceso
+  if (!READ_METHODS.includes(req.method) && apiKey.access !== 'read_write') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This API key has read-only access',
+    });
+  }
+
+  // Verificar acceso a la tienda solicitada
+  const shop = normalizeShopDomain(req.query.shop);
+  if (shop && !canAccessShop(apiKey, shop)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `This API key does not have access to ${shop}`,
+    });
+  }
+
+  req.apiClient = { ...apiKey, admin: false };
+  next();
+}
+
+/**
+ * Middleware para endpoints de administración
+ * Solo acepta API_BEARER_TOKEN
+ */
+function requireAdmin(req, res, next) {
   // Si no hay token configurado, rechazar todas las requests
-  if (!expectedToken) {
-    console.error('[Auth] API_BEARER_TOKEN no está configurado');
+  if (!process.env.API_BEARER_TOKEN) {
+    log.error('API_BEARER_TOKEN is not configured');
     return res.status(500).json({
       error: 'Server configuration error',
       message: 'API_BEARER_TOKEN is not configured',
     });
   }
 
-  // Verificar que existe el header Authorization
-  if (!authHeader) {
+  const token = extractBearerToken(req, res);
+  if (token === null) return;
+
+  if (!isAdminToken(token)) {
     return res.status(401).json({
       error: 'Unauthorized',
-      message: 'Missing Authorization header',
+      message: 'Invalid token',
     });
   }
 
-  // Verificar formato del header (Bearer token)
-  if (!authHeader.startsWith('Bearer ')) {
+  req.apiClient = { id: 'admin', name: 'admin', shops: ['*'], access: 'read_write', admin: true };
+  next();
+}
+
+/**
+ * Middleware que solo acepta session tokens de App Bridge (ej: /auth/token-exchange)
+ * Deja el cliente en req.apiClient, con la tienda en req.apiClient.session.shop.
+ */
+function requireSessionToken(req, res, next) {
+  const token = extractBearerToken(req, res);
+  if (token === null) return;
+
+  if (!isSessionToken(token)) {
     return res.status(401).json({
       error: 'Unauthorized',
-      message: 'Invalid Authorization header format. Expected: Bearer <token>',
+      message: 'Expected an App Bridge session token',
+    });
+  }
+
+  const client = authenticateSessionToken(token, res);
+  if (!client) return;
+
+  req.apiClient = client;
+  next();
+}
+
+/**
+ * Middleware para GET /metrics
+ * Solo acepta METRICS_TOKEN (ni API_BEARER_TOKEN ni las API keys de clientes)
+ */
+function requireMetricsToken(req, res, next) {
+  if (!process.env.METRICS_TOKEN) {
+    log.error('METRICS_TOKEN is not configured');
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'METRICS_TOKEN is not configured',
     });
   }
 
-  // Extraer y validar el token
-  const token = authHeader.slice(7); // Quitar "Bearer "
+  const token = extractBearerToken(req, res);
+  if (token === null) return;
 
-  if (token !== expectedToken) {
+  if (!tokensMatch(token, process.env.METRICS_TOKEN)) {
     return res.status(401).json({
       error: 'Unauthorized',
       message: 'Invalid token',
@@ -44,4 +253,10 @@ function authMiddleware(req, res, next) {
   next();
 }
 
-module.exports = authMiddleware;
+module.exports = {
+  authMiddleware,
+  requireSessionToken,
+  requireAdmin,
+  requireMetricsToken,
+  canAccessShop,
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { normalizeShopDomain } = require('../utils/shopValidator');
+const {
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+} = require('../store/idempotencyKeys');
+
+// Caracteres ASCII visibles, hasta 255
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Respuestas que no se guardan: el cliente puede reintentar con la misma clave
+const RETRYABLE_STATUS = [409, 429];
+
+/**
+ * Middleware de idempotencia para operaciones de escritura (header Idempotency-Key)
+ *
+ * La primera respuesta de cada clave se guarda y se repite tal cual en los
+ * reintentos (con el header Idempotent-Replayed: true), así un reintento no
+ * repite la operación en Shopify. Las claves son por cliente y tienda; reusar
+ * una clave con otro request responde 422. Los 5xx, 409 y 429 liberan la clave.
+ */
+function requireIdempotencyKey(req, res, next) {
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (!idempotencyKey) {
+    return res.status(400).json({
+      error: 'Missing Idempotency-Key header',
+      message: 'Write operations require an Idempotency-Key header (a unique value per operation, e.g. a UUID).',
+    });
+  }
+
+  if (!KEY_PATTERN.test(idempotencyKey)) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency-Key header',
+      message: 'The Idempotency-Key must be 1-255 visible ASCII characters.',
+    });
+  }
+
+  const shop = normalizeShopDomain(req.query.shop) || '';
+  const key = `${req.apiClient.id}:${shop}:${idempotencyKey}`;
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.baseUrl + req.path, shop, req.body ?? null]))
+    .digest('hex');
+
+  const reservation = reserveIdempotencyKey(key, fingerprint);
+
+  if (reservation.state === 'mismatch') {
+    return res.status(422).json({
+      error: 'Idempotency key reused',
+      message: 'This Idempotency-Key was already used with a different request.',
+    });
+  }
+
+  if (reservation.state === 'pending') {
+    return res.status(409).json({
+      error: 'Request in progress',
+      message: 'A request with this Idempotency-Key is still being processed. Retry later.',
+    });
+  }
+
+  if (reservation.state === 'completed') {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(reservation.response.status).json(reservation.response.body);
+  }
+
+  // Guardar la respuesta cuando el handler la envía. Si el cliente se desconecta
+  // antes, la clave queda pendiente hasta que la operación termine.
+  let settled = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (!settled) {
+      settled = true;
+      if (res.statusCode < 500 && !RETRYABLE_STATUS.includes(res.statusCode)) {
+        completeIdempotencyKey(key, { status: res.statusCode, body });
+      } else {
+        releaseIdempotencyKey(key);
+      }
+    }
+    return json(body);
+  };
+
+  // Respuestas que no pasan por res.json (ej: error no controlado)
+  res.on('finish', () => {
+    if (!settled) {
+      settled = true;
+      releaseIdempotencyKey(key);
+    }
+  });
+
+  next();
+}
+
+module.exports = {
+  requireIdempotencyKey,
+};
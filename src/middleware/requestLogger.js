@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { createLogger, runWithContext } = require('../logger');
+const { appendAuditEvent } = require('../store/auditLog');
+const { recordHttpRequest } = require('../metrics');
+const { normalizeShopDomain } = require('../utils/shopValidator');
+
+const log = createLogger('HTTP');
+
+// X-Request-Id aceptado del cliente o del proxy; cualquier otro valor se reemplaza
+const REQUEST_ID_REGEX = /^[\w.:-]{1,128}$/;
+
+// Métodos que solo leen; el resto queda en el registro de auditoría
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Un evento api_key.used por API key cada este intervalo (los usos intermedios se cuentan)
+const API_KEY_AUDIT_INTERVAL_MS = 10 * 60 * 1000;
+
+// ID de la API key -> { loggedAt, pending }: último evento y usos aún no registrados
+const apiKeyUsage = new Map();
+
+/**
+ * Actor del registro de auditoría según el cliente autenticado (req.apiClient)
+ * @returns {object|null}
+ */
+function auditActor(client) {
+  if (!client) return null;
+  if (client.admin) return { type: 'admin', id: 'admin' };
+  if (client.session) return { type: 'session', id: client.id, name: client.name };
+  return { type: 'api_key', id: client.id, name: client.name };
+}
+
+/**
+ * Usos de la API key a registrar ahora (incluido este), o 0 si ya tuvo un evento en el intervalo
+ * @param {string} id
+ * @returns {number}
+ */
+function takeApiKeyUses(id) {
+  const now = Date.now();
+  const usage = apiKeyUsage.get(id);
+
+  if (usage && now - usage.loggedAt < API_KEY_AUDIT_INTERVAL_MS) {
+    usage.pending++;
+    return 0;
+  }
+
+  apiKeyUsage.set(id, { loggedAt: now, pending: 0 });
+  return (usage?.pending ?? 0) + 1;
+}
+
+/**
+ * Tienda del request: query shop, la del session token o el header de los webhooks
+ */
+function requestShop(req) {
+  return normalizeShopDomain(req.query.shop)
+    || req.apiClient?.session?.shop
+    || normalizeShopDomain(req.get('X-Shopify-Shop-Domain'))
+    || undefined;
+}
+
+/**
+ * Middleware de logs por request
+ *
+ * Asigna el request ID (X-Request-Id recibido o uno nuevo, devuelto en la respuesta),
+ * lo deja en el contexto para los logs y las llamadas a Shopify del request, y al
+ * terminar escribe una línea con ruta, tienda, status, latencia y llamadas a Shopify
+ * (y la suma a las métricas de /metrics).
+ * Registra en auditoría el uso de API keys (un evento por key cada 10 minutos) y las
+ * operaciones de escritura, solo de requests autenticados que llegaron a una ruta.
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const context = { requestId, shopify: { calls: 0, durationMs: 0, retries: 0 } };
+
+  res.on('finish', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6);
+    const path = req.originalUrl.split('?')[0];
+    const shop = requestShop(req);
+    const client = req.apiClient;
+
+    const fields = {
+      requestId,
+      method: req.method,
+      path,
+      route: req.route ? `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/' : undefined,
+      shop,
+      status: res.statusCode,
+      durationMs,
+      client: client?.id,
+      shopify: context.shopify.calls > 0 ? context.shopify : undefined,
+    };
+
+    if (res.statusCode >= 500) log.error('Request completed', fields);
+    else if (res.statusCode >= 400) log.warn('Request completed', fields);
+    else log.info('Request completed', fields);
+
+    // Sin ruta de Express (404, o rechazado por un middleware): el prefijo montado, nunca la URL
+    recordHttpRequest({
+      method: req.method,
+      route: fields.route || (req.baseUrl ? `${req.baseUrl}/*` : 'unmatched'),
+      status: res.statusCode,
+      durationMs,
+    });
+
+    // Rechazados por la autenticación o sin ruta (401, 404): no quedan en auditoría
+    if (!client || !req.route) return;
+
+    const event = {
+      actor: auditActor(client),
+      shop,
+      requestId,
+      method: req.method,
+      path,
+      status: res.statusCode,
+    };
+
+    if (!client.admin && !client.session) {
+      const requests = takeApiKeyUses(client.id);
+      if (requests > 0) {
+        appendAuditEvent('api_key.used', { ...event, details: { requests } });
+      }
+    }
+    if (!READ_METHODS.includes(req.method)) {
+      appendAuditEvent('write', event);
+    }
+  });
+
+  runWithContext(context, next);
+}
+
+module.exports = {
+  requestLogger,
+  auditActor,
+};
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getShop } = require('./store/shops');
+const { validateAndNormalizeShop } = require('./utils/shopValidator');
+
+/**
+ * OAuth de Shopify: firma de los requests de Shopify, verificación de scopes
+ * y session tokens de App Bridge (JWT) con su token exchange
+ */
+
+// Antigüedad máxima del timestamp de un request firmado por Shopify
+const HMAC_MAX_AGE_SECONDS = 5 * 60;
+
+// Tolerancia para relojes adelantados respecto al de Shopify
+const HMAC_CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Verifica el HMAC y el timestamp del querystring de un request de Shopify
+ * (lanzamiento de la app y callback de OAuth)
+ * @param {object} query - Query params del request
+ * @param {string} secret - SHOPIFY_API_SECRET
+ * @param {number} [now] - Milisegundos actuales (para pruebas)
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function verifyShopifyQuery(query, secret, now = Date.now()) {
+  const { hmac, timestamp } = query;
+  if (!hmac || typeof hmac !== 'string') {
+    return { valid: false, error: 'Missing hmac parameter' };
+  }
+
+  // Crear copia del query sin hmac
+  const params = { ...query };
+  delete params.hmac;
+
+  // Ordenar parámetros alfabéticamente y crear string
+  const sortedParams = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join('&');
+
+  // Calcular HMAC
+  const calculatedHmac = crypto
+    .createHmac('sha256', secret)
+    .update(sortedParams)
+    .digest();
+
+  // Comparar de forma segura
+  const received = Buffer.from(hmac, 'hex');
+  if (received.length !== calculatedHmac.length || !crypto.timingSafeEqual(received, calculatedHmac)) {
+    return { valid: false, error: 'The request signature is invalid' };
+  }
+
+  // El timestamp está firmado: un request viejo no se puede reutilizar
+  const seconds = Number(timestamp);
+  if (!timestamp || !Number.isInteger(seconds)) {
+    return { valid: false, error: 'Missing or invalid timestamp parameter' };
+  }
+  const age = now / 1000 - seconds;
+  if (age > HMAC_MAX_AGE_SECONDS || age < -HMAC_CLOCK_SKEW_SECONDS) {
+    return { valid: false, error: 'The request timestamp is too old or in the future' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Lista de scopes a partir del texto de Shopify o de SCOPES ("read_orders, write_orders")
+ * @param {string|string[]|null} scopes
+ * @returns {string[]}
+ */
+function parseScopes(scopes) {
+  const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(',');
+  return [...new Set(list.map((scope) => String(scope).trim()).filter(Boolean))];
+}
+
+/**
+ * Scopes requeridos que no están otorgados
+ * Un scope write_x incluye a read_x (Shopify no devuelve el read implícito).
+ * @param {string[]} granted - Scopes otorgados
+ * @param {string[]} required - Scopes requeridos (SCOPES)
+ * @returns {string[]}
+ */
+function missingScopes(granted, required) {
+  const otorgados = new Set(granted);
+  return required.filter((scope) => !otorgados.has(scope)
+    && !(scope.startsWith('read_') && otorgados.has(`write_${scope.slice('read_'.length)}`)));
+}
+
+/**
+ * Scopes configurados en SCOPES
+ * @returns {string[]}
+ */
+function configuredScopes() {
+  return parseScopes(process.env.SCOPES);
+}
+
+/**
+ * Indica si una tienda debe volver a autorizar la app
+ * (no está instalada o sus scopes guardados no cubren SCOPES)
+ * @param {string} shop - Dominio normalizado de la tienda
+ * @returns {boolean}
+ */
+function needsReauthorization(shop) {
+  const record = getShop(shop);
+  if (!record) return true;
+
+  // Instalaciones anteriores al registro de scopes: no se fuerza la reautorización
+  if (!record.scopes) return false;
+
+  return missingScopes(record.scopes, configuredScopes()).length > 0;
+}
+
+// Tolerancia de reloj para exp / nbf de los session tokens (duran 1 minuto)
+const SESSION_TOKEN_CLOCK_SKEW_SECONDS = 10;
+
+const TOKEN_EXCHANGE_GRANT = 'urn:ietf:params:oauth:grant-type:token-exchange';
+const ID_TOKEN_TYPE = 'urn:ietf:params:oauth:token-type:id_token';
+const ONLINE_TOKEN_TYPE = 'urn:shopify:params:oauth:token-type:online-access-token';
+
+/**
+ * Decodifica una parte base64url de un JWT
+ * @returns {object|null}
+ */
+function decodeJwtPart(part) {
+  try {
+    const value = JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verifica un session token de App Bridge (JWT HS256 firmado con SHOPIFY_API_SECRET)
+ * Comprueba firma, aud (SHOPIFY_API_KEY), exp / nbf y que dest sea una tienda válida.
+ * @param {string} token - JWT del header Authorization
+ * @param {number} [now] - Milisegundos actuales (para pruebas)
+ * @returns {{ valid: boolean, error?: string, shop?: string, payload?: object }}
+ *   shop: dominio normalizado tomado de dest
+ */
+function verifySessionToken(token, now = Date.now()) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  const apiKey = process.env.SHOPIFY_API_KEY;
+  if (!secret || !apiKey) {
+    return { valid: false, error: 'Session tokens are not configured' };
+  }
+
+  const parts = String(token).split('.');
+  if (parts.length !== 3) {
+    return { valid: false, error: 'Malformed session token' };
+  }
+
+  const header = decodeJwtPart(parts[0]);
+  const payload = decodeJwtPart(parts[1]);
+  if (!header || !payload) {
+    return { valid: false, error: 'Malformed session token' };
+  }
+  if (header.alg !== 'HS256') {
+    return { valid: false, error: 'Unsupported session token algorithm' };
+  }
+
+  // Comparar la firma de forma segura
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const received = Buffer.from(parts[2], 'base64url');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return { valid: false, error: 'Invalid session token signature' };
+  }
+
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!audiences.includes(apiKey)) {
+    return { valid: false, error: 'The session token was issued for another app' };
+  }
+
+  const seconds = now / 1000;
+  if (typeof payload.exp !== 'number' || payload.exp + SESSION_TOKEN_CLOCK_SKEW_SECONDS < seconds) {
+    return { valid: false, error: 'The session token has expired' };
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - SESSION_TOKEN_CLOCK_SKEW_SECONDS > seconds) {
+    return { valid: false, error: 'The session token is not valid yet' };
+  }
+
+  // dest: https://tienda.myshopify.com; iss es el admin de la misma tienda
+  let destHost = null;
+  try {
+    destHost = new URL(payload.dest).hostname;
+  } catch {
+    destHost = null;
+  }
+  const validation = destHost ? validateAndNormalizeShop(destHost) : { valid: false };
+  if (!validation.valid) {
+    return { valid: false, error: 'The session token dest is not a valid shop' };
+  }
+  if (payload.iss && !String(payload.iss).startsWith(payload.dest)) {
+    return { valid: false, error: 'The session token iss does not match dest' };
+  }
+
+  return { valid: true, shop: validation.normalized, payload };
+}
+
+/**
+ * Cambia un session token por un access token online (token exchange de Shopify)
+ * @param {string} shop - Dominio de la tienda (dest del session token)
+ * @param {string} sessionToken - JWT ya verificado
+ * @returns {Promise<{ accessToken: string, scopes: string[], expiresAt: string|null, user: object|null }>}
+ * @throws {Error} error.status / error.details con la respuesta de Shopify
+ */
+async function exchangeSessionToken(shop, sessionToken) {
+  try {
+    const response = await axios.post(
+      `https://${shop}/admin/oauth/access_token`,
+      {
+        client_id: process.env.SHOPIFY_API_KEY,
+        client_secret: process.env.SHOPIFY_API_SECRET,
+        grant_type: TOKEN_EXCHANGE_GRANT,
+        subject_token: sessionToken,
+        subject_token_type: ID_TOKEN_TYPE,
+        requested_token_type: ONLINE_TOKEN_TYPE,
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+      }
+    );
+
+    const data = response.data || {};
+    if (!data.access_token) {
+      throw new Error('No access_token in response');
+    }
+
+    return {
+      accessToken: data.access_token,
+      scopes: parseScopes(data.scope),
+      expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000).toISOString() : null,
+      user: data.associated_user || null,
+    };
+  } catch (error) {
+    if (error.response) {
+      const httpError = new Error(`Token exchange failed: ${error.response.status}`);
+      httpError.status = error.response.status;
+      httpError.details = error.response.data;
+      throw httpError;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  HMAC_MAX_AGE_SECONDS,
+  verifyShopifyQuery,
+  parseScopes,
+  missingScopes,
+  configuredScopes,
+  needsReauthorization,
+  verifySessionToken,
+  exchangeSessionToken,
+};
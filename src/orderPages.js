@@ -0,0 +1,201 @@
+const { fetchOrdersPage } = require('./shopify');
+const { getCachedOrders } = require('./store/orders');
+const { validateOrderFilters, matchesOrderFilters } = require('./utils/orderFilters');
+const { encodeCursor, decodeCursor } = require('./utils/pagination');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Orders');
+
+/**
+ * Recorrido de órdenes por páginas: todas las de una tienda (exportaciones y
+ * reportes) o el listado combinado de varias tiendas.
+ */
+
+// Órdenes por página (máximo de Shopify)
+const PAGE_SIZE = 250;
+
+// Tiendas consultadas a la vez en el listado combinado
+const MAX_CONCURRENT_SHOPS = Math.max(parseInt(process.env.ALL_SHOPS_CONCURRENCY ?? '4') || 4, 1);
+
+/**
+ * Recorre todas las órdenes que cumplen los filtros, página por página
+ * En modo live sigue el cursor de Shopify; en modo cache corta el espejo local.
+ * @param {string} shop - Dominio de la tienda
+ * @param {{ params: object }} filters - Filtros validados
+ * @param {string} source - live | cache
+ * @param {{ maxPages?: number }} options - maxPages: páginas de Shopify como máximo en modo live
+ * @yields {object[]} Órdenes de Shopify de cada página
+ * @throws {Error} error.code = 'PAGE_LIMIT_EXCEEDED' si quedan páginas después de maxPages
+ */
+async function* iterateOrderPages(shop, filters, source, { maxPages = Infinity } = {}) {
+  if (source === 'cache') {
+    const matching = getCachedOrders(shop).filter((order) => matchesOrderFilters(order, filters.params));
+    for (let i = 0; i < matching.length; i += PAGE_SIZE) {
+      yield matching.slice(i, i + PAGE_SIZE);
+    }
+    return;
+  }
+
+  let params = { limit: PAGE_SIZE, ...filters.params };
+  let pages = 0;
+  while (params) {
+    const page = await fetchOrdersPage(shop, params);
+    pages++;
+    yield page.orders;
+
+    if (page.nextCursor && pages >= maxPages) {
+      const error = new Error(`More than ${maxPages * PAGE_SIZE} orders match the filters.`);
+      error.code = 'PAGE_LIMIT_EXCEEDED';
+      throw error;
+    }
+    params = page.nextCursor ? { limit: PAGE_SIZE, page_info: page.nextCursor } : null;
+  }
+}
+
+/**
+ * Ejecuta fn sobre cada elemento con a lo sumo `limit` ejecuciones a la vez
+ * @returns {Promise<any[]>} Resultados en el orden de items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function invalidCursorError() {
+  const error = new Error('The cursor is not a valid all-shops cursor. Start again without cursor.');
+  error.code = 'INVALID_CURSOR';
+  error.status = 400;
+  return error;
+}
+
+// Más recientes primero; a igual fecha, por tienda y por ID
+function compareOrders(a, b) {
+  return Date.parse(b.order.created_at) - Date.parse(a.order.created_at)
+    || a.shop.localeCompare(b.shop)
+    || Number(b.order.id) - Number(a.order.id);
+}
+
+/**
+ * Lista una página de órdenes combinando varias tiendas
+ *
+ * Cada tienda se recorre con su propio cursor de Shopify y las órdenes se
+ * mezclan por fecha de creación (más recientes primero). El cursor combinado
+ * guarda, por tienda, el cursor de la página de Shopify en curso y cuántas
+ * órdenes de esa página ya se devolvieron; las tiendas agotadas salen del cursor.
+ * Una tienda que falla no corta el listado: se informa en `errors` y conserva
+ * su posición para reintentarse en la página siguiente. Los filtros no pueden
+ * llevar since_id (Shopify ordena por ID, no por fecha).
+ *
+ * @param {string[]} shops - Dominios de las tiendas que se pueden consultar
+ * @param {{ params: object }} filters - Filtros validados (solo sin cursor)
+ * @param {{ cursor?: string, limit: number }} options
+ * @returns {Promise<{ orders: Array<{ shop: string, order: object }>, errors: Array<{ shop: string, error: Error }>, nextCursor: string|null }>}
+ * @throws {Error} error.code = 'INVALID_CURSOR'
+ */
+async function fetchAllShopsPage(shops, filters, { cursor, limit }) {
+  let state = {
+    l: limit,
+    q: filters.params,
+    t: Object.fromEntries(shops.map((shop) => [shop, { c: null, o: 0 }])),
+  };
+
+  // Igual que page_info: el cursor lleva el límite, los filtros y las tiendas de la primera página
+  if (cursor) {
+    state = decodeCursor(cursor);
+    const positions = state && typeof state.t === 'object' && state.t ? Object.values(state.t) : null;
+    if (!positions || !Number.isInteger(state.l) || state.l < 1 || state.l > PAGE_SIZE
+      || !state.q || typeof state.q !== 'object' || Array.isArray(state.q)
+      || positions.some((p) => !p || !Number.isInteger(p.o) || p.o < 0 || p.o > PAGE_SIZE
+        || (p.c !== null && typeof p.c !== 'string'))) {
+      throw invalidCursorError();
+    }
+
+    // El cursor no es firmado: sus filtros pasan por la misma validación que los de la primera página
+    // since_id ordena por ID en vez de por fecha: no se puede mezclar entre tiendas
+    const cursorFilters = validateOrderFilters(state.q);
+    if (!cursorFilters.valid || cursorFilters.params.since_id !== undefined) {
+      throw invalidCursorError();
+    }
+    state.q = cursorFilters.params;
+
+    // El cursor no es firmado: solo se consultan tiendas de la lista actual
+    state.t = Object.fromEntries(Object.entries(state.t).filter(([shop]) => shops.includes(shop)));
+  }
+
+  const errors = [];
+  const load = async (entry, pageCursor) => {
+    try {
+      const page = await fetchOrdersPage(entry.shop, pageCursor
+        ? { limit: state.l, page_info: pageCursor }
+        : { limit: state.l, ...state.q });
+      Object.assign(entry, { orders: page.orders, next: page.nextCursor });
+    } catch (error) {
+      log.error('Error fetching orders', { shop: entry.shop, error });
+      entry.failed = true;
+      errors.push({ shop: entry.shop, error });
+    }
+  };
+
+  const entries = Object.entries(state.t).map(([shop, position]) => ({
+    shop,
+    cursor: position.c,
+    index: position.o,
+    orders: [],
+    next: null,
+    failed: false,
+  }));
+
+  await mapWithConcurrency(entries, MAX_CONCURRENT_SHOPS, (entry) => load(entry, entry.cursor));
+
+  const orders = [];
+  while (orders.length < state.l) {
+    // Las tiendas que agotaron su página piden la siguiente antes de comparar
+    for (const entry of entries) {
+      if (!entry.failed && entry.index >= entry.orders.length && entry.next) {
+        Object.assign(entry, { cursor: entry.next, index: 0, orders: [], next: null });
+        await load(entry, entry.cursor);
+      }
+    }
+
+    const candidates = entries
+      .filter((entry) => !entry.failed && entry.index < entry.orders.length)
+      .map((entry) => ({ entry, shop: entry.shop, order: entry.orders[entry.index] }));
+    if (candidates.length === 0) break;
+
+    const newest = candidates.sort(compareOrders)[0];
+    newest.entry.index++;
+    orders.push({ shop: newest.shop, order: newest.order });
+  }
+
+  // Posición de cada tienda para la página siguiente (las agotadas ya no se consultan)
+  const positions = {};
+  for (const entry of entries) {
+    if (entry.failed || entry.index < entry.orders.length) {
+      positions[entry.shop] = { c: entry.cursor, o: entry.index };
+    } else if (entry.next) {
+      positions[entry.shop] = { c: entry.next, o: 0 };
+    }
+  }
+
+  // Las tiendas con error conservan su posición: hay cursor aunque sean las únicas que quedan
+  return {
+    orders,
+    errors,
+    nextCursor: Object.keys(positions).length > 0 ? encodeCursor({ ...state, t: positions }) : null,
+  };
+}
+
+module.exports = {
+  iterateOrderPages,
+  fetchAllShopsPage,
+};
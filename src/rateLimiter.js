@@ -0,0 +1,338 @@
+/**
+ * Cola de requests a Shopify por tienda, con control de límites (leaky bucket)
+ *
+ * Cada tienda tiene su propia cola: los requests salen de a uno y esperan si
+ * el presupuesto estimado no alcanza.
+ * - REST: header X-Shopify-Shop-Api-Call-Limit ("32/40"), se vacía a 2 req/s
+ * - GraphQL: extensions.cost.throttleStatus (puntos disponibles y tasa de recuperación)
+ * Los 429, THROTTLED de GraphQL, 5xx, timeouts y errores de red se reintentan con
+ * backoff exponencial respetando Retry-After. 5xx, timeouts y errores de red solo
+ * en requests idempotentes (no se reintenta una mutation o un POST que pudo aplicarse).
+ */
+
+const { createLogger, getContext } = require('./logger');
+const { recordShopifyCall } = require('./metrics');
+
+const log = createLogger('Shopify');
+
+const MAX_RETRIES = parseInt(process.env.SHOPIFY_MAX_RETRIES ?? '4');
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30 * 1000;
+
+// Valores por defecto de Shopify hasta recibir los de la tienda
+const REST_BUCKET_SIZE = 40;
+const REST_LEAK_PER_SECOND = 2;
+const GRAPHQL_MAX_AVAILABLE = 1000;
+const GRAPHQL_RESTORE_PER_SECOND = 50;
+
+// Margen de requests REST que se deja libre en el bucket
+const REST_MARGIN = 2;
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+// Códigos de axios de un request sin respuesta a tiempo (timeout del cliente)
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ECONNABORTED'];
+
+// Estado por tienda
+const shops = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function getState(shop) {
+  if (!shops.has(shop)) {
+    shops.set(shop, {
+      queue: [],
+      running: false,
+      inFlight: 0,
+      blockedUntil: 0,
+      retries: 0,
+      throttled: 0,
+      lastThrottledAt: null,
+      rest: { used: 0, max: REST_BUCKET_SIZE, updatedAt: 0 },
+      graphql: {
+        available: GRAPHQL_MAX_AVAILABLE,
+        max: GRAPHQL_MAX_AVAILABLE,
+        restoreRate: GRAPHQL_RESTORE_PER_SECOND,
+        lastRequestedCost: 0,
+        updatedAt: 0,
+      },
+    });
+  }
+  return shops.get(shop);
+}
+
+/**
+ * Requests REST usados según la estimación actual (el bucket se vacía con el tiempo)
+ */
+function estimateRestUsed(rest, now = Date.now()) {
+  const leaked = ((now - rest.updatedAt) / 1000) * REST_LEAK_PER_SECOND;
+  return Math.max(0, rest.used - leaked);
+}
+
+/**
+ * Puntos de GraphQL disponibles según la estimación actual
+ */
+function estimateGraphqlAvailable(graphql, now = Date.now()) {
+  const restored = ((now - graphql.updatedAt) / 1000) * graphql.restoreRate;
+  return Math.min(graphql.max, graphql.available + restored);
+}
+
+/**
+ * Milisegundos a esperar antes de enviar un request del tipo indicado
+ */
+function budgetDelay(state, api) {
+  const now = Date.now();
+  let delay = Math.max(0, state.blockedUntil - now);
+
+  if (api === 'rest') {
+    const excess = estimateRestUsed(state.rest, now) - (state.rest.max - REST_MARGIN);
+    if (excess >= 0) {
+      delay = Math.max(delay, ((excess + 1) / REST_LEAK_PER_SECOND) * 1000);
+    }
+  } else {
+    const missing = state.graphql.lastRequestedCost - estimateGraphqlAvailable(state.graphql, now);
+    if (missing > 0) {
+      delay = Math.max(delay, (missing / state.graphql.restoreRate) * 1000);
+    }
+  }
+
+  return Math.ceil(delay);
+}
+
+/**
+ * Actualiza el presupuesto con los datos de la respuesta
+ */
+function recordBudget(state, api, response) {
+  if (!response) return;
+
+  if (api === 'rest') {
+    const header = response.headers?.['x-shopify-shop-api-call-limit'];
+    const match = header && String(header).match(/^(\d+)\/(\d+)$/);
+    if (match) {
+      state.rest = { used: Number(match[1]), max: Number(match[2]), updatedAt: Date.now() };
+    }
+    return;
+  }
+
+  const cost = response.data?.extensions?.cost;
+  if (cost && cost.throttleStatus) {
+    state.graphql = {
+      available: cost.throttleStatus.currentlyAvailable,
+      max: cost.throttleStatus.maximumAvailable,
+      restoreRate: cost.throttleStatus.restoreRate || GRAPHQL_RESTORE_PER_SECOND,
+      lastRequestedCost: cost.requestedQueryCost || 0,
+      updatedAt: Date.now(),
+    };
+  }
+}
+
+/**
+ * Retry-After en milisegundos (segundos o fecha HTTP), o null
+ */
+function retryAfterMs(headers) {
+  const value = headers?.['retry-after'];
+  if (value === undefined || value === null) return null;
+
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Backoff exponencial con jitter
+ */
+function backoffMs(attempt) {
+  const base = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(base / 2 + Math.random() * (base / 2));
+}
+
+/**
+ * Decide si un resultado se reintenta y cuánto esperar
+ * @returns {number|null} Milisegundos de espera, o null si no se reintenta
+ */
+function retryDelay(state, task, { response, error }) {
+  // GraphQL responde 200 con errors[].extensions.code = THROTTLED
+  if (response) {
+    const errors = response.data?.errors;
+    const throttled = Array.isArray(errors) && errors.some((e) => e.extensions?.code === 'THROTTLED');
+    if (!throttled) return null;
+
+    const missing = state.graphql.lastRequestedCost - estimateGraphqlAvailable(state.graphql);
+    return Math.max(1000, (missing / state.graphql.restoreRate) * 1000);
+  }
+
+  const status = error.response?.status;
+  if (status === 429) {
+    return retryAfterMs(error.response.headers) ?? backoffMs(task.attempts);
+  }
+  // Un timeout o un 5xx no indican si Shopify aplicó el request
+  if (!task.idempotent) return null;
+  if (RETRYABLE_STATUS.includes(status) || TIMEOUT_CODES.includes(error.code) || !error.response) {
+    return backoffMs(task.attempts);
+  }
+  return null;
+}
+
+/**
+ * Procesa la cola de una tienda hasta vaciarla
+ */
+async function drain(shop) {
+  const state = getState(shop);
+  if (state.running) return;
+  state.running = true;
+
+  try {
+    while (state.queue.length > 0) {
+      const task = state.queue[0];
+
+      const wait = budgetDelay(state, task.api);
+      if (wait > 0) await sleep(wait);
+
+      let outcome;
+      const startedAt = Date.now();
+      state.inFlight++;
+      try {
+        outcome = { response: await task.send() };
+      } catch (error) {
+        outcome = { error };
+      } finally {
+        state.inFlight--;
+      }
+
+      recordBudget(state, task.api, outcome.response || outcome.error?.response);
+      logCall(shop, task, outcome, Date.now() - startedAt);
+
+      const delay = task.attempts < MAX_RETRIES ? retryDelay(state, task, outcome) : null;
+      const throttled = outcome.error?.response?.status === 429 || (delay !== null && outcome.response);
+
+      if (throttled) {
+        state.throttled++;
+        state.lastThrottledAt = new Date().toISOString();
+      }
+
+      if (delay !== null) {
+        task.attempts++;
+        state.retries++;
+        state.blockedUntil = Math.max(state.blockedUntil, Date.now() + delay);
+        log.warn('Retrying Shopify request', {
+          requestId: task.context?.requestId,
+          shop,
+          operation: task.operation,
+          reason: outcome.error ? outcome.error.message : 'GraphQL throttled',
+          retryInMs: delay,
+          attempt: task.attempts,
+          maxRetries: MAX_RETRIES,
+        });
+        continue;
+      }
+
+      state.queue.shift();
+      if (outcome.error) {
+        task.reject(outcome.error);
+      } else {
+        task.resolve(outcome.response);
+      }
+    }
+  } finally {
+    state.running = false;
+  }
+}
+
+/**
+ * Registra una llamada a Shopify en el log, en las métricas y en las estadísticas del request que la originó
+ * La cola corre fuera del contexto del request: el contexto viaja en la tarea.
+ */
+function logCall(shop, task, outcome, durationMs) {
+  const response = outcome.response || outcome.error?.response;
+  const cost = response?.data?.extensions?.cost;
+  const stats = task.context?.shopify;
+
+  if (stats) {
+    stats.calls++;
+    stats.durationMs += durationMs;
+    if (task.attempts > 0) stats.retries++;
+  }
+
+  recordShopifyCall({
+    shop,
+    api: task.api,
+    code: response?.status ?? outcome.error?.code ?? 'error',
+    durationMs,
+  });
+
+  log.info('Shopify call', {
+    requestId: task.context?.requestId,
+    shop,
+    api: task.api,
+    operation: task.operation,
+    status: response?.status ?? null,
+    error: response ? undefined : outcome.error?.message,
+    durationMs,
+    attempt: task.attempts + 1,
+    cost: cost?.actualQueryCost ?? cost?.requestedQueryCost,
+    callLimit: response?.headers?.['x-shopify-shop-api-call-limit'],
+  });
+}
+
+/**
+ * Encola un request a Shopify para una tienda
+ * @param {string} shop - Dominio de la tienda
+ * @param {object} options
+ * @param {'rest'|'graphql'} options.api - Bucket que consume
+ * @param {boolean} options.idempotent - Si se puede reintentar ante 5xx / timeouts / errores de red
+ * @param {Function} options.send - Ejecuta el request (devuelve la respuesta de axios)
+ * @param {string} [options.operation] - Nombre para el log (query GraphQL o "METHOD endpoint")
+ * @returns {Promise<object>} Respuesta de axios (la última, si se agotaron los reintentos de THROTTLED)
+ * @throws {Error} Error de axios del último intento
+ */
+function scheduleRequest(shop, { api, idempotent, send, operation = null }) {
+  return new Promise((resolve, reject) => {
+    getState(shop).queue.push({
+      api,
+      idempotent,
+      send,
+      operation,
+      context: getContext(),
+      attempts: 0,
+      resolve,
+      reject,
+    });
+    drain(shop);
+  });
+}
+
+/**
+ * Estado de la cola y del presupuesto de una tienda
+ * @param {string} shop - Dominio de la tienda
+ * @returns {object}
+ */
+function getRateLimitStatus(shop) {
+  const state = getState(shop);
+  const now = Date.now();
+
+  return {
+    queued: state.queue.length,
+    inFlight: state.inFlight,
+    blockedUntil: state.blockedUntil > now ? new Date(state.blockedUntil).toISOString() : null,
+    retries: state.retries,
+    throttled: state.throttled,
+    lastThrottledAt: state.lastThrottledAt,
+    rest: {
+      used: Math.ceil(estimateRestUsed(state.rest, now)),
+      max: state.rest.max,
+    },
+    graphql: {
+      available: Math.floor(estimateGraphqlAvailable(state.graphql, now)),
+      max: state.graphql.max,
+      restoreRate: state.graphql.restoreRate,
+    },
+  };
+}
+
+module.exports = {
+  TIMEOUT_CODES,
+  scheduleRequest,
+  getRateLimitStatus,
+};
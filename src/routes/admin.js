@@ -0,0 +1,486 @@
+const express = require('express');
+const { ACCESS_LEVELS, createApiKey, listApiKeys, revokeApiKey } = require('../store/apiKeys');
+const { DEFAULT_SETTINGS, getShopSettings, updateShopSettings } = require('../store/shopSettings');
+const { validateSriSettings } = require('../sri/factura');
+const { validateShippingSettings } = require('../utils/orderFormatter');
+const { validateAndNormalizeShop } = require('../utils/shopValidator');
+const { sendShopifyError } = require('../utils/shopifyErrors');
+const { getShop, listShops, updateShopScopes, isShopAuthenticated, removeShop } = require('../store/shops');
+const { removeShopOrders } = require('../store/orders');
+const { removeShopOnlineTokens } = require('../store/onlineTokens');
+const { fetchShopDetails, revokeShopToken } = require('../shopify');
+const { appendAuditEvent, queryAuditEvents } = require('../store/auditLog');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+const { createLogger } = require('../logger');
+
+const log = createLogger('Admin');
+
+const router = express.Router();
+
+// Eventos por página del registro de auditoría
+const AUDIT_DEFAULT_LIMIT = 100;
+const AUDIT_MAX_LIMIT = 1000;
+
+// Validadores de formato por sección de configuración
+const SETTINGS_VALIDATORS = {
+  sri: validateSriSettings,
+  envio: validateShippingSettings,
+};
+
+/**
+ * POST /admin/api-keys
+ * Crea una API key de cliente
+ * Body: { name, shops: ["tienda.myshopify.com"] | ["*"], access: "read" | "read_write" }
+ * La key completa solo se devuelve en esta respuesta.
+ */
+router.post('/api-keys', (req, res) => {
+  const { name, shops, access = 'read' } = req.body || {};
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    errors.push({ param: 'name', message: 'name is required' });
+  }
+
+  if (!ACCESS_LEVELS.includes(access)) {
+    errors.push({
+      param: 'access',
+      message: 'access must be one of the allowed values',
+      received: access,
+      allowed: ACCESS_LEVELS,
+    });
+  }
+
+  const normalizedShops = [];
+  if (!Array.isArray(shops) || shops.length === 0) {
+    errors.push({
+      param: 'shops',
+      message: 'shops must be a non-empty array of shop domains, or ["*"] for all shops',
+      received: shops,
+    });
+  } else {
+    for (const shop of shops) {
+      if (shop === '*') {
+        normalizedShops.push('*');
+        continue;
+      }
+      const validation = validateAndNormalizeShop(shop);
+      if (!validation.valid) {
+        errors.push({
+          param: 'shops',
+          message: validation.error,
+          received: validation.original,
+          normalized: validation.normalized,
+        });
+        continue;
+      }
+      normalizedShops.push(validation.normalized);
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      message: errors.map((e) => e.message).join('; '),
+      errors,
+    });
+  }
+
+  const { key, apiKey } = createApiKey({
+    name: name.trim(),
+    shops: [...new Set(normalizedShops)],
+    access,
+  });
+
+  log.info('API key created', { keyId: apiKey.id, name: apiKey.name });
+
+  return res.status(201).json({
+    exito: true,
+    key,
+    apiKey,
+  });
+});
+
+/**
+ * GET /admin/api-keys
+ * Lista las API keys (sin la key ni su hash)
+ */
+router.get('/api-keys', (req, res) => {
+  const apiKeys = listApiKeys();
+
+  return res.json({
+    exito: true,
+    cantidad: apiKeys.length,
+    apiKeys,
+  });
+});
+
+/**
+ * DELETE /admin/api-keys/:id
+ * Revoca una API key
+ */
+router.delete('/api-keys/:id', (req, res) => {
+  const apiKey = revokeApiKey(req.params.id);
+
+  if (!apiKey) {
+    return res.status(404).json({
+      error: 'API key not found',
+      id: req.params.id,
+    });
+  }
+
+  log.info('API key revoked', { keyId: apiKey.id, name: apiKey.name });
+
+  return res.json({
+    exito: true,
+    apiKey,
+  });
+});
+
+/**
+ * Valida el :shop de la ruta y verifica que la tienda esté instalada
+ * Responde 400 / 404 si no; en ese caso devuelve null.
+ * @returns {{ shop: string, record: object }|null}
+ */
+function findInstalledShop(req, res) {
+  const validation = validateAndNormalizeShop(req.params.shop);
+  if (!validation.valid) {
+    res.status(400).json({
+      error: 'Invalid shop domain',
+      message: validation.error,
+      received: validation.original,
+      normalized: validation.normalized,
+    });
+    return null;
+  }
+
+  const record = getShop(validation.normalized);
+  if (!record) {
+    res.status(404).json({
+      error: 'Shop not found',
+      message: `The shop ${validation.normalized} is not installed`,
+      shop: validation.normalized,
+    });
+    return null;
+  }
+
+  return { shop: validation.normalized, record };
+}
+
+/**
+ * GET /admin/shops
+ * Lista las tiendas instaladas (fecha de instalación y scopes otorgados, sin tokens)
+ */
+router.get('/shops', (req, res) => {
+  const tiendas = listShops().sort((a, b) => a.shop.localeCompare(b.shop));
+
+  return res.json({
+    exito: true,
+    cantidad: tiendas.length,
+    tiendas,
+  });
+});
+
+/**
+ * GET /admin/shops/:shop
+ * Registro de una tienda y sus datos en Shopify (nombre, moneda, zona horaria)
+ * Los scopes guardados se actualizan con los que informa Shopify.
+ */
+router.get('/shops/:shop', async (req, res) => {
+  const installed = findInstalledShop(req, res);
+  if (!installed) return;
+
+  const { shop } = installed;
+
+  try {
+    const details = await fetchShopDetails(shop);
+    updateShopScopes(shop, details.scopes);
+
+    return res.json({
+      exito: true,
+      tienda: shop,
+      registro: getShop(shop),
+      metadatos: {
+        nombre: details.name,
+        email: details.email,
+        dominio: details.domain,
+        dominioMyshopify: details.myshopifyDomain,
+        moneda: details.currency,
+        zonaHoraria: details.timeZone,
+        plan: details.plan,
+      },
+    });
+  } catch (error) {
+    log.error('Error fetching shop details', { shop, error });
+    return sendShopifyError(res, error, shop, { failure: 'Failed to fetch shop details' });
+  }
+});
+
+/**
+ * GET /admin/shops/:shop/token
+ * Verifica el access token con una llamada a Shopify
+ * Un token rechazado (401) o que no se puede descifrar responde tokenValido: false.
+ */
+router.get('/shops/:shop/token', async (req, res) => {
+  const installed = findInstalledShop(req, res);
+  if (!installed) return;
+
+  const { shop, record } = installed;
+  const host = process.env.HOST || '';
+  const invalid = (motivo) => res.json({
+    exito: true,
+    tienda: shop,
+    tokenValido: false,
+    motivo,
+    scopes: record.scopes,
+    verificadoEn: new Date().toISOString(),
+    auth_url: `${host}/auth?shop=${shop}`,
+  });
+
+  if (!isShopAuthenticated(shop)) {
+    return invalid('The stored token cannot be decrypted. Check TOKEN_ENCRYPTION_KEYS or reinstall the app.');
+  }
+
+  try {
+    const details = await fetchShopDetails(shop);
+    updateShopScopes(shop, details.scopes);
+
+    return res.json({
+      exito: true,
+      tienda: shop,
+      tokenValido: true,
+      scopes: details.scopes,
+      verificadoEn: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      return invalid('Shopify rejected the access token. Reinstall the app.');
+    }
+    log.error('Error checking token', { shop, error });
+    return sendShopifyError(res, error, shop, { failure: 'Failed to check token' });
+  }
+});
+
+/**
+ * DELETE /admin/shops/:shop
+ * Desinstala una tienda: revoca el token en Shopify y elimina su registro, su espejo de órdenes y sus tokens online
+ * (la configuración se conserva para una reinstalación). Si Shopify ya no acepta el token (401)
+ * se elimina igual; con otros errores no se elimina salvo con ?force=true.
+ */
+router.delete('/shops/:shop', async (req, res) => {
+  const installed = findInstalledShop(req, res);
+  if (!installed) return;
+
+  const { shop } = installed;
+  let tokenRevocado = false;
+
+  if (isShopAuthenticated(shop)) {
+    try {
+      await revokeShopToken(shop);
+      tokenRevocado = true;
+    } catch (error) {
+      log.error('Error revoking token', { shop, error });
+      if (error.status !== 401 && req.query.force !== 'true') {
+        return sendShopifyError(res, error, shop, { failure: 'Failed to revoke token' });
+      }
+    }
+  }
+
+  removeShop(shop);
+  removeShopOrders(shop);
+  removeShopOnlineTokens(shop);
+
+  log.info('Shop uninstalled', { shop, tokenRevocado });
+  appendAuditEvent('shop.uninstalled', {
+    actor: { type: 'admin', id: 'admin' },
+    shop,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    status: 200,
+    details: { tokenRevocado, force: req.query.force === 'true' },
+  });
+
+  return res.json({
+    exito: true,
+    tienda: shop,
+    tokenRevocado,
+  });
+});
+
+/**
+ * GET /admin/shops/:shop/settings
+ * Configuración de una tienda (con valores por defecto)
+ */
+router.get('/shops/:shop/settings', (req, res) => {
+  const validation = validateAndNormalizeShop(req.params.shop);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Invalid shop domain',
+      message: validation.error,
+      received: validation.original,
+      normalized: validation.normalized,
+    });
+  }
+
+  return res.json({
+    exito: true,
+    tienda: validation.normalized,
+    configuracion: getShopSettings(validation.normalized),
+  });
+});
+
+/**
+ * PUT /admin/shops/:shop/settings/:section
+ * Actualiza una sección de la configuración de una tienda (merge parcial)
+ * Body: { campo: valor, ... } - null vuelve al valor por defecto
+ */
+router.put('/shops/:shop/settings/:section', (req, res) => {
+  const { section } = req.params;
+  const values = req.body || {};
+
+  const validation = validateAndNormalizeShop(req.params.shop);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Invalid shop domain',
+      message: validation.error,
+      received: validation.original,
+      normalized: validation.normalized,
+    });
+  }
+
+  if (!DEFAULT_SETTINGS[section]) {
+    return res.status(404).json({
+      error: 'Settings section not found',
+      section,
+      allowed: Object.keys(DEFAULT_SETTINGS),
+    });
+  }
+
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      message: 'Body must be a JSON object',
+    });
+  }
+
+  const allowedFields = Object.keys(DEFAULT_SETTINGS[section]);
+  const unknown = Object.keys(values).filter((field) => !allowedFields.includes(field));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid request body',
+      message: `Unknown fields: ${unknown.join(', ')}`,
+      allowed: allowedFields,
+    });
+  }
+
+  // Validar formato solo de los campos enviados (la actualización puede ser parcial)
+  const current = getShopSettings(validation.normalized)[section];
+  const merged = { ...current, ...values };
+  const validator = SETTINGS_VALIDATORS[section];
+  const errors = (validator ? validator(merged) : [])
+    .filter((e) => values[e.field.split('.').pop()] != null);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid settings',
+      message: errors.map((e) => e.message).join('; '),
+      errors,
+    });
+  }
+
+  const updated = updateShopSettings(validation.normalized, section, values);
+
+  log.info('Shop settings updated', { shop: validation.normalized, section });
+
+  return res.json({
+    exito: true,
+    tienda: validation.normalized,
+    [section]: updated,
+  });
+});
+
+/**
+ * GET /admin/audit-log
+ * Registro de auditoría, del evento más reciente al más antiguo
+ * Query params: type (exacto, o prefijo terminado en ".": shop.), shop, actor (ID: admin,
+ *   ID de la API key, session:...), since / until (ISO 8601), limit (default 100, max 1000), cursor
+ */
+router.get('/audit-log', async (req, res) => {
+  const { type, shop, actor, since, until, limit, cursor } = req.query;
+  const errors = [];
+  const filters = { type, actor };
+
+  if (shop !== undefined) {
+    const validation = validateAndNormalizeShop(shop);
+    if (validation.valid) {
+      filters.shop = validation.normalized;
+    } else {
+      errors.push({ param: 'shop', message: validation.error, received: shop });
+    }
+  }
+
+  for (const [param, value] of [['since', since], ['until', until]]) {
+    if (value === undefined) continue;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+      errors.push({
+        param,
+        message: `${param} must be an ISO 8601 date`,
+        received: value,
+        allowed: ['YYYY-MM-DD', 'YYYY-MM-DDTHH:mm:ssZ', 'YYYY-MM-DDTHH:mm:ss-05:00'],
+      });
+      continue;
+    }
+    filters[param] = time;
+  }
+
+  filters.limit = AUDIT_DEFAULT_LIMIT;
+  if (limit !== undefined) {
+    const parsed = Number(limit);
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > AUDIT_MAX_LIMIT) {
+      errors.push({
+        param: 'limit',
+        message: `limit must be an integer between 1 and ${AUDIT_MAX_LIMIT}`,
+        received: limit,
+      });
+    } else {
+      filters.limit = parsed;
+    }
+  }
+
+  if (cursor !== undefined) {
+    const state = decodeCursor(cursor);
+    if (!state || typeof state.i !== 'string' || typeof state.t !== 'string' || Number.isNaN(Date.parse(state.t))) {
+      errors.push({ param: 'cursor', message: 'cursor is not a valid audit log cursor', received: cursor });
+    } else {
+      filters.before = { id: state.i, time: state.t };
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: errors.map((e) => e.message).join('; '),
+      errors,
+    });
+  }
+
+  let page;
+  try {
+    page = await queryAuditEvents(filters);
+  } catch (error) {
+    log.error('Error reading audit log', { error });
+    return res.status(500).json({
+      error: 'Failed to read audit log',
+      message: error.message,
+    });
+  }
+
+  return res.json({
+    exito: true,
+    cantidad: page.events.length,
+    eventos: page.events,
+    nextCursor: page.next === null ? null : encodeCursor({ i: page.next.id, t: page.next.time }),
+  });
+});
+
+module.exports = router;
@@ -2,12 +2,27 @@ const express = require('express');
 const crypto = require('crypto');
 const axios = require('axios');
 const { saveShopToken } = require('../store/shops');
+const { saveOAuthState, consumeOAuthState } = require('../store/oauthStates');
+const { saveOnlineToken } = require('../store/onlineTokens');
+const {
+  verifyShopifyQuery,
+  parseScopes,
+  missingScopes,
+  configuredScopes,
+  exchangeSessionToken,
+} = require('../oauth');
+const { requireSessionToken } = require('../middleware/auth');
 const { validateAndNormalizeShop } = require('../utils/shopValidator');
+const { escapeHtml } = require('../utils/html');
+const { registerWebhooks } = require('../webhooks');
+const { syncShop } = require('../sync');
+const { appendAuditEvent } = require('../store/auditLog');
+const { recordOAuthInstall } = require('../metrics');
+const { createLogger } = require('../logger');
 
-const router = express.Router();
+const log = createLogger('OAuth');
 
-// Store temporal para nonces (en producción usar Redis o similar)
-const nonceStore = new Map();
+const router = express.Router();
 
 /**
  * Genera un nonce aleatorio
@@ -17,43 +32,6 @@ function generateNonce() {
   return crypto.randomBytes(16).toString('hex');
 }
 
-/**
- * Verifica el HMAC del querystring de Shopify
- * @param {object} query - Query params del callback
- * @param {string} secret - SHOPIFY_API_SECRET
- * @returns {boolean}
- */
-function verifyHmac(query, secret) {
-  const hmac = query.hmac;
-  if (!hmac) return false;
-
-  // Crear copia del query sin hmac
-  const params = { ...query };
-  delete params.hmac;
-
-  // Ordenar parámetros alfabéticamente y crear string
-  const sortedParams = Object.keys(params)
-    .sort()
-    .map((key) => `${key}=${params[key]}`)
-    .join('&');
-
-  // Calcular HMAC
-  const calculatedHmac = crypto
-    .createHmac('sha256', secret)
-    .update(sortedParams)
-    .digest('hex');
-
-  // Comparar de forma segura
-  try {
-    return crypto.timingSafeEqual(
-      Buffer.from(hmac, 'hex'),
-      Buffer.from(calculatedHmac, 'hex')
-    );
-  } catch {
-    return false;
-  }
-}
-
 /**
  * Valida las env vars de OAuth y retorna error JSON si faltan
  */
@@ -83,8 +61,9 @@ function getOAuthConfig(res) {
 
 /**
  * GET /auth
- * Inicia el flujo OAuth de Shopify
- * Query params: shop (requerido)
+ * Inicia el flujo OAuth de Shopify (instalación o reautorización)
+ * Query params: shop (requerido), hmac y timestamp (firmados por Shopify)
+ * Sin firma redirige a la app en el admin de la tienda, que vuelve a llamar firmado.
  */
 router.get('/', (req, res) => {
   const { shop } = req.query;
@@ -115,32 +94,43 @@ router.get('/', (req, res) => {
   const config = getOAuthConfig(res);
   if (!config) return; // Ya se envió respuesta de error
 
-  const { clientId, scopes, host } = config;
+  const { clientId, clientSecret, host } = config;
 
-  // Generar nonce para prevenir CSRF
-  const nonce = generateNonce();
+  // Link sin firmar (ej: auth_url de la API): abrir la app desde el admin de Shopify
+  if (!req.query.hmac) {
+    log.info('Unsigned request, redirecting to the Shopify admin', { shop: normalizedShop });
+    return res.redirect(`https://${normalizedShop}/admin/apps/${clientId}`);
+  }
 
-  // Guardar nonce temporalmente (expira en 10 minutos)
-  nonceStore.set(nonce, {
-    shop: normalizedShop,
-    createdAt: Date.now(),
-  });
+  // Verificar HMAC y timestamp (seguridad de Shopify)
+  const signature = verifyShopifyQuery(req.query, clientSecret);
+  if (!signature.valid) {
+    log.warn('HMAC verification failed', { shop: normalizedShop, reason: signature.error });
+    return res.status(403).json({
+      error: 'HMAC verification failed',
+      message: `${signature.error}. Open the app from the Shopify admin.`,
+    });
+  }
 
-  // Limpiar nonces expirados
-  setTimeout(() => {
-    nonceStore.delete(nonce);
-  }, 10 * 60 * 1000);
+  // Generar nonce para prevenir CSRF y guardarlo (expira en 10 minutos)
+  const nonce = generateNonce();
+  if (!saveOAuthState(nonce, normalizedShop)) {
+    return res.status(500).json({
+      error: 'Failed to start OAuth flow',
+      message: 'The OAuth state could not be saved.',
+    });
+  }
 
   // Construir URL de autorización
   const redirectUri = `${host}/auth/callback`;
   const authUrl =
     `https://${normalizedShop}/admin/oauth/authorize?` +
     `client_id=${clientId}&` +
-    `scope=${scopes}&` +
+    `scope=${encodeURIComponent(configuredScopes().join(','))}&` +
     `redirect_uri=${encodeURIComponent(redirectUri)}&` +
     `state=${nonce}`;
 
-  console.log(`[OAuth] Redirecting ${normalizedShop} to authorization`);
+  log.info('Redirecting to authorization', { shop: normalizedShop });
 
   // Redirigir al OAuth de Shopify
   res.redirect(authUrl);
@@ -156,6 +146,7 @@ router.get('/callback', async (req, res) => {
 
   // Validar parámetros requeridos
   if (!shop || !code || !state) {
+    recordOAuthInstall('failure', 'missing_parameters');
     return res.status(400).json({
       error: 'Missing required parameters',
       required: ['shop', 'code', 'state'],
@@ -166,6 +157,7 @@ router.get('/callback', async (req, res) => {
   // Validar y normalizar shop
   const validation = validateAndNormalizeShop(shop);
   if (!validation.valid) {
+    recordOAuthInstall('failure', 'invalid_shop');
     return res.status(400).json({
       error: 'Invalid shop domain',
       message: validation.error,
@@ -177,22 +169,28 @@ router.get('/callback', async (req, res) => {
 
   // Obtener configuración
   const config = getOAuthConfig(res);
-  if (!config) return;
+  if (!config) {
+    recordOAuthInstall('failure', 'server_configuration');
+    return;
+  }
 
   const { clientId, clientSecret, host } = config;
 
-  // Verificar HMAC (seguridad de Shopify)
-  if (req.query.hmac && !verifyHmac(req.query, clientSecret)) {
-    console.error(`[OAuth] HMAC verification failed for ${normalizedShop}`);
+  // Verificar HMAC y timestamp (obligatorios)
+  const signature = verifyShopifyQuery(req.query, clientSecret);
+  if (!signature.valid) {
+    log.warn('HMAC verification failed', { shop: normalizedShop, reason: signature.error });
+    recordOAuthInstall('failure', 'invalid_hmac');
     return res.status(403).json({
       error: 'HMAC verification failed',
-      message: 'The request signature is invalid.',
+      message: `${signature.error}.`,
     });
   }
 
-  // Verificar nonce (state)
-  const storedNonce = nonceStore.get(state);
+  // Verificar nonce (state); se elimina al leerlo
+  const storedNonce = consumeOAuthState(state);
   if (!storedNonce) {
+    recordOAuthInstall('failure', 'invalid_state');
     return res.status(403).json({
       error: 'Invalid state parameter',
       message: 'State not found or expired. Please restart the OAuth flow.',
@@ -201,18 +199,16 @@ router.get('/callback', async (req, res) => {
 
   // Verificar que el shop coincide (normalizado)
   if (storedNonce.shop !== normalizedShop) {
+    recordOAuthInstall('failure', 'shop_mismatch');
     return res.status(403).json({
       error: 'Shop mismatch',
       message: 'The shop in callback does not match the original request.',
     });
   }
 
-  // Eliminar nonce usado
-  nonceStore.delete(state);
-
   try {
     // Intercambiar código por access_token
-    console.log(`[OAuth] Exchanging code for access_token for ${normalizedShop}`);
+    log.info('Exchanging code for access_token', { shop: normalizedShop });
 
     const tokenResponse = await axios.post(
       `https://${normalizedShop}/admin/oauth/access_token`,
@@ -228,20 +224,61 @@ router.get('/callback', async (req, res) => {
       }
     );
 
-    const { access_token } = tokenResponse.data;
+    const { access_token, scope } = tokenResponse.data;
 
     if (!access_token) {
       throw new Error('No access_token in response');
     }
 
-    // Guardar el token en el store
-    const saved = saveShopToken(normalizedShop, access_token);
+    // Los scopes otorgados deben cubrir SCOPES
+    const grantedScopes = parseScopes(scope);
+    const missing = missingScopes(grantedScopes, configuredScopes());
+    if (missing.length > 0) {
+      log.warn('Shop did not grant required scopes', { shop: normalizedShop, missing });
+      recordOAuthInstall('failure', 'missing_scopes');
+      return res.status(403).json({
+        error: 'Missing scopes',
+        message: 'The shop did not grant all the scopes the app requires. Please reinstall the app.',
+        missing,
+        granted: grantedScopes,
+        auth_url: `${host}/auth?shop=${normalizedShop}`,
+      });
+    }
+
+    // Guardar el token en el store (con los scopes otorgados)
+    const saved = saveShopToken(normalizedShop, access_token, { scopes: grantedScopes });
 
     if (!saved) {
       throw new Error('Failed to save access token');
     }
 
-    console.log(`[OAuth] Successfully authenticated ${normalizedShop}`);
+    log.info('Shop authenticated', { shop: normalizedShop, scopes: grantedScopes });
+    recordOAuthInstall('success');
+    appendAuditEvent('shop.installed', {
+      actor: { type: 'shopify', id: normalizedShop },
+      shop: normalizedShop,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      status: 200,
+      details: { scopes: grantedScopes },
+    });
+
+    // Registrar webhooks (un fallo aquí no invalida la instalación)
+    try {
+      const webhooks = await registerWebhooks(normalizedShop);
+      if (webhooks.failed.length > 0) {
+        log.error('Failed to register webhooks', { shop: normalizedShop, topics: webhooks.failed.map((f) => f.topic) });
+      } else {
+        log.info('Registered webhooks', { shop: normalizedShop, topics: webhooks.registered });
+      }
+    } catch (error) {
+      log.error('Error registering webhooks', { shop: normalizedShop, error });
+    }
+
+    // Carga inicial del espejo local en segundo plano
+    syncShop(normalizedShop).catch((error) => {
+      log.error('Initial order sync failed', { shop: normalizedShop, error });
+    });
 
     // Mostrar página de éxito HTML
     const successHtml = `
@@ -289,11 +326,11 @@ router.get('/callback', async (req, res) => {
   <div class="container">
     <div class="success">✓</div>
     <h1>Autorizado</h1>
-    <p>La tienda <span class="shop">${normalizedShop}</span> ha sido conectada exitosamente.</p>
+    <p>La tienda <span class="shop">${escapeHtml(normalizedShop)}</span> ha sido conectada exitosamente.</p>
     
     <div class="next-steps">
       <strong>Ahora puedes consultar:</strong><br><br>
-      <code>GET ${host}/v1/orders?shop=${normalizedShop}</code><br><br>
+      <code>GET ${escapeHtml(`${host}/v1/orders?shop=${normalizedShop}`)}</code><br><br>
       <small>Con header: Authorization: Bearer &lt;tu-token&gt;</small>
     </div>
   </div>
@@ -303,7 +340,8 @@ router.get('/callback', async (req, res) => {
 
     res.status(200).type('html').send(successHtml);
   } catch (error) {
-    console.error(`[OAuth] Error exchanging token for ${normalizedShop}:`, error.message);
+    log.error('Error exchanging token', { shop: normalizedShop, error });
+    recordOAuthInstall('failure', 'token_exchange');
 
     // Manejar diferentes tipos de errores
     if (error.response) {
@@ -320,4 +358,52 @@ router.get('/callback', async (req, res) => {
   }
 });
 
+/**
+ * POST /auth/token-exchange
+ * Cambia el session token de App Bridge por un access token online del usuario
+ * Headers: Authorization: Bearer <session token>
+ * El token queda guardado (cifrado) en el servidor; la respuesta solo trae el usuario y el vencimiento.
+ */
+router.post('/token-exchange', requireSessionToken, async (req, res) => {
+  const { shop, userId, token } = req.apiClient.session;
+
+  try {
+    const online = await exchangeSessionToken(shop, token);
+    const user = online.user || {};
+
+    if (!saveOnlineToken(shop, user.id ?? userId, online)) {
+      throw new Error('Failed to save online access token');
+    }
+
+    log.info('Online token saved', { shop, userId: user.id ?? userId });
+
+    return res.json({
+      exito: true,
+      tienda: shop,
+      usuario: {
+        id: user.id ?? userId,
+        nombre: [user.first_name, user.last_name].filter(Boolean).join(' ') || null,
+        email: user.email || null,
+        propietario: Boolean(user.account_owner),
+      },
+      scopes: online.scopes,
+      expiraEn: online.expiresAt,
+    });
+  } catch (error) {
+    log.error('Token exchange failed', { shop, error });
+
+    if (error.status) {
+      return res.status(error.status).json({
+        error: 'Token exchange failed',
+        details: error.details,
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Failed to exchange session token',
+      message: error.message,
+    });
+  }
+});
+
 module.exports = router;
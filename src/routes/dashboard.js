@@ -0,0 +1,257 @@
+const express = require('express');
+const { isShopAuthenticated } = require('../store/shops');
+const { getShopSettings } = require('../store/shopSettings');
+const { getSyncState } = require('../store/orders');
+const { fetchOrdersPage, fetchOrder } = require('../shopify');
+const { iterateOrderPages } = require('../orderPages');
+const { verifyShopifyQuery, verifySessionToken, needsReauthorization } = require('../oauth');
+const { normalizeShopDomain, validateAndNormalizeShop } = require('../utils/shopValidator');
+const { validateOrderFilters } = require('../utils/orderFilters');
+const { formatOrder } = require('../utils/orderFormatter');
+const { extraerIdentificacion } = require('../utils/identificacion');
+const { shopifyErrorResponse } = require('../utils/shopifyErrors');
+const {
+  dashboardUrl,
+  renderLanding,
+  renderSessionBounce,
+  renderMessage,
+  renderOrderList,
+  renderOrderDetail,
+} = require('../views/dashboard');
+const { createLogger } = require('../logger');
+
+const log = createLogger('Dashboard');
+
+const router = express.Router();
+
+// Órdenes por página del panel
+const PAGE_SIZE = 25;
+
+// Páginas de Shopify (de 250) que revisa una búsqueda por cédula/RUC sin espejo local
+const MAX_SEARCH_PAGES = 4;
+
+// Búsqueda por identificación: solo dígitos, 10 (cédula) o 13 (RUC)
+const IDENTIFICACION_REGEX = /^\d{10}(\d{3})?$/;
+
+// Nombres de los filtros de fecha del formulario en los mensajes de error
+const PARAMS_FORMULARIO = { created_at_min: 'desde', created_at_max: 'hasta' };
+
+/**
+ * Envía una página del panel
+ * Con tienda, solo el admin de Shopify puede mostrarla en un iframe.
+ */
+function sendPage(res, status, html, shop = null) {
+  if (shop) {
+    res.set('Content-Security-Policy', `frame-ancestors https://${shop} https://admin.shopify.com;`);
+  }
+  return res.status(status).type('html').send(html);
+}
+
+/**
+ * Redirige un lanzamiento firmado desde el admin de Shopify a /auth si la tienda
+ * no está instalada o sus scopes no cubren SCOPES
+ * @returns {boolean} true si ya se respondió
+ */
+function redirectToReauthorization(req, res) {
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (!req.query.shop || !req.query.hmac || !secret) return false;
+
+  const validation = validateAndNormalizeShop(req.query.shop);
+  if (!validation.valid || !verifyShopifyQuery(req.query, secret).valid) return false;
+  if (!needsReauthorization(validation.normalized)) return false;
+
+  // Los mismos parámetros firmados: /auth vuelve a verificarlos
+  const authUrl = `${process.env.HOST || ''}/auth?${new URLSearchParams(req.query).toString()}`;
+  log.info('Shop needs authorization, redirecting to /auth', { shop: validation.normalized });
+
+  // Dentro del iframe del admin la autorización de Shopify tiene que abrirse en la ventana principal
+  if (req.query.embedded === '1') {
+    const target = JSON.stringify(authUrl).replace(/</g, '\\u003c');
+    res.status(200).type('html').send(`<!DOCTYPE html><script>window.top.location.href = ${target};</script>`);
+  } else {
+    res.redirect(authUrl);
+  }
+  return true;
+}
+
+/**
+ * Tienda del request: del session token (id_token) o del querystring firmado por Shopify
+ * @returns {{ shop: string|null, bounce: boolean }} bounce: hay que pedir un session token nuevo
+ */
+function resolveShop(req) {
+  if (req.query.id_token) {
+    const session = verifySessionToken(req.query.id_token);
+    return session.valid ? { shop: session.shop, bounce: false } : { shop: null, bounce: true };
+  }
+
+  const secret = process.env.SHOPIFY_API_SECRET;
+  if (req.query.hmac && secret && verifyShopifyQuery(req.query, secret).valid) {
+    const validation = validateAndNormalizeShop(req.query.shop);
+    if (validation.valid) return { shop: validation.normalized, bounce: false };
+  }
+
+  // Navegación dentro del panel (links sin firma): App Bridge da el session token
+  return { shop: null, bounce: Boolean(req.query.shop) };
+}
+
+/**
+ * Valores del formulario de filtros (los de GET /v1/orders con otros defaults)
+ */
+function readForm(query) {
+  const text = (value) => (value === undefined ? '' : String(value).trim());
+  return {
+    q: text(query.q),
+    status: text(query.status) || 'any',
+    financial_status: text(query.financial_status) || 'any',
+    fulfillment_status: text(query.fulfillment_status) || 'any',
+    desde: text(query.desde),
+    hasta: text(query.hasta),
+  };
+}
+
+/**
+ * Busca órdenes por cédula/RUC (identificación extraída como en formatOrder)
+ * Usa el espejo local si ya tiene la carga inicial; si no, revisa las órdenes
+ * más recientes en Shopify hasta MAX_SEARCH_PAGES páginas.
+ * @returns {Promise<{ orders: object[], notice: string|null }>}
+ */
+async function searchByIdentificacion(shop, filters, numero) {
+  const source = getSyncState(shop).backfilledAt ? 'cache' : 'live';
+  const orders = [];
+  let pages = 0;
+
+  for await (const page of iterateOrderPages(shop, filters, source)) {
+    orders.push(...page.filter((order) => extraerIdentificacion(order).numero === numero));
+    pages += 1;
+
+    if (orders.length >= PAGE_SIZE) {
+      return { orders: orders.slice(0, PAGE_SIZE), notice: `Se muestran las primeras ${PAGE_SIZE} órdenes de ${numero}.` };
+    }
+    if (source === 'live' && pages >= MAX_SEARCH_PAGES) {
+      return { orders, notice: `Búsqueda por cédula/RUC en las ${pages * 250} órdenes más recientes que cumplen los filtros.` };
+    }
+  }
+
+  return { orders, notice: null };
+}
+
+/**
+ * GET /
+ * Panel de órdenes embebido en el admin de Shopify, limitado a la tienda del request
+ * La tienda sale del session token (id_token, vía App Bridge) o del lanzamiento firmado.
+ * Query params: q (número de pedido o cédula/RUC), status, financial_status, fulfillment_status
+ *   (default any), desde / hasta (YYYY-MM-DD), cursor (paginación), order (ID: detalle de la orden)
+ * Sin tienda muestra la página de inicio; un lanzamiento firmado de una tienda sin autorizar
+ * (o con scopes faltantes) pasa por /auth.
+ */
+router.get('/', async (req, res) => {
+  if (redirectToReauthorization(req, res)) return;
+
+  const apiKey = process.env.SHOPIFY_API_KEY;
+  const host = process.env.HOST || 'http://localhost:3000';
+  const { shop, bounce } = apiKey ? resolveShop(req) : { shop: null, bounce: false };
+
+  if (!shop) {
+    if (bounce) {
+      return sendPage(res, 200, renderSessionBounce({ apiKey }));
+    }
+    const exampleShop = normalizeShopDomain(process.env.SHOP) || 'tu-tienda.myshopify.com';
+    return sendPage(res, 200, renderLanding({ host, shop: exampleShop }));
+  }
+
+  if (!isShopAuthenticated(shop)) {
+    return sendPage(res, 401, renderMessage({
+      apiKey,
+      title: 'App no instalada',
+      message: `La tienda ${shop} no completó la instalación. Abre la app desde el admin de Shopify para instalarla.`,
+    }), shop);
+  }
+
+  // Parámetros que conservan todos los links del panel (sin id_token: cada navegación pide uno nuevo)
+  const base = { shop, host: req.query.host, embedded: req.query.embedded };
+  const form = readForm(req.query);
+  const listUrl = dashboardUrl({ ...base, ...form });
+
+  try {
+    // Detalle de una orden
+    if (req.query.order !== undefined) {
+      if (!/^\d+$/.test(String(req.query.order))) {
+        return sendPage(res, 400, renderMessage({
+          apiKey,
+          title: 'Pedido no válido',
+          message: 'El ID del pedido debe ser numérico.',
+          backUrl: listUrl,
+        }), shop);
+      }
+
+      const order = await fetchOrder(shop, req.query.order);
+      const pedido = formatOrder(order, getShopSettings(shop));
+      return sendPage(res, 200, renderOrderDetail({ apiKey, shop, pedido, backUrl: listUrl }), shop);
+    }
+
+    const identificacion = form.q.replace(/[\s-]/g, '');
+    const buscarIdentificacion = IDENTIFICACION_REGEX.test(identificacion);
+    const filters = validateOrderFilters({
+      status: form.status,
+      financial_status: form.financial_status,
+      fulfillment_status: form.fulfillment_status,
+      created_at_min: form.desde || undefined,
+      created_at_max: form.hasta ? `${form.hasta}T23:59:59` : undefined,
+      name: form.q && !buscarIdentificacion ? form.q : undefined,
+    });
+    if (filters.errors.length > 0) {
+      return sendPage(res, 400, renderMessage({
+        apiKey,
+        title: 'Filtros no válidos',
+        message: 'Revisa los filtros de la búsqueda.',
+        details: filters.errors.map((e) => `${PARAMS_FORMULARIO[e.param] || e.param}: ${e.message}`),
+        backUrl: dashboardUrl(base),
+      }), shop);
+    }
+
+    const settings = getShopSettings(shop);
+    const present = (orders) => orders.map((order) => formatOrder(order, settings));
+
+    if (buscarIdentificacion) {
+      const result = await searchByIdentificacion(shop, filters, identificacion);
+      return sendPage(res, 200, renderOrderList({
+        apiKey,
+        shop,
+        base,
+        form,
+        pedidos: present(result.orders),
+        nextCursor: null,
+        prevCursor: null,
+        notice: result.notice,
+      }), shop);
+    }
+
+    // Con page_info los filtros viajan dentro del cursor
+    const cursor = req.query.cursor ? String(req.query.cursor) : null;
+    const page = await fetchOrdersPage(shop, cursor
+      ? { limit: PAGE_SIZE, page_info: cursor }
+      : { limit: PAGE_SIZE, ...filters.params });
+
+    return sendPage(res, 200, renderOrderList({
+      apiKey,
+      shop,
+      base,
+      form,
+      pedidos: present(page.orders),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    }), shop);
+  } catch (error) {
+    log.error('Error loading orders', { shop, error });
+
+    const { status, body } = shopifyErrorResponse(error, shop, { orderId: req.query.order });
+    return sendPage(res, status, renderMessage({
+      apiKey,
+      title: status === 404 ? 'Pedido no encontrado' : 'No se pudieron cargar las órdenes',
+      message: body.message || body.error,
+      backUrl: listUrl,
+    }), shop);
+  }
+});
+
+module.exports = router;
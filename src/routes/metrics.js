@@ -0,0 +1,71 @@
+const express = require('express');
+const { getAllShops } = require('../store/shops');
+const { getRateLimitStatus } = require('../rateLimiter');
+const { renderMetrics } = require('../metrics');
+
+const router = express.Router();
+
+/**
+ * Métricas leídas al momento del scrape: tiendas instaladas y presupuesto de Shopify por tienda
+ */
+function currentState() {
+  const shops = getAllShops();
+  const status = shops.map((shop) => ({ shop, ...getRateLimitStatus(shop) }));
+
+  return [
+    {
+      name: 'shopify_installed_shops',
+      help: 'Tiendas instaladas',
+      type: 'gauge',
+      samples: [{ value: shops.length }],
+    },
+    {
+      name: 'shopify_api_budget_remaining',
+      help: 'Presupuesto disponible de la API de Shopify (rest: requests del bucket, graphql: puntos)',
+      type: 'gauge',
+      samples: status.flatMap((s) => [
+        { labels: { shop: s.shop, api: 'rest' }, value: Math.max(0, s.rest.max - s.rest.used) },
+        { labels: { shop: s.shop, api: 'graphql' }, value: s.graphql.available },
+      ]),
+    },
+    {
+      name: 'shopify_api_budget_max',
+      help: 'Presupuesto máximo de la API de Shopify',
+      type: 'gauge',
+      samples: status.flatMap((s) => [
+        { labels: { shop: s.shop, api: 'rest' }, value: s.rest.max },
+        { labels: { shop: s.shop, api: 'graphql' }, value: s.graphql.max },
+      ]),
+    },
+    {
+      name: 'shopify_api_queue_length',
+      help: 'Requests a Shopify en cola',
+      type: 'gauge',
+      samples: status.map((s) => ({ labels: { shop: s.shop }, value: s.queued })),
+    },
+    {
+      name: 'shopify_api_retries_total',
+      help: 'Reintentos de requests a Shopify (429, 5xx, THROTTLED)',
+      type: 'counter',
+      samples: status.map((s) => ({ labels: { shop: s.shop }, value: s.retries })),
+    },
+    {
+      name: 'shopify_api_throttled_total',
+      help: 'Respuestas de Shopify por límite de tasa',
+      type: 'counter',
+      samples: status.map((s) => ({ labels: { shop: s.shop }, value: s.throttled })),
+    },
+  ];
+}
+
+/**
+ * GET /metrics
+ * Métricas en formato de texto de Prometheus
+ * Headers: Authorization: Bearer <METRICS_TOKEN>
+ */
+router.get('/', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics(currentState()));
+});
+
+module.exports = router;
@@ -1,238 +1,121 @@
 const express = require('express');
-const axios = require('axios');
-const { getShopToken, isShopAuthenticated } = require('../store/shops');
+const { getAllShops, getShopToken, isShopAuthenticated } = require('../store/shops');
 const { validateAndNormalizeShop } = require('../utils/shopValidator');
+const {
+  fetchOrdersPage,
+  fetchOrder,
+  createFulfillment,
+  calculateRefund,
+  createRefund,
+  cancelOrder,
+  updateOrderTags,
+  updateOrderAttributes,
+} = require('../shopify');
+const { getCachedOrders, getCachedOrder, getSyncState, upsertOrders } = require('../store/orders');
+const { getShopSettings } = require('../store/shopSettings');
+const { iterateOrderPages, fetchAllShopsPage } = require('../orderPages');
+const { buildFacturaXml } = require('../sri/factura');
+const { formatOrder } = require('../utils/orderFormatter');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+const { CONTENT_TYPES, validateExportOptions, writeOrderExport } = require('../utils/orderExport');
+const {
+  validateOrderFilters,
+  validateSource,
+  validateOutputOptions,
+  matchesOrderFilters,
+} = require('../utils/orderFilters');
+const { validateFulfillmentRequest } = require('../utils/fulfillmentValidator');
+const { validateRefundRequest, validateCancelRequest } = require('../utils/refundValidator');
+const { formatRefundCalculation, formatRefund } = require('../utils/refundFormatter');
+const { validateTagsRequest, validateNoteAttributesRequest } = require('../utils/orderTags');
+const {
+  traducirEstadoCumplimiento,
+  traducirMotivoCancelacion,
+  traducirCumplimiento,
+  traducirCancelacion,
+  traducirRespuesta,
+} = require('../utils/translations');
+const { shopifyErrorResponse, sendShopifyError } = require('../utils/shopifyErrors');
+const { legacyId } = require('../graphql/orderMapper');
+const { requireIdempotencyKey } = require('../middleware/idempotency');
+const { canAccessShop } = require('../middleware/auth');
+const { createLogger } = require('../logger');
+
+const log = createLogger('Orders');
 
 const router = express.Router();
 
-/**
- * Traduce el estado financiero al español
- */
-function traducirEstadoFinanciero(status) {
-  const traducciones = {
-    pending: 'pendiente',
-    authorized: 'autorizado',
-    partially_paid: 'parcialmente_pagado',
-    paid: 'pagado',
-    partially_refunded: 'parcialmente_reembolsado',
-    refunded: 'reembolsado',
-    voided: 'anulado',
-  };
-  return traducciones[status] || status;
-}
-
-/**
- * Traduce el estado de cumplimiento al español
- */
-function traducirEstadoCumplimiento(status) {
-  const traducciones = {
-    fulfilled: 'completado',
-    partial: 'parcial',
-    unfulfilled: 'pendiente',
-    null: 'pendiente',
-  };
-  return traducciones[status] || status || 'pendiente';
-}
+// Límite de páginas que se recorren en modo ?all=true (250 órdenes por página)
+const MAX_ALL_PAGES = 40;
 
 /**
- * Extrae la cédula/RUC de las notas del pedido
+ * Lista órdenes del espejo local (?source=cache)
+ * Usa un cursor propio (offset + filtros) con la misma forma de respuesta que el modo live.
+ * @param {string} shop - Dominio de la tienda
+ * @param {{ params: object }} filters - Filtros validados
+ * @param {{ cursor: string|undefined, pageLimit: number, fetchAll: boolean }} options
+ * @returns {{ orders: object[], nextCursor: string|null, prevCursor: string|null }|null}
+ *   null si el cursor es inválido
  */
-function extraerCedulaRuc(note) {
-  if (!note) return null;
-  
-  // Buscar patrones comunes: "Cédula/RUC: 1234567890", "RUC: 1234", "Cédula: 1234"
-  const patterns = [
-    /c[ée]dula\s*\/?\s*ruc\s*:?\s*(\d+)/i,
-    /ruc\s*:?\s*(\d+)/i,
-    /c[ée]dula\s*:?\s*(\d+)/i,
-    /ci\s*:?\s*(\d+)/i,
-  ];
-  
-  for (const pattern of patterns) {
-    const match = note.match(pattern);
-    if (match) {
-      return match[1];
+function listCachedOrders(shop, filters, { cursor, pageLimit, fetchAll }) {
+  let offset = 0;
+  let { params } = filters;
+
+  // Igual que page_info: el cursor lleva los filtros de la primera página
+  if (cursor) {
+    const state = decodeCursor(cursor);
+    if (!state || !Number.isInteger(state.o) || state.o < 0 || typeof state.q !== 'object') {
+      return null;
     }
+    offset = state.o;
+    params = state.q;
   }
-  
-  return null;
-}
 
-/**
- * Formatea una orden de Shopify al formato en español
- * @param {object} order - Orden de Shopify
- * @returns {object} Orden formateada
- */
-function formatOrder(order) {
-  // Calcular totales de impuestos
-  const impuestos = (order.tax_lines || []).map((tax) => ({
-    titulo: tax.title,
-    tasa: tax.rate ? `${(tax.rate * 100).toFixed(2)}%` : null,
-    precio: tax.price,
-  }));
-  
-  const totalImpuestos = order.total_tax || '0.00';
-
-  // Calcular descuentos
-  const descuentos = (order.discount_codes || []).map((discount) => ({
-    codigo: discount.code,
-    tipo: discount.type === 'percentage' ? 'porcentaje' : 'monto_fijo',
-    valor: discount.amount,
-  }));
-
-  const aplicacionesDescuento = (order.discount_applications || []).map((app) => ({
-    tipo: app.type,
-    titulo: app.title || app.description || app.code,
-    valor: app.value,
-    tipoValor: app.value_type === 'percentage' ? 'porcentaje' : 'monto_fijo',
-  }));
-
-  const totalDescuentos = order.total_discounts || '0.00';
-
-  // Extraer cédula/RUC de las notas
-  const cedulaRuc = extraerCedulaRuc(order.note);
-
-  // Información de envío
-  const envios = (order.shipping_lines || []).map((shipping) => ({
-    id: shipping.id,
-    titulo: shipping.title,
-    codigo: shipping.code,
-    precio: shipping.price,
-    precioDescontado: shipping.discounted_price,
-    origen: shipping.source,
-    impuestos: (shipping.tax_lines || []).map((tax) => ({
-      titulo: tax.title,
-      tasa: tax.rate ? `${(tax.rate * 100).toFixed(2)}%` : null,
-      precio: tax.price,
-    })),
-  }));
+  const matching = getCachedOrders(shop).filter((order) => matchesOrderFilters(order, params));
 
-  const totalEnvio = (order.shipping_lines || []).reduce(
-    (sum, line) => sum + parseFloat(line.price || 0),
-    0
-  ).toFixed(2);
+  const size = fetchAll ? pageLimit * MAX_ALL_PAGES : pageLimit;
+  const orders = matching.slice(offset, offset + size);
+  const nextOffset = offset + size;
 
   return {
-    id: order.id,
-    numeroPedido: order.name,
-    fechaCreacion: order.created_at,
-    fechaActualizacion: order.updated_at,
-    estadoFinanciero: traducirEstadoFinanciero(order.financial_status),
-    estadoCumplimiento: traducirEstadoCumplimiento(order.fulfillment_status),
-    
-    // Totales
-    subtotal: order.subtotal_price,
-    totalEnvio: totalEnvio,
-    totalImpuestos: totalImpuestos,
-    totalDescuentos: totalDescuentos,
-    total: order.total_price,
-    moneda: order.currency,
-    
-    // Envío detallado
-    envios: envios,
-    
-    // Impuestos detallados
-    impuestos: impuestos,
-    impuestosIncluidos: order.taxes_included || false,
-    
-    // Descuentos detallados
-    descuentos: descuentos,
-    aplicacionesDescuento: aplicacionesDescuento,
-    
-    // Notas y cédula/RUC
-    notas: order.note || null,
-    cedulaRuc: cedulaRuc,
-    atributosNotas: (order.note_attributes || []).map((attr) => ({
-      nombre: attr.name,
-      valor: attr.value,
-    })),
-    
-    // Cliente
-    cliente: order.customer
-      ? {
-          id: order.customer.id,
-          nombre: order.customer.first_name,
-          apellido: order.customer.last_name,
-          nombreCompleto: `${order.customer.first_name || ''} ${order.customer.last_name || ''}`.trim(),
-          email: order.customer.email,
-          telefono: order.customer.phone,
-        }
+    orders,
+    nextCursor: nextOffset < matching.length
+      ? encodeCursor({ o: nextOffset, q: params })
       : null,
-    
-    // Dirección de facturación
-    direccionFacturacion: order.billing_address
-      ? {
-          nombre: order.billing_address.name,
-          empresa: order.billing_address.company,
-          direccion1: order.billing_address.address1,
-          direccion2: order.billing_address.address2,
-          ciudad: order.billing_address.city,
-          provincia: order.billing_address.province,
-          codigoPostal: order.billing_address.zip,
-          pais: order.billing_address.country,
-          telefono: order.billing_address.phone,
-        }
+    prevCursor: offset > 0
+      ? encodeCursor({ o: Math.max(offset - pageLimit, 0), q: params })
       : null,
-    
-    // Dirección de envío
-    direccionEnvio: order.shipping_address
-      ? {
-          nombre: order.shipping_address.name,
-          empresa: order.shipping_address.company,
-          direccion1: order.shipping_address.address1,
-          direccion2: order.shipping_address.address2,
-          ciudad: order.shipping_address.city,
-          provincia: order.shipping_address.province,
-          codigoPostal: order.shipping_address.zip,
-          pais: order.shipping_address.country,
-          telefono: order.shipping_address.phone,
-        }
-      : null,
-    
-    // Productos
-    productos: [
-      ...(order.line_items || []).map((item) => ({
-        id: item.id,
-        sku: item.sku,
-        titulo: item.title,
-        variante: item.variant_title,
-        cantidad: item.quantity,
-        precioUnitario: item.price,
-        precioTotal: (parseFloat(item.price) * item.quantity).toFixed(2),
-        descuento: item.total_discount || '0.00',
-        impuesto: item.tax_lines ? item.tax_lines.reduce((sum, t) => sum + parseFloat(t.price || 0), 0).toFixed(2) : '0.00',
-        varianteId: item.variant_id,
-        productoId: item.product_id,
-        requiereEnvio: item.requires_shipping,
-      })),
-      // Agregar el envío como producto si existe
-      ...(parseFloat(totalEnvio) > 0 ? [{
-        id: null,
-        sku: '4440',
-        titulo: 'ENVÍO LOCAL 15%',
-        variante: null,
-        cantidad: 1,
-        precioUnitario: totalEnvio,
-        precioTotal: totalEnvio,
-        descuento: '0.00',
-        impuesto: (order.shipping_lines || []).reduce((sum, line) => 
-          sum + (line.tax_lines || []).reduce((taxSum, t) => taxSum + parseFloat(t.price || 0), 0), 0
-        ).toFixed(2),
-        varianteId: null,
-        productoId: null,
-        requiereEnvio: false,
-      }] : []),
-    ],
   };
 }
 
+/**
+ * Prepara las órdenes para la respuesta según ?format y ?lang
+ * @param {object[]} orders - Órdenes de Shopify
+ * @param {string} shop - Dominio de la tienda
+ * @param {{ lang: string, raw: boolean }} output - Resultado de validateOutputOptions
+ * @returns {object[]} Órdenes sin tocar (raw) o formateadas
+ */
+function presentOrders(orders, shop, output) {
+  if (output.raw) return orders;
+
+  const settings = getShopSettings(shop);
+  return orders.map((order) => formatOrder(order, settings, { lang: output.lang }));
+}
+
 /**
  * GET /v1/orders
  * Obtiene las órdenes de una tienda
- * Query params: shop (requerido), limit (opcional, default 10)
+ * Query params: shop (requerido), limit (opcional, default 10),
+ *   filtros (opcionales, ver utils/orderFilters): status, financial_status (default paid),
+ *   fulfillment_status, created_at_min/max, updated_at_min/max, since_id, ids, name, source_name,
+ *   tagged / not_tagged (etiquetas separadas por coma)
+ *   cursor (opcional, page_info de una respuesta anterior),
+ *   all (opcional, "true" recorre todas las páginas hasta MAX_ALL_PAGES),
+ *   source (opcional, live|cache, default live),
+ *   lang (opcional, es|en, default es), format (opcional, formatted|raw, default formatted)
  */
 router.get('/', async (req, res) => {
-  const { shop, limit = 10, status = 'any' } = req.query;
+  const { shop, limit = 10, cursor, all } = req.query;
 
   // Validar que se proporcionó el shop
   if (!shop) {
@@ -254,6 +137,23 @@ router.get('/', async (req, res) => {
     });
   }
 
+  // Validar filtros, origen de datos y formato de salida
+  const filters = validateOrderFilters(req.query);
+  const sourceValidation = validateSource(req.query.source);
+  const output = validateOutputOptions(req.query);
+  const queryErrors = [
+    ...filters.errors,
+    ...(sourceValidation.valid ? [] : [sourceValidation.error]),
+    ...output.errors,
+  ];
+  if (queryErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: queryErrors.map((e) => e.message).join('; '),
+      errors: queryErrors,
+    });
+  }
+
   const normalizedShop = validation.normalized;
   const host = process.env.HOST || '';
 
@@ -266,6 +166,35 @@ router.get('/', async (req, res) => {
     });
   }
 
+  const fetchAll = all === 'true';
+  const pageLimit = fetchAll ? 250 : Math.min(Math.max(parseInt(limit) || 10, 1), 250);
+
+  // Modo cache: responder desde el espejo local sin llamar a Shopify
+  if (sourceValidation.source === 'cache') {
+    const page = listCachedOrders(normalizedShop, filters, { cursor, pageLimit, fetchAll });
+
+    if (!page) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: 'The cursor is not a valid cache cursor. Cursors from source=live cannot be used with source=cache.',
+      });
+    }
+
+    const pedidos = presentOrders(page.orders, normalizedShop, output);
+    const syncState = getSyncState(normalizedShop);
+
+    return res.json(traducirRespuesta({
+      exito: true,
+      tienda: normalizedShop,
+      origen: 'cache',
+      ultimaSincronizacion: syncState.lastSyncAt,
+      cantidad: pedidos.length,
+      pedidos,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    }, output.lang));
+  }
+
   // Obtener el access_token
   const accessToken = getShopToken(normalizedShop);
 
@@ -277,75 +206,299 @@ router.get('/', async (req, res) => {
     });
   }
 
-  const apiVersion = process.env.API_VERSION || '2024-01';
+  // Con page_info Shopify solo acepta limit: los filtros viajan dentro del cursor
+  const firstPageParams = cursor
+    ? { limit: pageLimit, page_info: cursor }
+    : { limit: pageLimit, ...filters.params };
 
   try {
     // Llamar a la API de Shopify
-    const response = await axios.get(
-      `https://${normalizedShop}/admin/api/${apiVersion}/orders.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json',
-        },
-        params: {
-          limit: Math.min(Math.max(parseInt(limit) || 10, 1), 250),
-          status: status,
-          financial_status: 'paid',
-        },
-      }
-    );
-
-    const pedidos = (response.data.orders || []).map(formatOrder);
-
-    return res.json({
+    const page = await fetchOrdersPage(normalizedShop, firstPageParams);
+
+    if (!fetchAll) {
+      const pedidos = presentOrders(page.orders, normalizedShop, output);
+
+      return res.json(traducirRespuesta({
+        exito: true,
+        tienda: normalizedShop,
+        cantidad: pedidos.length,
+        pedidos,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      }, output.lang));
+    }
+
+    // Modo ?all=true: seguir el cursor "next" hasta agotar páginas o llegar al límite
+    const orders = [...page.orders];
+    let nextCursor = page.nextCursor;
+    let pages = 1;
+
+    while (nextCursor && pages < MAX_ALL_PAGES) {
+      const nextPage = await fetchOrdersPage(normalizedShop, {
+        limit: pageLimit,
+        page_info: nextCursor,
+      });
+      orders.push(...nextPage.orders);
+      nextCursor = nextPage.nextCursor;
+      pages++;
+    }
+
+    const pedidos = presentOrders(orders, normalizedShop, output);
+
+    return res.json(traducirRespuesta({
       exito: true,
       tienda: normalizedShop,
       cantidad: pedidos.length,
+      paginas: pages,
+      truncado: Boolean(nextCursor),
       pedidos,
+      nextCursor,
+      prevCursor: page.prevCursor,
+    }, output.lang));
+  } catch (error) {
+    log.error('Error fetching orders', { shop: normalizedShop, error });
+    return sendShopifyError(res, error, normalizedShop);
+  }
+});
+
+/**
+ * GET /v1/orders/all-shops
+ * Listado combinado de las órdenes de todas las tiendas instaladas (las que el cliente puede ver)
+ * Cada pedido lleva su tienda; se ordenan por fecha de creación, más recientes primero.
+ * Query params: limit (opcional, default 10, max 250),
+ *   los mismos filtros que GET /v1/orders salvo since_id,
+ *   cursor (opcional, nextCursor de una respuesta anterior),
+ *   lang (opcional, es|en, default es), format (opcional, formatted|raw, default formatted)
+ */
+router.get('/all-shops', async (req, res) => {
+  const { limit = 10, cursor } = req.query;
+
+  // Validar filtros y formato de salida
+  const filters = validateOrderFilters(req.query);
+  const output = validateOutputOptions(req.query);
+  const queryErrors = [...filters.errors, ...output.errors];
+  if (req.query.since_id !== undefined) {
+    queryErrors.push({
+      param: 'since_id',
+      message: 'since_id is not supported across shops (orders are merged by creation date)',
+      received: req.query.since_id,
     });
+  }
+  if (queryErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: queryErrors.map((e) => e.message).join('; '),
+      errors: queryErrors,
+    });
+  }
+
+  const shops = getAllShops().filter((shop) => canAccessShop(req.apiClient, shop)).sort();
+  const pageLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 250);
+
+  let page;
+  try {
+    page = await fetchAllShopsPage(shops, filters, { cursor, limit: pageLimit });
   } catch (error) {
-    console.error(`[Orders] Error fetching orders for ${normalizedShop}:`, error.message);
-
-    // Manejar errores de Shopify
-    if (error.response) {
-      const statusCode = error.response.status;
-
-      // Token inválido o expirado
-      if (statusCode === 401) {
-        return res.status(401).json({
-          error: 'Invalid or expired token',
-          message: 'The access token is no longer valid. Please re-authenticate.',
-          auth_url: `${host}/auth?shop=${normalizedShop}`,
-        });
-      }
-
-      // Forbidden - permisos insuficientes
-      if (statusCode === 403) {
-        return res.status(403).json({
-          error: 'Insufficient permissions',
-          message: 'The app does not have permission to read orders. Check your scopes.',
-        });
-      }
-
-      return res.status(statusCode).json({
-        error: 'Shopify API error',
-        status: statusCode,
-        details: error.response.data,
-      });
+    return sendShopifyError(res, error, null);
+  }
+
+  const settings = new Map();
+  const settingsFor = (shop) => {
+    if (!settings.has(shop)) settings.set(shop, getShopSettings(shop));
+    return settings.get(shop);
+  };
+
+  const pedidos = page.orders.map(({ shop, order }) => ({
+    ...traducirRespuesta({ tienda: shop }, output.lang),
+    ...(output.raw ? order : formatOrder(order, settingsFor(shop), { lang: output.lang })),
+  }));
+
+  // Una tienda que falla (ej: token vencido) se informa aparte con el mismo error que en /v1/orders
+  const errores = page.errors.map(({ shop, error }) => {
+    const { status, body } = shopifyErrorResponse(error, shop);
+    return { ...traducirRespuesta({ tienda: shop, estado: status }, output.lang), ...body };
+  });
+
+  return res.json(traducirRespuesta({
+    exito: true,
+    cantidadTiendas: shops.length,
+    cantidad: pedidos.length,
+    pedidos,
+    errores,
+    nextCursor: page.nextCursor,
+  }, output.lang));
+});
+
+/**
+ * GET /v1/orders/export
+ * Exporta las órdenes formateadas a CSV o XLSX, en streaming
+ * Query params: shop (requerido), los mismos filtros y source que GET /v1/orders,
+ *   format (csv|xlsx, default csv), rows (orders|line_items, default orders),
+ *   columns (opcional, lista separada por comas, ver utils/orderExport)
+ */
+router.get('/export', async (req, res) => {
+  const { shop } = req.query;
+
+  // Validar que se proporcionó el shop
+  if (!shop) {
+    return res.status(400).json({
+      error: 'Missing required parameter: shop',
+    });
+  }
+
+  // Validar y normalizar shop
+  const validation = validateAndNormalizeShop(shop);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Invalid shop domain',
+      message: validation.error,
+      received: validation.original,
+      normalized: validation.normalized,
+    });
+  }
+
+  // Validar filtros, origen de datos y opciones de exportación
+  const filters = validateOrderFilters(req.query);
+  const sourceValidation = validateSource(req.query.source);
+  const exportValidation = validateExportOptions(req.query);
+  const queryErrors = [
+    ...filters.errors,
+    ...(sourceValidation.valid ? [] : [sourceValidation.error]),
+    ...exportValidation.errors,
+  ];
+  if (queryErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: queryErrors.map((e) => e.message).join('; '),
+      errors: queryErrors,
+    });
+  }
+
+  const normalizedShop = validation.normalized;
+  const host = process.env.HOST || '';
+
+  // Verificar autenticación
+  if (!isShopAuthenticated(normalizedShop)) {
+    return res.status(401).json({
+      error: 'Shop not installed',
+      message: `The shop ${normalizedShop} has not completed OAuth.`,
+      auth_url: `${host}/auth?shop=${normalizedShop}`,
+    });
+  }
+
+  const { options } = exportValidation;
+  const pages = iterateOrderPages(normalizedShop, filters, sourceValidation.source);
+
+  // La primera página se pide antes de enviar headers para poder responder errores en JSON
+  let first;
+  try {
+    first = await pages.next();
+  } catch (error) {
+    log.error('Error exporting orders', { shop: normalizedShop, error });
+    return sendShopifyError(res, error, normalizedShop);
+  }
+
+  const settings = getShopSettings(normalizedShop);
+  async function* formattedPages() {
+    if (!first.done) yield first.value.map((order) => formatOrder(order, settings));
+    for await (const orders of pages) {
+      yield orders.map((order) => formatOrder(order, settings));
     }
+  }
 
-    return res.status(500).json({
-      error: 'Failed to fetch orders',
-      message: error.message,
+  const filename = `pedidos-${normalizedShop.replace('.myshopify.com', '')}-${new Date().toISOString().slice(0, 10)}.${options.format}`;
+  res.status(200);
+  res.set('Content-Type', CONTENT_TYPES[options.format]);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    const count = await writeOrderExport(res, options, formattedPages());
+    log.info('Orders exported', { shop: normalizedShop, count, format: options.format, rows: options.rows });
+    return res.end();
+  } catch (error) {
+    // Los headers ya se enviaron: cortar la respuesta para que el archivo no quede como completo
+    log.error('Export interrupted', { shop: normalizedShop, error });
+    return res.destroy();
+  }
+});
+
+/**
+ * GET /v1/orders/:orderId/sri.xml
+ * Genera la factura electrónica del SRI (factura v1.1.0) de una orden
+ * Query params: shop (requerido), secuencial (opcional, default número de pedido)
+ * Responde 422 con la lista de datos faltantes si la orden o la configuración están incompletas.
+ */
+router.get('/:orderId/sri.xml', async (req, res) => {
+  const { shop, secuencial } = req.query;
+  const { orderId } = req.params;
+
+  // Validar que se proporcionó el shop
+  if (!shop) {
+    return res.status(400).json({
+      error: 'Missing required parameter: shop',
     });
   }
+
+  // Validar y normalizar shop
+  const validation = validateAndNormalizeShop(shop);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Invalid shop domain',
+      message: validation.error,
+      received: validation.original,
+    });
+  }
+
+  if (secuencial !== undefined && !/^\d{1,9}$/.test(secuencial)) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: 'secuencial must be a number of up to 9 digits',
+      errors: [{ param: 'secuencial', message: 'secuencial must be a number of up to 9 digits', received: secuencial }],
+    });
+  }
+
+  const normalizedShop = validation.normalized;
+  const host = process.env.HOST || '';
+
+  // Verificar autenticación
+  if (!isShopAuthenticated(normalizedShop)) {
+    return res.status(401).json({
+      error: 'Shop not installed',
+      message: `The shop ${normalizedShop} has not completed OAuth.`,
+      auth_url: `${host}/auth?shop=${normalizedShop}`,
+    });
+  }
+
+  let order;
+  try {
+    order = await fetchOrder(normalizedShop, orderId);
+  } catch (error) {
+    log.error('Error fetching order for SRI invoice', { shop: normalizedShop, orderId, error });
+    return sendShopifyError(res, error, normalizedShop, { orderId, failure: 'Failed to fetch order' });
+  }
+
+  const settings = getShopSettings(normalizedShop);
+  const pedido = formatOrder(order, settings);
+  const factura = buildFacturaXml(pedido, settings.sri, { secuencial });
+
+  if (factura.missing.length > 0) {
+    return res.status(422).json({
+      error: 'Incomplete invoice data',
+      message: 'The order or the shop SRI configuration is missing data required for the invoice.',
+      orderId: orderId,
+      missing: factura.missing,
+    });
+  }
+
+  res.set('X-SRI-Clave-Acceso', factura.claveAcceso);
+  return res.status(200).type('application/xml').send(factura.xml);
 });
 
 /**
  * GET /v1/orders/:orderId
  * Obtiene una orden específica
- * Query params: shop (requerido)
+ * Query params: shop (requerido), source (opcional, live|cache, default live),
+ *   lang (opcional, es|en), format (opcional, formatted|raw)
  */
 router.get('/:orderId', async (req, res) => {
   const { shop } = req.query;
@@ -368,6 +521,20 @@ router.get('/:orderId', async (req, res) => {
     });
   }
 
+  const sourceValidation = validateSource(req.query.source);
+  const output = validateOutputOptions(req.query);
+  const queryErrors = [
+    ...(sourceValidation.valid ? [] : [sourceValidation.error]),
+    ...output.errors,
+  ];
+  if (queryErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: queryErrors.map((e) => e.message).join('; '),
+      errors: queryErrors,
+    });
+  }
+
   const normalizedShop = validation.normalized;
   const host = process.env.HOST || '';
 
@@ -380,47 +547,330 @@ router.get('/:orderId', async (req, res) => {
     });
   }
 
-  const accessToken = getShopToken(normalizedShop);
-  const apiVersion = process.env.API_VERSION || '2024-01';
+  // Modo cache: responder desde el espejo local
+  if (sourceValidation.source === 'cache') {
+    const order = getCachedOrder(normalizedShop, orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'The order is not in the local cache. Try again with source=live.',
+        orderId: orderId,
+      });
+    }
+
+    return res.json(traducirRespuesta({
+      exito: true,
+      tienda: normalizedShop,
+      origen: 'cache',
+      pedido: presentOrders([order], normalizedShop, output)[0],
+    }, output.lang));
+  }
 
   try {
-    const response = await axios.get(
-      `https://${normalizedShop}/admin/api/${apiVersion}/orders/${orderId}.json`,
-      {
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    return res.json({
+    const order = await fetchOrder(normalizedShop, orderId);
+
+    return res.json(traducirRespuesta({
       exito: true,
       tienda: normalizedShop,
-      pedido: formatOrder(response.data.order),
-    });
+      pedido: presentOrders([order], normalizedShop, output)[0],
+    }, output.lang));
   } catch (error) {
-    console.error(`[Orders] Error fetching order ${orderId}:`, error.message);
-
-    if (error.response) {
-      if (error.response.status === 404) {
-        return res.status(404).json({
-          error: 'Order not found',
-          orderId: orderId,
-        });
-      }
-
-      return res.status(error.response.status).json({
-        error: 'Shopify API error',
-        details: error.response.data,
-      });
-    }
+    log.error('Error fetching order', { shop: normalizedShop, orderId, error });
+    return sendShopifyError(res, error, normalizedShop, { orderId, failure: 'Failed to fetch order' });
+  }
+});
+
+/**
+ * Valida lo común de las operaciones de escritura sobre una orden:
+ * shop (requerido), lang, body (con el validador indicado) y tienda instalada
+ * Responde el error y retorna null si algo no es válido.
+ * @param {object} req - Request de Express
+ * @param {object} res - Respuesta de Express
+ * @param {Function} validateBody - Validador del body ({ valid, errors, ... })
+ * @param {string} invalidBodyError - Error para un body inválido
+ * @returns {{ shop: string, output: object, request: object }|null}
+ */
+function validateOrderAction(req, res, validateBody, invalidBodyError) {
+  const { shop } = req.query;
+
+  if (!shop) {
+    res.status(400).json({
+      error: 'Missing required parameter: shop',
+    });
+    return null;
+  }
+
+  const validation = validateAndNormalizeShop(shop);
+  if (!validation.valid) {
+    res.status(400).json({
+      error: 'Invalid shop domain',
+      message: validation.error,
+      received: validation.original,
+    });
+    return null;
+  }
+
+  const output = validateOutputOptions({ lang: req.query.lang });
+  if (!output.valid) {
+    res.status(400).json({
+      error: 'Invalid query parameters',
+      message: output.errors.map((e) => e.message).join('; '),
+      errors: output.errors,
+    });
+    return null;
+  }
 
-    return res.status(500).json({
-      error: 'Failed to fetch order',
-      message: error.message,
+  const request = validateBody(req.body);
+  if (!request.valid) {
+    res.status(400).json({
+      error: invalidBodyError,
+      message: request.errors.map((e) => e.message).join('; '),
+      errors: request.errors,
     });
+    return null;
+  }
+
+  const normalizedShop = validation.normalized;
+  const host = process.env.HOST || '';
+
+  if (!isShopAuthenticated(normalizedShop)) {
+    res.status(401).json({
+      error: 'Shop not installed',
+      message: `The shop ${normalizedShop} has not completed OAuth.`,
+      auth_url: `${host}/auth?shop=${normalizedShop}`,
+    });
+    return null;
+  }
+
+  return { shop: normalizedShop, output, request };
+}
+
+/**
+ * POST /v1/orders/:orderId/fulfillments
+ * Crea un fulfillment (envío) con seguimiento
+ * Headers: Idempotency-Key (requerido, ver middleware/idempotency)
+ * Query params: shop (requerido), lang (opcional, es|en)
+ * Body: line_items ([{ id, quantity }], opcional, default todo lo pendiente),
+ *   tracking_number, tracking_company, tracking_url, notify_customer (default false)
+ */
+router.post('/:orderId/fulfillments', requireIdempotencyKey, async (req, res) => {
+  const { orderId } = req.params;
+
+  const action = validateOrderAction(req, res, validateFulfillmentRequest, 'Invalid fulfillment');
+  if (!action) return;
+  const { shop, output, request } = action;
+
+  try {
+    const { fulfillment, order } = await createFulfillment(shop, orderId, request.fulfillment);
+    upsertOrders(shop, [order]);
+
+    log.info('Fulfillment created', { shop, orderId, fulfillmentId: legacyId(fulfillment.id) });
+
+    return res.status(201).json(traducirRespuesta({
+      exito: true,
+      tienda: shop,
+      cumplimiento: traducirCumplimiento({
+        id: legacyId(fulfillment.id),
+        estado: String(fulfillment.status || '').toLowerCase() || null,
+        seguimiento: (fulfillment.trackingInfo || []).map((info) => ({
+          numero: info.number,
+          empresa: info.company,
+          url: info.url,
+        })),
+      }, output.lang),
+      estadoCumplimiento: traducirEstadoCumplimiento(order.fulfillment_status, output.lang),
+    }, output.lang));
+  } catch (error) {
+    log.error('Error creating fulfillment', { shop, orderId, error });
+    return sendShopifyError(res, error, shop, { orderId, failure: 'Failed to create fulfillment' });
   }
 });
 
+/**
+ * POST /v1/orders/:orderId/refunds/calculate
+ * Calcula un reembolso sin crearlo (productos, envío, impuestos y transacciones sugeridas)
+ * Query params: shop (requerido), lang (opcional, es|en)
+ * Body: ver utils/refundValidator (line_items, shipping)
+ */
+router.post('/:orderId/refunds/calculate', async (req, res) => {
+  const { orderId } = req.params;
+
+  const action = validateOrderAction(req, res, validateRefundRequest, 'Invalid refund');
+  if (!action) return;
+  const { shop, output, request } = action;
+
+  try {
+    const calculation = await calculateRefund(shop, orderId, request.refund);
+
+    return res.json(traducirRespuesta({
+      exito: true,
+      tienda: shop,
+      reembolso: formatRefundCalculation(calculation, { lang: output.lang }),
+    }, output.lang));
+  } catch (error) {
+    log.error('Error calculating refund', { shop, orderId, error });
+    return sendShopifyError(res, error, shop, { orderId, failure: 'Failed to calculate refund' });
+  }
+});
+
+/**
+ * POST /v1/orders/:orderId/refunds
+ * Crea un reembolso con las transacciones que sugiere Shopify
+ * Headers: Idempotency-Key (requerido, ver middleware/idempotency)
+ * Query params: shop (requerido), lang (opcional, es|en)
+ * Body: ver utils/refundValidator (line_items, shipping, note, notify)
+ */
+router.post('/:orderId/refunds', requireIdempotencyKey, async (req, res) => {
+  const { orderId } = req.params;
+
+  const action = validateOrderAction(req, res, validateRefundRequest, 'Invalid refund');
+  if (!action) return;
+  const { shop, output, request } = action;
+
+  try {
+    const { refund, order } = await createRefund(shop, orderId, request.refund);
+    upsertOrders(shop, [order]);
+
+    log.info('Refund created', { shop, orderId, refundId: refund.id, amount: refund.amount });
+
+    return res.status(201).json(traducirRespuesta({
+      exito: true,
+      tienda: shop,
+      reembolso: formatRefund(refund, { lang: output.lang }),
+      pedido: presentOrders([order], shop, output)[0],
+    }, output.lang));
+  } catch (error) {
+    log.error('Error creating refund', { shop, orderId, error });
+    return sendShopifyError(res, error, shop, { orderId, failure: 'Failed to create refund' });
+  }
+});
+
+/**
+ * POST /v1/orders/:orderId/cancel
+ * Cancela una orden (no reembolsa: usar /refunds)
+ * Headers: Idempotency-Key (requerido, ver middleware/idempotency)
+ * Query params: shop (requerido), lang (opcional, es|en)
+ * Body: reason (customer|inventory|fraud|declined|other, default other),
+ *   restock (default false), email (default false, notifica al cliente)
+ */
+router.post('/:orderId/cancel', requireIdempotencyKey, async (req, res) => {
+  const { orderId } = req.params;
+
+  const action = validateOrderAction(req, res, validateCancelRequest, 'Invalid cancellation');
+  if (!action) return;
+  const { shop, output, request } = action;
+
+  try {
+    const order = await cancelOrder(shop, orderId, request.cancel);
+    upsertOrders(shop, [order]);
+
+    log.info('Order cancelled', { shop, orderId, reason: request.cancel.reason });
+
+    return res.json(traducirRespuesta({
+      exito: true,
+      tienda: shop,
+      cancelacion: traducirCancelacion({
+        fecha: order.cancelled_at,
+        motivo: traducirMotivoCancelacion(request.cancel.reason, output.lang),
+        reponerInventario: request.cancel.restock,
+        notificarCliente: request.cancel.email,
+      }, output.lang),
+      pedido: presentOrders([order], shop, output)[0],
+    }, output.lang));
+  } catch (error) {
+    log.error('Error cancelling order', { shop, orderId, error });
+    return sendShopifyError(res, error, shop, { orderId, failure: 'Failed to cancel order' });
+  }
+});
+
+/**
+ * Responde la orden actualizada por una operación de etiquetas / atributos
+ */
+function sendUpdatedOrder(res, shop, order, output) {
+  upsertOrders(shop, [order]);
+
+  return res.json(traducirRespuesta({
+    exito: true,
+    tienda: shop,
+    pedido: presentOrders([order], shop, output)[0],
+  }, output.lang));
+}
+
+/**
+ * POST /v1/orders/:orderId/tags
+ * Agrega etiquetas a una orden (las que ya tiene se ignoran)
+ * Query params: shop (requerido), lang (opcional, es|en)
+ * Body: { tags: ["facturado"] }
+ */
+router.post('/:orderId/tags', async (req, res) => {
+  const { orderId } = req.params;
+
+  const action = validateOrderAction(req, res, validateTagsRequest, 'Invalid tags');
+  if (!action) return;
+  const { shop, output, request } = action;
+
+  try {
+    const order = await updateOrderTags(shop, orderId, { add: request.tags });
+    log.info('Tags added', { shop, orderId, tags: request.tags });
+    return sendUpdatedOrder(res, shop, order, output);
+  } catch (error) {
+    log.error('Error adding tags', { shop, orderId, error });
+    return sendShopifyError(res, error, shop, { orderId, failure: 'Failed to update tags' });
+  }
+});
+
+/**
+ * DELETE /v1/orders/:orderId/tags
+ * Quita etiquetas de una orden
+ * Query params: shop (requerido), lang (opcional, es|en)
+ * Body: { tags: ["facturado"] }
+ */
+router.delete('/:orderId/tags', async (req, res) => {
+  const { orderId } = req.params;
+
+  const action = validateOrderAction(req, res, validateTagsRequest, 'Invalid tags');
+  if (!action) return;
+  const { shop, output, request } = action;
+
+  try {
+    const order = await updateOrderTags(shop, orderId, { remove: request.tags });
+    log.info('Tags removed', { shop, orderId, tags: request.tags });
+    return sendUpdatedOrder(res, shop, order, output);
+  } catch (error) {
+    log.error('Error removing tags', { shop, orderId, error });
+    return sendShopifyError(res, error, shop, { orderId, failure: 'Failed to update tags' });
+  }
+});
+
+/**
+ * PATCH /v1/orders/:orderId/note-attributes
+ * Agrega o modifica atributos de nota; un valor null elimina el atributo
+ * PUT /v1/orders/:orderId/note-attributes
+ * Reemplaza todos los atributos de nota
+ * Query params: shop (requerido), lang (opcional, es|en)
+ * Body: { attributes: { factura_sri: "001-001-000123" } }
+ */
+for (const method of ['patch', 'put']) {
+  const replace = method === 'put';
+
+  router[method]('/:orderId/note-attributes', async (req, res) => {
+    const { orderId } = req.params;
+
+    const validateBody = (body) => validateNoteAttributesRequest(body, { replace });
+    const action = validateOrderAction(req, res, validateBody, 'Invalid note attributes');
+    if (!action) return;
+    const { shop, output, request } = action;
+
+    try {
+      const order = await updateOrderAttributes(shop, orderId, request.attributes, { replace });
+      log.info(replace ? 'Note attributes replaced' : 'Note attributes updated', { shop, orderId });
+      return sendUpdatedOrder(res, shop, order, output);
+    } catch (error) {
+      log.error('Error updating note attributes', { shop, orderId, error });
+      return sendShopifyError(res, error, shop, { orderId, failure: 'Failed to update note attributes' });
+    }
+  });
+}
+
 module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const { getAllShops } = require('../store/shops');
+const { getRateLimitStatus } = require('../rateLimiter');
+const { validateAndNormalizeShop } = require('../utils/shopValidator');
+const { canAccessShop } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /v1/rate-limits
+ * Cola y presupuesto de la API de Shopify por tienda
+ * Query params: shop (opcional, limita la respuesta a una tienda)
+ */
+router.get('/', (req, res) => {
+  const { shop } = req.query;
+  let shops = getAllShops().filter((s) => canAccessShop(req.apiClient, s));
+
+  if (shop) {
+    const validation = validateAndNormalizeShop(shop);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid shop domain',
+        message: validation.error,
+        received: validation.original,
+        normalized: validation.normalized,
+      });
+    }
+    shops = shops.filter((s) => s === validation.normalized);
+  }
+
+  const tiendas = shops.map((s) => {
+    const status = getRateLimitStatus(s);
+    return {
+      tienda: s,
+      enCola: status.queued,
+      enCurso: status.inFlight,
+      bloqueadaHasta: status.blockedUntil,
+      rest: {
+        usado: status.rest.used,
+        maximo: status.rest.max,
+        disponible: Math.max(0, status.rest.max - status.rest.used),
+      },
+      graphql: {
+        disponible: status.graphql.available,
+        maximo: status.graphql.max,
+        tasaRecuperacion: status.graphql.restoreRate,
+      },
+      reintentos: status.retries,
+      limitados: status.throttled,
+      ultimoLimite: status.lastThrottledAt,
+    };
+  });
+
+  return res.json({
+    exito: true,
+    cantidad: tiendas.length,
+    tiendas,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const { isShopAuthenticated } = require('../store/shops');
+const { getShopSettings } = require('../store/shopSettings');
+const { fetchShopInfo } = require('../shopify');
+const { iterateOrderPages } = require('../orderPages');
+const { validateAndNormalizeShop } = require('../utils/shopValidator');
+const { formatOrder } = require('../utils/orderFormatter');
+const { validateOrderFilters, validateSource, validateOutputOptions } = require('../utils/orderFilters');
+const { validateReportOptions, shopDateTime, createSalesReport } = require('../utils/salesReport');
+const { traducirRespuesta } = require('../utils/translations');
+const { sendShopifyError } = require('../utils/shopifyErrors');
+const { createLogger } = require('../logger');
+
+const log = createLogger('Reports');
+
+const router = express.Router();
+
+// Páginas de Shopify (250 órdenes) que recorre un reporte en modo live; más allá se usa source=cache
+const MAX_REPORT_PAGES = 40;
+
+/**
+ * GET /v1/reports/sales
+ * Ventas por día, semana (ISO, de lunes a domingo) o mes en la zona horaria de la tienda
+ * Query params: shop (requerido), from y to (requeridos, YYYY-MM-DD, ambos incluidos),
+ *   groupBy (opcional, day|week|month, default day),
+ *   los mismos filtros que GET /v1/orders salvo created_at_min/max (default: status any, financial_status paid),
+ *   source (opcional, live|cache, default live), lang (opcional, es|en, default es)
+ * En modo live responde 422 si el rango tiene más de MAX_REPORT_PAGES páginas de órdenes.
+ */
+router.get('/sales', async (req, res) => {
+  const { shop } = req.query;
+
+  // Validar que se proporcionó el shop
+  if (!shop) {
+    return res.status(400).json({
+      error: 'Missing required parameter: shop',
+    });
+  }
+
+  // Validar y normalizar shop
+  const validation = validateAndNormalizeShop(shop);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Invalid shop domain',
+      message: validation.error,
+      received: validation.original,
+      normalized: validation.normalized,
+    });
+  }
+
+  // from/to reemplazan a created_at_min/max: los límites se arman con la zona horaria de la tienda
+  const reportOptions = validateReportOptions(req.query);
+  const filters = validateOrderFilters({ ...req.query, created_at_min: undefined, created_at_max: undefined });
+  const sourceValidation = validateSource(req.query.source);
+  const output = validateOutputOptions({ lang: req.query.lang });
+  const queryErrors = [
+    ...reportOptions.errors,
+    ...filters.errors,
+    ...(sourceValidation.valid ? [] : [sourceValidation.error]),
+    ...output.errors,
+  ];
+  if (queryErrors.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: queryErrors.map((e) => e.message).join('; '),
+      errors: queryErrors,
+    });
+  }
+
+  const normalizedShop = validation.normalized;
+  const host = process.env.HOST || '';
+
+  // Verificar autenticación
+  if (!isShopAuthenticated(normalizedShop)) {
+    return res.status(401).json({
+      error: 'Shop not installed',
+      message: `The shop ${normalizedShop} has not completed OAuth.`,
+      auth_url: `${host}/auth?shop=${normalizedShop}`,
+    });
+  }
+
+  try {
+    const { timeZone, currency } = await fetchShopInfo(normalizedShop);
+    filters.params.created_at_min = shopDateTime(reportOptions.from, '00:00:00', timeZone);
+    filters.params.created_at_max = shopDateTime(reportOptions.to, '23:59:59', timeZone);
+
+    // Misma normalización que el listado; el idioma se aplica al armar el resultado
+    const settings = getShopSettings(normalizedShop);
+    const report = createSalesReport(reportOptions, { lang: output.lang });
+    const pages = iterateOrderPages(normalizedShop, filters, sourceValidation.source, { maxPages: MAX_REPORT_PAGES });
+    for await (const orders of pages) {
+      for (const order of orders) {
+        report.add(formatOrder(order, settings));
+      }
+    }
+
+    return res.json(traducirRespuesta({
+      exito: true,
+      tienda: normalizedShop,
+      origen: sourceValidation.source,
+      zonaHoraria: timeZone,
+      desde: filters.params.created_at_min,
+      hasta: filters.params.created_at_max,
+      agrupacion: reportOptions.groupBy,
+      moneda: currency,
+      ...report.result(),
+    }, output.lang));
+  } catch (error) {
+    if (error.code === 'PAGE_LIMIT_EXCEEDED') {
+      return res.status(422).json({
+        error: 'Report range too large',
+        message: `${error.message} Live reports read at most ${MAX_REPORT_PAGES} pages from Shopify: use source=cache or a shorter from/to range.`,
+        errors: [{
+          param: 'source',
+          message: 'Use source=cache or a shorter from/to range',
+          received: sourceValidation.source,
+          allowed: ['cache'],
+        }],
+      });
+    }
+    log.error('Error building sales report', { shop: normalizedShop, error });
+    return sendShopifyError(res, error, normalizedShop);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const { getAllShops } = require('../store/shops');
+const { getSyncState } = require('../store/orders');
+const { isSyncing } = require('../sync');
+const { validateAndNormalizeShop } = require('../utils/shopValidator');
+const { canAccessShop } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /v1/sync/status
+ * Estado del espejo local de órdenes por tienda
+ * Query params: shop (opcional, limita la respuesta a una tienda)
+ */
+router.get('/status', (req, res) => {
+  const { shop } = req.query;
+  let shops = getAllShops().filter((s) => canAccessShop(req.apiClient, s));
+
+  if (shop) {
+    const validation = validateAndNormalizeShop(shop);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid shop domain',
+        message: validation.error,
+        received: validation.original,
+        normalized: validation.normalized,
+      });
+    }
+    shops = shops.filter((s) => s === validation.normalized);
+  }
+
+  const tiendas = shops.map((s) => {
+    const state = getSyncState(s);
+    return {
+      tienda: s,
+      ultimaSincronizacion: state.lastSyncAt,
+      cargaInicial: state.backfilledAt,
+      cantidadPedidos: state.orderCount,
+      sincronizando: isSyncing(s),
+    };
+  });
+
+  return res.json({
+    exito: true,
+    cantidad: tiendas.length,
+    tiendas,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const { removeShop, isShopAuthenticated } = require('../store/shops');
+const { upsertOrders, removeShopOrders } = require('../store/orders');
+const { removeShopOnlineTokens } = require('../store/onlineTokens');
+const { verifyWebhookHmac } = require('../webhooks');
+const { validateAndNormalizeShop } = require('../utils/shopValidator');
+const { appendAuditEvent } = require('../store/auditLog');
+const { createLogger } = require('../logger');
+
+const log = createLogger('Webhooks');
+
+const router = express.Router();
+
+/**
+ * Guarda la orden de un webhook en el espejo local
+ * Shopify sigue entregando webhooks encolados después de app/uninstalled: sin la
+ * tienda instalada no se guardan (el espejo ya se borró y no hay token).
+ */
+function saveWebhookOrder(shop, order, message) {
+  if (!isShopAuthenticated(shop)) {
+    log.info('Ignoring order webhook for a shop that is not installed', { shop, order: order.name || order.id });
+    return;
+  }
+  log.info(message, { shop, order: order.name || order.id });
+  upsertOrders(shop, [order]);
+}
+
+/**
+ * Handlers por topic
+ * Reciben (shop, payload) y pueden ser async
+ */
+const handlers = {
+  'orders/create': (shop, order) => saveWebhookOrder(shop, order, 'Order created'),
+  'orders/updated': (shop, order) => saveWebhookOrder(shop, order, 'Order updated'),
+  'orders/cancelled': (shop, order) => saveWebhookOrder(shop, order, 'Order cancelled'),
+  'app/uninstalled': (shop) => {
+    log.info('App uninstalled, removing shop', { shop });
+    removeShop(shop);
+    removeShopOrders(shop);
+    removeShopOnlineTokens(shop);
+    appendAuditEvent('shop.uninstalled', {
+      actor: { type: 'shopify', id: shop },
+      shop,
+      details: { topic: 'app/uninstalled' },
+    });
+  },
+};
+
+/**
+ * POST /webhooks
+ * Receptor de webhooks de Shopify (un solo endpoint, el topic viene en el header)
+ * Headers: X-Shopify-Hmac-Sha256, X-Shopify-Topic, X-Shopify-Shop-Domain
+ *
+ * El body se lee crudo (express.raw) porque el HMAC se calcula sobre los bytes originales.
+ */
+router.post('/', express.raw({ type: '*/*', limit: '5mb' }), async (req, res) => {
+  const secret = process.env.SHOPIFY_API_SECRET;
+
+  if (!secret) {
+    log.error('SHOPIFY_API_SECRET is not configured');
+    return res.status(500).json({
+      error: 'Server configuration error',
+      message: 'SHOPIFY_API_SECRET is not configured',
+    });
+  }
+
+  const hmacHeader = req.get('X-Shopify-Hmac-Sha256');
+  const topic = req.get('X-Shopify-Topic');
+  const shopHeader = req.get('X-Shopify-Shop-Domain');
+
+  // Verificar HMAC (seguridad de Shopify)
+  if (!Buffer.isBuffer(req.body) || !verifyWebhookHmac(req.body, hmacHeader, secret)) {
+    log.warn('HMAC verification failed', { topic, shop: shopHeader });
+    return res.status(401).json({
+      error: 'HMAC verification failed',
+      message: 'The webhook signature is invalid.',
+    });
+  }
+
+  const validation = validateAndNormalizeShop(shopHeader);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Invalid shop domain',
+      message: validation.error,
+      received: validation.original,
+    });
+  }
+
+  const handler = handlers[topic];
+  if (!handler) {
+    // Responder 200 para que Shopify no reintente topics que no manejamos
+    log.info('Ignoring unhandled topic', { topic, shop: validation.normalized });
+    return res.status(200).json({ ok: true, ignored: true });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch {
+    return res.status(400).json({
+      error: 'Invalid JSON body',
+    });
+  }
+
+  try {
+    await handler(validation.normalized, payload);
+    return res.status(200).json({ ok: true });
+  } catch (error) {
+    log.error('Error handling webhook', { topic, shop: validation.normalized, error });
+    // 500 hace que Shopify reintente el webhook
+    return res.status(500).json({
+      error: 'Failed to process webhook',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
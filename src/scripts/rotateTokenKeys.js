@@ -0,0 +1,25 @@
+require('dotenv').config();
+
+const { rotateTokenKeys } = require('../store/shops');
+
+/**
+ * Rotación de llaves de cifrado de tokens
+ * Uso: npm run rotate-keys
+ *
+ * 1. Agregar la llave nueva al inicio de TOKEN_ENCRYPTION_KEYS (dejando la anterior)
+ * 2. Ejecutar este script
+ * 3. Quitar la llave anterior de TOKEN_ENCRYPTION_KEYS
+ */
+try {
+  const { keyId, rotated, failed } = rotateTokenKeys();
+
+  console.log(`[KeyRotation] Re-encrypted ${rotated.length} shop(s) with key "${keyId}"`);
+
+  if (failed.length > 0) {
+    console.error(`[KeyRotation] Could not decrypt ${failed.length} shop(s): ${failed.join(', ')}`);
+    process.exitCode = 1;
+  }
+} catch (error) {
+  console.error('[KeyRotation] Error:', error.message);
+  process.exitCode = 1;
+}
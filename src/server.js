@@ -3,13 +3,36 @@ require('dotenv').config();
 const express = require('express');
 const ordersRouter = require('./routes/orders');
 const authRouter = require('./routes/auth');
+const webhooksRouter = require('./routes/webhooks');
+const syncRouter = require('./routes/sync');
+const rateLimitsRouter = require('./routes/rateLimits');
+const reportsRouter = require('./routes/reports');
+const adminRouter = require('./routes/admin');
+const dashboardRouter = require('./routes/dashboard');
+const metricsRouter = require('./routes/metrics');
+const { authMiddleware, requireAdmin, requireMetricsToken } = require('./middleware/auth');
+const { requestLogger } = require('./middleware/requestLogger');
+const { startSyncScheduler } = require('./sync');
 const { normalizeShopDomain } = require('./utils/shopValidator');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Server');
 
 const app = express();
 
 // Trust proxy (necesario para Render y otros PaaS)
 app.set('trust proxy', 1);
 
+// Request ID y log de cada request (antes que todo, incluidos los webhooks)
+app.use(requestLogger);
+
+/**
+ * Webhooks de Shopify - se montan antes de express.json()
+ * porque la verificación HMAC necesita el body crudo
+ * POST /webhooks
+ */
+app.use('/webhooks', webhooksRouter);
+
 // Middleware para parsear JSON
 app.use(express.json());
 
@@ -24,6 +47,7 @@ function validateEnvVars() {
     'SCOPES',
     'HOST',
     'API_BEARER_TOKEN',
+    'TOKEN_ENCRYPTION_KEYS',
   ];
 
   const missing = required.filter((varName) => !process.env[varName]);
@@ -33,14 +57,10 @@ function validateEnvVars() {
 // Validar variables de entorno al iniciar (log una sola vez)
 const missingVars = validateEnvVars();
 if (missingVars.length > 0) {
-  console.error('========================================');
-  console.error('ERROR: Missing required environment variables:');
-  missingVars.forEach((varName) => {
-    console.error(`  - ${varName}`);
+  log.error('Missing required environment variables', {
+    missing: missingVars,
+    hint: 'Set these variables in Render Dashboard or .env file.',
   });
-  console.error('');
-  console.error('Please set these variables in Render Dashboard or .env file.');
-  console.error('========================================');
 }
 
 // ============================================
@@ -49,73 +69,9 @@ if (missingVars.length > 0) {
 
 /**
  * GET /
- * Root endpoint - Página principal para iframe de Shopify
+ * Panel de órdenes embebido en el admin de Shopify (página de inicio sin tienda)
  */
-app.get('/', (req, res) => {
-  const host = process.env.HOST || 'http://localhost:3000';
-  const shop = normalizeShopDomain(process.env.SHOP) || 'tu-tienda.myshopify.com';
-  
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Shopify Orders API</title>
-  <style>
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      max-width: 600px;
-      margin: 50px auto;
-      padding: 20px;
-      background: #f6f6f7;
-    }
-    .container {
-      background: white;
-      padding: 30px;
-      border-radius: 8px;
-      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-    }
-    h1 { color: #202223; margin-bottom: 10px; }
-    .status { color: #008060; font-weight: 500; }
-    .links { margin-top: 20px; }
-    .links a {
-      display: block;
-      color: #006fbb;
-      text-decoration: none;
-      padding: 8px 0;
-      border-bottom: 1px solid #e1e3e5;
-    }
-    .links a:hover { text-decoration: underline; }
-    code {
-      background: #f4f6f8;
-      padding: 2px 6px;
-      border-radius: 4px;
-      font-size: 13px;
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <h1>Shopify Orders API</h1>
-    <p class="status">✓ Server running</p>
-    
-    <div class="links">
-      <h3>Endpoints</h3>
-      <a href="${host}/health">/health - Health check</a>
-      <a href="${host}/auth?shop=${shop}">/auth?shop=... - Iniciar OAuth</a>
-      <p style="color:#6d7175; font-size:14px; margin-top:10px;">
-        <strong>GET /v1/orders?shop=...</strong><br>
-        Requiere header: <code>Authorization: Bearer &lt;token&gt;</code>
-      </p>
-    </div>
-  </div>
-</body>
-</html>
-  `.trim();
-
-  res.status(200).type('html').send(html);
-});
+app.use('/', dashboardRouter);
 
 /**
  * GET /health
@@ -128,6 +84,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * GET /metrics
+ * Métricas de Prometheus - solo METRICS_TOKEN
+ */
+app.use('/metrics', requireMetricsToken, metricsRouter);
+
 /**
  * OAuth routes - no requieren autenticación Bearer
  * GET /auth - Inicia flujo OAuth
@@ -135,8 +97,21 @@ app.get('/health', (req, res) => {
  */
 app.use('/auth', authRouter);
 
-// Rutas bajo /v1 (acceso público)
+/**
+ * Rutas bajo /v1 - requieren API_BEARER_TOKEN o una API key de cliente
+ */
+app.use('/v1', authMiddleware);
 app.use('/v1/orders', ordersRouter);
+app.use('/v1/sync', syncRouter);
+app.use('/v1/rate-limits', rateLimitsRouter);
+app.use('/v1/reports', reportsRouter);
+
+/**
+ * Administración - solo API_BEARER_TOKEN
+ * /admin/api-keys - Gestión de API keys de clientes
+ * /admin/audit-log - Registro de auditoría
+ */
+app.use('/admin', requireAdmin, adminRouter);
 
 // ============================================
 // START SERVER
@@ -145,16 +120,28 @@ app.use('/v1/orders', ordersRouter);
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || `http://localhost:${PORT}`;
 const DEFAULT_SHOP = normalizeShopDomain(process.env.SHOP) || 'tu-tienda.myshopify.com';
+const SYNC_INTERVAL_MINUTES = parseInt(process.env.ORDER_SYNC_INTERVAL_MINUTES ?? '15', 10);
 
 app.listen(PORT, () => {
-  console.log('========================================');
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Host: ${HOST}`);
-  console.log('');
-  console.log('Endpoints:');
-  console.log(`  Root:      ${HOST}/`);
-  console.log(`  Health:    ${HOST}/health`);
-  console.log(`  OAuth:     ${HOST}/auth?shop=${DEFAULT_SHOP}`);
-  console.log(`  Orders:    ${HOST}/v1/orders?shop=${DEFAULT_SHOP}`);
-  console.log('========================================');
+  log.info('Server started', {
+    port: Number(PORT),
+    host: HOST,
+    endpoints: {
+      root: `${HOST}/`,
+      health: `${HOST}/health`,
+      oauth: `${HOST}/auth?shop=${DEFAULT_SHOP}`,
+      orders: `${HOST}/v1/orders?shop=${DEFAULT_SHOP}`,
+      webhooks: `${HOST}/webhooks`,
+      sync: `${HOST}/v1/sync/status`,
+      limits: `${HOST}/v1/rate-limits`,
+      reports: `${HOST}/v1/reports/sales`,
+      admin: `${HOST}/admin/api-keys`,
+      metrics: `${HOST}/metrics`,
+    },
+  });
+
+  // Sincronización periódica del espejo local (0 la desactiva)
+  if (SYNC_INTERVAL_MINUTES > 0) {
+    startSyncScheduler(SYNC_INTERVAL_MINUTES * 60 * 1000);
+  }
 });
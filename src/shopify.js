@@ -1,9 +1,57 @@
 const axios = require('axios');
 const { getShopToken } = require('./store/shops');
+const { encodeCursor, decodeCursor } = require('./utils/pagination');
+const {
+  ORDERS_PER_REQUEST,
+  ORDERS_QUERY,
+  ORDER_QUERY,
+  SHOP_QUERY,
+  ORDER_LINE_ITEMS_QUERY,
+  buildOrderSearch,
+  reducedBatchSize,
+} = require('./graphql/orderQueries');
+const { mapOrderNode } = require('./graphql/orderMapper');
+const {
+  FULFILLMENT_ORDERS_QUERY,
+  FULFILLMENT_CREATE_MUTATION,
+  allocateFulfillment,
+} = require('./graphql/fulfillments');
+const {
+  REFUNDABLE_ORDER_QUERY,
+  SUGGESTED_REFUND_QUERY,
+  REFUND_CREATE_MUTATION,
+  notRefundableError,
+  buildRefundLineItems,
+  mapSuggestedRefund,
+  refundTransactions,
+  mapRefund,
+} = require('./graphql/refunds');
+const {
+  ORDER_TAGS_QUERY,
+  TAGS_ADD_MUTATION,
+  TAGS_REMOVE_MUTATION,
+  ORDER_ATTRIBUTES_MUTATION,
+  mergeAttributes,
+} = require('./graphql/orderTags');
+const { ORDER_CANCEL_MUTATION, JOB_QUERY, buildCancelVariables } = require('./graphql/orderCancel');
+const { SHOP_DETAILS_QUERY, mapShopDetails } = require('./graphql/shop');
+const { scheduleRequest, TIMEOUT_CODES } = require('./rateLimiter');
+
+// Tiempo máximo de cada request a Shopify: uno colgado no debe bloquear la cola de la tienda
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SHOPIFY_TIMEOUT_MS ?? '30000') || 30000;
+
+// Consultas al job de orderCancel (cada CANCEL_JOB_POLL_MS) antes de leer la orden cancelada
+const CANCEL_JOB_POLLS = 10;
+const CANCEL_JOB_POLL_MS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 /**
  * Cliente dinámico para Shopify Admin API
  * Soporta múltiples tiendas con diferentes tokens
+ *
+ * Todos los requests pasan por la cola por tienda de rateLimiter.js, que
+ * respeta los límites de Shopify y reintenta 429 / 5xx / timeouts.
  */
 
 /**
@@ -18,10 +66,13 @@ function createShopifyClient(shop) {
     return null;
   }
 
-  const apiVersion = process.env.API_VERSION || '2024-01';
+  const apiVersion = process.env.API_VERSION || '2024-04';
 
   return axios.create({
     baseURL: `https://${shop}/admin/api/${apiVersion}`,
+    timeout: REQUEST_TIMEOUT_MS,
+    // Los timeouts llegan como ETIMEDOUT (no ECONNABORTED, que también es una conexión abortada)
+    transitional: { clarifyTimeoutError: true },
     headers: {
       'X-Shopify-Access-Token': accessToken,
       'Content-Type': 'application/json',
@@ -29,6 +80,56 @@ function createShopifyClient(shop) {
   });
 }
 
+/**
+ * Segundos hasta que el bucket de GraphQL recupere el costo pedido
+ * @param {object|undefined} cost - extensions.cost de la respuesta
+ * @returns {number|null}
+ */
+function throttleRetryAfter(cost) {
+  const status = cost && cost.throttleStatus;
+  if (!status || !status.restoreRate) return null;
+
+  const missing = (cost.requestedQueryCost || 0) - status.currentlyAvailable;
+  return Math.max(1, Math.ceil(missing / status.restoreRate));
+}
+
+/**
+ * Convierte un error de axios con respuesta HTTP en el error de la API
+ * (429 -> error.code = 'THROTTLED' con error.retryAfter del header Retry-After)
+ */
+function toHttpError(error) {
+  const httpError = new Error(`Shopify API Error: ${error.response.status}`);
+  httpError.status = error.response.status;
+  httpError.details = error.response.data;
+
+  if (error.response.status === 429) {
+    const retryAfter = parseFloat(error.response.headers?.['retry-after']);
+    httpError.code = 'THROTTLED';
+    httpError.retryAfter = Number.isFinite(retryAfter) ? Math.ceil(retryAfter) : null;
+  }
+  return httpError;
+}
+
+/**
+ * Error de red (sin respuesta de Shopify); los timeouts llevan error.code = 'TIMEOUT' y status 504
+ */
+function connectionError(error) {
+  const connError = new Error(`Connection error: ${error.message}`);
+  if (TIMEOUT_CODES.includes(error.code)) {
+    connError.code = 'TIMEOUT';
+    connError.status = 504;
+  }
+  return connError;
+}
+
+/**
+ * Nombre de la operación GraphQL para el log ("query Orders(...)" -> "Orders")
+ */
+function operationName(query) {
+  const match = String(query).match(/^\s*(query|mutation)\s+(\w+)/);
+  return match ? match[2] : 'graphql';
+}
+
 /**
  * Ejecuta una query GraphQL contra Shopify Admin API
  * @param {string} shop - Dominio de la tienda
@@ -36,6 +137,9 @@ function createShopifyClient(shop) {
  * @param {object} variables - Variables para la query (opcional)
  * @returns {Promise<object>} Respuesta de Shopify
  * @throws {Error} Si hay error de conexión o Shopify devuelve errores
+ *   (error.status/details en errores HTTP, error.shopifyErrors en errores GraphQL,
+ *   error.code = 'THROTTLED' con error.retryAfter si se agotó el límite de costo,
+ *   error.code = 'TIMEOUT' si Shopify no respondió en SHOPIFY_TIMEOUT_MS)
  */
 async function shopifyGraphQL(shop, query, variables = {}) {
   const client = createShopifyClient(shop);
@@ -45,15 +149,26 @@ async function shopifyGraphQL(shop, query, variables = {}) {
   }
 
   try {
-    const response = await client.post('/graphql.json', {
-      query,
-      variables,
+    // Las mutations no se reintentan ante 5xx / errores de red (pudieron aplicarse)
+    const response = await scheduleRequest(shop, {
+      api: 'graphql',
+      idempotent: !/^\s*mutation\b/.test(query),
+      operation: operationName(query),
+      send: () => client.post('/graphql.json', { query, variables }),
     });
 
     // Verificar si Shopify devolvió errores en la respuesta GraphQL
     if (response.data.errors && response.data.errors.length > 0) {
-      const error = new Error('Shopify GraphQL Error');
+      const throttled = response.data.errors.some((e) => e.extensions?.code === 'THROTTLED');
+      const error = new Error(throttled ? 'Shopify GraphQL throttled' : 'Shopify GraphQL Error');
       error.shopifyErrors = response.data.errors;
+
+      if (throttled) {
+        error.code = 'THROTTLED';
+        error.status = 429;
+        error.cost = response.data.extensions?.cost || null;
+        error.retryAfter = throttleRetryAfter(error.cost);
+      }
       throw error;
     }
 
@@ -61,10 +176,7 @@ async function shopifyGraphQL(shop, query, variables = {}) {
   } catch (error) {
     // Si es un error de axios (HTTP error)
     if (error.response) {
-      const httpError = new Error(`Shopify API Error: ${error.response.status}`);
-      httpError.status = error.response.status;
-      httpError.details = error.response.data;
-      throw httpError;
+      throw toHttpError(error);
     }
 
     // Si ya es un error procesado (GraphQL errors)
@@ -73,10 +185,41 @@ async function shopifyGraphQL(shop, query, variables = {}) {
     }
 
     // Error de red u otro
-    throw new Error(`Connection error: ${error.message}`);
+    throw connectionError(error);
   }
 }
 
+/**
+ * Ejecuta una mutation GraphQL y verifica sus userErrors
+ * @param {string} shop - Dominio de la tienda
+ * @param {string} mutation - Mutation GraphQL (un solo campo raíz)
+ * @param {object} variables - Variables de la mutation
+ * @returns {Promise<object>} Payload del campo raíz (ej: data.orderUpdate)
+ * @throws {Error} error.userErrors ([{ field, message, code }]) y error.status = 422
+ *   si Shopify rechazó la operación; los mismos errores que shopifyGraphQL en otro caso
+ */
+async function shopifyMutation(shop, mutation, variables = {}) {
+  const data = await shopifyGraphQL(shop, mutation, variables);
+  const payload = Object.values(data || {})[0] || {};
+  // Algunas mutations (ej: orderCancel) devuelven los errores con code en <mutation>UserErrors
+  const typedErrors = Object.keys(payload).find((key) => key.endsWith('UserErrors'));
+  const userErrors = payload[typedErrors] || payload.userErrors || [];
+
+  if (userErrors.length > 0) {
+    const error = new Error(`Shopify user errors: ${userErrors.map((e) => e.message).join('; ')}`);
+    error.code = 'USER_ERRORS';
+    error.status = 422;
+    error.userErrors = userErrors.map((e) => ({
+      field: Array.isArray(e.field) ? e.field.join('.') : e.field || null,
+      message: e.message,
+      code: e.code || null,
+    }));
+    throw error;
+  }
+
+  return payload;
+}
+
 /**
  * Ejecuta una petición REST contra Shopify Admin API
  * @param {string} shop - Dominio de la tienda
@@ -85,6 +228,7 @@ async function shopifyGraphQL(shop, query, variables = {}) {
  * @param {object} data - Datos para POST/PUT (opcional)
  * @param {object} params - Query params (opcional)
  * @returns {Promise<object>} Respuesta de Shopify
+ * @throws {Error} error.status/details en errores HTTP (429: error.code = 'THROTTLED')
  */
 async function shopifyREST(shop, method, endpoint, data = null, params = {}) {
   const client = createShopifyClient(shop);
@@ -104,19 +248,427 @@ async function shopifyREST(shop, method, endpoint, data = null, params = {}) {
       config.data = data;
     }
 
-    const response = await client(config);
+    const response = await scheduleRequest(shop, {
+      api: 'rest',
+      idempotent: method !== 'POST',
+      operation: `${method} ${endpoint.replace(/^https:\/\/[^/]+/, '')}`,
+      send: () => client(config),
+    });
     return response.data;
   } catch (error) {
     if (error.response) {
-      const httpError = new Error(`Shopify API Error: ${error.response.status}`);
-      httpError.status = error.response.status;
-      httpError.details = error.response.data;
-      throw httpError;
+      throw toHttpError(error);
     }
-    throw new Error(`Connection error: ${error.message}`);
+    throw connectionError(error);
   }
 }
 
+/**
+ * Error de cursor inválido (page_info que no generó fetchOrdersPage)
+ */
+function invalidCursorError() {
+  const error = new Error('The cursor is not valid. Start again without cursor.');
+  error.code = 'INVALID_CURSOR';
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Completa los line items de una orden que no entraron en la primera página
+ * @param {string} shop - Dominio de la tienda
+ * @param {object} node - Orden de GraphQL (se modifica)
+ */
+async function fetchRemainingLineItems(shop, node) {
+  let pageInfo = node.lineItems.pageInfo;
+
+  while (pageInfo && pageInfo.hasNextPage) {
+    const data = await shopifyGraphQL(shop, ORDER_LINE_ITEMS_QUERY, {
+      id: node.id,
+      after: pageInfo.endCursor,
+    });
+    const connection = data.order.lineItems;
+    node.lineItems.nodes.push(...connection.nodes);
+    pageInfo = connection.pageInfo;
+  }
+}
+
+/**
+ * Obtiene una página de órdenes (GraphQL) con sus cursores de paginación
+ *
+ * Acepta los mismos params que orders.json (limit, page_info, filtros) y
+ * devuelve órdenes con la forma REST. La página se arma con varios requests de
+ * ORDERS_PER_REQUEST órdenes (menos si Shopify informa que la query pasa del
+ * costo máximo). Igual que page_info, el cursor devuelto lleva los
+ * filtros y la dirección, así que con cursor solo se usa limit.
+ *
+ * @param {string} shop - Dominio de la tienda
+ * @param {object} params - limit, page_info y filtros (ver utils/orderFilters)
+ * @returns {Promise<{ orders: object[], nextCursor: string|null, prevCursor: string|null }>}
+ * @throws {Error} Errores de shopifyGraphQL, o error.code = 'INVALID_CURSOR'
+ */
+async function fetchOrdersPage(shop, params) {
+  const { limit = 50, page_info: pageInfo, ...filters } = params;
+
+  let state;
+  if (pageInfo) {
+    state = decodeCursor(pageInfo);
+    if (!state || typeof state.c !== 'string' || !['next', 'prev'].includes(state.d)
+      || !state.s || typeof state.s !== 'object' || typeof state.s.query !== 'string') {
+      throw invalidCursorError();
+    }
+  } else {
+    state = { d: 'next', c: null, s: buildOrderSearch(filters) };
+  }
+
+  const backwards = state.d === 'prev';
+  const search = state.s;
+  const size = Math.min(Math.max(parseInt(limit) || 50, 1), 250);
+
+  const batches = [];
+  let cursor = state.c;
+  let fetched = 0;
+  let timeZone = null;
+  // Baja solo para esta página si Shopify rechaza la query por MAX_COST_EXCEEDED
+  let batchSize = ORDERS_PER_REQUEST;
+
+  while (fetched < size) {
+    const count = Math.min(batchSize, size - fetched);
+    let data;
+    try {
+      data = await shopifyGraphQL(shop, ORDERS_QUERY, {
+        ...(backwards ? { last: count, before: cursor } : { first: count, after: cursor }),
+        query: search.query || null,
+        sortKey: search.sortKey,
+        reverse: search.reverse,
+      });
+    } catch (error) {
+      const reduced = reducedBatchSize(error, count);
+      if (reduced === null) throw error;
+      batchSize = reduced;
+      continue;
+    }
+
+    timeZone = data.shop?.ianaTimezone || null;
+    const connection = data.orders;
+    batches.push(connection);
+    fetched += connection.nodes.length;
+
+    const more = backwards ? connection.pageInfo.hasPreviousPage : connection.pageInfo.hasNextPage;
+    if (!more || connection.nodes.length === 0) break;
+    cursor = backwards ? connection.pageInfo.startCursor : connection.pageInfo.endCursor;
+  }
+
+  // Hacia atrás los lotes llegan del más nuevo al más viejo
+  const ordered = backwards ? [...batches].reverse() : batches;
+  const nodes = ordered.flatMap((connection) => connection.nodes);
+
+  for (const node of nodes) {
+    await fetchRemainingLineItems(shop, node);
+  }
+
+  const first = ordered[0];
+  const last = ordered[ordered.length - 1];
+  const toCursor = (direction, graphqlCursor) => encodeCursor({ d: direction, c: graphqlCursor, s: search });
+
+  let nextCursor = null;
+  let prevCursor = null;
+  if (nodes.length > 0) {
+    const hasNext = backwards ? Boolean(state.c) : last.pageInfo.hasNextPage;
+    const hasPrev = backwards ? first.pageInfo.hasPreviousPage : Boolean(state.c) || first.pageInfo.hasPreviousPage;
+    nextCursor = hasNext ? toCursor('next', last.pageInfo.endCursor) : null;
+    prevCursor = hasPrev ? toCursor('prev', first.pageInfo.startCursor) : null;
+  }
+
+  return {
+    orders: nodes.map((node) => mapOrderNode(node, timeZone)),
+    nextCursor,
+    prevCursor,
+  };
+}
+
+/**
+ * Error de orden inexistente (error.status = 404)
+ */
+function orderNotFoundError(orderId) {
+  const error = new Error(`Order not found: ${orderId}`);
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Obtiene una orden por ID (GraphQL)
+ * @param {string} shop - Dominio de la tienda
+ * @param {string|number} orderId - ID de la orden
+ * @returns {Promise<object>} Orden con la forma REST
+ * @throws {Error} error.status = 404 si la orden no existe; errores de shopifyGraphQL
+ */
+async function fetchOrder(shop, orderId) {
+  if (!/^\d+$/.test(String(orderId))) {
+    throw orderNotFoundError(orderId);
+  }
+
+  const data = await shopifyGraphQL(shop, ORDER_QUERY, { id: `gid://shopify/Order/${orderId}` });
+  if (!data.order) {
+    throw orderNotFoundError(orderId);
+  }
+
+  await fetchRemainingLineItems(shop, data.order);
+  return mapOrderNode(data.order, data.shop?.ianaTimezone || null);
+}
+
+/**
+ * Obtiene la zona horaria y la moneda de una tienda (GraphQL)
+ * @param {string} shop - Dominio de la tienda
+ * @returns {Promise<{ timeZone: string|null, currency: string|null }>}
+ */
+async function fetchShopInfo(shop) {
+  const data = await shopifyGraphQL(shop, SHOP_QUERY);
+  return {
+    timeZone: data.shop?.ianaTimezone || null,
+    currency: data.shop?.currencyCode || null,
+  };
+}
+
+/**
+ * Obtiene los datos de una tienda y los scopes de la app (GraphQL)
+ * @param {string} shop - Dominio de la tienda
+ * @returns {Promise<object>} Ver graphql/shop mapShopDetails
+ * @throws {Error} error.status = 401 si el token ya no es válido; errores de shopifyGraphQL
+ */
+async function fetchShopDetails(shop) {
+  return mapShopDetails(await shopifyGraphQL(shop, SHOP_DETAILS_QUERY));
+}
+
+/**
+ * Revoca el access token de la tienda (desinstala la app)
+ * Shopify envía luego el webhook app/uninstalled.
+ * @param {string} shop - Dominio de la tienda
+ * @returns {Promise<void>}
+ * @throws {Error} Errores de shopifyREST (401 si el token ya estaba revocado)
+ */
+async function revokeShopToken(shop) {
+  // api_permissions no lleva versión: la URL absoluta reemplaza la baseURL del cliente
+  await shopifyREST(shop, 'DELETE', `https://${shop}/admin/api_permissions/current.json`);
+}
+
+/**
+ * Crea un fulfillment (envío) de una orden
+ * @param {string} shop - Dominio de la tienda
+ * @param {string|number} orderId - ID de la orden
+ * @param {object} fulfillment
+ * @param {Array<{ id: number, quantity: number }>|null} fulfillment.lineItems - null envía todo lo pendiente
+ * @param {{ number: string|null, company: string|null, url: string|null }} fulfillment.tracking
+ * @param {boolean} fulfillment.notifyCustomer
+ * @returns {Promise<{ fulfillment: object, order: object }>} Fulfillment creado y la orden actualizada (forma REST)
+ * @throws {Error} error.status = 404 si la orden no existe; error.code = 'NOT_FULFILLABLE'
+ *   si los line items no están pendientes; errores de shopifyMutation
+ */
+async function createFulfillment(shop, orderId, { lineItems, tracking, notifyCustomer }) {
+  if (!/^\d+$/.test(String(orderId))) {
+    throw orderNotFoundError(orderId);
+  }
+
+  const data = await shopifyGraphQL(shop, FULFILLMENT_ORDERS_QUERY, { id: `gid://shopify/Order/${orderId}` });
+  if (!data.order) {
+    throw orderNotFoundError(orderId);
+  }
+
+  const lineItemsByFulfillmentOrder = allocateFulfillment(data.order.fulfillmentOrders.nodes, lineItems);
+  const trackingInfo = Object.fromEntries(Object.entries(tracking).filter(([, value]) => value));
+
+  const payload = await shopifyMutation(shop, FULFILLMENT_CREATE_MUTATION, {
+    fulfillment: {
+      lineItemsByFulfillmentOrder,
+      notifyCustomer,
+      ...(Object.keys(trackingInfo).length > 0 ? { trackingInfo } : {}),
+    },
+  });
+
+  return {
+    fulfillment: payload.fulfillment,
+    order: await fetchOrder(shop, orderId),
+  };
+}
+
+/**
+ * Calcula el reembolso sugerido por Shopify para los line items y el envío pedidos
+ * @returns {Promise<{ orderGid: string, refundLineItems: object[], suggested: object }>}
+ */
+async function suggestRefund(shop, orderId, { lineItems, shipping }) {
+  if (!/^\d+$/.test(String(orderId))) {
+    throw orderNotFoundError(orderId);
+  }
+
+  const orderGid = `gid://shopify/Order/${orderId}`;
+  const data = await shopifyGraphQL(shop, REFUNDABLE_ORDER_QUERY, { id: orderGid });
+  if (!data.order) {
+    throw orderNotFoundError(orderId);
+  }
+
+  const refundLineItems = buildRefundLineItems(data.order, lineItems);
+  const suggestedData = await shopifyGraphQL(shop, SUGGESTED_REFUND_QUERY, {
+    id: orderGid,
+    refundLineItems,
+    refundShipping: shipping.fullRefund,
+    shippingAmount: shipping.amount,
+  });
+
+  return { orderGid, refundLineItems, suggested: suggestedData.order.suggestedRefund };
+}
+
+/**
+ * Calcula un reembolso sin crearlo (montos de productos, envío e impuestos)
+ * @param {string} shop - Dominio de la tienda
+ * @param {string|number} orderId - ID de la orden
+ * @param {object} refund - Resultado de validateRefundRequest (lineItems, shipping)
+ * @returns {Promise<object>} Cálculo con la forma de refunds/calculate.json
+ * @throws {Error} error.status = 404 si la orden no existe; error.code = 'NOT_REFUNDABLE'
+ *   si la orden o los line items no se pueden reembolsar; errores de shopifyGraphQL
+ */
+async function calculateRefund(shop, orderId, refund) {
+  const { suggested } = await suggestRefund(shop, orderId, refund);
+  return mapSuggestedRefund(suggested);
+}
+
+/**
+ * Crea un reembolso con las transacciones que sugiere Shopify
+ * @param {string} shop - Dominio de la tienda
+ * @param {string|number} orderId - ID de la orden
+ * @param {object} refund - Resultado de validateRefundRequest (lineItems, shipping, note, notify)
+ * @returns {Promise<{ refund: object, order: object }>} Reembolso (forma de refunds.json) y la orden actualizada
+ * @throws {Error} Los mismos errores que calculateRefund y los de shopifyMutation
+ */
+async function createRefund(shop, orderId, refund) {
+  const { orderGid, refundLineItems, suggested } = await suggestRefund(shop, orderId, refund);
+  const transactions = refundTransactions(orderGid, suggested);
+
+  if (transactions.length === 0 && Number(suggested.amountSet?.shopMoney?.amount) > 0) {
+    throw notRefundableError('The order has no payment transactions that can be refunded');
+  }
+
+  const payload = await shopifyMutation(shop, REFUND_CREATE_MUTATION, {
+    input: {
+      orderId: orderGid,
+      note: refund.note,
+      notify: refund.notify,
+      refundLineItems,
+      ...(refund.shipping.fullRefund || refund.shipping.amount
+        ? { shipping: refund.shipping.fullRefund ? { fullRefund: true } : { amount: refund.shipping.amount } }
+        : {}),
+      transactions,
+    },
+  });
+
+  return {
+    refund: mapRefund(payload.refund),
+    order: await fetchOrder(shop, orderId),
+  };
+}
+
+/**
+ * Error de orden que no se puede cancelar (error.code = 'NOT_CANCELLABLE')
+ */
+function notCancellableError(message) {
+  const error = new Error(message);
+  error.code = 'NOT_CANCELLABLE';
+  error.status = 422;
+  error.errors = [];
+  return error;
+}
+
+/**
+ * Cancela una orden
+ *
+ * Usa la mutation orderCancel, que cancela en un job de Shopify: la orden se
+ * lee cuando el job termina (o después de CANCEL_JOB_POLLS consultas; si el job
+ * sigue en curso la orden puede volver todavía sin cancelled_at). No reembolsa;
+ * para eso está createRefund.
+ *
+ * @param {string} shop - Dominio de la tienda
+ * @param {string|number} orderId - ID de la orden
+ * @param {{ reason: string, restock: boolean, email: boolean }} options - Resultado de validateCancelRequest
+ * @returns {Promise<object>} Orden cancelada (forma REST)
+ * @throws {Error} error.status = 404 si la orden no existe; error.code = 'NOT_CANCELLABLE'
+ *   si ya está cancelada; errores de shopifyMutation (userErrors) si Shopify la rechaza
+ */
+async function cancelOrder(shop, orderId, options) {
+  const order = await fetchOrder(shop, orderId);
+  if (order.cancelled_at) {
+    throw notCancellableError(`The order was already cancelled at ${order.cancelled_at}`);
+  }
+
+  const { job } = await shopifyMutation(shop, ORDER_CANCEL_MUTATION, buildCancelVariables(orderId, options));
+
+  let done = !job || job.done;
+  for (let polls = 0; !done && polls < CANCEL_JOB_POLLS; polls++) {
+    await sleep(CANCEL_JOB_POLL_MS);
+    const data = await shopifyGraphQL(shop, JOB_QUERY, { id: job.id });
+    done = !data.job || data.job.done;
+  }
+
+  return fetchOrder(shop, orderId);
+}
+
+/**
+ * Obtiene las etiquetas y atributos de nota actuales de una orden
+ * @throws {Error} error.status = 404 si la orden no existe
+ */
+async function fetchOrderTags(shop, orderId) {
+  if (!/^\d+$/.test(String(orderId))) {
+    throw orderNotFoundError(orderId);
+  }
+
+  const data = await shopifyGraphQL(shop, ORDER_TAGS_QUERY, { id: `gid://shopify/Order/${orderId}` });
+  if (!data.order) {
+    throw orderNotFoundError(orderId);
+  }
+  return data.order;
+}
+
+/**
+ * Agrega o quita etiquetas de una orden
+ * @param {string} shop - Dominio de la tienda
+ * @param {string|number} orderId - ID de la orden
+ * @param {{ add?: string[], remove?: string[] }} changes - Etiquetas a agregar / quitar
+ * @returns {Promise<object>} Orden actualizada (forma REST)
+ * @throws {Error} error.status = 404 si la orden no existe; errores de shopifyMutation
+ */
+async function updateOrderTags(shop, orderId, { add = [], remove = [] }) {
+  const order = await fetchOrderTags(shop, orderId);
+
+  if (add.length > 0) {
+    await shopifyMutation(shop, TAGS_ADD_MUTATION, { id: order.id, tags: add });
+  }
+  if (remove.length > 0) {
+    await shopifyMutation(shop, TAGS_REMOVE_MUTATION, { id: order.id, tags: remove });
+  }
+
+  return fetchOrder(shop, orderId);
+}
+
+/**
+ * Modifica o reemplaza los atributos de nota (note_attributes) de una orden
+ * @param {string} shop - Dominio de la tienda
+ * @param {string|number} orderId - ID de la orden
+ * @param {object} attributes - { nombre: valor }; null elimina el atributo
+ * @param {object} [options]
+ * @param {boolean} [options.replace] - true reemplaza todos los atributos
+ * @returns {Promise<object>} Orden actualizada (forma REST)
+ * @throws {Error} error.status = 404 si la orden no existe; errores de shopifyMutation
+ */
+async function updateOrderAttributes(shop, orderId, attributes, { replace = false } = {}) {
+  const order = await fetchOrderTags(shop, orderId);
+
+  await shopifyMutation(shop, ORDER_ATTRIBUTES_MUTATION, {
+    input: {
+      id: order.id,
+      customAttributes: mergeAttributes(order.customAttributes || [], attributes, replace),
+    },
+  });
+
+  return fetchOrder(shop, orderId);
+}
+
 /**
  * Verifica si una tienda tiene token configurado
  * @param {string} shop - Dominio de la tienda
@@ -129,6 +681,18 @@ function isShopConfigured(shop) {
 module.exports = {
   createShopifyClient,
   shopifyGraphQL,
+  shopifyMutation,
   shopifyREST,
+  fetchOrdersPage,
+  fetchOrder,
+  fetchShopInfo,
+  fetchShopDetails,
+  revokeShopToken,
+  createFulfillment,
+  calculateRefund,
+  createRefund,
+  cancelOrder,
+  updateOrderTags,
+  updateOrderAttributes,
   isShopConfigured,
 };
@@ -0,0 +1,83 @@
+/**
+ * Clave de acceso de comprobantes electrónicos del SRI (49 dígitos)
+ *
+ * Estructura:
+ *   fechaEmision (ddmmaaaa, 8) + tipoComprobante (2) + ruc (13) + ambiente (1)
+ *   + serie estab+ptoEmi (6) + secuencial (9) + codigoNumerico (8)
+ *   + tipoEmision (1) + dígito verificador módulo 11 (1)
+ */
+
+/**
+ * Calcula el dígito verificador módulo 11 del SRI
+ * Pesos 2..7 de derecha a izquierda; 11 -> 0 y 10 -> 1.
+ * @param {string} digits - Los primeros 48 dígitos de la clave
+ * @returns {number}
+ */
+function modulo11(digits) {
+  let sum = 0;
+  let weight = 2;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    sum += Number(digits[i]) * weight;
+    weight = weight === 7 ? 2 : weight + 1;
+  }
+
+  const check = 11 - (sum % 11);
+  if (check === 11) return 0;
+  if (check === 10) return 1;
+  return check;
+}
+
+/**
+ * Genera la clave de acceso
+ * @param {object} data
+ * @param {string} data.fechaEmision - dd/mm/aaaa
+ * @param {string} data.codDoc - Tipo de comprobante (01 factura)
+ * @param {string} data.ruc - RUC del emisor (13 dígitos)
+ * @param {string} data.ambiente - 1 pruebas, 2 producción
+ * @param {string} data.estab - Establecimiento (3 dígitos)
+ * @param {string} data.ptoEmi - Punto de emisión (3 dígitos)
+ * @param {string} data.secuencial - Secuencial (9 dígitos)
+ * @param {string} data.codigoNumerico - Código numérico (8 dígitos)
+ * @param {string} [data.tipoEmision] - 1 emisión normal
+ * @returns {string} Clave de 49 dígitos
+ * @throws {Error} Si algún componente no tiene la longitud esperada
+ */
+function generarClaveAcceso({
+  fechaEmision,
+  codDoc,
+  ruc,
+  ambiente,
+  estab,
+  ptoEmi,
+  secuencial,
+  codigoNumerico,
+  tipoEmision = '1',
+}) {
+  const fecha = String(fechaEmision).replace(/\//g, '');
+  const parts = [
+    ['fechaEmision', fecha, 8],
+    ['codDoc', codDoc, 2],
+    ['ruc', ruc, 13],
+    ['ambiente', ambiente, 1],
+    ['estab', estab, 3],
+    ['ptoEmi', ptoEmi, 3],
+    ['secuencial', secuencial, 9],
+    ['codigoNumerico', codigoNumerico, 8],
+    ['tipoEmision', tipoEmision, 1],
+  ];
+
+  for (const [name, value, length] of parts) {
+    if (!new RegExp(`^\\d{${length}}$`).test(String(value))) {
+      throw new Error(`claveAcceso: ${name} must be ${length} digits`);
+    }
+  }
+
+  const base = parts.map(([, value]) => value).join('');
+  return `${base}${modulo11(base)}`;
+}
+
+module.exports = {
+  modulo11,
+  generarClaveAcceso,
+};
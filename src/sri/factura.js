@@ -0,0 +1,395 @@
+const { generarClaveAcceso } = require('./claveAcceso');
+const { TIPOS } = require('../utils/identificacion');
+
+/**
+ * Factura electrónica del SRI (comprobante "factura" versión 1.1.0)
+ * Se construye a partir de la orden formateada (formatOrder) y la configuración
+ * SRI de la tienda (store/shopSettings, sección "sri").
+ */
+
+const COD_DOC_FACTURA = '01';
+
+// Código de impuesto IVA y códigos de porcentaje por tarifa (tabla 17 de la ficha técnica)
+const CODIGO_IVA = '2';
+const CODIGOS_PORCENTAJE_IVA = {
+  0: '0',
+  5: '5',
+  12: '2',
+  13: '10',
+  14: '3',
+  15: '4',
+};
+
+// Tipo de identificación del comprador (tabla 6) por tipoIdentificacion de formatOrder
+const TIPO_IDENTIFICACION = {
+  [TIPOS.ruc]: '04',
+  [TIPOS.cedula]: '05',
+  [TIPOS.pasaporte]: '06',
+  [TIPOS.consumidorFinal]: '07',
+};
+
+// Formas de pago (tabla 24)
+const FORMAS_PAGO = ['01', '15', '16', '17', '18', '19', '20', '21'];
+
+/**
+ * Valida la configuración SRI de una tienda
+ * @param {object} settings - Sección "sri" de la configuración
+ * @returns {object[]} Lista de { field, message } (vacía si es válida)
+ */
+function validateSriSettings(settings) {
+  const errors = [];
+  const required = ['ruc', 'razonSocial', 'dirMatriz', 'estab', 'ptoEmi', 'ambiente', 'obligadoContabilidad'];
+
+  for (const field of required) {
+    if (!settings[field] || !String(settings[field]).trim()) {
+      errors.push({ field: `configuracion.${field}`, message: `${field} is not configured for this shop` });
+    }
+  }
+
+  if (settings.ruc && !/^\d{10}001$/.test(settings.ruc)) {
+    errors.push({ field: 'configuracion.ruc', message: 'ruc must be 13 digits ending in 001' });
+  }
+  if (settings.estab && !/^\d{3}$/.test(settings.estab)) {
+    errors.push({ field: 'configuracion.estab', message: 'estab must be 3 digits' });
+  }
+  if (settings.ptoEmi && !/^\d{3}$/.test(settings.ptoEmi)) {
+    errors.push({ field: 'configuracion.ptoEmi', message: 'ptoEmi must be 3 digits' });
+  }
+  if (settings.ambiente && !['1', '2'].includes(String(settings.ambiente))) {
+    errors.push({ field: 'configuracion.ambiente', message: 'ambiente must be 1 (pruebas) or 2 (producción)' });
+  }
+  if (settings.obligadoContabilidad && !['SI', 'NO'].includes(settings.obligadoContabilidad)) {
+    errors.push({ field: 'configuracion.obligadoContabilidad', message: 'obligadoContabilidad must be SI or NO' });
+  }
+  if (settings.contribuyenteEspecial && !/^\d{3,13}$/.test(settings.contribuyenteEspecial)) {
+    errors.push({ field: 'configuracion.contribuyenteEspecial', message: 'contribuyenteEspecial must be a resolution number (3 to 13 digits)' });
+  }
+  if (settings.formaPago && !FORMAS_PAGO.includes(settings.formaPago)) {
+    errors.push({ field: 'configuracion.formaPago', message: `formaPago must be one of: ${FORMAS_PAGO.join(', ')}` });
+  }
+  if (settings.zonaHoraria) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: settings.zonaHoraria });
+    } catch {
+      errors.push({ field: 'configuracion.zonaHoraria', message: 'zonaHoraria must be an IANA time zone' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Escapa texto para XML
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Normaliza texto para los campos alfanuméricos del SRI (sin saltos de línea, longitud máxima)
+ */
+function texto(value, maxLength) {
+  return String(value || '').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Fecha dd/mm/aaaa en la zona horaria de la tienda
+ */
+function formatFechaEmision(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+  }).formatToParts(new Date(date));
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return `${get('day')}/${get('month')}/${get('year')}`;
+}
+
+// Tarifas de IVA en orden de preferencia cuando el impuesto coincide con varias
+// (montos pequeños): primero las vigentes, luego las históricas
+const TARIFAS_PREFERIDAS = [15, 12, 5, 14, 13];
+
+/**
+ * Identifica la tarifa de IVA de una línea a partir de su base y su impuesto
+ * Elige la tarifa cuyo impuesto calculado más se acerca al de la línea (con
+ * margen por el redondeo de Shopify); en empate, la primera de TARIFAS_PREFERIDAS.
+ * @returns {number|null} Tarifa (0, 5, 12, 13, 14, 15) o null si no coincide con ninguna
+ */
+function detectarTarifa(baseCents, taxCents) {
+  if (taxCents === 0) return 0;
+  if (baseCents <= 0) return null;
+
+  const tolerance = Math.max(2, Math.round(baseCents * 0.001));
+  let mejor = null;
+  let menorDiferencia = Infinity;
+
+  for (const tarifa of TARIFAS_PREFERIDAS) {
+    const diferencia = Math.abs(taxCents - Math.round((baseCents * tarifa) / 100));
+    if (diferencia <= tolerance && diferencia < menorDiferencia) {
+      mejor = tarifa;
+      menorDiferencia = diferencia;
+    }
+  }
+  return mejor;
+}
+
+/**
+ * Separa la base imponible, el descuento y el IVA de un producto de formatOrder
+ * Con impuestosIncluidos los precios traen IVA: la base y el descuento se dan sin él.
+ * @param {object} producto - Producto de formatOrder (incluye los de envío)
+ * @param {boolean} impuestosIncluidos - pedido.impuestosIncluidos
+ * @returns {{ baseCents: number, descuentoCents: number, taxCents: number, tarifa: number|null }}
+ *   tarifa null si el impuesto no coincide con ninguna tarifa de IVA
+ */
+function desglosarProducto(producto, impuestosIncluidos) {
+  const grossCents = toCents(producto.precioTotal);
+  const descuentoCents = toCents(producto.descuento);
+  const taxCents = toCents(producto.impuesto);
+
+  const baseCents = impuestosIncluidos
+    ? grossCents - descuentoCents - taxCents
+    : grossCents - descuentoCents;
+  const tarifa = detectarTarifa(baseCents, taxCents);
+
+  // Descuento sin IVA cuando los precios incluyen impuestos
+  const descuentoSinImpuesto = impuestosIncluidos && tarifa !== null
+    ? Math.round(descuentoCents / (1 + tarifa / 100))
+    : descuentoCents;
+
+  return { baseCents, descuentoCents: descuentoSinImpuesto, taxCents, tarifa };
+}
+
+/**
+ * Calcula los detalles de la factura desde los productos de formatOrder
+ * @returns {{ detalles: object[], missing: object[] }}
+ */
+function calcularDetalles(pedido) {
+  const detalles = [];
+  const missing = [];
+
+  pedido.productos.forEach((producto, index) => {
+    const cantidad = Number(producto.cantidad) || 0;
+    const field = `productos[${index}]`;
+
+    if (cantidad <= 0) {
+      missing.push({ field: `${field}.cantidad`, message: `Line "${producto.titulo}" has no quantity` });
+      return;
+    }
+
+    const { baseCents, descuentoCents, taxCents, tarifa } = desglosarProducto(producto, pedido.impuestosIncluidos);
+    if (tarifa === null) {
+      missing.push({
+        field: `${field}.impuesto`,
+        message: `Tax ${producto.impuesto} on line "${producto.titulo}" does not match any IVA rate (0, 5, 12, 13, 14, 15%)`,
+      });
+      return;
+    }
+
+    const codigoPrincipal = texto(producto.sku || producto.varianteId || producto.productoId || producto.id, 25);
+    if (!codigoPrincipal) {
+      missing.push({ field: `${field}.sku`, message: `Line "${producto.titulo}" has no SKU or product ID` });
+      return;
+    }
+
+    detalles.push({
+      codigoPrincipal,
+      descripcion: texto([producto.titulo, producto.variante].filter(Boolean).join(' - '), 300),
+      cantidad: cantidad.toFixed(6),
+      precioUnitario: ((baseCents + descuentoCents) / 100 / cantidad).toFixed(6),
+      descuento: fromCents(descuentoCents),
+      baseCents,
+      descuentoCents,
+      taxCents,
+      tarifa,
+    });
+  });
+
+  return { detalles, missing };
+}
+
+/**
+ * Construye el XML de la factura electrónica
+ * @param {object} pedido - Orden formateada (formatOrder)
+ * @param {object} settings - Sección "sri" de la configuración de la tienda
+ * @param {{ secuencial?: string }} options - Secuencial (default: número de pedido)
+ * @returns {{ xml: string|null, claveAcceso: string|null, missing: object[] }}
+ *   missing lista exactamente los datos faltantes o inválidos; si no está vacía xml es null
+ */
+function buildFacturaXml(pedido, settings, options = {}) {
+  const missing = validateSriSettings(settings);
+
+  // Comprador (tipoIdentificacion e identificacionValida vienen de formatOrder)
+  if (!pedido.cedulaRuc) {
+    missing.push({ field: 'cedulaRuc', message: 'The order has no buyer cédula/RUC' });
+  } else if (!pedido.identificacionValida) {
+    missing.push({
+      field: 'cedulaRuc',
+      message: `Buyer ID "${pedido.cedulaRuc}" is not a valid ${pedido.tipoIdentificacion} (check digit or format)`,
+    });
+  }
+  const comprador = {
+    tipo: TIPO_IDENTIFICACION[pedido.tipoIdentificacion],
+    identificacion: pedido.cedulaRuc,
+  };
+
+  const facturacion = pedido.direccionFacturacion || {};
+  const razonSocialComprador = texto(facturacion.empresa || facturacion.nombre || pedido.cliente?.nombreCompleto, 300);
+  if (!razonSocialComprador) {
+    missing.push({ field: 'razonSocialComprador', message: 'The order has no billing name, company or customer name' });
+  }
+
+  // Secuencial
+  const numeroPedido = String(pedido.numeroPedido || '').replace(/\D/g, '');
+  const secuencial = String(options.secuencial || numeroPedido).padStart(9, '0');
+  if (!/^\d{9}$/.test(secuencial) || /^0+$/.test(secuencial)) {
+    missing.push({ field: 'secuencial', message: 'secuencial must be a number of up to 9 digits' });
+  }
+
+  // Impuestos por línea
+  if (!pedido.productos || pedido.productos.length === 0) {
+    missing.push({ field: 'productos', message: 'The order has no line items' });
+  }
+  const { detalles, missing: detalleMissing } = calcularDetalles({ ...pedido, productos: pedido.productos || [] });
+  missing.push(...detalleMissing);
+
+  if (missing.length > 0) {
+    return { xml: null, claveAcceso: null, missing };
+  }
+
+  const fechaEmision = formatFechaEmision(pedido.fechaCreacion, settings.zonaHoraria);
+  const codigoNumerico = String(pedido.id).replace(/\D/g, '').slice(-8).padStart(8, '0');
+  const claveAcceso = generarClaveAcceso({
+    fechaEmision,
+    codDoc: COD_DOC_FACTURA,
+    ruc: settings.ruc,
+    ambiente: String(settings.ambiente),
+    estab: settings.estab,
+    ptoEmi: settings.ptoEmi,
+    secuencial,
+    codigoNumerico,
+  });
+
+  // Totales por tarifa
+  const totalesPorTarifa = new Map();
+  for (const detalle of detalles) {
+    const total = totalesPorTarifa.get(detalle.tarifa) || { baseCents: 0, taxCents: 0 };
+    total.baseCents += detalle.baseCents;
+    total.taxCents += detalle.taxCents;
+    totalesPorTarifa.set(detalle.tarifa, total);
+  }
+
+  const totalSinImpuestos = detalles.reduce((sum, d) => sum + d.baseCents, 0);
+  const totalDescuento = detalles.reduce((sum, d) => sum + d.descuentoCents, 0);
+  const totalIva = detalles.reduce((sum, d) => sum + d.taxCents, 0);
+  const importeTotal = totalSinImpuestos + totalIva;
+
+  const el = (name, value) => `<${name}>${escapeXml(value)}</${name}>`;
+  const lines = [];
+  const push = (indent, line) => lines.push(`${'  '.repeat(indent)}${line}`);
+
+  push(0, '<?xml version="1.0" encoding="UTF-8"?>');
+  push(0, '<factura id="comprobante" version="1.1.0">');
+
+  push(1, '<infoTributaria>');
+  push(2, el('ambiente', settings.ambiente));
+  push(2, el('tipoEmision', '1'));
+  push(2, el('razonSocial', texto(settings.razonSocial, 300)));
+  if (settings.nombreComercial) push(2, el('nombreComercial', texto(settings.nombreComercial, 300)));
+  push(2, el('ruc', settings.ruc));
+  push(2, el('claveAcceso', claveAcceso));
+  push(2, el('codDoc', COD_DOC_FACTURA));
+  push(2, el('estab', settings.estab));
+  push(2, el('ptoEmi', settings.ptoEmi));
+  push(2, el('secuencial', secuencial));
+  push(2, el('dirMatriz', texto(settings.dirMatriz, 300)));
+  push(1, '</infoTributaria>');
+
+  push(1, '<infoFactura>');
+  push(2, el('fechaEmision', fechaEmision));
+  if (settings.dirEstablecimiento) push(2, el('dirEstablecimiento', texto(settings.dirEstablecimiento, 300)));
+  if (settings.contribuyenteEspecial) push(2, el('contribuyenteEspecial', settings.contribuyenteEspecial));
+  push(2, el('obligadoContabilidad', settings.obligadoContabilidad));
+  push(2, el('tipoIdentificacionComprador', comprador.tipo));
+  push(2, el('razonSocialComprador', razonSocialComprador));
+  push(2, el('identificacionComprador', comprador.identificacion));
+  const direccionComprador = texto([facturacion.direccion1, facturacion.direccion2, facturacion.ciudad].filter(Boolean).join(', '), 300);
+  if (direccionComprador) push(2, el('direccionComprador', direccionComprador));
+  push(2, el('totalSinImpuestos', fromCents(totalSinImpuestos)));
+  push(2, el('totalDescuento', fromCents(totalDescuento)));
+  push(2, '<totalConImpuestos>');
+  for (const [tarifa, total] of totalesPorTarifa) {
+    push(3, '<totalImpuesto>');
+    push(4, el('codigo', CODIGO_IVA));
+    push(4, el('codigoPorcentaje', CODIGOS_PORCENTAJE_IVA[tarifa]));
+    push(4, el('baseImponible', fromCents(total.baseCents)));
+    push(4, el('valor', fromCents(total.taxCents)));
+    push(3, '</totalImpuesto>');
+  }
+  push(2, '</totalConImpuestos>');
+  push(2, el('propina', '0.00'));
+  push(2, el('importeTotal', fromCents(importeTotal)));
+  push(2, el('moneda', 'DOLAR'));
+  push(2, '<pagos>');
+  push(3, '<pago>');
+  push(4, el('formaPago', settings.formaPago));
+  push(4, el('total', fromCents(importeTotal)));
+  push(3, '</pago>');
+  push(2, '</pagos>');
+  push(1, '</infoFactura>');
+
+  push(1, '<detalles>');
+  for (const detalle of detalles) {
+    push(2, '<detalle>');
+    push(3, el('codigoPrincipal', detalle.codigoPrincipal));
+    push(3, el('descripcion', detalle.descripcion));
+    push(3, el('cantidad', detalle.cantidad));
+    push(3, el('precioUnitario', detalle.precioUnitario));
+    push(3, el('descuento', detalle.descuento));
+    push(3, el('precioTotalSinImpuesto', fromCents(detalle.baseCents)));
+    push(3, '<impuestos>');
+    push(4, '<impuesto>');
+    push(5, el('codigo', CODIGO_IVA));
+    push(5, el('codigoPorcentaje', CODIGOS_PORCENTAJE_IVA[detalle.tarifa]));
+    push(5, el('tarifa', String(detalle.tarifa)));
+    push(5, el('baseImponible', fromCents(detalle.baseCents)));
+    push(5, el('valor', fromCents(detalle.taxCents)));
+    push(4, '</impuesto>');
+    push(3, '</impuestos>');
+    push(2, '</detalle>');
+  }
+  push(1, '</detalles>');
+
+  const adicionales = [
+    ['Pedido', pedido.numeroPedido],
+    ['Email', pedido.cliente?.email],
+    ['Telefono', facturacion.telefono || pedido.cliente?.telefono],
+  ].filter(([, value]) => value);
+  if (adicionales.length > 0) {
+    push(1, '<infoAdicional>');
+    for (const [nombre, value] of adicionales) {
+      push(2, `<campoAdicional nombre="${escapeXml(nombre)}">${escapeXml(texto(value, 300))}</campoAdicional>`);
+    }
+    push(1, '</infoAdicional>');
+  }
+
+  push(0, '</factura>');
+
+  return { xml: lines.join('\n'), claveAcceso, missing: [] };
+}
+
+module.exports = {
+  FORMAS_PAGO,
+  validateSriSettings,
+  detectarTarifa,
+  desglosarProducto,
+  buildFacturaXml,
+};
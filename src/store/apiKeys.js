@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { createStoreBackend } = require('./backends');
+const { createLogger } = require('../logger');
+
+const log = createLogger('ApiKeys');
+
+/**
+ * Store de API keys de clientes
+ * Registro: { id, name, key_hash, shops, access, created_at, revoked_at, last_used_at }
+ * La key completa solo se muestra al crearla; se guarda el hash SHA-256.
+ */
+
+const KEY_PREFIX = 'sk';
+const ACCESS_LEVELS = ['read', 'read_write'];
+
+// Mínimo entre escrituras de last_used_at para no escribir en cada request
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+let backend = null;
+
+/**
+ * Obtiene el backend de almacenamiento configurado (STORE_BACKEND)
+ * @returns {object}
+ */
+function getBackend() {
+  if (!backend) {
+    backend = createStoreBackend('api_keys');
+  }
+  return backend;
+}
+
+/**
+ * Calcula el hash de una key
+ * @param {string} key - Key completa
+ * @returns {string} SHA-256 en hex
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Quita el hash del registro antes de devolverlo a la API
+ * @param {object} record - Registro del store
+ * @returns {object}
+ */
+function toPublicRecord(record) {
+  const { key_hash, ...publicRecord } = record;
+  return publicRecord;
+}
+
+/**
+ * Crea una API key
+ * @param {{ name: string, shops: string[], access: string }} options
+ *   shops: dominios permitidos o ['*'] para todas las tiendas
+ * @returns {{ key: string, apiKey: object }} key en claro (solo se devuelve aquí) y registro público
+ */
+function createApiKey({ name, shops, access }) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}_${id}_${secret}`;
+
+  const record = {
+    id,
+    name,
+    key_hash: hashKey(key),
+    shops,
+    access,
+    created_at: new Date().toISOString(),
+    revoked_at: null,
+    last_used_at: null,
+  };
+
+  getBackend().set(id, record);
+
+  return { key, apiKey: toPublicRecord(record) };
+}
+
+/**
+ * Lista las API keys (sin hashes)
+ * @returns {object[]}
+ */
+function listApiKeys() {
+  return Object.values(getBackend().entries()).map(toPublicRecord);
+}
+
+/**
+ * Revoca una API key
+ * @param {string} id - ID de la key
+ * @returns {object|null} Registro revocado o null si no existe
+ */
+function revokeApiKey(id) {
+  const record = getBackend().update(id, (current) => {
+    if (!current) return undefined;
+    if (current.revoked_at) return current;
+    return { ...current, revoked_at: new Date().toISOString() };
+  });
+  return record ? toPublicRecord(record) : null;
+}
+
+/**
+ * Busca una API key activa a partir de la key completa
+ * @param {string} key - Key recibida en el header Authorization
+ * @returns {object|null} Registro público o null si no existe, no coincide o está revocada
+ */
+function findApiKey(key) {
+  const match = /^sk_([0-9a-f]{12})_[A-Za-z0-9_-]+$/.exec(key || '');
+  if (!match) return null;
+
+  const record = getBackend().get(match[1]);
+  if (!record || record.revoked_at) return null;
+
+  const expected = Buffer.from(record.key_hash, 'hex');
+  const received = Buffer.from(hashKey(key), 'hex');
+  if (!crypto.timingSafeEqual(expected, received)) return null;
+
+  return toPublicRecord(record);
+}
+
+/**
+ * Registra el uso de una key (como máximo una escritura por minuto)
+ * @param {object} apiKey - Registro público devuelto por findApiKey
+ */
+function touchApiKey(apiKey) {
+  const now = Date.now();
+  if (apiKey.last_used_at && now - Date.parse(apiKey.last_used_at) < LAST_USED_THROTTLE_MS) {
+    return;
+  }
+
+  try {
+    getBackend().update(apiKey.id, (current) => {
+      if (!current) return undefined;
+      return { ...current, last_used_at: new Date(now).toISOString() };
+    });
+  } catch (error) {
+    log.error('Error updating last_used_at', { keyId: apiKey.id, error });
+  }
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  touchApiKey,
+};
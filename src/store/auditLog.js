@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { createLogger, getContext, redact } = require('../logger');
+
+const log = createLogger('Audit');
+
+/**
+ * Registro de auditoría (solo se agregan eventos, nunca se modifican)
+ *
+ * Un evento JSON por línea en audit.log (STORE_DIR, o AUDIT_LOG_FILE). Al pasar
+ * AUDIT_LOG_MAX_BYTES se rota a audit.log.1, audit.log.2, ... y se conservan
+ * AUDIT_LOG_MAX_FILES archivos rotados (los más antiguos se borran). Con
+ * STORE_BACKEND=memory queda en memoria (los últimos MEMORY_MAX_EVENTS eventos).
+ * Evento: { id, time, type, requestId, actor: { type, id, name }, shop, method, path, status, details }
+ */
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '../..');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+const MEMORY_MAX_EVENTS = 10000;
+
+let memoryEvents = null;
+
+function isMemory() {
+  return (process.env.STORE_BACKEND || 'file').trim().toLowerCase() === 'memory';
+}
+
+function getFilePath() {
+  return process.env.AUDIT_LOG_FILE || path.join(process.env.STORE_DIR || DEFAULT_STORE_DIR, 'audit.log');
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Rota el archivo si con la nueva línea pasaría de AUDIT_LOG_MAX_BYTES
+ * audit.log -> audit.log.1 -> audit.log.2 ...; el último rotado se borra.
+ */
+function rotateIfNeeded(filePath, incomingBytes) {
+  const maxBytes = parsePositiveInt(process.env.AUDIT_LOG_MAX_BYTES, DEFAULT_MAX_BYTES);
+  const maxFiles = parsePositiveInt(process.env.AUDIT_LOG_MAX_FILES, DEFAULT_MAX_FILES);
+
+  let size;
+  try {
+    size = fs.statSync(filePath).size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  if (size === 0 || size + incomingBytes <= maxBytes) return;
+
+  // Otro proceso puede estar rotando a la vez: los archivos que ya no están se ignoran
+  const ignoreMissing = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  ignoreMissing(() => fs.unlinkSync(`${filePath}.${maxFiles}`));
+  for (let i = maxFiles - 1; i >= 1; i--) {
+    ignoreMissing(() => fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`));
+  }
+  ignoreMissing(() => fs.renameSync(filePath, `${filePath}.1`));
+}
+
+/**
+ * Archivos del registro, del más antiguo al más reciente
+ * @returns {Promise<string[]>}
+ */
+async function listLogFiles() {
+  const filePath = getFilePath();
+  const prefix = `${path.basename(filePath)}.`;
+
+  let names;
+  try {
+    names = await fs.promises.readdir(path.dirname(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const rotated = names
+    .filter((name) => name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length)))
+    .map((name) => Number(name.slice(prefix.length)))
+    .sort((a, b) => b - a)
+    .map((n) => `${filePath}.${n}`);
+
+  return [...rotated, filePath];
+}
+
+/**
+ * Todos los eventos, del más antiguo al más reciente, leídos línea por línea
+ * (sin cargar el registro completo en memoria ni bloquear el event loop)
+ */
+async function* readEvents() {
+  if (isMemory()) {
+    yield* (memoryEvents || []).slice();
+    return;
+  }
+
+  for (const file of await listLogFiles()) {
+    let handle;
+    try {
+      handle = await fs.promises.open(file, 'r');
+    } catch (error) {
+      // Rotado o borrado mientras se listaban los archivos
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input: handle.createReadStream({ encoding: 'utf8' }), crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          // Línea cortada por un crash durante la escritura: se ignora
+          continue;
+        }
+        yield event;
+      }
+    } finally {
+      lines.close();
+      await handle.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Agrega un evento al registro
+ * @param {string} type - shop.installed, shop.uninstalled, api_key.used, write, ...
+ * @param {object} [event]
+ * @param {{ type: string, id?: string, name?: string }} [event.actor] - Quién lo hizo
+ * @param {string} [event.shop]
+ * @param {string} [event.requestId] - Default: el del request en curso
+ * @param {string} [event.method]
+ * @param {string} [event.path]
+ * @param {number} [event.status]
+ * @param {object} [event.details] - Datos del evento (se quitan tokens y secretos)
+ * @returns {object|null} Evento guardado o null si no se pudo escribir
+ */
+function appendAuditEvent(type, { actor = null, shop = null, requestId = getContext()?.requestId ?? null, method = null, path: route = null, status = null, details = null } = {}) {
+  const event = redact({
+    id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    time: new Date().toISOString(),
+    type,
+    requestId,
+    actor,
+    shop,
+    method,
+    path: route,
+    status,
+    details,
+  });
+
+  try {
+    if (isMemory()) {
+      memoryEvents = memoryEvents || [];
+      memoryEvents.push(event);
+      if (memoryEvents.length > MEMORY_MAX_EVENTS) {
+        memoryEvents.splice(0, memoryEvents.length - MEMORY_MAX_EVENTS);
+      }
+    } else {
+      const filePath = getFilePath();
+      const line = `${JSON.stringify(event)}\n`;
+      rotateIfNeeded(filePath, Buffer.byteLength(line));
+      // O_APPEND: cada línea se agrega completa aunque escriban varios procesos
+      fs.appendFileSync(filePath, line, { encoding: 'utf8', mode: 0o600 });
+    }
+    return event;
+  } catch (error) {
+    log.error('Error writing audit event', { type, error });
+    return null;
+  }
+}
+
+/**
+ * Consulta eventos, del más reciente al más antiguo
+ * @param {object} filters
+ * @param {string} [filters.type] - Tipo exacto, o prefijo terminado en "." (ej: "shop.")
+ * @param {string} [filters.shop]
+ * @param {string} [filters.actor] - ID del actor (admin, ID de la API key, session:...)
+ * @param {number} [filters.since] - Milisegundos (incluido)
+ * @param {number} [filters.until] - Milisegundos (incluido)
+ * @param {number} filters.limit
+ * @param {{ id: string, time: string }|null} [filters.before] - nextCursor: eventos anteriores a ese evento
+ * @returns {Promise<{ events: object[], next: { id: string, time: string }|null }>} next: evento desde el que sigue la página siguiente
+ */
+async function queryAuditEvents({ type, shop, actor, since, until, limit, before = null }) {
+  const matches = (event) => {
+    if (type && (type.endsWith('.') ? !String(event.type).startsWith(type) : event.type !== type)) return false;
+    if (shop && event.shop !== shop) return false;
+    if (actor && event.actor?.id !== actor) return false;
+    const time = Date.parse(event.time);
+    if (since !== undefined && time < since) return false;
+    if (until !== undefined && time > until) return false;
+    return true;
+  };
+
+  const beforeTime = before ? Date.parse(before.time) : null;
+
+  // Los últimos limit + 1 eventos que coinciden (el extra indica si hay otra página)
+  const candidates = [];
+  for await (const event of readEvents()) {
+    if (before && (event.id === before.id || Date.parse(event.time) > beforeTime)) break;
+    if (!matches(event)) continue;
+    candidates.push(event);
+    if (candidates.length > limit + 1) candidates.shift();
+  }
+
+  const hasMore = candidates.length > limit;
+  const events = candidates.slice(-limit).reverse();
+  const oldest = events[events.length - 1];
+
+  return {
+    events,
+    next: hasMore ? { id: oldest.id, time: oldest.time } : null,
+  };
+}
+
+module.exports = {
+  appendAuditEvent,
+  queryAuditEvents,
+};
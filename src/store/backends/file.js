@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Backend de archivo JSON para los stores
+ *
+ * - Escrituras atómicas: se escribe a un archivo temporal y se renombra encima
+ *   del original, así un crash nunca deja el JSON a medias.
+ * - Un solo proceso: las operaciones son síncronas, así que dentro del proceso cada
+ *   lectura-modificación-escritura es atómica, pero no hay lock entre procesos.
+ *   Para varios procesos (cluster, varias réplicas) usar STORE_BACKEND=sqlite.
+ * - Cache en memoria invalidada por mtime/tamaño para no parsear el archivo en cada request.
+ */
+
+/**
+ * Crea un backend de archivo JSON
+ * @param {{ filePath: string }} options
+ * @returns {object} Backend con la interfaz get/set/delete/keys/entries/update/updateMany/clear
+ */
+function createFileBackend({ filePath }) {
+  let cache = null;
+  let cacheStamp = null;
+
+  /**
+   * Lee el archivo (o la cache si no cambió desde la última lectura)
+   */
+  function load() {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        cache = {};
+        cacheStamp = null;
+        return cache;
+      }
+      throw error;
+    }
+
+    const stamp = `${stat.mtimeMs}:${stat.size}`;
+    if (cache && cacheStamp === stamp) {
+      return cache;
+    }
+
+    cache = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    cacheStamp = stamp;
+    return cache;
+  }
+
+  /**
+   * Escribe el archivo completo de forma atómica (tmp + fsync + rename)
+   */
+  function persist(data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w', 0o600);
+    try {
+      fs.writeFileSync(fd, JSON.stringify(data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    try {
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      fs.rmSync(tmpPath, { force: true });
+      throw error;
+    }
+
+    const stat = fs.statSync(filePath);
+    cache = data;
+    cacheStamp = `${stat.mtimeMs}:${stat.size}`;
+  }
+
+  const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+  return {
+    name: 'file',
+
+    get(key) {
+      return clone(load()[key]);
+    },
+
+    set(key, value) {
+      persist({ ...load(), [key]: value });
+      return true;
+    },
+
+    delete(key) {
+      const data = load();
+      if (!(key in data)) return false;
+      const next = { ...data };
+      delete next[key];
+      persist(next);
+      return true;
+    },
+
+    keys() {
+      return Object.keys(load());
+    },
+
+    entries() {
+      return clone(load());
+    },
+
+    update(key, updater) {
+      const data = load();
+      const next = updater(clone(data[key]));
+      if (next === undefined) return clone(data[key]);
+
+      const updated = { ...data };
+      if (next === null) {
+        delete updated[key];
+      } else {
+        updated[key] = next;
+      }
+      persist(updated);
+      return clone(next);
+    },
+
+    updateMany(keys, updater) {
+      const updated = { ...load() };
+      let changed = 0;
+
+      for (const key of keys) {
+        const next = updater(key, clone(updated[key]));
+        if (next === undefined || (next === null && !(key in updated))) continue;
+        if (next === null) {
+          delete updated[key];
+        } else {
+          updated[key] = next;
+        }
+        changed++;
+      }
+
+      if (changed > 0) persist(updated);
+      return changed;
+    },
+
+    clear() {
+      fs.rmSync(filePath, { force: true });
+      cache = null;
+      cacheStamp = null;
+      return true;
+    },
+  };
+}
+
+module.exports = createFileBackend;
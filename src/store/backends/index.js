@@ -0,0 +1,67 @@
+const path = require('path');
+const createFileBackend = require('./file');
+const createMemoryBackend = require('./memory');
+const createSqliteBackend = require('./sqlite');
+
+/**
+ * Selección del backend de almacenamiento por configuración
+ *
+ * STORE_BACKEND: file (default) | sqlite | memory
+ * STORE_DIR: directorio de los archivos de datos (default: raíz del proyecto)
+ *
+ * Interfaz común (síncrona) de todos los backends:
+ *   get(key) -> record|null
+ *   set(key, record) -> boolean
+ *   delete(key) -> boolean
+ *   keys() -> string[]
+ *   entries() -> { [key]: record }
+ *   update(key, updater) -> record|null
+ *     updater(actual|null) devuelve el nuevo registro, null para borrarlo
+ *     o undefined para no cambiar nada. Corre de forma atómica.
+ *   updateMany(keys, updater) -> number de registros cambiados
+ *     Igual que update con updater(key, actual|null), todas en una sola escritura.
+ *   clear() -> boolean (borra todos los registros de la colección o partición)
+ */
+
+const BACKENDS = ['file', 'sqlite', 'memory'];
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '../../..');
+
+// Nombre de partición: se usa como nombre de archivo (ej: un dominio de tienda)
+const PARTITION_REGEX = /^[a-z0-9][a-z0-9.-]*$/i;
+
+/**
+ * Crea el backend configurado para una colección
+ * @param {string} name - Nombre de la colección (ej: "shops" -> shops.json / tabla shops)
+ * @param {object} [options]
+ * @param {string} [options.partition] - Partición de la colección (ej: la tienda de las órdenes):
+ *   orders/<partición>.json, o claves "<partición>/..." en la tabla
+ * @returns {object} Backend
+ * @throws {Error} Si STORE_BACKEND o la partición no son válidos
+ */
+function createStoreBackend(name, { partition = null } = {}) {
+  const backend = (process.env.STORE_BACKEND || 'file').trim().toLowerCase();
+  const storeDir = process.env.STORE_DIR || DEFAULT_STORE_DIR;
+
+  if (partition !== null && !PARTITION_REGEX.test(partition)) {
+    throw new Error(`Invalid store partition "${partition}"`);
+  }
+
+  switch (backend) {
+    case 'file':
+      return createFileBackend({
+        filePath: partition ? path.join(storeDir, name, `${partition}.json`) : path.join(storeDir, `${name}.json`),
+      });
+    case 'sqlite':
+      return createSqliteBackend({ filePath: path.join(storeDir, 'store.sqlite'), table: name, partition });
+    case 'memory':
+      return createMemoryBackend();
+    default:
+      throw new Error(`Invalid STORE_BACKEND "${backend}". Allowed: ${BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  createStoreBackend,
+};
@@ -0,0 +1,73 @@
+/**
+ * Backend en memoria para el store de tiendas
+ * Útil para desarrollo y pruebas: los datos se pierden al reiniciar.
+ */
+
+/**
+ * Crea un backend en memoria
+ * @returns {object} Backend con la interfaz get/set/delete/keys/entries/update/updateMany/clear
+ */
+function createMemoryBackend() {
+  const records = new Map();
+
+  // Copia profunda para que quien llama no modifique el store por referencia
+  const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    name: 'memory',
+
+    get(key) {
+      return clone(records.get(key)) ?? null;
+    },
+
+    set(key, value) {
+      records.set(key, clone(value));
+      return true;
+    },
+
+    delete(key) {
+      return records.delete(key);
+    },
+
+    keys() {
+      return [...records.keys()];
+    },
+
+    entries() {
+      return Object.fromEntries([...records].map(([key, value]) => [key, clone(value)]));
+    },
+
+    update(key, updater) {
+      const next = updater(this.get(key));
+      if (next === undefined) return this.get(key);
+      if (next === null) {
+        records.delete(key);
+        return null;
+      }
+      records.set(key, clone(next));
+      return clone(next);
+    },
+
+    updateMany(keys, updater) {
+      let changed = 0;
+      for (const key of keys) {
+        const next = updater(key, this.get(key));
+        if (next === undefined || (next === null && !records.has(key))) continue;
+        if (next === null) {
+          records.delete(key);
+        } else {
+          records.set(key, clone(next));
+        }
+        changed++;
+      }
+      return changed;
+    },
+
+    clear() {
+      records.clear();
+      return true;
+    },
+  };
+}
+
+module.exports = createMemoryBackend;
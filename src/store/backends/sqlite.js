@@ -0,0 +1,123 @@
+/**
+ * Backend SQLite para el store de tiendas (better-sqlite3, dependencia opcional)
+ *
+ * Cada registro se guarda como JSON en una fila; las actualizaciones corren
+ * en transacciones IMMEDIATE para serializar escritores entre procesos.
+ * Las particiones (ej: las órdenes de cada tienda) comparten la tabla con el
+ * prefijo "<partición>/" en la clave.
+ */
+
+// Una conexión por archivo, compartida entre colecciones
+const connections = new Map();
+
+/**
+ * Crea un backend SQLite
+ * @param {{ filePath: string, table?: string, partition?: string }} options
+ * @returns {object} Backend con la interfaz get/set/delete/keys/entries/update/updateMany/clear
+ * @throws {Error} Si better-sqlite3 no está instalado
+ */
+function createSqliteBackend({ filePath, table = 'shops', partition = null }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('The sqlite store backend requires the "better-sqlite3" package (npm install better-sqlite3)');
+  }
+
+  if (!/^[a-z_][a-z0-9_]*$/i.test(table)) {
+    throw new Error(`Invalid sqlite table name: ${table}`);
+  }
+
+  let db = connections.get(filePath);
+  if (!db) {
+    db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    connections.set(filePath, db);
+  }
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+
+  // Claves de la partición: "<partición>/..." (el rango hasta "<partición>0" cubre el prefijo)
+  const prefix = partition ? `${partition}/` : '';
+  const range = partition ? [prefix, `${partition}0`] : [];
+  const where = partition ? ' WHERE key >= ? AND key < ?' : '';
+  const toKey = (key) => `${prefix}${key}`;
+  const fromKey = (key) => key.slice(prefix.length);
+
+  const statements = {
+    get: db.prepare(`SELECT value FROM ${table} WHERE key = ?`),
+    set: db.prepare(`INSERT INTO ${table} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`),
+    delete: db.prepare(`DELETE FROM ${table} WHERE key = ?`),
+    keys: db.prepare(`SELECT key FROM ${table}${where} ORDER BY rowid`),
+    entries: db.prepare(`SELECT key, value FROM ${table}${where} ORDER BY rowid`),
+    clear: db.prepare(`DELETE FROM ${table}${where}`),
+  };
+
+  const get = (key) => {
+    const row = statements.get.get(toKey(key));
+    return row ? JSON.parse(row.value) : null;
+  };
+
+  const apply = (key, next) => {
+    if (next === null) {
+      return statements.delete.run(toKey(key)).changes > 0;
+    }
+    statements.set.run(toKey(key), JSON.stringify(next));
+    return true;
+  };
+
+  const update = db.transaction((key, updater) => {
+    const next = updater(get(key));
+    if (next === undefined) return get(key);
+    apply(key, next);
+    return next;
+  });
+
+  const updateMany = db.transaction((keys, updater) => {
+    let changed = 0;
+    for (const key of keys) {
+      const next = updater(key, get(key));
+      if (next !== undefined && apply(key, next)) changed++;
+    }
+    return changed;
+  });
+
+  return {
+    name: 'sqlite',
+
+    get,
+
+    set(key, value) {
+      return apply(key, value);
+    },
+
+    delete(key) {
+      return apply(key, null);
+    },
+
+    keys() {
+      return statements.keys.all(...range).map((row) => fromKey(row.key));
+    },
+
+    entries() {
+      return Object.fromEntries(
+        statements.entries.all(...range).map((row) => [fromKey(row.key), JSON.parse(row.value)])
+      );
+    },
+
+    update(key, updater) {
+      return update.immediate(key, updater);
+    },
+
+    updateMany(keys, updater) {
+      return updateMany.immediate(keys, updater);
+    },
+
+    clear() {
+      statements.clear.run(...range);
+      return true;
+    },
+  };
+}
+
+module.exports = createSqliteBackend;
@@ -0,0 +1,103 @@
+const { createStoreBackend } = require('./backends');
+
+/**
+ * Claves de idempotencia de las operaciones de escritura en Shopify
+ * Registro: { fingerprint, status: 'pending'|'completed', response: { status, body }, created_at, expires_at }
+ * La clave del registro es "<cliente>:<tienda>:<Idempotency-Key>".
+ */
+
+// Tiempo que se guarda la respuesta de una operación
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Una operación pendiente más vieja que esto se considera abandonada (ej: reinicio del servidor)
+const PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+let backend = null;
+
+/**
+ * Obtiene el backend de almacenamiento configurado (STORE_BACKEND)
+ * @returns {object}
+ */
+function getBackend() {
+  if (!backend) {
+    backend = createStoreBackend('idempotency_keys');
+  }
+  return backend;
+}
+
+/**
+ * Elimina las claves vencidas
+ */
+function purgeExpiredKeys() {
+  const now = Date.now();
+  for (const [key, record] of Object.entries(getBackend().entries())) {
+    if (Date.parse(record.expires_at) <= now) {
+      getBackend().delete(key);
+    }
+  }
+}
+
+/**
+ * Reserva una clave de idempotencia antes de ejecutar la operación
+ * @param {string} key - Clave del registro
+ * @param {string} fingerprint - Hash del request (método, ruta y body)
+ * @returns {{ state: 'new'|'pending'|'completed'|'mismatch', response?: object }}
+ *   new: la operación debe ejecutarse; completed: trae la respuesta guardada
+ */
+function reserveIdempotencyKey(key, fingerprint) {
+  purgeExpiredKeys();
+
+  let result;
+  getBackend().update(key, (current) => {
+    const now = Date.now();
+    const stale = current && current.status === 'pending'
+      && now - Date.parse(current.created_at) > PENDING_TIMEOUT_MS;
+
+    if (current && !stale) {
+      if (current.fingerprint !== fingerprint) {
+        result = { state: 'mismatch' };
+      } else if (current.status === 'pending') {
+        result = { state: 'pending' };
+      } else {
+        result = { state: 'completed', response: current.response };
+      }
+      return undefined;
+    }
+
+    result = { state: 'new' };
+    return {
+      fingerprint,
+      status: 'pending',
+      response: null,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + KEY_TTL_MS).toISOString(),
+    };
+  });
+
+  return result;
+}
+
+/**
+ * Guarda la respuesta de una operación terminada
+ * @param {string} key - Clave del registro
+ * @param {{ status: number, body: object }} response - Respuesta enviada al cliente
+ */
+function completeIdempotencyKey(key, response) {
+  getBackend().update(key, (current) => (current
+    ? { ...current, status: 'completed', response }
+    : undefined));
+}
+
+/**
+ * Libera una clave reservada (la operación falló y se puede reintentar)
+ * @param {string} key - Clave del registro
+ */
+function releaseIdempotencyKey(key) {
+  getBackend().update(key, (current) => (current && current.status === 'pending' ? null : undefined));
+}
+
+module.exports = {
+  reserveIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+};
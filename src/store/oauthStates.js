@@ -0,0 +1,88 @@
+const { createStoreBackend } = require('./backends');
+const { createLogger } = require('../logger');
+
+const log = createLogger('OAuthStates');
+
+/**
+ * Estados (nonces) del flujo OAuth entre /auth y /auth/callback
+ * Registro: { shop, created_at, expires_at }; la clave es el nonce.
+ * Se guardan en el backend configurado para que sobrevivan a un reinicio y
+ * se compartan entre instancias (con file o sqlite en un disco común).
+ */
+
+// Tiempo para completar la autorización en Shopify
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+let backend = null;
+
+/**
+ * Obtiene el backend de almacenamiento configurado (STORE_BACKEND)
+ * @returns {object}
+ */
+function getBackend() {
+  if (!backend) {
+    backend = createStoreBackend('oauth_states');
+  }
+  return backend;
+}
+
+/**
+ * Elimina los estados vencidos
+ */
+function purgeExpiredStates() {
+  const now = Date.now();
+  for (const [nonce, record] of Object.entries(getBackend().entries())) {
+    if (Date.parse(record.expires_at) <= now) {
+      getBackend().delete(nonce);
+    }
+  }
+}
+
+/**
+ * Guarda el estado de una autorización iniciada
+ * @param {string} nonce - Valor del parámetro state
+ * @param {string} shop - Dominio normalizado de la tienda
+ * @returns {boolean} true si se guardó correctamente
+ */
+function saveOAuthState(nonce, shop) {
+  try {
+    purgeExpiredStates();
+
+    const now = Date.now();
+    getBackend().set(nonce, {
+      shop,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + STATE_TTL_MS).toISOString(),
+    });
+    return true;
+  } catch (error) {
+    log.error('Error saving state', { error });
+    return false;
+  }
+}
+
+/**
+ * Obtiene y elimina un estado (solo se puede usar una vez)
+ * @param {string} nonce - Valor del parámetro state del callback
+ * @returns {{ shop: string, created_at: string, expires_at: string }|null} null si no existe o venció
+ */
+function consumeOAuthState(nonce) {
+  try {
+    let found = null;
+    getBackend().update(nonce, (current) => {
+      found = current;
+      return current ? null : undefined;
+    });
+
+    return found && Date.parse(found.expires_at) > Date.now() ? found : null;
+  } catch (error) {
+    log.error('Error reading state', { error });
+    return null;
+  }
+}
+
+module.exports = {
+  STATE_TTL_MS,
+  saveOAuthState,
+  consumeOAuthState,
+};
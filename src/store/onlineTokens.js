@@ -0,0 +1,115 @@
+const { createStoreBackend } = require('./backends');
+const { encryptToken, decryptToken } = require('../utils/tokenCrypto');
+const { createLogger } = require('../logger');
+
+const log = createLogger('OnlineTokens');
+
+/**
+ * Access tokens online (por usuario del admin) obtenidos con token exchange
+ * Registro: { shop, user_id, encrypted_token, key_id, scopes, user, created_at, expires_at }
+ * La clave del registro es "<tienda>:<id de usuario>"; el token se cifra igual que en shops.
+ */
+
+let backend = null;
+
+/**
+ * Obtiene el backend de almacenamiento configurado (STORE_BACKEND)
+ * @returns {object}
+ */
+function getBackend() {
+  if (!backend) {
+    backend = createStoreBackend('online_tokens');
+  }
+  return backend;
+}
+
+const recordKey = (shop, userId) => `${shop}:${userId}`;
+
+/**
+ * Elimina los tokens vencidos
+ */
+function purgeExpiredTokens() {
+  const now = Date.now();
+  for (const [key, record] of Object.entries(getBackend().entries())) {
+    if (record.expires_at && Date.parse(record.expires_at) <= now) {
+      getBackend().delete(key);
+    }
+  }
+}
+
+/**
+ * Guarda el access token online de un usuario
+ * @param {string} shop - Dominio de la tienda
+ * @param {string|number} userId - ID del usuario del admin (sub del session token)
+ * @param {{ accessToken: string, scopes: string[], expiresAt: string|null, user: object|null }} token
+ *   Resultado de exchangeSessionToken
+ * @returns {boolean} true si se guardó correctamente
+ */
+function saveOnlineToken(shop, userId, { accessToken, scopes, expiresAt, user }) {
+  const key = recordKey(shop, userId);
+
+  try {
+    purgeExpiredTokens();
+
+    getBackend().set(key, {
+      shop,
+      user_id: String(userId),
+      ...encryptToken(accessToken, key),
+      scopes,
+      user,
+      created_at: new Date().toISOString(),
+      expires_at: expiresAt,
+    });
+    return true;
+  } catch (error) {
+    log.error('Error saving token', { error });
+    return false;
+  }
+}
+
+/**
+ * Obtiene el access token online vigente de un usuario
+ * @param {string} shop - Dominio de la tienda
+ * @param {string|number} userId - ID del usuario del admin
+ * @returns {{ accessToken: string, scopes: string[], user: object|null, expires_at: string|null }|null}
+ */
+function getOnlineToken(shop, userId) {
+  const key = recordKey(shop, userId);
+
+  try {
+    const record = getBackend().get(key);
+    if (!record || (record.expires_at && Date.parse(record.expires_at) <= Date.now())) return null;
+
+    return {
+      accessToken: decryptToken(record.key_id, record.encrypted_token, key),
+      scopes: record.scopes,
+      user: record.user,
+      expires_at: record.expires_at,
+    };
+  } catch (error) {
+    log.error('Error reading token', { error });
+    return null;
+  }
+}
+
+/**
+ * Elimina los tokens online de una tienda (desinstalación)
+ * @param {string} shop - Dominio de la tienda
+ * @returns {number} Cantidad de tokens eliminados
+ */
+function removeShopOnlineTokens(shop) {
+  try {
+    const keys = getBackend().keys().filter((key) => key.startsWith(`${shop}:`));
+    keys.forEach((key) => getBackend().delete(key));
+    return keys.length;
+  } catch (error) {
+    log.error('Error removing tokens', { error });
+    return 0;
+  }
+}
+
+module.exports = {
+  saveOnlineToken,
+  getOnlineToken,
+  removeShopOnlineTokens,
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { createStoreBackend } = require('./backends');
+const { createLogger } = require('../logger');
+
+const log = createLogger('OrderStore');
+
+/**
+ * Espejo local de órdenes por tienda
+ *
+ * Se guarda en el backend configurado (STORE_BACKEND / STORE_DIR):
+ * - orders: una partición por tienda con un registro por orden (orders/<tienda>.json,
+ *   o claves "<tienda>/<id>" en la tabla orders), así un webhook solo reescribe
+ *   las órdenes de su tienda.
+ * - order_sync: un registro por tienda { lastSyncAt, backfilledAt, orderCount, version }.
+ *   version cambia con cada escritura de órdenes e invalida la lista ordenada en memoria
+ *   (también la de otros procesos con STORE_BACKEND=sqlite).
+ */
+
+const EMPTY_SYNC_STATE = { lastSyncAt: null, backfilledAt: null, orderCount: 0, version: null };
+
+// Backend de órdenes por tienda
+const orderBackends = new Map();
+
+let syncBackend = null;
+
+// Órdenes de cada tienda ordenadas, más recientes primero: { version, orders }
+const sortedOrders = new Map();
+
+function getOrderBackend(shop) {
+  if (!orderBackends.has(shop)) {
+    orderBackends.set(shop, createStoreBackend('orders', { partition: shop }));
+  }
+  return orderBackends.get(shop);
+}
+
+function getSyncBackend() {
+  if (!syncBackend) {
+    syncBackend = createStoreBackend('order_sync');
+  }
+  return syncBackend;
+}
+
+/**
+ * Estado de sincronización guardado de una tienda
+ */
+function readSyncState(shop) {
+  try {
+    return { ...EMPTY_SYNC_STATE, ...getSyncBackend().get(shop) };
+  } catch (error) {
+    log.error('Error reading order sync state', { shop, error });
+    return { ...EMPTY_SYNC_STATE };
+  }
+}
+
+/**
+ * Modifica el estado de sincronización de una tienda
+ * @param {Function} updater - Recibe el estado (inicializado si no existía) y lo modifica
+ */
+function updateSyncState(shop, updater) {
+  getSyncBackend().update(shop, (current) => {
+    const state = { ...EMPTY_SYNC_STATE, ...current };
+    updater(state);
+    return state;
+  });
+}
+
+/**
+ * Inserta o actualiza órdenes de una tienda (una sola escritura para todas)
+ * Solo reemplaza una orden si la nueva tiene updated_at igual o más reciente.
+ * @param {string} shop - Dominio de la tienda
+ * @param {object[]} orders - Órdenes de Shopify (formato REST)
+ * @returns {boolean} true si se guardó correctamente
+ */
+function upsertOrders(shop, orders) {
+  const byId = new Map();
+  for (const order of orders) {
+    if (order && order.id) byId.set(String(order.id), order);
+  }
+  if (byId.size === 0) return true;
+
+  try {
+    let added = 0;
+    const changed = getOrderBackend(shop).updateMany([...byId.keys()], (id, existing) => {
+      const order = byId.get(id);
+      if (existing && Date.parse(existing.updated_at) > Date.parse(order.updated_at)) {
+        return undefined;
+      }
+      if (!existing) added++;
+      return order;
+    });
+
+    if (changed > 0) {
+      updateSyncState(shop, (state) => {
+        state.orderCount += added;
+        state.version = crypto.randomBytes(8).toString('hex');
+      });
+    }
+    return true;
+  } catch (error) {
+    log.error('Error writing orders', { shop, error });
+    return false;
+  }
+}
+
+/**
+ * Obtiene las órdenes guardadas de una tienda, más recientes primero
+ * La lista se comparte entre llamadas mientras no cambien las órdenes: no modificarla.
+ * @param {string} shop - Dominio de la tienda
+ * @returns {object[]}
+ */
+function getCachedOrders(shop) {
+  const { version } = readSyncState(shop);
+  const cached = sortedOrders.get(shop);
+  if (cached && cached.version === version) {
+    return cached.orders;
+  }
+
+  let orders;
+  try {
+    orders = Object.values(getOrderBackend(shop).entries()).sort(
+      (a, b) => Date.parse(b.created_at) - Date.parse(a.created_at) || b.id - a.id
+    );
+  } catch (error) {
+    log.error('Error reading orders', { shop, error });
+    return [];
+  }
+
+  sortedOrders.set(shop, { version, orders });
+  return orders;
+}
+
+/**
+ * Obtiene una orden guardada
+ * @param {string} shop - Dominio de la tienda
+ * @param {string|number} orderId - ID de la orden
+ * @returns {object|null}
+ */
+function getCachedOrder(shop, orderId) {
+  try {
+    return getOrderBackend(shop).get(String(orderId));
+  } catch (error) {
+    log.error('Error reading orders', { shop, error });
+    return null;
+  }
+}
+
+/**
+ * Obtiene el estado de sincronización de una tienda
+ * @param {string} shop - Dominio de la tienda
+ * @returns {{ lastSyncAt: string|null, backfilledAt: string|null, orderCount: number }}
+ */
+function getSyncState(shop) {
+  const { lastSyncAt, backfilledAt, orderCount } = readSyncState(shop);
+  return { lastSyncAt, backfilledAt, orderCount };
+}
+
+/**
+ * Registra una sincronización completada
+ * @param {string} shop - Dominio de la tienda
+ * @param {string} syncedAt - Fecha ISO de inicio de la sincronización
+ * @param {boolean} backfill - true si fue la carga inicial completa
+ * @returns {boolean}
+ */
+function markSynced(shop, syncedAt, backfill = false) {
+  try {
+    updateSyncState(shop, (state) => {
+      state.lastSyncAt = syncedAt;
+      if (backfill) {
+        state.backfilledAt = syncedAt;
+      }
+    });
+    return true;
+  } catch (error) {
+    log.error('Error writing order sync state', { shop, error });
+    return false;
+  }
+}
+
+/**
+ * Elimina todas las órdenes guardadas de una tienda
+ * @param {string} shop - Dominio de la tienda
+ * @returns {boolean}
+ */
+function removeShopOrders(shop) {
+  try {
+    getOrderBackend(shop).clear();
+    getSyncBackend().delete(shop);
+    sortedOrders.delete(shop);
+    return true;
+  } catch (error) {
+    log.error('Error removing orders', { shop, error });
+    return false;
+  }
+}
+
+module.exports = {
+  upsertOrders,
+  getCachedOrders,
+  getCachedOrder,
+  getSyncState,
+  markSynced,
+  removeShopOrders,
+};
@@ -0,0 +1,108 @@
+const { createStoreBackend } = require('./backends');
+
+/**
+ * Configuración por tienda, agrupada por sección
+ * Registro: { [seccion]: { ...valores }, updated_at }
+ */
+
+// Valores por defecto de cada sección
+const DEFAULT_SETTINGS = {
+  // Datos del emisor para la factura electrónica del SRI
+  sri: {
+    ruc: null,
+    razonSocial: null,
+    nombreComercial: null,
+    dirMatriz: null,
+    dirEstablecimiento: null,
+    estab: '001',
+    ptoEmi: '001',
+    ambiente: '1',
+    obligadoContabilidad: 'NO',
+    contribuyenteEspecial: null,
+    formaPago: '20',
+    zonaHoraria: 'America/Guayaquil',
+  },
+  // Envío como producto en formatOrder (ver utils/orderFormatter)
+  envio: {
+    sku: '4440',
+    titulo: 'ENVÍO LOCAL 15%',
+    modo: 'unificado',
+    skuPorCodigo: {},
+  },
+};
+
+let backend = null;
+
+/**
+ * Obtiene el backend de almacenamiento configurado (STORE_BACKEND)
+ * @returns {object}
+ */
+function getBackend() {
+  if (!backend) {
+    backend = createStoreBackend('shop_settings');
+  }
+  return backend;
+}
+
+/**
+ * Obtiene la configuración de una tienda combinada con los valores por defecto
+ * @param {string} shop - Dominio de la tienda
+ * @returns {object} { [seccion]: valores }
+ */
+function getShopSettings(shop) {
+  const stored = getBackend().get(shop) || {};
+  const settings = {};
+
+  for (const section of Object.keys(DEFAULT_SETTINGS)) {
+    settings[section] = { ...DEFAULT_SETTINGS[section], ...(stored[section] || {}) };
+  }
+
+  return settings;
+}
+
+/**
+ * Actualiza (merge) una sección de la configuración de una tienda
+ * @param {string} shop - Dominio de la tienda
+ * @param {string} section - Sección (ej: "sri")
+ * @param {object} values - Valores a guardar; null vuelve al valor por defecto
+ * @returns {object} Sección resultante combinada con los valores por defecto
+ * @throws {Error} Si la sección no existe
+ */
+function updateShopSettings(shop, section, values) {
+  if (!DEFAULT_SETTINGS[section]) {
+    throw new Error(`Unknown settings section: ${section}`);
+  }
+
+  getBackend().update(shop, (current) => {
+    const record = current || {};
+    const merged = { ...(record[section] || {}) };
+
+    for (const [key, value] of Object.entries(values)) {
+      if (value === null) {
+        delete merged[key];
+      } else {
+        merged[key] = value;
+      }
+    }
+
+    return { ...record, [section]: merged, updated_at: new Date().toISOString() };
+  });
+
+  return getShopSettings(shop)[section];
+}
+
+/**
+ * Elimina toda la configuración de una tienda
+ * @param {string} shop - Dominio de la tienda
+ * @returns {boolean}
+ */
+function removeShopSettings(shop) {
+  return getBackend().delete(shop);
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getShopSettings,
+  updateShopSettings,
+  removeShopSettings,
+};
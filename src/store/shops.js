@@ -1,37 +1,79 @@
-const fs = require('fs');
-const path = require('path');
+const { createStoreBackend } = require('./backends');
+const {
+  isEncryptionConfigured,
+  getActiveKeyId,
+  encryptToken,
+  decryptToken,
+} = require('../utils/tokenCrypto');
+const { createLogger } = require('../logger');
 
-const SHOPS_FILE = path.join(__dirname, '../../shops.json');
+const log = createLogger('ShopStore');
+
+let backend = null;
+let migrated = false;
+let warnedPlaintext = false;
 
 /**
- * Lee el archivo shops.json
- * @returns {object} Objeto con las tiendas guardadas
+ * Obtiene el backend de almacenamiento configurado (STORE_BACKEND)
+ * En el primer acceso cifra los registros antiguos en texto plano.
+ * @returns {object} Backend (ver store/backends)
  */
-function readShops() {
-  try {
-    if (!fs.existsSync(SHOPS_FILE)) {
-      return {};
+function getBackend() {
+  if (!backend) {
+    backend = createStoreBackend('shops');
+    log.info('Using store backend', { backend: backend.name });
+  }
+  if (!migrated) {
+    migrated = migratePlaintextTokens();
+  }
+  return backend;
+}
+
+/**
+ * Cifra los registros antiguos que guardan access_token en texto plano
+ * @returns {boolean} true si la migración terminó (no hay nada pendiente)
+ */
+function migratePlaintextTokens() {
+  const shops = backend.entries();
+  const plaintextShops = Object.keys(shops).filter((shop) => shops[shop]?.access_token);
+  if (plaintextShops.length === 0) return true;
+
+  if (!isEncryptionConfigured()) {
+    if (!warnedPlaintext) {
+      log.error('The shop store has plaintext tokens and TOKEN_ENCRYPTION_KEYS is not configured');
+      warnedPlaintext = true;
     }
-    const data = fs.readFileSync(SHOPS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('[ShopStore] Error reading shops.json:', error.message);
-    return {};
+    return false;
+  }
+
+  for (const shop of plaintextShops) {
+    backend.update(shop, (current) => {
+      if (!current?.access_token) return undefined;
+      const { access_token: accessToken, ...record } = current;
+      return { ...record, ...encryptToken(accessToken, shop) };
+    });
   }
+
+  log.info('Encrypted plaintext tokens', { shops: plaintextShops.length });
+  return true;
 }
 
 /**
- * Guarda el objeto de tiendas en shops.json
- * @param {object} shops - Objeto con las tiendas
- * @returns {boolean} true si se guardó correctamente
+ * Obtiene el token en claro de un registro (cifrado o antiguo en texto plano)
+ * @param {string} shop - Dominio de la tienda
+ * @param {object} record - Registro del store
+ * @returns {string|null}
  */
-function writeShops(shops) {
+function decryptRecordToken(shop, record) {
+  if (!record) return null;
+  if (record.access_token) return record.access_token;
+  if (!record.encrypted_token) return null;
+
   try {
-    fs.writeFileSync(SHOPS_FILE, JSON.stringify(shops, null, 2));
-    return true;
+    return decryptToken(record.key_id, record.encrypted_token, shop);
   } catch (error) {
-    console.error('[ShopStore] Error writing shops.json:', error.message);
-    return false;
+    log.error('Error decrypting token', { shop, error });
+    return null;
   }
 }
 
@@ -39,15 +81,86 @@ function writeShops(shops) {
  * Guarda el access_token de una tienda
  * @param {string} shop - Dominio de la tienda (ej: tienda.myshopify.com)
  * @param {string} accessToken - Access token de Shopify
+ * @param {object} [options]
+ * @param {string[]} [options.scopes] - Scopes otorgados (campo scope de la respuesta de OAuth)
  * @returns {boolean} true si se guardó correctamente
  */
-function saveShopToken(shop, accessToken) {
-  const shops = readShops();
-  shops[shop] = {
-    access_token: accessToken,
-    installed_at: new Date().toISOString(),
+function saveShopToken(shop, accessToken, { scopes = null } = {}) {
+  let encrypted;
+  try {
+    encrypted = encryptToken(accessToken, shop);
+  } catch (error) {
+    log.error('Error encrypting token', { error });
+    return false;
+  }
+
+  try {
+    getBackend().set(shop, {
+      ...encrypted,
+      scopes,
+      installed_at: new Date().toISOString(),
+    });
+    return true;
+  } catch (error) {
+    log.error('Error saving shop', { error });
+    return false;
+  }
+}
+
+/**
+ * Registro público de una tienda (sin el token)
+ */
+function toPublicRecord(shop, record) {
+  return {
+    shop,
+    installed_at: record.installed_at || null,
+    scopes: record.scopes || null,
+    key_id: record.key_id || null,
   };
-  return writeShops(shops);
+}
+
+/**
+ * Obtiene el registro de una tienda (sin el token)
+ * @param {string} shop - Dominio de la tienda
+ * @returns {{ shop: string, installed_at: string|null, scopes: string[]|null, key_id: string|null }|null}
+ */
+function getShop(shop) {
+  try {
+    const record = getBackend().get(shop);
+    return record ? toPublicRecord(shop, record) : null;
+  } catch (error) {
+    log.error('Error reading shop', { error });
+    return null;
+  }
+}
+
+/**
+ * Lista las tiendas instaladas (sin los tokens)
+ * @returns {object[]} Registros de getShop
+ */
+function listShops() {
+  try {
+    return Object.entries(getBackend().entries()).map(([shop, record]) => toPublicRecord(shop, record));
+  } catch (error) {
+    log.error('Error listing shops', { error });
+    return [];
+  }
+}
+
+/**
+ * Actualiza los scopes otorgados de una tienda (ej: tras consultarlos a Shopify)
+ * @param {string} shop - Dominio de la tienda
+ * @param {string[]} scopes
+ * @returns {boolean} false si la tienda no existe
+ */
+function updateShopScopes(shop, scopes) {
+  try {
+    const record = getBackend().update(shop, (current) => (current ? { ...current, scopes } : undefined));
+    return Boolean(record);
+  } catch (error) {
+    log.error('Error updating shop', { error });
+    return false;
+  }
 }
 
 /**
@@ -56,8 +169,12 @@ function saveShopToken(shop, accessToken) {
  * @returns {string|null} Access token o null si no existe
  */
 function getShopToken(shop) {
-  const shops = readShops();
-  return shops[shop]?.access_token || null;
+  try {
+    return decryptRecordToken(shop, getBackend().get(shop));
+  } catch (error) {
+    log.error('Error reading shop', { error });
+    return null;
+  }
 }
 
 /**
@@ -75,12 +192,12 @@ function isShopAuthenticated(shop) {
  * @returns {boolean}
  */
 function removeShop(shop) {
-  const shops = readShops();
-  if (shops[shop]) {
-    delete shops[shop];
-    return writeShops(shops);
+  try {
+    return getBackend().delete(shop);
+  } catch (error) {
+    log.error('Error removing shop', { error });
+    return false;
   }
-  return false;
 }
 
 /**
@@ -88,14 +205,54 @@ function removeShop(shop) {
  * @returns {string[]} Array con los dominios de las tiendas
  */
 function getAllShops() {
-  const shops = readShops();
-  return Object.keys(shops);
+  try {
+    return getBackend().keys();
+  } catch (error) {
+    log.error('Error listing shops', { error });
+    return [];
+  }
+}
+
+/**
+ * Vuelve a cifrar todos los tokens con la llave activa de TOKEN_ENCRYPTION_KEYS
+ * Las llaves anteriores deben seguir en la lista hasta que termine la rotación.
+ * @returns {{ keyId: string|null, rotated: string[], failed: string[] }}
+ */
+function rotateTokenKeys() {
+  const keyId = getActiveKeyId();
+  if (!keyId) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+  }
+
+  const store = getBackend();
+  const rotated = [];
+  const failed = [];
+
+  for (const shop of store.keys()) {
+    store.update(shop, (current) => {
+      const accessToken = decryptRecordToken(shop, current);
+      if (!accessToken) {
+        failed.push(shop);
+        return undefined;
+      }
+
+      const { access_token, encrypted_token, key_id, ...record } = current;
+      rotated.push(shop);
+      return { ...record, ...encryptToken(accessToken, shop) };
+    });
+  }
+
+  return { keyId, rotated, failed };
 }
 
 module.exports = {
   saveShopToken,
+  getShop,
+  listShops,
+  updateShopScopes,
   getShopToken,
   isShopAuthenticated,
   removeShop,
   getAllShops,
+  rotateTokenKeys,
 };
@@ -0,0 +1,132 @@
+const { getAllShops } = require('./store/shops');
+const { fetchOrdersPage } = require('./shopify');
+const { upsertOrders, getSyncState, markSynced } = require('./store/orders');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Sync');
+
+/**
+ * Sincronización del espejo local de órdenes
+ * Primera vez: backfill completo. Luego: incremental por updated_at_min.
+ */
+
+// Margen que se resta a lastSyncAt para no perder órdenes actualizadas durante la sincronización anterior
+const SYNC_OVERLAP_MS = 60 * 1000;
+
+// Órdenes que se acumulan antes de escribirlas en el espejo (cada escritura reescribe el archivo de la tienda)
+const SYNC_BATCH_SIZE = 2500;
+
+// Tiendas con una sincronización en curso
+const syncing = new Set();
+
+let syncTimer = null;
+
+/**
+ * Sincroniza las órdenes de una tienda
+ * @param {string} shop - Dominio de la tienda
+ * @returns {Promise<{ shop: string, mode: string, fetched: number, skipped?: boolean }>}
+ */
+async function syncShop(shop) {
+  if (syncing.has(shop)) {
+    return { shop, mode: 'skipped', fetched: 0, skipped: true };
+  }
+
+  syncing.add(shop);
+
+  try {
+    const state = getSyncState(shop);
+    const startedAt = new Date().toISOString();
+    const backfill = !state.backfilledAt;
+
+    const params = {
+      limit: 250,
+      status: 'any',
+      financial_status: 'any',
+    };
+
+    if (!backfill) {
+      params.updated_at_min = new Date(Date.parse(state.lastSyncAt) - SYNC_OVERLAP_MS).toISOString();
+    }
+
+    let fetched = 0;
+    let batch = [];
+    let page = await fetchOrdersPage(shop, params);
+
+    for (;;) {
+      batch.push(...page.orders);
+      fetched += page.orders.length;
+
+      if (batch.length >= SYNC_BATCH_SIZE || !page.nextCursor) {
+        if (batch.length > 0 && !upsertOrders(shop, batch)) {
+          throw new Error('Failed to save synced orders');
+        }
+        batch = [];
+      }
+
+      if (!page.nextCursor) break;
+      page = await fetchOrdersPage(shop, { limit: 250, page_info: page.nextCursor });
+    }
+
+    markSynced(shop, startedAt, backfill);
+
+    log.info(backfill ? 'Backfill completed' : 'Incremental sync completed', { shop, fetched });
+
+    return { shop, mode: backfill ? 'backfill' : 'incremental', fetched };
+  } finally {
+    syncing.delete(shop);
+  }
+}
+
+/**
+ * Sincroniza todas las tiendas instaladas, una a la vez
+ * Un error en una tienda no detiene a las demás.
+ * @returns {Promise<object[]>} Resultado por tienda
+ */
+async function syncAllShops() {
+  const results = [];
+
+  for (const shop of getAllShops()) {
+    try {
+      results.push(await syncShop(shop));
+    } catch (error) {
+      log.error('Error syncing shop', { shop, error });
+      results.push({ shop, error: error.message, status: error.status ?? error.response?.status });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Inicia la sincronización periódica de todas las tiendas
+ * @param {number} intervalMs - Intervalo entre sincronizaciones
+ */
+function startSyncScheduler(intervalMs) {
+  if (syncTimer) return;
+
+  const run = () => {
+    syncAllShops().catch((error) => {
+      log.error('Scheduler error', { error });
+    });
+  };
+
+  run();
+  syncTimer = setInterval(run, intervalMs);
+  syncTimer.unref();
+}
+
+/**
+ * Indica si una tienda se está sincronizando ahora
+ * @param {string} shop - Dominio de la tienda
+ * @returns {boolean}
+ */
+function isSyncing(shop) {
+  return syncing.has(shop);
+}
+
+module.exports = {
+  syncShop,
+  syncAllShops,
+  startSyncScheduler,
+  isSyncing,
+};
@@ -0,0 +1,113 @@
+/**
+ * Validación del body de POST /v1/orders/:orderId/fulfillments
+ */
+
+const MAX_LINE_ITEMS = 250;
+const MAX_TRACKING_LENGTH = 255;
+
+const TRACKING_PARAMS = {
+  tracking_number: 'number',
+  tracking_company: 'company',
+  tracking_url: 'url',
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Valida y normaliza el body de un fulfillment
+ *
+ * Body: { line_items: [{ id, quantity }], tracking_number, tracking_company,
+ * tracking_url, notify_customer }. Sin line_items se envía todo lo pendiente;
+ * un mismo line item repetido se suma.
+ *
+ * @param {object} body - req.body
+ * @returns {{ valid: boolean, fulfillment: { lineItems: object[]|null, tracking: object, notifyCustomer: boolean }, errors: object[] }}
+ */
+function validateFulfillmentRequest(body) {
+  const errors = [];
+  const input = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  const fulfillment = { lineItems: null, tracking: {}, notifyCustomer: false };
+
+  if (input.line_items !== undefined) {
+    if (!Array.isArray(input.line_items) || input.line_items.length === 0 || input.line_items.length > MAX_LINE_ITEMS) {
+      errors.push({
+        param: 'line_items',
+        message: `line_items must be a non-empty array of up to ${MAX_LINE_ITEMS} { id, quantity } objects`,
+        received: input.line_items,
+      });
+    } else {
+      const quantities = new Map();
+
+      input.line_items.forEach((item, index) => {
+        const id = Number(item?.id);
+        if (!isPositiveInteger(id)) {
+          errors.push({
+            param: `line_items[${index}].id`,
+            message: 'id must be the numeric ID of a line item of the order',
+            received: item?.id,
+          });
+          return;
+        }
+        if (!isPositiveInteger(item.quantity)) {
+          errors.push({
+            param: `line_items[${index}].quantity`,
+            message: 'quantity must be a positive integer',
+            received: item.quantity,
+          });
+          return;
+        }
+        quantities.set(id, (quantities.get(id) || 0) + item.quantity);
+      });
+
+      fulfillment.lineItems = [...quantities].map(([id, quantity]) => ({ id, quantity }));
+    }
+  }
+
+  for (const [param, field] of Object.entries(TRACKING_PARAMS)) {
+    const value = input[param];
+    if (value === undefined || value === null || value === '') {
+      fulfillment.tracking[field] = null;
+      continue;
+    }
+
+    if (typeof value !== 'string' || !value.trim() || value.length > MAX_TRACKING_LENGTH) {
+      errors.push({
+        param,
+        message: `${param} must be a string of up to ${MAX_TRACKING_LENGTH} characters`,
+        received: value,
+      });
+      continue;
+    }
+    fulfillment.tracking[field] = value.trim();
+  }
+
+  if (fulfillment.tracking.url && !/^https?:\/\/\S+$/i.test(fulfillment.tracking.url)) {
+    errors.push({
+      param: 'tracking_url',
+      message: 'tracking_url must be an http(s) URL',
+      received: input.tracking_url,
+    });
+  }
+
+  if (input.notify_customer !== undefined) {
+    if (typeof input.notify_customer !== 'boolean') {
+      errors.push({
+        param: 'notify_customer',
+        message: 'notify_customer must be a boolean',
+        received: input.notify_customer,
+      });
+    } else {
+      fulfillment.notifyCustomer = input.notify_customer;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    fulfillment,
+    errors,
+  };
+}
+
+module.exports = {
+  validateFulfillmentRequest,
+};
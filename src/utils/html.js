@@ -0,0 +1,25 @@
+/**
+ * Escape de valores interpolados en las páginas HTML del servidor
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escapa texto para usarlo en el contenido o en un atributo (entre comillas) de HTML
+ * @param {*} value - null / undefined se convierten en texto vacío
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+module.exports = {
+  escapeHtml,
+};
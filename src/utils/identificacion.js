@@ -0,0 +1,236 @@
+/**
+ * Validación y extracción de identificaciones de Ecuador (cédula, RUC, pasaporte)
+ */
+
+const TIPOS = {
+  cedula: 'cedula',
+  ruc: 'ruc',
+  pasaporte: 'pasaporte',
+  consumidorFinal: 'consumidor_final',
+};
+
+const CONSUMIDOR_FINAL_ID = '9999999999999';
+
+/**
+ * Verifica el código de provincia (dos primeros dígitos): 01-24 o 30 (ecuatorianos en el exterior)
+ */
+function provinciaValida(id) {
+  const provincia = Number(id.slice(0, 2));
+  return (provincia >= 1 && provincia <= 24) || provincia === 30;
+}
+
+/**
+ * Valida una cédula ecuatoriana (10 dígitos, dígito verificador módulo 10)
+ * @param {string} cedula
+ * @returns {boolean}
+ */
+function validarCedula(cedula) {
+  const id = String(cedula || '');
+  if (!/^\d{10}$/.test(id) || !provinciaValida(id) || Number(id[2]) >= 6) {
+    return false;
+  }
+
+  // Coeficientes 2,1,2,1... sobre los 9 primeros dígitos; productos > 9 restan 9
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    let product = Number(id[i]) * (i % 2 === 0 ? 2 : 1);
+    if (product > 9) product -= 9;
+    sum += product;
+  }
+
+  const check = (10 - (sum % 10)) % 10;
+  return check === Number(id[9]);
+}
+
+/**
+ * Dígito verificador módulo 11 con los coeficientes dados
+ * @returns {number|null} null si el resultado es 10 (RUC inválido)
+ */
+function digitoModulo11(digits, coeficientes) {
+  const sum = coeficientes.reduce((acc, coef, i) => acc + Number(digits[i]) * coef, 0);
+  const residuo = sum % 11;
+  if (residuo === 0) return 0;
+  const check = 11 - residuo;
+  return check === 10 ? null : check;
+}
+
+/**
+ * Valida un RUC ecuatoriano (13 dígitos)
+ * - Persona natural (tercer dígito 0-5): cédula válida + establecimiento
+ * - Sociedad privada (tercer dígito 9): módulo 11 sobre 9 dígitos, verificador en la posición 10
+ * - Entidad pública (tercer dígito 6): módulo 11 sobre 8 dígitos, verificador en la posición 9
+ * @param {string} ruc
+ * @returns {{ valido: boolean, subtipo: string|null }}
+ */
+function validarRuc(ruc) {
+  const id = String(ruc || '');
+  if (!/^\d{13}$/.test(id) || !provinciaValida(id)) {
+    return { valido: false, subtipo: null };
+  }
+
+  const tercerDigito = Number(id[2]);
+
+  if (tercerDigito < 6) {
+    return {
+      valido: validarCedula(id.slice(0, 10)) && id.slice(10) !== '000',
+      subtipo: 'persona_natural',
+    };
+  }
+
+  if (tercerDigito === 9) {
+    const check = digitoModulo11(id, [4, 3, 2, 7, 6, 5, 4, 3, 2]);
+    return {
+      valido: check !== null && check === Number(id[9]) && id.slice(10) !== '000',
+      subtipo: 'sociedad_privada',
+    };
+  }
+
+  if (tercerDigito === 6) {
+    const check = digitoModulo11(id, [3, 2, 7, 6, 5, 4, 3, 2]);
+    return {
+      valido: check !== null && check === Number(id[8]) && id.slice(9) !== '0000',
+      subtipo: 'entidad_publica',
+    };
+  }
+
+  return { valido: false, subtipo: null };
+}
+
+/**
+ * Clasifica y valida un número de identificación
+ * @param {string} numero - Identificación (solo dígitos para cédula/RUC)
+ * @param {{ pasaporte?: boolean }} options - pasaporte: el texto lo etiquetó como pasaporte
+ * @returns {{ numero: string, tipo: string, valida: boolean, subtipo: string|null }}
+ */
+function clasificarIdentificacion(numero, { pasaporte = false } = {}) {
+  const id = String(numero || '').trim();
+
+  if (id === CONSUMIDOR_FINAL_ID) {
+    return { numero: id, tipo: TIPOS.consumidorFinal, valida: true, subtipo: null };
+  }
+  if (pasaporte) {
+    return { numero: id, tipo: TIPOS.pasaporte, valida: /^(?=.*\d)[A-Z0-9]{5,20}$/i.test(id), subtipo: null };
+  }
+  if (/^\d{13}$/.test(id)) {
+    const { valido, subtipo } = validarRuc(id);
+    return { numero: id, tipo: TIPOS.ruc, valida: valido, subtipo };
+  }
+  if (/^\d{10}$/.test(id)) {
+    return { numero: id, tipo: TIPOS.cedula, valida: validarCedula(id), subtipo: null };
+  }
+
+  return { numero: id, tipo: /^\d+$/.test(id) ? TIPOS.cedula : TIPOS.pasaporte, valida: false, subtipo: null };
+}
+
+// Etiquetas que preceden a una identificación en texto libre
+const ETIQUETA_ID = '(?:c[ée]dula\\s*(?:\\/|o|y)?\\s*ruc|c[ée]dula|ruc|c\\.\\s*i\\.?|\\bci\\b|identificaci[oó]n|documento)';
+const ETIQUETA_PASAPORTE = '(?:pasaporte|passport)';
+
+const PATRON_ETIQUETADO = new RegExp(`${ETIQUETA_ID}\\s*(?:n[°º.o]*\\s*)?[:#.-]?\\s*(\\d(?:[ .-]?\\d){9,12})(?!\\d)`, 'gi');
+const PATRON_PASAPORTE = new RegExp(`${ETIQUETA_PASAPORTE}\\s*(?:n[°º.o]*\\s*)?[:#.-]?\\s*((?=[A-Z-]*\\d)[A-Z0-9-]{5,20})`, 'gi');
+const PATRON_SUELTO = /(?<!\d)(\d{13}|\d{10})(?!\d)/g;
+
+// Nombres de note_attributes que contienen una identificación (palabras completas:
+// "ruc" no debe coincidir con "Instrucciones" ni "vat" con "private")
+const ATRIBUTO_ID = /\bc[ée]dula\b|\bruc\b|\bidentificaci[oó]n\b|^c\.?\s*i\.?$|\bdocumento\b|\bdni\b|\btax\s*-?\s*id\b|\bvat\b/i;
+const ATRIBUTO_PASAPORTE = /\bpasaporte\b|\bpassport\b/i;
+
+const limpiarDigitos = (value) => String(value).replace(/[\s.-]/g, '');
+
+/**
+ * Busca candidatos de identificación en un texto
+ * @param {string} text
+ * @param {string} origen - Campo de donde viene el texto
+ * @param {boolean} sueltos - Aceptar números de 10/13 dígitos sin etiqueta
+ * @returns {object[]} Candidatos { numero, pasaporte, etiquetado, origen }
+ */
+function candidatosEnTexto(text, origen, sueltos) {
+  if (!text) return [];
+  const value = String(text);
+  const candidatos = [];
+
+  for (const match of value.matchAll(PATRON_ETIQUETADO)) {
+    candidatos.push({ numero: limpiarDigitos(match[1]), pasaporte: false, etiquetado: true, origen });
+  }
+  for (const match of value.matchAll(PATRON_PASAPORTE)) {
+    candidatos.push({ numero: match[1].replace(/-/g, '').toUpperCase(), pasaporte: true, etiquetado: true, origen });
+  }
+  if (sueltos) {
+    for (const match of value.matchAll(PATRON_SUELTO)) {
+      candidatos.push({ numero: match[1], pasaporte: false, etiquetado: false, origen });
+    }
+  }
+
+  return candidatos;
+}
+
+/**
+ * Extrae la identificación del comprador de una orden de Shopify
+ *
+ * Busca en: note_attributes, note, empresa de la dirección de facturación,
+ * resto de la dirección de facturación y dirección de envío. Devuelve el
+ * primer candidato con dígito verificador válido; si ninguno es válido,
+ * el primer candidato etiquetado (marcado como no válido).
+ *
+ * @param {object} order - Orden de Shopify (formato REST)
+ * @returns {{ numero: string|null, tipo: string, valida: boolean, subtipo: string|null, origen: string|null }}
+ */
+function extraerIdentificacion(order) {
+  const candidatos = [];
+
+  for (const attr of order.note_attributes || []) {
+    const name = String(attr.name || '');
+    const origen = `note_attributes.${name}`;
+    const pasaporte = String(attr.value || '').replace(/[\s-]/g, '').toUpperCase();
+    const digitos = limpiarDigitos(attr.value || '');
+    // El valor solo se toma entero si parece una identificación; si no, se busca dentro del texto
+    if (ATRIBUTO_PASAPORTE.test(name) && /^(?=.*\d)[A-Z0-9]+$/.test(pasaporte)) {
+      candidatos.push({ numero: pasaporte, pasaporte: true, etiquetado: true, origen });
+    } else if (ATRIBUTO_ID.test(name) && /^\d+$/.test(digitos)) {
+      candidatos.push({ numero: digitos, pasaporte: false, etiquetado: true, origen });
+    } else if (ATRIBUTO_ID.test(name)) {
+      candidatos.push(...candidatosEnTexto(attr.value, origen, true));
+    } else {
+      candidatos.push(...candidatosEnTexto(attr.value, origen, false));
+    }
+  }
+
+  candidatos.push(...candidatosEnTexto(order.note, 'note', true));
+
+  const direcciones = [
+    ['billing_address', order.billing_address],
+    ['shipping_address', order.shipping_address],
+  ];
+  for (const [nombre, direccion] of direcciones) {
+    if (!direccion) continue;
+    // La empresa suele llevar el RUC/cédula sin etiqueta
+    candidatos.push(...candidatosEnTexto(direccion.company, `${nombre}.company`, true));
+    for (const campo of ['address1', 'address2', 'name']) {
+      candidatos.push(...candidatosEnTexto(direccion[campo], `${nombre}.${campo}`, false));
+    }
+  }
+
+  let primeroEtiquetado = null;
+  for (const candidato of candidatos) {
+    const resultado = clasificarIdentificacion(candidato.numero, { pasaporte: candidato.pasaporte });
+    if (resultado.valida) {
+      return { ...resultado, origen: candidato.origen };
+    }
+    if (!primeroEtiquetado && candidato.etiquetado && candidato.numero) {
+      primeroEtiquetado = { ...resultado, origen: candidato.origen };
+    }
+  }
+
+  if (primeroEtiquetado) return primeroEtiquetado;
+
+  return { numero: null, tipo: TIPOS.consumidorFinal, valida: false, subtipo: null, origen: null };
+}
+
+module.exports = {
+  TIPOS,
+  CONSUMIDOR_FINAL_ID,
+  validarCedula,
+  validarRuc,
+  clasificarIdentificacion,
+  extraerIdentificacion,
+};
@@ -0,0 +1,288 @@
+/**
+ * Exportación de órdenes formateadas a CSV / XLSX (GET /v1/orders/export)
+ *
+ * Cada columna es una ruta dentro de la salida de formatOrder
+ * (ej: "cliente.email"); las columnas "producto.*" solo existen con
+ * rows=line_items, donde cada fila es un producto de la orden.
+ */
+
+const { writeTo, createXlsxWriter } = require('./xlsx');
+
+const FORMATS = ['csv', 'xlsx'];
+const ROW_MODES = ['orders', 'line_items'];
+
+// Columnas de la orden; numero: true se exporta como número en XLSX
+const ORDER_COLUMNS = {
+  id: {},
+  numeroPedido: {},
+  fechaCreacion: {},
+  fechaActualizacion: {},
+  estadoFinanciero: {},
+  estadoCumplimiento: {},
+  subtotal: { numero: true },
+  totalEnvio: { numero: true },
+  totalImpuestos: { numero: true },
+  totalDescuentos: { numero: true },
+  total: { numero: true },
+  moneda: {},
+  impuestosIncluidos: {},
+  notas: {},
+  etiquetas: { valor: (pedido) => pedido.etiquetas.join(';') },
+  cedulaRuc: {},
+  tipoIdentificacion: {},
+  identificacionValida: {},
+  'cliente.nombreCompleto': {},
+  'cliente.email': {},
+  'cliente.telefono': {},
+  'direccionFacturacion.nombre': {},
+  'direccionFacturacion.empresa': {},
+  'direccionFacturacion.direccion1': {},
+  'direccionFacturacion.direccion2': {},
+  'direccionFacturacion.ciudad': {},
+  'direccionFacturacion.provincia': {},
+  'direccionFacturacion.pais': {},
+  'direccionFacturacion.telefono': {},
+  'direccionEnvio.nombre': {},
+  'direccionEnvio.direccion1': {},
+  'direccionEnvio.direccion2': {},
+  'direccionEnvio.ciudad': {},
+  'direccionEnvio.provincia': {},
+  'direccionEnvio.pais': {},
+  'direccionEnvio.telefono': {},
+  descuentos: { valor: (pedido) => pedido.descuentos.map((d) => d.codigo).join(';') },
+  cantidadProductos: {
+    numero: true,
+    valor: (pedido) => pedido.productos.reduce((sum, p) => sum + (p.cantidad || 0), 0),
+  },
+};
+
+// Columnas de cada producto (solo rows=line_items)
+const LINE_ITEM_COLUMNS = {
+  'producto.id': {},
+  'producto.sku': {},
+  'producto.titulo': {},
+  'producto.variante': {},
+  'producto.cantidad': { numero: true },
+  'producto.precioUnitario': { numero: true },
+  'producto.precioTotal': { numero: true },
+  'producto.descuento': { numero: true },
+  'producto.impuesto': { numero: true },
+  'producto.varianteId': {},
+  'producto.productoId': {},
+};
+
+const DEFAULT_COLUMNS = {
+  orders: [
+    'numeroPedido',
+    'fechaCreacion',
+    'estadoFinanciero',
+    'estadoCumplimiento',
+    'cedulaRuc',
+    'tipoIdentificacion',
+    'cliente.nombreCompleto',
+    'cliente.email',
+    'subtotal',
+    'totalEnvio',
+    'totalImpuestos',
+    'totalDescuentos',
+    'total',
+    'moneda',
+  ],
+  line_items: [
+    'numeroPedido',
+    'fechaCreacion',
+    'estadoFinanciero',
+    'cedulaRuc',
+    'cliente.nombreCompleto',
+    'producto.sku',
+    'producto.titulo',
+    'producto.variante',
+    'producto.cantidad',
+    'producto.precioUnitario',
+    'producto.descuento',
+    'producto.impuesto',
+    'producto.precioTotal',
+    'moneda',
+  ],
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * Columnas disponibles para un modo de filas
+ * @param {string} rows - orders | line_items
+ * @returns {object} { [columna]: definición }
+ */
+function availableColumns(rows) {
+  return rows === 'line_items' ? { ...ORDER_COLUMNS, ...LINE_ITEM_COLUMNS } : ORDER_COLUMNS;
+}
+
+/**
+ * Valida las opciones de exportación del querystring
+ * @param {object} query - req.query
+ * @returns {{ valid: boolean, options: { format: string, rows: string, columns: string[] }, errors: object[] }}
+ */
+function validateExportOptions(query) {
+  const errors = [];
+  const format = String(query.format || 'csv').trim().toLowerCase();
+  const rows = String(query.rows || 'orders').trim().toLowerCase();
+
+  if (!FORMATS.includes(format)) {
+    errors.push({
+      param: 'format',
+      message: 'format must be one of the allowed values',
+      received: query.format,
+      allowed: FORMATS,
+    });
+  }
+
+  if (!ROW_MODES.includes(rows)) {
+    errors.push({
+      param: 'rows',
+      message: 'rows must be one of the allowed values',
+      received: query.rows,
+      allowed: ROW_MODES,
+    });
+  }
+
+  const mode = ROW_MODES.includes(rows) ? rows : 'orders';
+  let columns = DEFAULT_COLUMNS[mode];
+
+  if (query.columns !== undefined) {
+    const allowed = Object.keys(availableColumns(mode));
+    const requested = String(query.columns).split(',').map((c) => c.trim()).filter(Boolean);
+    const unknown = requested.filter((c) => !allowed.includes(c));
+
+    if (requested.length === 0 || unknown.length > 0) {
+      errors.push({
+        param: 'columns',
+        message: requested.length === 0
+          ? 'columns must be a comma-separated list of columns'
+          : `Unknown columns for rows=${mode}: ${unknown.join(', ')}`,
+        received: query.columns,
+        allowed,
+      });
+    } else {
+      columns = [...new Set(requested)];
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    options: { format, rows: mode, columns },
+    errors,
+  };
+}
+
+/**
+ * Lee una ruta "a.b" de un objeto
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Convierte órdenes formateadas en filas de valores
+ * @param {object} pedido - Salida de formatOrder
+ * @param {{ rows: string, columns: string[] }} options
+ * @returns {{ valor: *, numero: boolean }[][]}
+ */
+function orderToRows(pedido, { rows, columns }) {
+  const definitions = availableColumns(rows);
+
+  const buildRow = (producto) => columns.map((column) => {
+    const definition = definitions[column];
+    const valor = definition.valor
+      ? definition.valor(pedido)
+      : getPath(column.startsWith('producto.') ? { producto } : pedido, column);
+    return { valor, numero: Boolean(definition.numero) };
+  });
+
+  if (rows === 'line_items') {
+    return pedido.productos.map((producto) => buildRow(producto));
+  }
+  return [buildRow(null)];
+}
+
+/**
+ * Escapa un valor para CSV (RFC 4180)
+ * Los textos que empiezan con =, +, -, @ se prefijan con ' para que la hoja
+ * de cálculo no los interprete como fórmulas.
+ */
+function csvValue({ valor, numero }) {
+  if (valor === null || valor === undefined) return '';
+  let text = String(valor);
+  if (!numero && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Valor de celda para XLSX: montos como número, el resto como texto/booleano
+ */
+function xlsxValue({ valor, numero }) {
+  if (valor === null || valor === undefined) return null;
+  if (numero && valor !== '' && !Number.isNaN(Number(valor))) return Number(valor);
+  if (typeof valor === 'boolean') return valor;
+  return String(valor);
+}
+
+/**
+ * Escribe la exportación en un stream a medida que llegan las páginas
+ * @param {import('stream').Writable} output - Normalmente res
+ * @param {{ format: string, rows: string, columns: string[] }} options
+ * @param {AsyncIterable<object[]>} pages - Páginas de órdenes ya formateadas
+ * @returns {Promise<number>} Cantidad de órdenes exportadas
+ */
+async function writeOrderExport(output, options, pages) {
+  let count = 0;
+
+  if (options.format === 'xlsx') {
+    const xlsx = await createXlsxWriter(output, { sheetName: 'Pedidos' });
+    await xlsx.addRow(options.columns);
+
+    for await (const pedidos of pages) {
+      for (const pedido of pedidos) {
+        for (const row of orderToRows(pedido, options)) {
+          await xlsx.addRow(row.map(xlsxValue));
+        }
+        count++;
+      }
+    }
+
+    await xlsx.finish();
+    return count;
+  }
+
+  // BOM para que Excel abra el CSV como UTF-8 (tildes, ñ)
+  await writeTo(output, `\uFEFF${options.columns.join(',')}\r\n`);
+
+  for await (const pedidos of pages) {
+    const lines = [];
+    for (const pedido of pedidos) {
+      for (const row of orderToRows(pedido, options)) {
+        lines.push(`${row.map(csvValue).join(',')}\r\n`);
+      }
+      count++;
+    }
+    if (lines.length > 0) {
+      await writeTo(output, lines.join(''));
+    }
+  }
+
+  return count;
+}
+
+module.exports = {
+  FORMATS,
+  ROW_MODES,
+  DEFAULT_COLUMNS,
+  CONTENT_TYPES,
+  availableColumns,
+  validateExportOptions,
+  writeOrderExport,
+};
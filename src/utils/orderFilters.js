@@ -0,0 +1,305 @@
+/**
+ * Validación de los filtros de órdenes aceptados por GET /v1/orders
+ */
+
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./translations');
+const { orderTags, parseTags } = require('./orderTags');
+
+const ALLOWED_VALUES = {
+  status: ['open', 'closed', 'cancelled', 'any'],
+  financial_status: [
+    'authorized',
+    'pending',
+    'paid',
+    'partially_paid',
+    'refunded',
+    'voided',
+    'partially_refunded',
+    'unpaid',
+    'any',
+  ],
+  fulfillment_status: ['shipped', 'partial', 'unshipped', 'unfulfilled', 'any'],
+  source: ['live', 'cache'],
+  lang: LANGUAGES,
+  format: ['formatted', 'raw'],
+};
+
+const DATE_PARAMS = ['created_at_min', 'created_at_max', 'updated_at_min', 'updated_at_max'];
+
+// Canales de venta de Shopify; source_name acepta también los de apps y canales propios
+const KNOWN_SOURCE_NAMES = ['web', 'pos', 'shopify_draft_order', 'iphone', 'android'];
+
+// Canal de venta: nombre o ID del canal, sin espacios ni caracteres de control
+const SOURCE_NAME_REGEX = /^[\w.:-]{1,255}$/;
+
+// Fecha ISO 8601: 2024-01-31 o 2024-01-31T10:00:00(.000)(Z|-05:00)
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Valida y normaliza los filtros de órdenes del querystring
+ *
+ * Los filtros se devuelven en `params` con el formato de orders.json (ver
+ * graphql/orderQueries buildOrderSearch y matchesOrderFilters).
+ *
+ * @param {object} query - req.query
+ * @returns {{ valid: boolean, params: object, errors: object[] }}
+ */
+function validateOrderFilters(query) {
+  const errors = [];
+  const params = {
+    status: 'any',
+    financial_status: 'paid',
+  };
+
+  for (const param of ['status', 'financial_status', 'fulfillment_status']) {
+    const value = query[param];
+    if (value === undefined) continue;
+
+    const normalized = String(value).trim().toLowerCase();
+    if (!ALLOWED_VALUES[param].includes(normalized)) {
+      errors.push({
+        param,
+        message: `${param} must be one of the allowed values`,
+        received: value,
+        allowed: ALLOWED_VALUES[param],
+      });
+      continue;
+    }
+    params[param] = normalized;
+  }
+
+  for (const param of DATE_PARAMS) {
+    const value = query[param];
+    if (value === undefined) continue;
+
+    if (!ISO_DATE_REGEX.test(String(value)) || Number.isNaN(Date.parse(value))) {
+      errors.push({
+        param,
+        message: `${param} must be an ISO 8601 date`,
+        received: value,
+        allowed: ['YYYY-MM-DD', 'YYYY-MM-DDTHH:mm:ssZ', 'YYYY-MM-DDTHH:mm:ss-05:00'],
+      });
+      continue;
+    }
+    params[param] = value;
+  }
+
+  // Rangos invertidos
+  for (const [min, max] of [['created_at_min', 'created_at_max'], ['updated_at_min', 'updated_at_max']]) {
+    if (params[min] && params[max] && Date.parse(params[min]) > Date.parse(params[max])) {
+      errors.push({
+        param: min,
+        message: `${min} must be earlier than ${max}`,
+        received: { [min]: params[min], [max]: params[max] },
+      });
+    }
+  }
+
+  if (query.since_id !== undefined) {
+    if (!/^\d+$/.test(String(query.since_id))) {
+      errors.push({
+        param: 'since_id',
+        message: 'since_id must be a positive integer order ID',
+        received: query.since_id,
+      });
+    } else {
+      params.since_id = String(query.since_id);
+    }
+  }
+
+  if (query.ids !== undefined) {
+    const ids = String(query.ids).split(',').map((id) => id.trim()).filter(Boolean);
+    if (ids.length === 0 || ids.some((id) => !/^\d+$/.test(id))) {
+      errors.push({
+        param: 'ids',
+        message: 'ids must be a comma-separated list of integer order IDs',
+        received: query.ids,
+      });
+    } else {
+      params.ids = ids.join(',');
+    }
+  }
+
+  if (query.name !== undefined) {
+    const name = String(query.name).trim();
+    if (!name) {
+      errors.push({
+        param: 'name',
+        message: 'name must not be empty',
+        received: query.name,
+      });
+    } else {
+      // Shopify busca por el nombre con prefijo (#1001)
+      params.name = name.startsWith('#') ? name : `#${name}`;
+    }
+  }
+
+  // Etiquetas: tagged exige todas, not_tagged excluye cualquiera
+  for (const param of ['tagged', 'not_tagged']) {
+    if (query[param] === undefined) continue;
+
+    const { tags, invalid } = parseTags(query[param]);
+    if (tags.length === 0 || invalid.length > 0) {
+      errors.push({
+        param,
+        message: `${param} must be a comma-separated list of tags`,
+        received: query[param],
+      });
+    } else {
+      params[param] = tags.join(',');
+    }
+  }
+
+  if (query.source_name !== undefined) {
+    const sourceName = String(query.source_name).trim();
+    if (!SOURCE_NAME_REGEX.test(sourceName)) {
+      errors.push({
+        param: 'source_name',
+        message: 'source_name must be a sales channel name or ID (letters, digits, _ . : -)',
+        received: query.source_name,
+      });
+    } else {
+      params.source_name = KNOWN_SOURCE_NAMES.includes(sourceName.toLowerCase()) ? sourceName.toLowerCase() : sourceName;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    params,
+    errors,
+  };
+}
+
+/**
+ * Valida el origen de datos (?source=live|cache) de las rutas de órdenes
+ * @param {string|undefined} value - Valor de req.query.source
+ * @returns {{ valid: boolean, source: string, error: object|null }}
+ */
+function validateSource(value) {
+  if (value === undefined) {
+    return { valid: true, source: 'live', error: null };
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+  if (!ALLOWED_VALUES.source.includes(normalized)) {
+    return {
+      valid: false,
+      source: null,
+      error: {
+        param: 'source',
+        message: 'source must be one of the allowed values',
+        received: value,
+        allowed: ALLOWED_VALUES.source,
+      },
+    };
+  }
+
+  return { valid: true, source: normalized, error: null };
+}
+
+/**
+ * Valida el formato de salida de las rutas JSON de órdenes
+ * ?lang=es|en (idioma de claves y estados) y ?format=formatted|raw
+ * (raw devuelve las órdenes de Shopify sin formatear).
+ * @param {object} query - req.query
+ * @returns {{ valid: boolean, lang: string, raw: boolean, errors: object[] }}
+ */
+function validateOutputOptions(query) {
+  const errors = [];
+  const result = { lang: DEFAULT_LANGUAGE, format: 'formatted' };
+
+  for (const param of ['lang', 'format']) {
+    const value = query[param];
+    if (value === undefined) continue;
+
+    const normalized = String(value).trim().toLowerCase();
+    if (!ALLOWED_VALUES[param].includes(normalized)) {
+      errors.push({
+        param,
+        message: `${param} must be one of the allowed values`,
+        received: value,
+        allowed: ALLOWED_VALUES[param],
+      });
+      continue;
+    }
+    result[param] = normalized;
+  }
+
+  return {
+    valid: errors.length === 0,
+    lang: result.lang,
+    raw: result.format === 'raw',
+    errors,
+  };
+}
+
+/**
+ * Evalúa los filtros de orders.json sobre una orden guardada localmente
+ * Replica la semántica de Shopify para poder consultar el espejo local (?source=cache).
+ * @param {object} order - Orden de Shopify (formato REST)
+ * @param {object} params - `params` devuelto por validateOrderFilters
+ * @returns {boolean}
+ */
+function matchesOrderFilters(order, params) {
+  switch (params.status) {
+    case 'open':
+      if (order.closed_at || order.cancelled_at) return false;
+      break;
+    case 'closed':
+      if (!order.closed_at) return false;
+      break;
+    case 'cancelled':
+      if (!order.cancelled_at) return false;
+      break;
+    default:
+      break;
+  }
+
+  if (params.financial_status && params.financial_status !== 'any') {
+    const unpaid = ['authorized', 'pending', 'partially_paid'];
+    const matches = params.financial_status === 'unpaid'
+      ? unpaid.includes(order.financial_status)
+      : order.financial_status === params.financial_status;
+    if (!matches) return false;
+  }
+
+  if (params.fulfillment_status && params.fulfillment_status !== 'any') {
+    const status = order.fulfillment_status || null;
+    const accepted = {
+      shipped: ['fulfilled'],
+      partial: ['partial'],
+      unshipped: [null],
+      unfulfilled: [null, 'partial'],
+    }[params.fulfillment_status];
+    if (!accepted.includes(status)) return false;
+  }
+
+  const created = Date.parse(order.created_at);
+  const updated = Date.parse(order.updated_at);
+  if (params.created_at_min && created < Date.parse(params.created_at_min)) return false;
+  if (params.created_at_max && created > Date.parse(params.created_at_max)) return false;
+  if (params.updated_at_min && updated < Date.parse(params.updated_at_min)) return false;
+  if (params.updated_at_max && updated > Date.parse(params.updated_at_max)) return false;
+
+  if (params.since_id && !(Number(order.id) > Number(params.since_id))) return false;
+  if (params.ids && !params.ids.split(',').includes(String(order.id))) return false;
+  if (params.name && order.name !== params.name) return false;
+  if (params.source_name && String(order.source_name).toLowerCase() !== params.source_name.toLowerCase()) return false;
+
+  if (params.tagged || params.not_tagged) {
+    const tags = orderTags(order).map((tag) => tag.toLowerCase());
+    const has = (tag) => tags.includes(tag.toLowerCase());
+    if (params.tagged && !params.tagged.split(',').every(has)) return false;
+    if (params.not_tagged && params.not_tagged.split(',').some(has)) return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  ALLOWED_VALUES,
+  validateOrderFilters,
+  validateSource,
+  validateOutputOptions,
+  matchesOrderFilters,
+};
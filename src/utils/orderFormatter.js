@@ -0,0 +1,304 @@
+/**
+ * Formato en español de las órdenes de Shopify (respuesta de /v1/orders)
+ */
+
+const { extraerIdentificacion } = require('./identificacion');
+const { orderTags } = require('./orderTags');
+const { DEFAULT_SETTINGS } = require('../store/shopSettings');
+const {
+  traducirEstadoFinanciero,
+  traducirEstadoCumplimiento,
+  traducirTipoValor,
+  traducirTipoIdentificacion,
+  traducirPedido,
+} = require('./translations');
+
+const MODOS_ENVIO = ['unificado', 'por_linea'];
+
+// Longitud máxima de codigoPrincipal/descripcion en la factura del SRI
+const MAX_SKU_LENGTH = 25;
+const MAX_TITULO_LENGTH = 300;
+
+/**
+ * Valida la configuración de envío de una tienda (sección "envio")
+ * @param {object} settings - Sección envio combinada con los valores por defecto
+ * @returns {{ field: string, message: string }[]}
+ */
+function validateShippingSettings(settings) {
+  const errors = [];
+  const isText = (value, max) => typeof value === 'string' && value.trim() !== '' && value.length <= max;
+
+  if (!isText(settings.sku, MAX_SKU_LENGTH)) {
+    errors.push({ field: 'envio.sku', message: `sku must be a non-empty string of up to ${MAX_SKU_LENGTH} characters` });
+  }
+  if (!isText(settings.titulo, MAX_TITULO_LENGTH)) {
+    errors.push({ field: 'envio.titulo', message: `titulo must be a non-empty string of up to ${MAX_TITULO_LENGTH} characters` });
+  }
+  if (!MODOS_ENVIO.includes(settings.modo)) {
+    errors.push({ field: 'envio.modo', message: `modo must be one of: ${MODOS_ENVIO.join(', ')}` });
+  }
+
+  const map = settings.skuPorCodigo;
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    errors.push({ field: 'envio.skuPorCodigo', message: 'skuPorCodigo must be an object mapping shipping codes to SKUs' });
+  } else {
+    const invalid = Object.keys(map).filter((code) => !isText(map[code], MAX_SKU_LENGTH));
+    if (invalid.length > 0) {
+      errors.push({
+        field: 'envio.skuPorCodigo',
+        message: `skuPorCodigo values must be non-empty strings of up to ${MAX_SKU_LENGTH} characters (invalid: ${invalid.join(', ')})`,
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Suma los impuestos de una lista de tax_lines
+ */
+const sumarImpuestos = (taxLines) => (taxLines || []).reduce((sum, t) => sum + parseFloat(t.price || 0), 0);
+
+/**
+ * Tasa total de impuestos de una línea de envío como texto ("15%", "0%")
+ */
+function tasaEnvio(line) {
+  const rate = (line.tax_lines || []).reduce((sum, t) => sum + parseFloat(t.rate || 0), 0);
+  return `${Number((rate * 100).toFixed(2))}%`;
+}
+
+/**
+ * Si la línea de envío grava impuestos: tiene líneas de impuesto, aunque sean de tasa 0
+ * (las líneas de envío no traen taxable como los line items)
+ */
+const gravaEnvio = (line) => (line.tax_lines || []).length > 0;
+
+/**
+ * Convierte las líneas de envío en productos según la configuración de la tienda
+ *
+ * El título admite {titulo} (título de la línea de envío) y {tasa} (tasa de
+ * impuesto, ej: "15%"). El SKU sale de skuPorCodigo según el code de la línea;
+ * en modo unificado solo si todas las líneas resuelven al mismo SKU.
+ *
+ * @param {object[]} shippingLines - order.shipping_lines
+ * @param {object} config - Sección envio de la configuración de la tienda
+ * @returns {object[]} Productos de envío (solo líneas con precio > 0)
+ */
+function productosEnvio(shippingLines, config) {
+  const lines = shippingLines.filter((line) => parseFloat(line.price || 0) > 0);
+  if (lines.length === 0) return [];
+
+  const skuDe = (line) => (line.code && config.skuPorCodigo[line.code]) || config.sku;
+  const producto = ({ sku, titulo, tasa, precio, impuesto, grava }) => ({
+    id: null,
+    sku,
+    titulo: config.titulo
+      .replace(/\{titulo\}/g, titulo || '')
+      .replace(/\{tasa\}/g, tasa || '')
+      .replace(/\s{2,}/g, ' ')
+      .trim(),
+    variante: null,
+    cantidad: 1,
+    precioUnitario: precio,
+    precioTotal: precio,
+    descuento: '0.00',
+    impuesto,
+    gravaImpuestos: grava,
+    varianteId: null,
+    productoId: null,
+    requiereEnvio: false,
+  });
+
+  if (config.modo === 'por_linea') {
+    return lines.map((line) => producto({
+      sku: skuDe(line),
+      titulo: line.title,
+      tasa: tasaEnvio(line),
+      precio: parseFloat(line.price).toFixed(2),
+      impuesto: sumarImpuestos(line.tax_lines).toFixed(2),
+      grava: gravaEnvio(line),
+    }));
+  }
+
+  const skus = new Set(lines.map(skuDe));
+  const tasas = new Set(lines.map(tasaEnvio));
+  const titulos = new Set(lines.map((line) => line.title));
+
+  return [producto({
+    sku: skus.size === 1 ? [...skus][0] : config.sku,
+    titulo: titulos.size === 1 ? [...titulos][0] : null,
+    tasa: tasas.size === 1 ? [...tasas][0] : null,
+    precio: lines.reduce((sum, line) => sum + parseFloat(line.price), 0).toFixed(2),
+    impuesto: lines.reduce((sum, line) => sum + sumarImpuestos(line.tax_lines), 0).toFixed(2),
+    grava: lines.some(gravaEnvio),
+  })];
+}
+
+/**
+ * Formatea una orden de Shopify (en español, o en inglés con lang=en)
+ * @param {object} order - Orden de Shopify
+ * @param {object} [settings] - Configuración de la tienda (getShopSettings); usa envio
+ * @param {{ lang?: string }} [options] - lang: es | en (ver utils/translations)
+ * @returns {object} Orden formateada
+ */
+function formatOrder(order, settings = {}, { lang = 'es' } = {}) {
+  const configEnvio = { ...DEFAULT_SETTINGS.envio, ...(settings.envio || {}) };
+
+  // Calcular totales de impuestos
+  const impuestos = (order.tax_lines || []).map((tax) => ({
+    titulo: tax.title,
+    tasa: tax.rate ? `${(tax.rate * 100).toFixed(2)}%` : null,
+    precio: tax.price,
+  }));
+  
+  const totalImpuestos = order.total_tax || '0.00';
+
+  // Calcular descuentos
+  const descuentos = (order.discount_codes || []).map((discount) => ({
+    codigo: discount.code,
+    tipo: traducirTipoValor(discount.type, lang),
+    valor: discount.amount,
+  }));
+
+  const aplicacionesDescuento = (order.discount_applications || []).map((app) => ({
+    tipo: app.type,
+    titulo: app.title || app.description || app.code,
+    valor: app.value,
+    tipoValor: traducirTipoValor(app.value_type, lang),
+  }));
+
+  const totalDescuentos = order.total_discounts || '0.00';
+
+  // Extraer y validar cédula/RUC (notas, atributos y direcciones)
+  const identificacion = extraerIdentificacion(order);
+
+  // Información de envío
+  const envios = (order.shipping_lines || []).map((shipping) => ({
+    id: shipping.id,
+    titulo: shipping.title,
+    codigo: shipping.code,
+    precio: shipping.price,
+    precioDescontado: shipping.discounted_price,
+    origen: shipping.source,
+    impuestos: (shipping.tax_lines || []).map((tax) => ({
+      titulo: tax.title,
+      tasa: tax.rate ? `${(tax.rate * 100).toFixed(2)}%` : null,
+      precio: tax.price,
+    })),
+  }));
+
+  const totalEnvio = (order.shipping_lines || []).reduce(
+    (sum, line) => sum + parseFloat(line.price || 0),
+    0
+  ).toFixed(2);
+
+  const pedido = {
+    id: order.id,
+    numeroPedido: order.name,
+    fechaCreacion: order.created_at,
+    fechaActualizacion: order.updated_at,
+    estadoFinanciero: traducirEstadoFinanciero(order.financial_status, lang),
+    estadoCumplimiento: traducirEstadoCumplimiento(order.fulfillment_status, lang),
+    
+    // Totales
+    subtotal: order.subtotal_price,
+    totalEnvio: totalEnvio,
+    totalImpuestos: totalImpuestos,
+    totalDescuentos: totalDescuentos,
+    total: order.total_price,
+    moneda: order.currency,
+    
+    // Envío detallado
+    envios: envios,
+    
+    // Impuestos detallados
+    impuestos: impuestos,
+    impuestosIncluidos: order.taxes_included || false,
+    
+    // Descuentos detallados
+    descuentos: descuentos,
+    aplicacionesDescuento: aplicacionesDescuento,
+    
+    // Notas, etiquetas y cédula/RUC
+    notas: order.note || null,
+    etiquetas: orderTags(order),
+    cedulaRuc: identificacion.numero,
+    tipoIdentificacion: traducirTipoIdentificacion(identificacion.tipo, lang),
+    identificacionValida: identificacion.valida,
+    atributosNotas: (order.note_attributes || []).map((attr) => ({
+      nombre: attr.name,
+      valor: attr.value,
+    })),
+    
+    // Cliente
+    cliente: order.customer
+      ? {
+          id: order.customer.id,
+          nombre: order.customer.first_name,
+          apellido: order.customer.last_name,
+          nombreCompleto: `${order.customer.first_name || ''} ${order.customer.last_name || ''}`.trim(),
+          email: order.customer.email,
+          telefono: order.customer.phone,
+        }
+      : null,
+    
+    // Dirección de facturación
+    direccionFacturacion: order.billing_address
+      ? {
+          nombre: order.billing_address.name,
+          empresa: order.billing_address.company,
+          direccion1: order.billing_address.address1,
+          direccion2: order.billing_address.address2,
+          ciudad: order.billing_address.city,
+          provincia: order.billing_address.province,
+          codigoPostal: order.billing_address.zip,
+          pais: order.billing_address.country,
+          telefono: order.billing_address.phone,
+        }
+      : null,
+    
+    // Dirección de envío
+    direccionEnvio: order.shipping_address
+      ? {
+          nombre: order.shipping_address.name,
+          empresa: order.shipping_address.company,
+          direccion1: order.shipping_address.address1,
+          direccion2: order.shipping_address.address2,
+          ciudad: order.shipping_address.city,
+          provincia: order.shipping_address.province,
+          codigoPostal: order.shipping_address.zip,
+          pais: order.shipping_address.country,
+          telefono: order.shipping_address.phone,
+        }
+      : null,
+    
+    // Productos
+    productos: [
+      ...(order.line_items || []).map((item) => ({
+        id: item.id,
+        sku: item.sku,
+        titulo: item.title,
+        variante: item.variant_title,
+        cantidad: item.quantity,
+        precioUnitario: item.price,
+        precioTotal: (parseFloat(item.price) * item.quantity).toFixed(2),
+        descuento: item.total_discount || '0.00',
+        impuesto: item.tax_lines ? item.tax_lines.reduce((sum, t) => sum + parseFloat(t.price || 0), 0).toFixed(2) : '0.00',
+        gravaImpuestos: item.taxable !== false,
+        varianteId: item.variant_id,
+        productoId: item.product_id,
+        requiereEnvio: item.requires_shipping,
+      })),
+      // Agregar el envío como producto (SKU, título y agrupación según la tienda)
+      ...productosEnvio(order.shipping_lines || [], configEnvio),
+    ],
+  };
+
+  return traducirPedido(pedido, lang);
+}
+
+module.exports = {
+  MODOS_ENVIO,
+  validateShippingSettings,
+  formatOrder,
+};
@@ -0,0 +1,127 @@
+/**
+ * Etiquetas y atributos de nota de las órdenes
+ *
+ * Sirven para marcar en la propia orden de Shopify lo que ya se procesó
+ * (ej: etiqueta "facturado" o atributo factura_sri: 001-001-000123).
+ * Shopify compara las etiquetas sin distinguir mayúsculas y no admite comas.
+ */
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS = 100;
+const MAX_ATTRIBUTE_NAME_LENGTH = 100;
+const MAX_ATTRIBUTE_VALUE_LENGTH = 1000;
+
+/**
+ * Etiquetas de una orden REST ("a, b" -> ["a", "b"])
+ * @param {object} order - Orden de Shopify (formato REST)
+ * @returns {string[]}
+ */
+function orderTags(order) {
+  return String(order.tags || '').split(',').map((tag) => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Normaliza una lista de etiquetas (array o string separado por comas)
+ * @param {string|string[]} value
+ * @returns {{ tags: string[], invalid: string[] }} Etiquetas sin repetir y las inválidas
+ */
+function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const tags = [];
+  const invalid = [];
+
+  for (const item of list) {
+    const tag = typeof item === 'string' ? item.trim() : '';
+    if (!tag || tag.length > MAX_TAG_LENGTH || tag.includes(',')) {
+      invalid.push(item);
+    } else if (!tags.some((t) => t.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  }
+
+  return { tags, invalid };
+}
+
+/**
+ * Valida el body de POST/DELETE /v1/orders/:orderId/tags
+ * Body: { tags: ["facturado", "exportado"] } (o "facturado, exportado")
+ * @param {object} body - req.body
+ * @returns {{ valid: boolean, tags: string[], errors: object[] }}
+ */
+function validateTagsRequest(body) {
+  const value = body && typeof body === 'object' ? body.tags : undefined;
+  const { tags, invalid } = value === undefined ? { tags: [], invalid: [] } : parseTags(value);
+  const errors = [];
+
+  if (invalid.length > 0 || tags.length === 0 || tags.length > MAX_TAGS) {
+    errors.push({
+      param: 'tags',
+      message: `tags must be a non-empty list of up to ${MAX_TAGS} tags of 1-${MAX_TAG_LENGTH} characters without commas`,
+      received: value,
+    });
+  }
+
+  return { valid: errors.length === 0, tags, errors };
+}
+
+/**
+ * Valida el body de PUT/PATCH /v1/orders/:orderId/note-attributes
+ * Body: { attributes: { factura_sri: "001-001-000123" } }. Con PATCH un valor
+ * null elimina el atributo; con PUT la lista completa se reemplaza.
+ * @param {object} body - req.body
+ * @param {object} [options]
+ * @param {boolean} [options.replace] - true para PUT (no acepta null)
+ * @returns {{ valid: boolean, attributes: object, errors: object[] }}
+ */
+function validateNoteAttributesRequest(body, { replace = false } = {}) {
+  const attributes = body && typeof body === 'object' ? body.attributes : undefined;
+  const errors = [];
+
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)
+    || (!replace && Object.keys(attributes).length === 0)) {
+    errors.push({
+      param: 'attributes',
+      message: replace
+        ? 'attributes must be an object of { name: value } (an empty object removes all attributes)'
+        : 'attributes must be a non-empty object of { name: value }',
+      received: attributes,
+    });
+    return { valid: false, attributes: {}, errors };
+  }
+
+  const normalized = {};
+  for (const [name, value] of Object.entries(attributes)) {
+    const key = name.trim();
+    if (!key || key.length > MAX_ATTRIBUTE_NAME_LENGTH) {
+      errors.push({
+        param: 'attributes',
+        message: `Attribute names must be 1-${MAX_ATTRIBUTE_NAME_LENGTH} characters`,
+        received: name,
+      });
+      continue;
+    }
+
+    if (value === null && !replace) {
+      normalized[key] = null;
+    } else if (['string', 'number', 'boolean'].includes(typeof value) && String(value).length <= MAX_ATTRIBUTE_VALUE_LENGTH) {
+      normalized[key] = String(value);
+    } else {
+      errors.push({
+        param: `attributes.${key}`,
+        message: replace
+          ? `Attribute values must be strings of up to ${MAX_ATTRIBUTE_VALUE_LENGTH} characters`
+          : `Attribute values must be strings of up to ${MAX_ATTRIBUTE_VALUE_LENGTH} characters, or null to remove them`,
+        received: value,
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, attributes: normalized, errors };
+}
+
+module.exports = {
+  orderTags,
+  parseTags,
+  validateTagsRequest,
+  validateNoteAttributesRequest,
+};
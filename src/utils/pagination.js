@@ -0,0 +1,34 @@
+/**
+ * Cursores opacos de paginación de la API (páginas de Shopify y del espejo local)
+ */
+
+/**
+ * Codifica un cursor opaco (base64url de JSON)
+ * Lleva el estado de la página: cursor de GraphQL y búsqueda, u offset del espejo local
+ * @param {object} data - Estado de la página (offset, filtros...)
+ * @returns {string}
+ */
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data), 'utf8').toString('base64url');
+}
+
+/**
+ * Decodifica un cursor generado con encodeCursor
+ * @param {string} cursor - Cursor recibido del cliente
+ * @returns {object|null} Estado de la página o null si el cursor es inválido
+ */
+function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
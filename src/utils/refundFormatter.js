@@ -0,0 +1,85 @@
+/**
+ * Formato en español de los reembolsos (mismo estilo que formatOrder)
+ * Trabaja sobre la forma REST que arma graphql/refunds.
+ */
+
+const {
+  traducirTipoReposicion,
+  traducirTipoTransaccion,
+  traducirEstadoTransaccion,
+  traducirReembolso,
+} = require('./translations');
+
+function formatProductos(refundLineItems, lang) {
+  return (refundLineItems || []).map((item) => ({
+    id: item.line_item_id,
+    sku: item.line_item?.sku || null,
+    titulo: item.line_item?.title || null,
+    variante: item.line_item?.variant_title || null,
+    cantidad: item.quantity,
+    precioUnitario: item.price,
+    subtotal: item.subtotal,
+    impuesto: item.total_tax,
+    reposicion: traducirTipoReposicion(item.restock_type, lang),
+    ubicacionId: item.location_id,
+  }));
+}
+
+/**
+ * Formatea el cálculo de un reembolso (refunds/calculate)
+ * @param {object} calculation - Resultado de mapSuggestedRefund
+ * @param {object} [options]
+ * @param {string} [options.lang] - es (default) | en
+ * @returns {object}
+ */
+function formatRefundCalculation(calculation, { lang = 'es' } = {}) {
+  return traducirReembolso({
+    moneda: calculation.currency,
+    subtotal: calculation.subtotal,
+    totalImpuestos: calculation.total_tax,
+    total: calculation.amount,
+    maximoReembolsable: calculation.maximum_refundable,
+    envio: {
+      monto: calculation.shipping.amount,
+      impuesto: calculation.shipping.tax,
+      maximoReembolsable: calculation.shipping.maximum_refundable,
+    },
+    productos: formatProductos(calculation.refund_line_items, lang),
+    transacciones: calculation.transactions.map((transaction) => ({
+      tipo: traducirTipoTransaccion(transaction.kind, lang),
+      pasarela: transaction.gateway,
+      monto: transaction.amount,
+      maximoReembolsable: transaction.maximum_refundable,
+    })),
+  }, lang);
+}
+
+/**
+ * Formatea un reembolso creado
+ * @param {object} refund - Resultado de mapRefund
+ * @param {object} [options]
+ * @param {string} [options.lang] - es (default) | en
+ * @returns {object}
+ */
+function formatRefund(refund, { lang = 'es' } = {}) {
+  return traducirReembolso({
+    id: refund.id,
+    fecha: refund.created_at,
+    nota: refund.note,
+    moneda: refund.currency,
+    total: refund.amount,
+    productos: formatProductos(refund.refund_line_items, lang),
+    transacciones: refund.transactions.map((transaction) => ({
+      id: transaction.id,
+      tipo: traducirTipoTransaccion(transaction.kind, lang),
+      estado: traducirEstadoTransaccion(transaction.status, lang),
+      pasarela: transaction.gateway,
+      monto: transaction.amount,
+    })),
+  }, lang);
+}
+
+module.exports = {
+  formatRefundCalculation,
+  formatRefund,
+};
@@ -0,0 +1,203 @@
+/**
+ * Validación del body de los reembolsos y cancelaciones de órdenes
+ * (POST /v1/orders/:orderId/refunds, /refunds/calculate y /cancel)
+ */
+
+const { RESTOCK_TYPES } = require('../graphql/refunds');
+
+const CANCEL_REASONS = ['customer', 'inventory', 'fraud', 'declined', 'other'];
+
+const MAX_LINE_ITEMS = 250;
+const MAX_NOTE_LENGTH = 1000;
+
+// Monto con hasta 2 decimales ("5", "5.5", "5.50")
+const AMOUNT_REGEX = /^\d+(\.\d{1,2})?$/;
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Valida un flag booleano opcional del body
+ */
+function validateFlag(input, param, errors) {
+  if (input[param] === undefined) return false;
+  if (typeof input[param] !== 'boolean') {
+    errors.push({ param, message: `${param} must be a boolean`, received: input[param] });
+    return false;
+  }
+  return input[param];
+}
+
+/**
+ * Valida y normaliza el body de un reembolso
+ *
+ * Body: { line_items: [{ id, quantity, restock_type, location_id }],
+ * shipping: { full_refund } | { amount }, note, notify }. Hay que indicar
+ * line_items, shipping o ambos. restock_type: no_restock (default), cancel o return.
+ *
+ * @param {object} body - req.body
+ * @returns {{ valid: boolean, refund: { lineItems: object[], shipping: object, note: string|null, notify: boolean }, errors: object[] }}
+ */
+function validateRefundRequest(body) {
+  const errors = [];
+  const input = isObject(body) ? body : {};
+  const refund = {
+    lineItems: [],
+    shipping: { fullRefund: false, amount: null },
+    note: null,
+    notify: false,
+  };
+
+  if (input.line_items !== undefined) {
+    if (!Array.isArray(input.line_items) || input.line_items.length > MAX_LINE_ITEMS) {
+      errors.push({
+        param: 'line_items',
+        message: `line_items must be an array of up to ${MAX_LINE_ITEMS} { id, quantity, restock_type } objects`,
+        received: input.line_items,
+      });
+    } else {
+      input.line_items.forEach((item, index) => {
+        const id = Number(item?.id);
+        const restockType = item?.restock_type ?? 'no_restock';
+        const locationId = item?.location_id === undefined ? null : Number(item.location_id);
+
+        if (!isPositiveInteger(id)) {
+          errors.push({
+            param: `line_items[${index}].id`,
+            message: 'id must be the numeric ID of a line item of the order',
+            received: item?.id,
+          });
+        } else if (refund.lineItems.some((lineItem) => lineItem.id === id)) {
+          errors.push({
+            param: `line_items[${index}].id`,
+            message: `Line item ${id} is repeated`,
+            received: item.id,
+          });
+        }
+        if (!isPositiveInteger(item?.quantity)) {
+          errors.push({
+            param: `line_items[${index}].quantity`,
+            message: 'quantity must be a positive integer',
+            received: item?.quantity,
+          });
+        }
+        if (!RESTOCK_TYPES[restockType]) {
+          errors.push({
+            param: `line_items[${index}].restock_type`,
+            message: 'restock_type must be one of the allowed values',
+            received: restockType,
+            allowed: Object.keys(RESTOCK_TYPES),
+          });
+        }
+        if (locationId !== null && !isPositiveInteger(locationId)) {
+          errors.push({
+            param: `line_items[${index}].location_id`,
+            message: 'location_id must be the numeric ID of a location',
+            received: item.location_id,
+          });
+        }
+
+        refund.lineItems.push({ id, quantity: item?.quantity, restockType, locationId });
+      });
+    }
+  }
+
+  if (input.shipping !== undefined) {
+    const shipping = isObject(input.shipping) ? input.shipping : null;
+    const amount = shipping && shipping.amount !== undefined ? String(shipping.amount) : null;
+
+    if (!shipping || (shipping.full_refund !== undefined && typeof shipping.full_refund !== 'boolean')) {
+      errors.push({
+        param: 'shipping',
+        message: 'shipping must be { "full_refund": true } or { "amount": "5.00" }',
+        received: input.shipping,
+      });
+    } else if (shipping.full_refund && amount !== null) {
+      errors.push({
+        param: 'shipping',
+        message: 'shipping accepts full_refund or amount, not both',
+        received: input.shipping,
+      });
+    } else if (amount !== null && !AMOUNT_REGEX.test(amount)) {
+      errors.push({
+        param: 'shipping.amount',
+        message: 'shipping.amount must be a non-negative amount with up to 2 decimals',
+        received: shipping.amount,
+      });
+    } else {
+      refund.shipping = {
+        fullRefund: shipping.full_refund === true,
+        amount: amount !== null ? Number(amount).toFixed(2) : null,
+      };
+    }
+  }
+
+  if (input.line_items === undefined && input.shipping === undefined) {
+    errors.push({
+      param: 'line_items',
+      message: 'line_items or shipping is required',
+    });
+  }
+
+  if (input.note !== undefined && input.note !== null) {
+    if (typeof input.note !== 'string' || input.note.length > MAX_NOTE_LENGTH) {
+      errors.push({
+        param: 'note',
+        message: `note must be a string of up to ${MAX_NOTE_LENGTH} characters`,
+        received: input.note,
+      });
+    } else {
+      refund.note = input.note.trim() || null;
+    }
+  }
+
+  refund.notify = validateFlag(input, 'notify', errors);
+
+  return {
+    valid: errors.length === 0,
+    refund,
+    errors,
+  };
+}
+
+/**
+ * Valida y normaliza el body de una cancelación
+ * Body: { reason (default other), restock (default false), email (default false) }
+ * @param {object} body - req.body
+ * @returns {{ valid: boolean, cancel: { reason: string, restock: boolean, email: boolean }, errors: object[] }}
+ */
+function validateCancelRequest(body) {
+  const errors = [];
+  const input = isObject(body) ? body : {};
+  const cancel = { reason: 'other', restock: false, email: false };
+
+  if (input.reason !== undefined) {
+    const normalized = String(input.reason).trim().toLowerCase();
+    if (!CANCEL_REASONS.includes(normalized)) {
+      errors.push({
+        param: 'reason',
+        message: 'reason must be one of the allowed values',
+        received: input.reason,
+        allowed: CANCEL_REASONS,
+      });
+    } else {
+      cancel.reason = normalized;
+    }
+  }
+
+  cancel.restock = validateFlag(input, 'restock', errors);
+  cancel.email = validateFlag(input, 'email', errors);
+
+  return {
+    valid: errors.length === 0,
+    cancel,
+    errors,
+  };
+}
+
+module.exports = {
+  CANCEL_REASONS,
+  validateRefundRequest,
+  validateCancelRequest,
+};
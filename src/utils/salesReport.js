@@ -0,0 +1,276 @@
+/**
+ * Reporte de ventas por período (GET /v1/reports/sales)
+ *
+ * Suma las órdenes ya formateadas con formatOrder, así los montos coinciden
+ * con los del listado: total, totalImpuestos, totalDescuentos y totalEnvio son
+ * los mismos campos. Los días se cuentan en la zona horaria de la tienda
+ * (fechaCreacion viene con su offset) y el IVA se separa por tarifa con la
+ * misma detección que la factura del SRI.
+ */
+
+const { toShopTime } = require('../graphql/orderMapper');
+const { desglosarProducto } = require('../sri/factura');
+const { traducirTarifaIva, traducirReporte } = require('./translations');
+
+const GROUP_BY = ['day', 'week', 'month'];
+
+// Rango máximo de fechas de un reporte (un año, incluido el bisiesto)
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tarifas de IVA que siempre aparecen en el desglose (las demás solo si hay ventas)
+const TARIFAS_FIJAS = ['15%', '0%', 'exento'];
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Fecha YYYY-MM-DD válida -> milisegundos UTC de ese día (o null)
+ */
+function parseDay(value) {
+  if (!DATE_REGEX.test(String(value))) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value ? null : time;
+}
+
+const formatDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Valida from, to y groupBy del querystring
+ * @param {object} query - req.query
+ * @returns {{ valid: boolean, from: string, to: string, groupBy: string, errors: object[] }}
+ */
+function validateReportOptions(query) {
+  const errors = [];
+  const groupBy = query.groupBy === undefined ? 'day' : String(query.groupBy).trim().toLowerCase();
+
+  for (const param of ['from', 'to']) {
+    if (query[param] === undefined) {
+      errors.push({ param, message: `${param} is required`, allowed: ['YYYY-MM-DD'] });
+    } else if (parseDay(query[param]) === null) {
+      errors.push({ param, message: `${param} must be a date`, received: query[param], allowed: ['YYYY-MM-DD'] });
+    }
+  }
+
+  const from = parseDay(query.from);
+  const to = parseDay(query.to);
+  if (from !== null && to !== null) {
+    if (from > to) {
+      errors.push({
+        param: 'from',
+        message: 'from must be earlier than or equal to to',
+        received: { from: query.from, to: query.to },
+      });
+    } else if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+      errors.push({
+        param: 'to',
+        message: `The report range must be at most ${MAX_RANGE_DAYS} days`,
+        received: { from: query.from, to: query.to },
+      });
+    }
+  }
+
+  if (!GROUP_BY.includes(groupBy)) {
+    errors.push({
+      param: 'groupBy',
+      message: 'groupBy must be one of the allowed values',
+      received: query.groupBy,
+      allowed: GROUP_BY,
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    from: query.from,
+    to: query.to,
+    groupBy,
+    errors,
+  };
+}
+
+/**
+ * Fecha y hora local de la tienda con su offset ("2024-03-01", "00:00:00" -> "2024-03-01T00:00:00-05:00")
+ * El offset es el vigente a esa hora (contempla el horario de verano).
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} time - HH:mm:ss
+ * @param {string|null} timeZone - ianaTimezone de la tienda (null = UTC)
+ * @returns {string}
+ */
+function shopDateTime(day, time, timeZone) {
+  const local = Date.parse(`${day}T${time}Z`);
+  const offsetAt = (utc) => {
+    const shopTime = toShopTime(new Date(utc).toISOString(), timeZone);
+    const match = String(shopTime).match(/([+-])(\d{2}):(\d{2})$/);
+    return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+  };
+
+  // Primero con el offset de la hora UTC equivalente, luego con el de la hora corregida
+  const offset = offsetAt(local - offsetAt(local) * 60000);
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${day}T${time}${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Período de un día según la agrupación
+ * @returns {{ periodo: string, inicio: number, fin: number }} inicio/fin en ms UTC del día
+ */
+function periodOf(time, groupBy) {
+  const date = new Date(time);
+
+  if (groupBy === 'month') {
+    const inicio = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    const fin = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) - DAY_MS;
+    return { periodo: formatDay(inicio).slice(0, 7), inicio, fin };
+  }
+
+  if (groupBy === 'week') {
+    // Semana ISO: empieza el lunes y pertenece al año de su jueves
+    const inicio = time - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+    const jueves = new Date(inicio + 3 * DAY_MS);
+    const semana = Math.floor((jueves - Date.UTC(jueves.getUTCFullYear(), 0, 1)) / DAY_MS / 7) + 1;
+    return {
+      periodo: `${jueves.getUTCFullYear()}-W${String(semana).padStart(2, '0')}`,
+      inicio,
+      fin: inicio + 6 * DAY_MS,
+    };
+  }
+
+  return { periodo: formatDay(time), inicio: time, fin: time };
+}
+
+function emptyTotals() {
+  return {
+    pedidos: 0,
+    ventasBrutas: 0,
+    descuentos: 0,
+    ventasNetas: 0,
+    envio: 0,
+    impuestos: 0,
+    total: 0,
+    iva: new Map(TARIFAS_FIJAS.map((tarifa) => [tarifa, { base: 0, impuesto: 0 }])),
+  };
+}
+
+/**
+ * Tarifa de IVA de un producto para el desglose
+ * @returns {string} "15%", "0%", ..., "exento" (no grava impuestos) o "sin_tarifa"
+ */
+function tarifaProducto(producto, detalle) {
+  if (detalle.taxCents === 0 && producto.gravaImpuestos === false) return 'exento';
+  return detalle.tarifa === null ? 'sin_tarifa' : `${detalle.tarifa}%`;
+}
+
+function addOrder(totals, pedido) {
+  totals.pedidos += 1;
+  totals.descuentos += toCents(pedido.totalDescuentos);
+  totals.envio += toCents(pedido.totalEnvio);
+  totals.impuestos += toCents(pedido.totalImpuestos);
+  totals.total += toCents(pedido.total);
+
+  for (const producto of pedido.productos) {
+    // Los productos de envío (id null) ya están en envio
+    if (producto.id !== null) {
+      totals.ventasBrutas += toCents(producto.precioTotal);
+    }
+
+    const detalle = desglosarProducto(producto, pedido.impuestosIncluidos);
+    const tarifa = tarifaProducto(producto, detalle);
+    const iva = totals.iva.get(tarifa) || { base: 0, impuesto: 0 };
+    iva.base += detalle.baseCents;
+    iva.impuesto += detalle.taxCents;
+    totals.iva.set(tarifa, iva);
+  }
+
+  totals.ventasNetas = totals.ventasBrutas - totals.descuentos;
+}
+
+/**
+ * Totales en texto con 2 decimales; el IVA ordenado de la tarifa más alta a exento
+ * @param {string[]} tarifas - Tarifas del desglose (las mismas en todos los períodos)
+ */
+function presentTotals(totals, tarifas, lang) {
+  const orden = (tarifa) => (tarifa.endsWith('%') ? -parseFloat(tarifa) : { exento: 1, sin_tarifa: 2 }[tarifa]);
+
+  return {
+    pedidos: totals.pedidos,
+    ventasBrutas: fromCents(totals.ventasBrutas),
+    descuentos: fromCents(totals.descuentos),
+    ventasNetas: fromCents(totals.ventasNetas),
+    envio: fromCents(totals.envio),
+    impuestos: fromCents(totals.impuestos),
+    total: fromCents(totals.total),
+    iva: [...tarifas]
+      .sort((a, b) => orden(a) - orden(b))
+      .map((tarifa) => {
+        const { base, impuesto } = totals.iva.get(tarifa) || { base: 0, impuesto: 0 };
+        return {
+          tarifa: traducirTarifaIva(tarifa, lang),
+          base: fromCents(base),
+          impuesto: fromCents(impuesto),
+        };
+      }),
+  };
+}
+
+/**
+ * Crea el acumulador del reporte de ventas
+ *
+ * Todos los períodos del rango aparecen aunque no tengan ventas; los de los
+ * extremos se recortan a from/to.
+ *
+ * @param {{ from: string, to: string, groupBy: string }} options - Resultado de validateReportOptions
+ * @param {object} [output]
+ * @param {string} [output.lang] - es (default) | en
+ * @returns {{ add: (pedido: object) => void, result: () => { totales: object, periodos: object[] } }}
+ */
+function createSalesReport({ from, to, groupBy }, { lang = 'es' } = {}) {
+  const start = parseDay(from);
+  const end = parseDay(to);
+  const periods = new Map();
+
+  for (let time = start; time <= end;) {
+    const { periodo, fin } = periodOf(time, groupBy);
+    periods.set(periodo, { desde: formatDay(time), hasta: formatDay(Math.min(fin, end)), totals: emptyTotals() });
+    time = fin + DAY_MS;
+  }
+
+  const totals = emptyTotals();
+
+  return {
+    add(pedido) {
+      // Fecha local de la tienda: fechaCreacion lleva el offset de su zona horaria
+      const day = parseDay(String(pedido.fechaCreacion).slice(0, 10));
+      if (day === null || day < start || day > end) return;
+
+      addOrder(periods.get(periodOf(day, groupBy).periodo).totals, pedido);
+      addOrder(totals, pedido);
+    },
+
+    result() {
+      // Las tarifas fijas y las que tuvieron ventas en algún período
+      const tarifas = [...totals.iva.keys()];
+
+      return traducirReporte({
+        totales: presentTotals(totals, tarifas, lang),
+        periodos: [...periods].map(([periodo, period]) => ({
+          periodo,
+          desde: period.desde,
+          hasta: period.hasta,
+          ...presentTotals(period.totals, tarifas, lang),
+        })),
+      }, lang);
+    },
+  };
+}
+
+module.exports = {
+  GROUP_BY,
+  MAX_RANGE_DAYS,
+  validateReportOptions,
+  shopDateTime,
+  createSalesReport,
+};
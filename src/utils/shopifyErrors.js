@@ -0,0 +1,171 @@
+/**
+ * Respuestas de error para los errores de la API de Shopify
+ *
+ * Traduce los errores de shopify.js (HTTP, GraphQL, THROTTLED, TIMEOUT, userErrors)
+ * a respuestas JSON estructuradas para los clientes de la API.
+ */
+
+// Operaciones que la orden no admite (ver graphql/fulfillments, graphql/refunds, cancelOrder)
+const OPERATION_ERRORS = {
+  NOT_FULFILLABLE: 'Order cannot be fulfilled',
+  NOT_REFUNDABLE: 'Order cannot be refunded',
+  NOT_CANCELLABLE: 'Order cannot be cancelled',
+};
+
+/**
+ * Arma la respuesta de un error de Shopify
+ * @param {Error} error - Error de shopifyGraphQL / shopifyMutation / fetchOrder...
+ * @param {string} shop - Dominio de la tienda
+ * @param {object} [options]
+ * @param {string} [options.orderId] - Si se indica, un 404 responde "Order not found"
+ * @param {string} [options.failure] - Mensaje para errores que no vienen de Shopify
+ * @returns {{ status: number, body: object }}
+ */
+function shopifyErrorResponse(error, shop, { orderId, failure = 'Failed to fetch orders' } = {}) {
+  const host = process.env.HOST || '';
+  const status = error.status || error.response?.status;
+
+  if (error.code === 'INVALID_CURSOR') {
+    return {
+      status: 400,
+      body: {
+        error: 'Invalid cursor',
+        message: error.message,
+      },
+    };
+  }
+
+  if (OPERATION_ERRORS[error.code]) {
+    return {
+      status: 422,
+      body: {
+        error: OPERATION_ERRORS[error.code],
+        message: error.message,
+        errors: error.errors || [],
+      },
+    };
+  }
+
+  // Shopify no respondió a tiempo (ya se reintentó si el request era idempotente)
+  if (error.code === 'TIMEOUT') {
+    return {
+      status: 504,
+      body: {
+        error: 'Shopify API timeout',
+        message: 'Shopify did not respond in time. Retry later.',
+      },
+    };
+  }
+
+  // Límite de costo de GraphQL (o 429 HTTP) agotado
+  if (error.code === 'THROTTLED') {
+    return {
+      status: 429,
+      body: {
+        error: 'Shopify API throttled',
+        message: 'Shopify rate limit reached for this shop. Retry later.',
+        retryAfter: error.retryAfter || null,
+        cost: error.cost || null,
+      },
+    };
+  }
+
+  // La mutation fue rechazada por Shopify (validaciones de negocio)
+  if (error.userErrors) {
+    return {
+      status: 422,
+      body: {
+        error: 'Shopify rejected the operation',
+        message: error.userErrors.map((e) => e.message).join('; '),
+        userErrors: error.userErrors,
+      },
+    };
+  }
+
+  // Errores de la query GraphQL (sintaxis, campos, permisos de campo)
+  if (error.shopifyErrors) {
+    return {
+      status: 502,
+      body: {
+        error: 'Shopify GraphQL error',
+        errors: error.shopifyErrors.map((e) => ({
+          message: e.message,
+          code: e.extensions?.code || null,
+          path: e.path || null,
+        })),
+      },
+    };
+  }
+
+  if (status) {
+    // Token inválido o expirado
+    if (status === 401) {
+      return {
+        status: 401,
+        body: {
+          error: 'Invalid or expired token',
+          message: 'The access token is no longer valid. Please re-authenticate.',
+          auth_url: `${host}/auth?shop=${shop}`,
+        },
+      };
+    }
+
+    // Forbidden - permisos insuficientes
+    if (status === 403) {
+      return {
+        status: 403,
+        body: {
+          error: 'Insufficient permissions',
+          message: 'The app does not have permission for this operation. Check your scopes.',
+        },
+      };
+    }
+
+    if (status === 404 && orderId !== undefined) {
+      return {
+        status: 404,
+        body: {
+          error: 'Order not found',
+          orderId: orderId,
+        },
+      };
+    }
+
+    return {
+      status,
+      body: {
+        error: 'Shopify API error',
+        status,
+        details: error.details ?? error.response?.data,
+      },
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      error: failure,
+      message: error.message,
+    },
+  };
+}
+
+/**
+ * Responde un error de Shopify (ver shopifyErrorResponse)
+ * @param {object} res - Respuesta de Express
+ * @param {Error} error - Error de shopifyGraphQL / shopifyMutation / fetchOrder...
+ * @param {string} shop - Dominio de la tienda
+ * @param {object} [options] - orderId y failure (ver shopifyErrorResponse)
+ */
+function sendShopifyError(res, error, shop, options) {
+  const { status, body } = shopifyErrorResponse(error, shop, options);
+  if (body.retryAfter) {
+    res.set('Retry-After', String(body.retryAfter));
+  }
+  return res.status(status).json(body);
+}
+
+module.exports = {
+  shopifyErrorResponse,
+  sendShopifyError,
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+
+/**
+ * Cifrado de access tokens en reposo (AES-256-GCM)
+ *
+ * Las llaves vienen de TOKEN_ENCRYPTION_KEYS con el formato:
+ *   "<id>:<llave>,<id>:<llave>,..."
+ * La primera llave es la activa (se usa para cifrar); las demás solo para
+ * descifrar registros antiguos mientras se rotan. Cada llave debe ser de
+ * 32 bytes en hex (64 caracteres) o base64.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+let cachedEnv = null;
+let cachedKeys = null;
+
+/**
+ * Decodifica una llave de 32 bytes en hex o base64
+ * @param {string} value - Llave codificada
+ * @returns {Buffer|null}
+ */
+function decodeKey(value) {
+  const trimmed = value.trim();
+  const buffer = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+  return buffer.length === 32 ? buffer : null;
+}
+
+/**
+ * Lee y valida las llaves de TOKEN_ENCRYPTION_KEYS
+ * @returns {{ activeKeyId: string, keys: Map<string, Buffer> }|null} null si no hay llaves configuradas
+ * @throws {Error} Si alguna llave tiene formato inválido
+ */
+function loadKeys() {
+  const env = process.env.TOKEN_ENCRYPTION_KEYS || '';
+  if (env === cachedEnv) return cachedKeys;
+
+  const keys = new Map();
+  let activeKeyId = null;
+
+  for (const entry of env.split(',').map((e) => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const id = separator > 0 ? entry.slice(0, separator).trim() : '';
+    const key = separator > 0 ? decodeKey(entry.slice(separator + 1)) : null;
+
+    if (!id || !key) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS must be a list of "<id>:<32-byte key in hex or base64>"');
+    }
+    if (keys.has(id)) {
+      throw new Error(`TOKEN_ENCRYPTION_KEYS has a duplicated key id: ${id}`);
+    }
+
+    keys.set(id, key);
+    if (!activeKeyId) activeKeyId = id;
+  }
+
+  cachedEnv = env;
+  cachedKeys = activeKeyId ? { activeKeyId, keys } : null;
+  return cachedKeys;
+}
+
+/**
+ * Indica si hay una llave de cifrado configurada
+ * @returns {boolean}
+ */
+function isEncryptionConfigured() {
+  try {
+    return loadKeys() !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * ID de la llave activa
+ * @returns {string|null}
+ */
+function getActiveKeyId() {
+  return loadKeys()?.activeKeyId || null;
+}
+
+/**
+ * Cifra un token con la llave activa
+ * @param {string} plaintext - Access token en claro
+ * @param {string} aad - Datos asociados (dominio de la tienda), liga el token a su registro
+ * @returns {{ key_id: string, encrypted_token: string }} encrypted_token = iv.tag.ciphertext en base64
+ * @throws {Error} Si no hay llaves configuradas
+ */
+function encryptToken(plaintext, aad) {
+  const config = loadKeys();
+  if (!config) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, config.keys.get(config.activeKeyId), iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return {
+    key_id: config.activeKeyId,
+    encrypted_token: [iv, tag, ciphertext].map((b) => b.toString('base64')).join('.'),
+  };
+}
+
+/**
+ * Descifra un token cifrado con encryptToken
+ * @param {string} keyId - ID de la llave con que se cifró
+ * @param {string} encryptedToken - iv.tag.ciphertext en base64
+ * @param {string} aad - Datos asociados usados al cifrar
+ * @returns {string} Access token en claro
+ * @throws {Error} Si la llave no existe o el token fue alterado
+ */
+function decryptToken(keyId, encryptedToken, aad) {
+  const key = loadKeys()?.keys.get(keyId);
+  if (!key) {
+    throw new Error(`Unknown token encryption key id: ${keyId}`);
+  }
+
+  const [iv, tag, ciphertext] = String(encryptedToken).split('.').map((p) => Buffer.from(p, 'base64'));
+  if (!iv || !tag || !ciphertext) {
+    throw new Error('Malformed encrypted token');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad, 'utf8'));
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  isEncryptionConfigured,
+  getActiveKeyId,
+  encryptToken,
+  decryptToken,
+};
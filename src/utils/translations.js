@@ -0,0 +1,425 @@
+/**
+ * Traducciones de la salida de órdenes (?lang=es|en)
+ *
+ * formatOrder arma el pedido en español; con lang=en las claves se renombran
+ * con CLAVES_PEDIDO_EN y los valores de estado salen de las tablas de abajo.
+ * Cualquier campo nuevo de formatOrder o de las respuestas debe agregarse aquí.
+ */
+
+const LANGUAGES = ['es', 'en'];
+const DEFAULT_LANGUAGE = 'es';
+
+// Estado financiero de Shopify -> valor por idioma (en: el valor de Shopify)
+const ESTADOS_FINANCIEROS = {
+  es: {
+    pending: 'pendiente',
+    authorized: 'autorizado',
+    partially_paid: 'parcialmente_pagado',
+    paid: 'pagado',
+    partially_refunded: 'parcialmente_reembolsado',
+    refunded: 'reembolsado',
+    voided: 'anulado',
+  },
+  en: {},
+};
+
+// Estado de cumplimiento de Shopify (null = sin enviar) -> valor por idioma
+const ESTADOS_CUMPLIMIENTO = {
+  es: {
+    fulfilled: 'completado',
+    partial: 'parcial',
+    unfulfilled: 'pendiente',
+    null: 'pendiente',
+  },
+  en: {
+    null: 'unfulfilled',
+  },
+};
+
+// Tipo de valor de descuentos (percentage / fixed_amount)
+const TIPOS_VALOR = {
+  es: { percentage: 'porcentaje', fixed_amount: 'monto_fijo' },
+  en: { percentage: 'percentage', fixed_amount: 'fixed_amount' },
+};
+
+// Tipo de identificación del comprador (valores de utils/identificacion)
+const TIPOS_IDENTIFICACION = {
+  es: {},
+  en: { pasaporte: 'passport', consumidor_final: 'final_consumer' },
+};
+
+// Reposición de inventario de un line item reembolsado (restock_type)
+const TIPOS_REPOSICION = {
+  es: { no_restock: 'sin_reposicion', cancel: 'cancelacion', return: 'devolucion' },
+  en: {},
+};
+
+// Tipo y estado de las transacciones de un reembolso
+const TIPOS_TRANSACCION = {
+  es: { suggested_refund: 'reembolso_sugerido', refund: 'reembolso' },
+  en: {},
+};
+
+const ESTADOS_TRANSACCION = {
+  es: { success: 'exitosa', pending: 'pendiente', failure: 'fallida', error: 'error' },
+  en: {},
+};
+
+// Motivo de cancelación de una orden
+const MOTIVOS_CANCELACION = {
+  es: { customer: 'cliente', inventory: 'inventario', fraud: 'fraude', declined: 'pago_rechazado', other: 'otro' },
+  en: {},
+};
+
+// Tarifas de IVA del reporte de ventas que no son un porcentaje
+const TARIFAS_IVA = {
+  es: {},
+  en: { exento: 'exempt', sin_tarifa: 'unmatched' },
+};
+
+const IMPUESTO_EN = { titulo: 'title', tasa: 'rate', precio: 'price' };
+
+const DIRECCION_EN = {
+  nombre: 'name',
+  empresa: 'company',
+  direccion1: 'address1',
+  direccion2: 'address2',
+  ciudad: 'city',
+  provincia: 'province',
+  codigoPostal: 'zip',
+  pais: 'country',
+  telefono: 'phone',
+};
+
+// Claves de formatOrder en inglés: 'nombre' o ['nombre', claves de los hijos]
+const CLAVES_PEDIDO_EN = {
+  numeroPedido: 'orderNumber',
+  fechaCreacion: 'createdAt',
+  fechaActualizacion: 'updatedAt',
+  estadoFinanciero: 'financialStatus',
+  estadoCumplimiento: 'fulfillmentStatus',
+  totalEnvio: 'totalShipping',
+  totalImpuestos: 'totalTax',
+  totalDescuentos: 'totalDiscounts',
+  moneda: 'currency',
+  envios: ['shippingLines', {
+    titulo: 'title',
+    codigo: 'code',
+    precio: 'price',
+    precioDescontado: 'discountedPrice',
+    origen: 'source',
+    impuestos: ['taxLines', IMPUESTO_EN],
+  }],
+  impuestos: ['taxLines', IMPUESTO_EN],
+  impuestosIncluidos: 'taxesIncluded',
+  descuentos: ['discountCodes', { codigo: 'code', tipo: 'type', valor: 'amount' }],
+  aplicacionesDescuento: ['discountApplications', {
+    tipo: 'type',
+    titulo: 'title',
+    valor: 'value',
+    tipoValor: 'valueType',
+  }],
+  notas: 'note',
+  etiquetas: 'tags',
+  cedulaRuc: 'taxId',
+  tipoIdentificacion: 'taxIdType',
+  identificacionValida: 'taxIdValid',
+  atributosNotas: ['noteAttributes', { nombre: 'name', valor: 'value' }],
+  cliente: ['customer', {
+    nombre: 'firstName',
+    apellido: 'lastName',
+    nombreCompleto: 'fullName',
+    telefono: 'phone',
+  }],
+  direccionFacturacion: ['billingAddress', DIRECCION_EN],
+  direccionEnvio: ['shippingAddress', DIRECCION_EN],
+  productos: ['lineItems', {
+    titulo: 'title',
+    variante: 'variant',
+    cantidad: 'quantity',
+    precioUnitario: 'unitPrice',
+    precioTotal: 'totalPrice',
+    descuento: 'discount',
+    impuesto: 'tax',
+    gravaImpuestos: 'taxable',
+    varianteId: 'variantId',
+    productoId: 'productId',
+    requiereEnvio: 'requiresShipping',
+  }],
+};
+
+// Claves del envoltorio de las respuestas de /v1/orders en inglés
+const CLAVES_RESPUESTA_EN = {
+  exito: 'success',
+  tienda: 'shop',
+  cantidad: 'count',
+  pedidos: 'orders',
+  pedido: 'order',
+  origen: 'source',
+  ultimaSincronizacion: 'lastSyncAt',
+  paginas: 'pages',
+  truncado: 'truncated',
+  cumplimiento: 'fulfillment',
+  estadoCumplimiento: 'fulfillmentStatus',
+  reembolso: 'refund',
+  cancelacion: 'cancellation',
+  zonaHoraria: 'timeZone',
+  desde: 'from',
+  hasta: 'to',
+  agrupacion: 'groupBy',
+  moneda: 'currency',
+  cantidadTiendas: 'shopCount',
+  errores: 'errors',
+  estado: 'status',
+};
+
+// Claves del fulfillment creado (POST /v1/orders/:orderId/fulfillments)
+const CLAVES_CUMPLIMIENTO_EN = {
+  estado: 'status',
+  seguimiento: ['tracking', { numero: 'number', empresa: 'company' }],
+};
+
+// Claves de utils/refundFormatter (cálculo y reembolso creado)
+const CLAVES_REEMBOLSO_EN = {
+  fecha: 'createdAt',
+  nota: 'note',
+  moneda: 'currency',
+  totalImpuestos: 'totalTax',
+  maximoReembolsable: 'maximumRefundable',
+  envio: ['shipping', { monto: 'amount', impuesto: 'tax', maximoReembolsable: 'maximumRefundable' }],
+  productos: ['lineItems', {
+    titulo: 'title',
+    variante: 'variant',
+    cantidad: 'quantity',
+    precioUnitario: 'unitPrice',
+    impuesto: 'tax',
+    reposicion: 'restockType',
+    ubicacionId: 'locationId',
+  }],
+  transacciones: ['transactions', {
+    tipo: 'kind',
+    estado: 'status',
+    pasarela: 'gateway',
+    monto: 'amount',
+    maximoReembolsable: 'maximumRefundable',
+  }],
+};
+
+// Claves de la cancelación (POST /v1/orders/:orderId/cancel)
+const CLAVES_CANCELACION_EN = {
+  fecha: 'cancelledAt',
+  motivo: 'reason',
+  reponerInventario: 'restock',
+  notificarCliente: 'notifyCustomer',
+};
+
+// Claves del reporte de ventas (GET /v1/reports/sales)
+const TOTALES_REPORTE_EN = {
+  pedidos: 'orders',
+  ventasBrutas: 'grossSales',
+  descuentos: 'discounts',
+  ventasNetas: 'netSales',
+  envio: 'shipping',
+  impuestos: 'taxes',
+  iva: ['vat', { tarifa: 'rate', base: 'base', impuesto: 'tax' }],
+};
+
+const CLAVES_REPORTE_EN = {
+  totales: ['totals', TOTALES_REPORTE_EN],
+  periodos: ['periods', { periodo: 'period', desde: 'from', hasta: 'to', ...TOTALES_REPORTE_EN }],
+};
+
+const tabla = (tablas, lang) => tablas[lang] || tablas[DEFAULT_LANGUAGE];
+
+/**
+ * Traduce el estado financiero
+ * @param {string} status - financial_status de Shopify
+ * @param {string} [lang] - es | en
+ */
+function traducirEstadoFinanciero(status, lang = DEFAULT_LANGUAGE) {
+  return tabla(ESTADOS_FINANCIEROS, lang)[status] || status;
+}
+
+/**
+ * Traduce el estado de cumplimiento (null = pendiente / unfulfilled)
+ * @param {string|null} status - fulfillment_status de Shopify
+ * @param {string} [lang] - es | en
+ */
+function traducirEstadoCumplimiento(status, lang = DEFAULT_LANGUAGE) {
+  const traducciones = tabla(ESTADOS_CUMPLIMIENTO, lang);
+  return traducciones[status] || status || traducciones.null;
+}
+
+/**
+ * Traduce el tipo de valor de un descuento (todo lo que no es porcentaje es monto fijo)
+ * @param {string} type - value_type / type de Shopify
+ * @param {string} [lang] - es | en
+ */
+function traducirTipoValor(type, lang = DEFAULT_LANGUAGE) {
+  const traducciones = tabla(TIPOS_VALOR, lang);
+  return type === 'percentage' ? traducciones.percentage : traducciones.fixed_amount;
+}
+
+/**
+ * Traduce el tipo de identificación del comprador
+ * @param {string} tipo - cedula | ruc | pasaporte | consumidor_final
+ * @param {string} [lang] - es | en
+ */
+function traducirTipoIdentificacion(tipo, lang = DEFAULT_LANGUAGE) {
+  return tabla(TIPOS_IDENTIFICACION, lang)[tipo] || tipo;
+}
+
+/**
+ * Traduce el tipo de reposición de un line item reembolsado
+ * @param {string} type - restock_type (no_restock | cancel | return)
+ * @param {string} [lang] - es | en
+ */
+function traducirTipoReposicion(type, lang = DEFAULT_LANGUAGE) {
+  return tabla(TIPOS_REPOSICION, lang)[type] || type;
+}
+
+/**
+ * Traduce el tipo de una transacción (suggested_refund | refund)
+ * @param {string} kind - kind de la transacción
+ * @param {string} [lang] - es | en
+ */
+function traducirTipoTransaccion(kind, lang = DEFAULT_LANGUAGE) {
+  return tabla(TIPOS_TRANSACCION, lang)[kind] || kind;
+}
+
+/**
+ * Traduce el estado de una transacción (success | pending | failure | error)
+ * @param {string} status - status de la transacción
+ * @param {string} [lang] - es | en
+ */
+function traducirEstadoTransaccion(status, lang = DEFAULT_LANGUAGE) {
+  return tabla(ESTADOS_TRANSACCION, lang)[status] || status;
+}
+
+/**
+ * Traduce el motivo de cancelación de una orden
+ * @param {string} reason - customer | inventory | fraud | declined | other
+ * @param {string} [lang] - es | en
+ */
+function traducirMotivoCancelacion(reason, lang = DEFAULT_LANGUAGE) {
+  return tabla(MOTIVOS_CANCELACION, lang)[reason] || reason;
+}
+
+/**
+ * Traduce una tarifa de IVA del reporte de ventas ("15%", "exento", "sin_tarifa")
+ * @param {string} tarifa - Tarifa en español
+ * @param {string} [lang] - es | en
+ */
+function traducirTarifaIva(tarifa, lang = DEFAULT_LANGUAGE) {
+  return tabla(TARIFAS_IVA, lang)[tarifa] || tarifa;
+}
+
+/**
+ * Renombra las claves de un valor según un mapa (recursivo en objetos y arrays)
+ * Las claves que no están en el mapa se conservan.
+ */
+function renombrarClaves(value, mapa) {
+  if (Array.isArray(value)) {
+    return value.map((item) => renombrarClaves(item, mapa));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    const entry = mapa[key];
+    if (Array.isArray(entry)) {
+      result[entry[0]] = renombrarClaves(child, entry[1]);
+    } else {
+      result[entry || key] = child;
+    }
+  }
+  return result;
+}
+
+/**
+ * Aplica el idioma a las claves de una orden formateada
+ * @param {object} pedido - Orden formateada en español
+ * @param {string} [lang] - es | en
+ * @returns {object}
+ */
+function traducirPedido(pedido, lang = DEFAULT_LANGUAGE) {
+  return lang === 'en' ? renombrarClaves(pedido, CLAVES_PEDIDO_EN) : pedido;
+}
+
+/**
+ * Aplica el idioma a las claves de un fulfillment creado
+ * @param {object} cumplimiento - Fulfillment en español
+ * @param {string} [lang] - es | en
+ * @returns {object}
+ */
+function traducirCumplimiento(cumplimiento, lang = DEFAULT_LANGUAGE) {
+  return lang === 'en' ? renombrarClaves(cumplimiento, CLAVES_CUMPLIMIENTO_EN) : cumplimiento;
+}
+
+/**
+ * Aplica el idioma a las claves de un reembolso (cálculo o reembolso creado)
+ * @param {object} reembolso - Reembolso en español
+ * @param {string} [lang] - es | en
+ * @returns {object}
+ */
+function traducirReembolso(reembolso, lang = DEFAULT_LANGUAGE) {
+  return lang === 'en' ? renombrarClaves(reembolso, CLAVES_REEMBOLSO_EN) : reembolso;
+}
+
+/**
+ * Aplica el idioma a las claves de una cancelación
+ * @param {object} cancelacion - Cancelación en español
+ * @param {string} [lang] - es | en
+ * @returns {object}
+ */
+function traducirCancelacion(cancelacion, lang = DEFAULT_LANGUAGE) {
+  return lang === 'en' ? renombrarClaves(cancelacion, CLAVES_CANCELACION_EN) : cancelacion;
+}
+
+/**
+ * Aplica el idioma a las claves del reporte de ventas (totales y períodos)
+ * @param {object} reporte - Reporte en español
+ * @param {string} [lang] - es | en
+ * @returns {object}
+ */
+function traducirReporte(reporte, lang = DEFAULT_LANGUAGE) {
+  return lang === 'en' ? renombrarClaves(reporte, CLAVES_REPORTE_EN) : reporte;
+}
+
+/**
+ * Aplica el idioma a las claves de primer nivel de una respuesta (exito, tienda, pedidos...)
+ * @param {object} body - Respuesta en español
+ * @param {string} [lang] - es | en
+ * @returns {object}
+ */
+function traducirRespuesta(body, lang = DEFAULT_LANGUAGE) {
+  if (lang !== 'en') return body;
+
+  const result = {};
+  for (const [key, value] of Object.entries(body)) {
+    result[CLAVES_RESPUESTA_EN[key] || key] = value;
+  }
+  return result;
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  traducirEstadoFinanciero,
+  traducirEstadoCumplimiento,
+  traducirTipoValor,
+  traducirTipoIdentificacion,
+  traducirTipoReposicion,
+  traducirTipoTransaccion,
+  traducirEstadoTransaccion,
+  traducirMotivoCancelacion,
+  traducirTarifaIva,
+  traducirPedido,
+  traducirCumplimiento,
+  traducirReembolso,
+  traducirCancelacion,
+  traducirReporte,
+  traducirRespuesta,
+};
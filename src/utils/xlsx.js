@@ -0,0 +1,293 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+/**
+ * Escritura de archivos XLSX en streaming (sin dependencias)
+ *
+ * Un XLSX es un ZIP con XML. Las entradas se comprimen con deflate y se
+ * escriben con "data descriptor" (CRC y tamaños al final de cada entrada), así
+ * que la hoja se puede generar fila por fila sin tenerla entera en memoria.
+ * Las celdas de texto van inline (t="inlineStr") para no acumular una tabla de
+ * strings compartidos. Sin ZIP64: cada entrada debe quedar por debajo de 4 GB.
+ */
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 incremental (el mismo que usa ZIP)
+ * @param {Buffer} buffer
+ * @param {number} crc - CRC acumulado (0 al empezar)
+ * @returns {number}
+ */
+function crc32(buffer, crc = 0) {
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Fecha y hora en formato DOS (cabeceras ZIP)
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * Escribe en un stream respetando la contrapresión (espera "drain")
+ * @throws {Error} Si el stream se cierra antes (ej: el cliente cortó la descarga)
+ */
+async function writeTo(stream, chunk) {
+  if (stream.destroyed) {
+    throw new Error('Output stream closed');
+  }
+  if (stream.write(chunk)) return;
+
+  await new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Output stream closed'));
+    };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+  });
+}
+
+/**
+ * Crea un escritor ZIP sobre un stream de salida
+ * @param {import('stream').Writable} output
+ * @returns {{ addFile: Function, startFile: Function, finish: Function }}
+ */
+function createZipWriter(output) {
+  const entries = [];
+  let offset = 0;
+
+  async function emit(chunk) {
+    offset += chunk.length;
+    await writeTo(output, chunk);
+  }
+
+  /**
+   * Abre una entrada nueva; el contenido se escribe con write() y se cierra con end()
+   * @param {string} name - Ruta dentro del ZIP
+   */
+  async function startFile(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(new Date());
+    const entry = { name: nameBuffer, time, date, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    // Cabecera local: flag 0x0008 (data descriptor) | 0x0800 (nombre UTF-8), método 8 (deflate)
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0808, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await emit(Buffer.concat([header, nameBuffer]));
+
+    const deflate = zlib.createDeflateRaw();
+    let pending = Promise.resolve();
+
+    // La salida comprimida se encadena para respetar la contrapresión del stream de salida
+    deflate.on('data', (chunk) => {
+      entry.compressedSize += chunk.length;
+      deflate.pause();
+      pending = pending
+        .then(() => emit(chunk))
+        .then(() => deflate.resume(), (error) => deflate.destroy(error));
+    });
+
+    return {
+      async write(text) {
+        const chunk = Buffer.from(text, 'utf8');
+        entry.crc = crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        if (!deflate.write(chunk)) {
+          await once(deflate, 'drain');
+        }
+      },
+      async end() {
+        deflate.end();
+        await once(deflate, 'end');
+        await pending;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await emit(descriptor);
+        entries.push(entry);
+      },
+    };
+  }
+
+  /**
+   * Agrega una entrada completa (contenido pequeño ya en memoria)
+   */
+  async function addFile(name, content) {
+    const file = await startFile(name);
+    await file.write(content);
+    await file.end();
+  }
+
+  /**
+   * Escribe el directorio central y el fin de archivo
+   */
+  async function finish() {
+    const start = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(0x0808, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await emit(Buffer.concat([header, entry.name]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await emit(end);
+  }
+
+  return { addFile, startFile, finish };
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Caracteres de control no permitidos en XML 1.0
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+/**
+ * Referencia de columna de Excel (0 -> A, 26 -> AA)
+ */
+function columnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * XML de una celda según el tipo del valor
+ */
+function cellXml(value, ref) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+  + '</Types>';
+
+const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+  + '</Relationships>';
+
+const WORKBOOK_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+  + '</Relationships>';
+
+const workbookXml = (sheetName) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+  + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+  + '</workbook>';
+
+/**
+ * Crea un escritor XLSX de una sola hoja sobre un stream de salida
+ * @param {import('stream').Writable} output
+ * @param {{ sheetName?: string }} options
+ * @returns {Promise<{ addRow: Function, finish: Function }>}
+ */
+async function createXlsxWriter(output, { sheetName = 'Hoja1' } = {}) {
+  const zip = createZipWriter(output);
+
+  await zip.addFile('[Content_Types].xml', CONTENT_TYPES);
+  await zip.addFile('_rels/.rels', ROOT_RELS);
+  await zip.addFile('xl/workbook.xml', workbookXml(sheetName));
+  await zip.addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+
+  const sheet = await zip.startFile('xl/worksheets/sheet1.xml');
+  await sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+
+  let rowNumber = 0;
+
+  return {
+    /**
+     * Agrega una fila (strings, números o booleanos)
+     * @param {Array} values
+     */
+    async addRow(values) {
+      rowNumber++;
+      const cells = values.map((value, i) => cellXml(value, `${columnName(i)}${rowNumber}`)).join('');
+      await sheet.write(`<row r="${rowNumber}">${cells}</row>`);
+    },
+
+    async finish() {
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.end();
+      await zip.finish();
+    },
+  };
+}
+
+module.exports = {
+  writeTo,
+  crc32,
+  createZipWriter,
+  createXlsxWriter,
+};
@@ -0,0 +1,443 @@
+/**
+ * Páginas HTML del panel de órdenes embebido en el admin de Shopify (GET /)
+ *
+ * Todo valor que viene de Shopify, de la configuración o del querystring pasa
+ * por escapeHtml antes de interpolarse.
+ */
+
+const { escapeHtml } = require('../utils/html');
+const { ALLOWED_VALUES } = require('../utils/orderFilters');
+
+const APP_BRIDGE_URL = 'https://cdn.shopify.com/shopifycloud/app-bridge.js';
+
+// Etiquetas de los filtros del panel (los valores son los de GET /v1/orders)
+const ETIQUETAS_FILTROS = {
+  status: {
+    titulo: 'Estado',
+    opciones: { open: 'Abiertos', closed: 'Cerrados', cancelled: 'Cancelados', any: 'Todos' },
+  },
+  financial_status: {
+    titulo: 'Pago',
+    opciones: {
+      authorized: 'Autorizado',
+      pending: 'Pendiente',
+      paid: 'Pagado',
+      partially_paid: 'Pago parcial',
+      refunded: 'Reembolsado',
+      voided: 'Anulado',
+      partially_refunded: 'Reembolso parcial',
+      unpaid: 'No pagado',
+      any: 'Todos',
+    },
+  },
+  fulfillment_status: {
+    titulo: 'Envío',
+    opciones: {
+      shipped: 'Enviados',
+      partial: 'Parciales',
+      unshipped: 'Sin enviar',
+      unfulfilled: 'Pendientes de envío',
+      any: 'Todos',
+    },
+  },
+};
+
+const STYLES = `
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      margin: 0;
+      padding: 20px;
+      background: #f6f6f7;
+      color: #202223;
+    }
+    .container {
+      background: white;
+      padding: 24px;
+      border-radius: 8px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+      margin-bottom: 16px;
+    }
+    .narrow { max-width: 600px; margin: 50px auto; }
+    h1 { margin: 0 0 10px; font-size: 22px; }
+    h2 { margin: 0 0 12px; font-size: 16px; }
+    .muted { color: #6d7175; }
+    .status { color: #008060; font-weight: 500; }
+    .error { color: #d72c0d; }
+    a { color: #006fbb; text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    .links a {
+      display: block;
+      padding: 8px 0;
+      border-bottom: 1px solid #e1e3e5;
+    }
+    form.filters { display: flex; flex-wrap: wrap; gap: 12px; align-items: flex-end; }
+    form.filters label { display: flex; flex-direction: column; font-size: 13px; color: #6d7175; gap: 4px; }
+    input, select, button { font: inherit; padding: 6px 8px; border: 1px solid #c9cccf; border-radius: 4px; }
+    button { background: #008060; color: white; border-color: #008060; cursor: pointer; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { text-align: left; padding: 8px; border-bottom: 1px solid #e1e3e5; vertical-align: top; }
+    th { color: #6d7175; font-weight: 500; }
+    td.num, th.num { text-align: right; }
+    .pager { display: flex; justify-content: space-between; margin-top: 12px; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 16px; }
+    dl { margin: 0; display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; font-size: 14px; }
+    dt { color: #6d7175; }
+    dd { margin: 0; }
+    .tag {
+      display: inline-block;
+      background: #e4e5e7;
+      border-radius: 10px;
+      padding: 1px 8px;
+      margin: 0 4px 4px 0;
+      font-size: 12px;
+    }
+    pre { background: #f4f6f8; padding: 12px; border-radius: 4px; overflow: auto; font-size: 12px; }
+    code {
+      background: #f4f6f8;
+      padding: 2px 6px;
+      border-radius: 4px;
+      font-size: 13px;
+    }`;
+
+/**
+ * Documento HTML completo
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} options.body - HTML ya escapado
+ * @param {string|null} [options.apiKey] - Con apiKey se carga App Bridge (página embebida)
+ * @param {string} [options.script] - Script inline (sin datos interpolados)
+ * @returns {string}
+ */
+function renderLayout({ title, body, apiKey = null, script = '' }) {
+  const appBridge = apiKey
+    ? `\n  <meta name="shopify-api-key" content="${escapeHtml(apiKey)}">\n  <script src="${APP_BRIDGE_URL}"></script>`
+    : '';
+
+  return `
+<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>${appBridge}
+  <style>${STYLES}
+  </style>
+</head>
+<body>
+${body}${script ? `\n<script>${script}</script>` : ''}
+</body>
+</html>
+  `.trim();
+}
+
+/**
+ * URL del panel con los parámetros dados (se omiten los vacíos)
+ * @param {object} params
+ * @returns {string} URL relativa, sin escapar
+ */
+function dashboardUrl(params) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, value);
+    }
+  }
+  return `/?${query.toString()}`;
+}
+
+/**
+ * Página de inicio fuera del admin de Shopify (sin tienda)
+ * @param {{ host: string, shop: string }} options - shop: tienda de ejemplo para el link de OAuth
+ * @returns {string}
+ */
+function renderLanding({ host, shop }) {
+  return renderLayout({
+    title: 'Shopify Orders API',
+    body: `
+  <div class="container narrow">
+    <h1>Shopify Orders API</h1>
+    <p class="status">✓ Server running</p>
+
+    <div class="links">
+      <h3>Endpoints</h3>
+      <a href="${escapeHtml(`${host}/health`)}">/health - Health check</a>
+      <a href="${escapeHtml(`${host}/auth?shop=${shop}`)}">/auth?shop=... - Iniciar OAuth</a>
+      <p class="muted" style="font-size:14px; margin-top:10px;">
+        <strong>GET /v1/orders?shop=...</strong><br>
+        Requiere header: <code>Authorization: Bearer &lt;token&gt;</code>
+      </p>
+    </div>
+  </div>`,
+  });
+}
+
+/**
+ * Página intermedia: pide un session token a App Bridge y recarga con id_token
+ * @param {{ apiKey: string }} options
+ * @returns {string}
+ */
+function renderSessionBounce({ apiKey }) {
+  return renderLayout({
+    title: 'Cargando…',
+    apiKey,
+    body: `
+  <div class="container narrow">
+    <p class="muted">Cargando el panel de órdenes…</p>
+    <noscript><p class="error">Abre la app desde el admin de Shopify.</p></noscript>
+  </div>`,
+    script: `
+  (async function () {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('id_token');
+    try {
+      url.searchParams.set('id_token', await window.shopify.idToken());
+      window.location.replace(url.toString());
+    } catch (error) {
+      document.querySelector('.container p').textContent = 'Abre la app desde el admin de Shopify.';
+    }
+  })();
+`,
+  });
+}
+
+/**
+ * Página con un mensaje (errores del panel)
+ * @param {{ apiKey?: string|null, title: string, message: string, details?: string[], backUrl?: string }} options
+ * @returns {string}
+ */
+function renderMessage({ apiKey = null, title, message, details = [], backUrl = null }) {
+  return renderLayout({
+    title,
+    apiKey,
+    body: `
+  <div class="container narrow">
+    <h1>${escapeHtml(title)}</h1>
+    <p class="error">${escapeHtml(message)}</p>
+    ${details.length > 0 ? `<ul>${details.map((d) => `<li>${escapeHtml(d)}</li>`).join('')}</ul>` : ''}
+    ${backUrl ? `<p><a href="${escapeHtml(backUrl)}">← Volver</a></p>` : ''}
+  </div>`,
+  });
+}
+
+/**
+ * Select de un filtro con el valor actual seleccionado
+ */
+function renderSelect(param, value) {
+  const { titulo, opciones } = ETIQUETAS_FILTROS[param];
+  const options = ALLOWED_VALUES[param]
+    .map((option) => `<option value="${escapeHtml(option)}"${option === value ? ' selected' : ''}>${escapeHtml(opciones[option] || option)}</option>`)
+    .join('');
+  return `<label>${escapeHtml(titulo)}<select name="${param}">${options}</select></label>`;
+}
+
+/**
+ * Listado de órdenes con filtros, búsqueda y paginación
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} options.shop - Tienda (de dest del session token o del request firmado)
+ * @param {object} options.base - Parámetros que se conservan en los links (shop, host, embedded)
+ * @param {object} options.form - Valores actuales de los filtros (status, financial_status,
+ *   fulfillment_status, desde, hasta, q)
+ * @param {object[]} options.pedidos - Órdenes formateadas con formatOrder
+ * @param {string|null} options.nextCursor
+ * @param {string|null} options.prevCursor
+ * @param {string|null} [options.notice] - Aviso sobre los resultados (ej: búsqueda limitada)
+ * @returns {string}
+ */
+function renderOrderList({ apiKey, shop, base, form, pedidos, nextCursor, prevCursor, notice = null }) {
+  const listParams = { ...base, ...form };
+  const hidden = Object.entries(base)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('');
+
+  const rows = pedidos.map((pedido) => `
+        <tr>
+          <td><a href="${escapeHtml(dashboardUrl({ ...listParams, order: pedido.id }))}">${escapeHtml(pedido.numeroPedido)}</a></td>
+          <td>${escapeHtml(String(pedido.fechaCreacion || '').slice(0, 16).replace('T', ' '))}</td>
+          <td>${escapeHtml(pedido.cliente?.nombreCompleto || pedido.direccionFacturacion?.nombre || '—')}</td>
+          <td>${escapeHtml(pedido.cedulaRuc || '—')}</td>
+          <td>${escapeHtml(pedido.estadoFinanciero || '—')}</td>
+          <td>${escapeHtml(pedido.estadoCumplimiento || '—')}</td>
+          <td class="num">${escapeHtml(pedido.total)} ${escapeHtml(pedido.moneda)}</td>
+        </tr>`).join('');
+
+  const pager = (prevCursor || nextCursor) ? `
+    <div class="pager">
+      <span>${prevCursor ? `<a href="${escapeHtml(dashboardUrl({ ...listParams, cursor: prevCursor }))}">← Anteriores</a>` : ''}</span>
+      <span>${nextCursor ? `<a href="${escapeHtml(dashboardUrl({ ...listParams, cursor: nextCursor }))}">Siguientes →</a>` : ''}</span>
+    </div>` : '';
+
+  return renderLayout({
+    title: `Órdenes - ${shop}`,
+    apiKey,
+    body: `
+  <div class="container">
+    <h1>Órdenes</h1>
+    <p class="muted">${escapeHtml(shop)}</p>
+    <form class="filters" method="get" action="/">
+      ${hidden}
+      <label>Buscar<input type="search" name="q" value="${escapeHtml(form.q)}" placeholder="#1001 o cédula/RUC"></label>
+      ${renderSelect('status', form.status)}
+      ${renderSelect('financial_status', form.financial_status)}
+      ${renderSelect('fulfillment_status', form.fulfillment_status)}
+      <label>Desde<input type="date" name="desde" value="${escapeHtml(form.desde)}"></label>
+      <label>Hasta<input type="date" name="hasta" value="${escapeHtml(form.hasta)}"></label>
+      <button type="submit">Filtrar</button>
+    </form>
+  </div>
+  <div class="container">
+    ${notice ? `<p class="muted">${escapeHtml(notice)}</p>` : ''}
+    ${pedidos.length === 0 ? '<p class="muted">No hay órdenes con estos filtros.</p>' : `
+    <table>
+      <thead>
+        <tr>
+          <th>Pedido</th><th>Fecha</th><th>Cliente</th><th>Cédula/RUC</th>
+          <th>Pago</th><th>Envío</th><th class="num">Total</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`}
+    ${pager}
+  </div>`,
+  });
+}
+
+/**
+ * Lista dt/dd de los pares con valor
+ */
+function renderFields(fields) {
+  return `<dl>${fields
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value === null || value === undefined || value === '' ? '—' : value)}</dd>`)
+    .join('')}</dl>`;
+}
+
+function renderAddress(title, direccion) {
+  if (!direccion) return '';
+  return `
+      <div>
+        <h2>${escapeHtml(title)}</h2>
+        ${renderFields([
+          ['Nombre', direccion.nombre],
+          ['Empresa', direccion.empresa],
+          ['Dirección', [direccion.direccion1, direccion.direccion2].filter(Boolean).join(', ')],
+          ['Ciudad', [direccion.ciudad, direccion.provincia, direccion.codigoPostal].filter(Boolean).join(', ')],
+          ['País', direccion.pais],
+          ['Teléfono', direccion.telefono],
+        ])}
+      </div>`;
+}
+
+/**
+ * Detalle de una orden (los mismos datos que formatOrder)
+ * @param {{ apiKey: string, shop: string, pedido: object, backUrl: string }} options
+ *   pedido: orden formateada con formatOrder (en español)
+ * @returns {string}
+ */
+function renderOrderDetail({ apiKey, shop, pedido, backUrl }) {
+  const productos = pedido.productos.map((producto) => `
+        <tr>
+          <td>${escapeHtml(producto.sku || '—')}</td>
+          <td>${escapeHtml(producto.titulo)}${producto.variante ? `<br><span class="muted">${escapeHtml(producto.variante)}</span>` : ''}</td>
+          <td class="num">${escapeHtml(producto.cantidad)}</td>
+          <td class="num">${escapeHtml(producto.precioUnitario)}</td>
+          <td class="num">${escapeHtml(producto.descuento)}</td>
+          <td class="num">${escapeHtml(producto.impuesto)}</td>
+          <td class="num">${escapeHtml(producto.precioTotal)}</td>
+        </tr>`).join('');
+
+  const lista = (items, format) => (items.length > 0
+    ? `<ul>${items.map((item) => `<li>${format(item)}</li>`).join('')}</ul>`
+    : '<p class="muted">—</p>');
+
+  return renderLayout({
+    title: `Pedido ${pedido.numeroPedido} - ${shop}`,
+    apiKey,
+    body: `
+  <div class="container">
+    <p><a href="${escapeHtml(backUrl)}">← Órdenes</a></p>
+    <h1>Pedido ${escapeHtml(pedido.numeroPedido)}</h1>
+    <p class="muted">${escapeHtml(shop)} · ID ${escapeHtml(pedido.id)}</p>
+    <div class="grid">
+      <div>
+        <h2>Resumen</h2>
+        ${renderFields([
+          ['Creado', pedido.fechaCreacion],
+          ['Actualizado', pedido.fechaActualizacion],
+          ['Pago', pedido.estadoFinanciero],
+          ['Envío', pedido.estadoCumplimiento],
+          ['Subtotal', pedido.subtotal],
+          ['Envío (total)', pedido.totalEnvio],
+          ['Descuentos', pedido.totalDescuentos],
+          ['Impuestos', `${pedido.totalImpuestos}${pedido.impuestosIncluidos ? ' (incluidos)' : ''}`],
+          ['Total', `${pedido.total} ${pedido.moneda}`],
+        ])}
+      </div>
+      <div>
+        <h2>Cliente</h2>
+        ${renderFields([
+          ['Nombre', pedido.cliente?.nombreCompleto],
+          ['Email', pedido.cliente?.email],
+          ['Teléfono', pedido.cliente?.telefono],
+          ['Identificación', pedido.cedulaRuc ? `${pedido.cedulaRuc} (${pedido.tipoIdentificacion})` : null],
+          ['Identificación válida', pedido.cedulaRuc ? (pedido.identificacionValida ? 'Sí' : 'No') : null],
+        ])}
+      </div>
+      ${renderAddress('Facturación', pedido.direccionFacturacion)}
+      ${renderAddress('Envío', pedido.direccionEnvio)}
+    </div>
+  </div>
+  <div class="container">
+    <h2>Productos</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>SKU</th><th>Producto</th><th class="num">Cant.</th><th class="num">Precio</th>
+          <th class="num">Descuento</th><th class="num">Impuesto</th><th class="num">Total</th>
+        </tr>
+      </thead>
+      <tbody>${productos}
+      </tbody>
+    </table>
+  </div>
+  <div class="container grid">
+    <div>
+      <h2>Envíos</h2>
+      ${lista(pedido.envios, (envio) => `${escapeHtml(envio.titulo)} (${escapeHtml(envio.codigo || '—')}): ${escapeHtml(envio.precio)}`)}
+    </div>
+    <div>
+      <h2>Impuestos</h2>
+      ${lista(pedido.impuestos, (impuesto) => `${escapeHtml(impuesto.titulo)} ${escapeHtml(impuesto.tasa || '')}: ${escapeHtml(impuesto.precio)}`)}
+    </div>
+    <div>
+      <h2>Descuentos</h2>
+      ${lista([
+        ...pedido.descuentos.map((d) => `${escapeHtml(d.codigo)}: ${escapeHtml(d.valor)} (${escapeHtml(d.tipo)})`),
+        ...pedido.aplicacionesDescuento.map((a) => `${escapeHtml(a.titulo)}: ${escapeHtml(a.valor)} (${escapeHtml(a.tipoValor)})`),
+      ], (item) => item)}
+    </div>
+    <div>
+      <h2>Notas</h2>
+      <p>${escapeHtml(pedido.notas || '—')}</p>
+      <p>${pedido.etiquetas.map((tag) => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</p>
+      ${pedido.atributosNotas.length > 0 ? renderFields(pedido.atributosNotas.map((attr) => [attr.nombre, attr.valor])) : ''}
+    </div>
+  </div>
+  <div class="container">
+    <details>
+      <summary>Datos completos (JSON)</summary>
+      <pre>${escapeHtml(JSON.stringify(pedido, null, 2))}</pre>
+    </details>
+  </div>`,
+  });
+}
+
+module.exports = {
+  dashboardUrl,
+  renderLanding,
+  renderSessionBounce,
+  renderMessage,
+  renderOrderList,
+  renderOrderDetail,
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const { shopifyREST } = require('./shopify');
+
+/**
+ * Webhooks de Shopify: verificación HMAC y registro de suscripciones
+ */
+
+// Topics a los que se suscribe cada tienda al instalar la app
+const WEBHOOK_TOPICS = [
+  'orders/create',
+  'orders/updated',
+  'orders/cancelled',
+  'app/uninstalled',
+];
+
+/**
+ * Verifica el header X-Shopify-Hmac-Sha256 contra el body crudo
+ * @param {Buffer|string} rawBody - Body sin parsear tal como llegó
+ * @param {string} hmacHeader - Valor del header X-Shopify-Hmac-Sha256 (base64)
+ * @param {string} secret - SHOPIFY_API_SECRET
+ * @returns {boolean}
+ */
+function verifyWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) return false;
+
+  const calculatedHmac = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest();
+
+  // Comparar de forma segura
+  try {
+    const received = Buffer.from(hmacHeader, 'base64');
+    return (
+      received.length === calculatedHmac.length &&
+      crypto.timingSafeEqual(received, calculatedHmac)
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Registra las suscripciones de WEBHOOK_TOPICS para una tienda
+ * Los topics ya registrados (422 de Shopify) se consideran correctos.
+ * @param {string} shop - Dominio de la tienda (ya autenticada)
+ * @returns {Promise<{ registered: string[], failed: object[] }>}
+ */
+async function registerWebhooks(shop) {
+  const host = process.env.HOST;
+  const address = `${host}/webhooks`;
+  const registered = [];
+  const failed = [];
+
+  for (const topic of WEBHOOK_TOPICS) {
+    try {
+      await shopifyREST(shop, 'POST', '/webhooks.json', {
+        webhook: { topic, address, format: 'json' },
+      });
+      registered.push(topic);
+    } catch (error) {
+      // 422: "address for this topic has already been taken"
+      if (error.status === 422) {
+        registered.push(topic);
+        continue;
+      }
+      failed.push({ topic, error: error.message, details: error.details });
+    }
+  }
+
+  return { registered, failed };
+}
+
+module.exports = {
+  WEBHOOK_TOPICS,
+  verifyWebhookHmac,
+  registerWebhooks,
+};
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ORDERS_PER_REQUEST, reducedBatchSize } = require('../../src/graphql/orderQueries');
+
+const maxCostError = (extensions) => Object.assign(new Error('Query cost is too high'), {
+  shopifyErrors: [{ message: 'Query cost is too high', extensions: { code: 'MAX_COST_EXCEEDED', ...extensions } }],
+});
+
+test('ORDERS_PER_REQUEST entra en el costo máximo de una query', () => {
+  assert.ok(ORDERS_PER_REQUEST >= 1 && ORDERS_PER_REQUEST <= 250);
+});
+
+test('reducedBatchSize ajusta el lote a maxCost / cost', () => {
+  assert.strictEqual(reducedBatchSize(maxCostError({ cost: 1500, maxCost: 1000 }), 19), 12);
+  assert.strictEqual(reducedBatchSize(maxCostError({ cost: 100000, maxCost: 1000 }), 19), 1);
+});
+
+test('reducedBatchSize siempre pide menos órdenes que el lote rechazado', () => {
+  assert.strictEqual(reducedBatchSize(maxCostError({ cost: 1001, maxCost: 1000 }), 19), 18);
+  assert.strictEqual(reducedBatchSize(maxCostError({}), 19), 9);
+});
+
+test('reducedBatchSize devuelve null con otros errores o con lotes de una orden', () => {
+  assert.strictEqual(reducedBatchSize(new Error('Network Error'), 19), null);
+  assert.strictEqual(reducedBatchSize(Object.assign(new Error('x'), { shopifyErrors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }] }), 19), null);
+  assert.strictEqual(reducedBatchSize(maxCostError({ cost: 2000, maxCost: 1000 }), 1), null);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.STORE_BACKEND = 'memory';
+process.env.API_BEARER_TOKEN = 'admin-token';
+process.env.SHOPIFY_API_KEY = 'api-key';
+process.env.SHOPIFY_API_SECRET = 'shpss_test';
+
+const { createApiKey, listApiKeys, revokeApiKey, findApiKey } = require('../../src/store/apiKeys');
+const { authMiddleware, requireAdmin } = require('../../src/middleware/auth');
+
+// Ejecuta un middleware con una request mínima; devuelve { status, body, nextCalled, req }
+function run(middleware, { token, method = 'GET', query = {} }) {
+  const req = { method, query, headers: token ? { authorization: `Bearer ${token}` } : {} };
+  const result = { status: null, body: null, nextCalled: false, req };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; },
+  };
+  middleware(req, res, () => { result.nextCalled = true; });
+  return result;
+}
+
+test('las API keys se guardan como hash y solo se muestran al crearlas', () => {
+  const { key, apiKey } = createApiKey({ name: 'erp', shops: ['a.myshopify.com'], access: 'read' });
+
+  assert.match(key, /^sk_[0-9a-f]{12}_[A-Za-z0-9_-]+$/);
+  assert.strictEqual(apiKey.key_hash, undefined);
+  assert.ok(!JSON.stringify(listApiKeys()).includes(key.split('_')[2]));
+  assert.strictEqual(findApiKey(key).id, apiKey.id);
+
+  // Mismo id con otro secreto: el hash no coincide
+  assert.strictEqual(findApiKey(`${key.slice(0, 16)}otro-secreto`), null);
+  assert.strictEqual(findApiKey('sk_nope'), null);
+});
+
+test('las API keys revocadas dejan de autenticar', () => {
+  const { key, apiKey } = createApiKey({ name: 'revocada', shops: ['*'], access: 'read_write' });
+  assert.ok(revokeApiKey(apiKey.id).revoked_at);
+
+  assert.strictEqual(findApiKey(key), null);
+  const result = run(authMiddleware, { token: key, query: { shop: 'a.myshopify.com' } });
+  assert.strictEqual(result.status, 401);
+  assert.strictEqual(result.nextCalled, false);
+});
+
+test('authMiddleware limita cada key a sus tiendas', () => {
+  const { key } = createApiKey({ name: 'tienda-a', shops: ['a.myshopify.com'], access: 'read' });
+
+  const allowed = run(authMiddleware, { token: key, query: { shop: 'A.myshopify.com' } });
+  assert.strictEqual(allowed.nextCalled, true);
+  assert.strictEqual(allowed.req.apiClient.admin, false);
+
+  const denied = run(authMiddleware, { token: key, query: { shop: 'b.myshopify.com' } });
+  assert.strictEqual(denied.status, 403);
+  assert.match(denied.body.message, /does not have access to b\.myshopify\.com/);
+
+  const { key: wildcard } = createApiKey({ name: 'todas', shops: ['*'], access: 'read' });
+  assert.strictEqual(run(authMiddleware, { token: wildcard, query: { shop: 'b.myshopify.com' } }).nextCalled, true);
+});
+
+test('authMiddleware rechaza escrituras con keys de solo lectura', () => {
+  const { key: readKey } = createApiKey({ name: 'lectura', shops: ['*'], access: 'read' });
+  const { key: writeKey } = createApiKey({ name: 'escritura', shops: ['*'], access: 'read_write' });
+
+  for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+    const result = run(authMiddleware, { token: readKey, method, query: { shop: 'a.myshopify.com' } });
+    assert.strictEqual(result.status, 403, method);
+    assert.strictEqual(result.body.message, 'This API key has read-only access');
+    assert.strictEqual(run(authMiddleware, { token: writeKey, method, query: { shop: 'a.myshopify.com' } }).nextCalled, true);
+  }
+  assert.strictEqual(run(authMiddleware, { token: readKey, method: 'HEAD' }).nextCalled, true);
+});
+
+test('authMiddleware acepta API_BEARER_TOKEN con acceso total y rechaza tokens inválidos', () => {
+  const admin = run(authMiddleware, { token: 'admin-token', method: 'POST', query: { shop: 'z.myshopify.com' } });
+  assert.strictEqual(admin.nextCalled, true);
+  assert.deepStrictEqual(admin.req.apiClient.shops, ['*']);
+
+  assert.strictEqual(run(authMiddleware, {}).status, 401);
+  assert.strictEqual(run(authMiddleware, { token: 'otro-token' }).status, 401);
+});
+
+test('requireAdmin solo acepta API_BEARER_TOKEN', () => {
+  const { key } = createApiKey({ name: 'cliente', shops: ['*'], access: 'read_write' });
+  assert.strictEqual(run(requireAdmin, { token: key }).status, 401);
+  assert.strictEqual(run(requireAdmin, { token: 'admin-token' }).nextCalled, true);
+});
+
+// Session token de App Bridge vigente para una tienda
+function sessionToken(shop) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+    dest: `https://${shop}`,
+    aud: 'api-key',
+    sub: '42',
+    exp: Math.floor(Date.now() / 1000) + 60,
+  })}`;
+  return `${unsigned}.${crypto.createHmac('sha256', 'shpss_test').update(unsigned).digest('base64url')}`;
+}
+
+test('authMiddleware limita los session tokens a la tienda de su dest', () => {
+  const token = sessionToken('a.myshopify.com');
+
+  const defaulted = run(authMiddleware, { token });
+  assert.strictEqual(defaulted.nextCalled, true);
+  assert.strictEqual(defaulted.req.query.shop, 'a.myshopify.com');
+  assert.deepStrictEqual(defaulted.req.apiClient.shops, ['a.myshopify.com']);
+  assert.strictEqual(defaulted.req.apiClient.session.userId, '42');
+
+  const denied = run(authMiddleware, { token, query: { shop: 'b.myshopify.com' } });
+  assert.strictEqual(denied.status, 403);
+
+  const invalid = run(authMiddleware, { token: `${token.slice(0, -2)}xx` });
+  assert.strictEqual(invalid.status, 401);
+  assert.strictEqual(invalid.body.message, 'Invalid session token signature');
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+process.env.STORE_BACKEND = 'memory';
+
+const { requireIdempotencyKey } = require('../../src/middleware/idempotency');
+
+// App mínima: el handler cuenta las ejecuciones y responde el status pedido en el body
+let executions = 0;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.apiClient = { id: req.get('X-Client') || 'erp' };
+    next();
+  });
+  app.post('/orders/:id/cancel', requireIdempotencyKey, (req, res) => {
+    executions++;
+    res.status(req.body.status || 200).json({ execution: executions });
+  });
+  await new Promise((resolve) => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function post(key, body = {}, { path = '/orders/1/cancel?shop=a.myshopify.com', client } = {}) {
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(key === undefined ? {} : { 'Idempotency-Key': key }),
+      ...(client ? { 'X-Client': client } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+test('un reintento con la misma clave repite la respuesta sin ejecutar otra vez', async () => {
+  const first = await post('clave-1', { reason: 'customer' });
+  const replay = await post('clave-1', { reason: 'customer' });
+
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('idempotent-replayed'), null);
+  assert.strictEqual(replay.status, 200);
+  assert.strictEqual(replay.headers.get('idempotent-replayed'), 'true');
+  assert.deepStrictEqual(await replay.json(), await first.json());
+  assert.strictEqual(executions, 1);
+});
+
+test('reusar una clave con otro request responde 422', async () => {
+  await post('clave-2', { reason: 'customer' });
+
+  const otherBody = await post('clave-2', { reason: 'fraud' });
+  assert.strictEqual(otherBody.status, 422);
+  assert.strictEqual((await otherBody.json()).error, 'Idempotency key reused');
+
+  const otherPath = await post('clave-2', { reason: 'customer' }, { path: '/orders/2/cancel?shop=a.myshopify.com' });
+  assert.strictEqual(otherPath.status, 422);
+});
+
+test('las claves son por cliente y por tienda', async () => {
+  const before = executions;
+  await post('clave-3');
+  await post('clave-3', {}, { client: 'otro-cliente' });
+  await post('clave-3', {}, { path: '/orders/1/cancel?shop=b.myshopify.com' });
+  assert.strictEqual(executions, before + 3);
+});
+
+test('los 5xx, 409 y 429 liberan la clave para reintentar', async () => {
+  for (const [index, status] of [500, 409, 429].entries()) {
+    const key = `reintento-${index}`;
+    const failed = await post(key, { status });
+    assert.strictEqual(failed.status, status);
+
+    // Mismo request: se vuelve a ejecutar
+    const before = executions;
+    const retry = await post(key, { status });
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), null);
+    assert.strictEqual(executions, before + 1);
+  }
+
+  // Los 4xx de validación se guardan como cualquier otra respuesta
+  await post('validacion', { status: 400 });
+  const replay = await post('validacion', { status: 400 });
+  assert.strictEqual(replay.status, 400);
+  assert.strictEqual(replay.headers.get('idempotent-replayed'), 'true');
+});
+
+test('sin Idempotency-Key o con una clave inválida responde 400', async () => {
+  assert.strictEqual((await post(undefined)).status, 400);
+  assert.strictEqual((await post('con espacios')).status, 400);
+  assert.strictEqual((await post('x'.repeat(256))).status, 400);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.STORE_BACKEND = 'memory';
+process.env.SHOPIFY_API_KEY = 'api-key';
+process.env.SHOPIFY_API_SECRET = 'shpss_test';
+
+const {
+  HMAC_MAX_AGE_SECONDS,
+  verifyShopifyQuery,
+  parseScopes,
+  missingScopes,
+  verifySessionToken,
+} = require('../src/oauth');
+
+const secret = 'shpss_test';
+const now = Date.parse('2024-03-01T12:00:00Z');
+const timestamp = String(now / 1000);
+
+const sign = (query) => {
+  const message = Object.keys(query).sort().map((key) => `${key}=${query[key]}`).join('&');
+  return { ...query, hmac: crypto.createHmac('sha256', secret).update(message).digest('hex') };
+};
+
+test('verifyShopifyQuery acepta requests firmados y recientes', () => {
+  const query = sign({ shop: 'tienda.myshopify.com', code: 'abc', state: 'n1', timestamp });
+  assert.deepStrictEqual(verifyShopifyQuery(query, secret, now), { valid: true });
+});
+
+test('verifyShopifyQuery rechaza firmas inválidas o faltantes', () => {
+  const query = sign({ shop: 'tienda.myshopify.com', timestamp });
+
+  assert.strictEqual(verifyShopifyQuery({ ...query, shop: 'otra.myshopify.com' }, secret, now).valid, false);
+  assert.strictEqual(verifyShopifyQuery(query, 'otro-secreto', now).valid, false);
+  assert.strictEqual(verifyShopifyQuery({ ...query, hmac: 'zz' }, secret, now).valid, false);
+  assert.deepStrictEqual(verifyShopifyQuery({ shop: 'tienda.myshopify.com', timestamp }, secret, now), {
+    valid: false,
+    error: 'Missing hmac parameter',
+  });
+});
+
+test('verifyShopifyQuery rechaza timestamps viejos, futuros o faltantes', () => {
+  const old = sign({ shop: 'tienda.myshopify.com', timestamp: String(now / 1000 - HMAC_MAX_AGE_SECONDS - 1) });
+  const future = sign({ shop: 'tienda.myshopify.com', timestamp: String(now / 1000 + 120) });
+  const missing = sign({ shop: 'tienda.myshopify.com' });
+
+  assert.match(verifyShopifyQuery(old, secret, now).error, /too old or in the future/);
+  assert.match(verifyShopifyQuery(future, secret, now).error, /too old or in the future/);
+  assert.match(verifyShopifyQuery(missing, secret, now).error, /timestamp/);
+});
+
+test('parseScopes y missingScopes: write_x incluye read_x', () => {
+  assert.deepStrictEqual(parseScopes(' read_orders, write_orders,,read_orders'), ['read_orders', 'write_orders']);
+  assert.deepStrictEqual(parseScopes(null), []);
+
+  assert.deepStrictEqual(missingScopes(['write_orders'], ['read_orders', 'write_orders']), []);
+  assert.deepStrictEqual(missingScopes(['read_orders'], ['read_orders', 'write_orders']), ['write_orders']);
+  assert.deepStrictEqual(missingScopes([], ['read_products']), ['read_products']);
+});
+
+// Session token de App Bridge (JWT HS256) con el payload indicado
+function sessionToken(claims = {}, { alg = 'HS256', key = secret } = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const payload = {
+    iss: 'https://tienda.myshopify.com/admin',
+    dest: 'https://tienda.myshopify.com',
+    aud: 'api-key',
+    sub: '42',
+    exp: now / 1000 + 60,
+    nbf: now / 1000 - 5,
+    sid: 'sesion',
+    ...claims,
+  };
+  const unsigned = `${encode({ alg, typ: 'JWT' })}.${encode(payload)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', key).update(unsigned).digest('base64url')}`;
+}
+
+test('verifySessionToken acepta tokens firmados para la app y toma la tienda de dest', () => {
+  const result = verifySessionToken(sessionToken(), now);
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.shop, 'tienda.myshopify.com');
+  assert.strictEqual(result.payload.sub, '42');
+});
+
+test('verifySessionToken rechaza firmas, algoritmos o apps distintos', () => {
+  assert.strictEqual(verifySessionToken(sessionToken({}, { key: 'otro-secreto' }), now).error, 'Invalid session token signature');
+  assert.strictEqual(verifySessionToken(sessionToken({}, { alg: 'none' }), now).error, 'Unsupported session token algorithm');
+  assert.strictEqual(verifySessionToken(sessionToken({ aud: 'otra-app' }), now).error, 'The session token was issued for another app');
+  assert.strictEqual(verifySessionToken('a.b', now).error, 'Malformed session token');
+
+  // Payload cambiado sin volver a firmar
+  const [header, , signature] = sessionToken().split('.');
+  const payload = Buffer.from(JSON.stringify({ dest: 'https://otra.myshopify.com', aud: 'api-key', exp: now / 1000 + 60 })).toString('base64url');
+  assert.strictEqual(verifySessionToken(`${header}.${payload}.${signature}`, now).valid, false);
+});
+
+test('verifySessionToken valida exp y nbf con tolerancia de reloj', () => {
+  assert.strictEqual(verifySessionToken(sessionToken({ exp: now / 1000 - 5 }), now).valid, true);
+  assert.strictEqual(verifySessionToken(sessionToken({ exp: now / 1000 - 30 }), now).error, 'The session token has expired');
+  assert.strictEqual(verifySessionToken(sessionToken({ exp: undefined }), now).error, 'The session token has expired');
+  assert.strictEqual(verifySessionToken(sessionToken({ nbf: now / 1000 + 30 }), now).error, 'The session token is not valid yet');
+});
+
+test('verifySessionToken exige un dest de Shopify y un iss de la misma tienda', () => {
+  assert.strictEqual(verifySessionToken(sessionToken({ dest: 'https://evil.example.com' }), now).error,
+    'The session token dest is not a valid shop');
+  assert.strictEqual(verifySessionToken(sessionToken({ iss: 'https://otra.myshopify.com/admin' }), now).error,
+    'The session token iss does not match dest');
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORE_BACKEND = 'memory';
+
+// fetchOrdersPage de prueba: registra los parámetros y responde con respond (por defecto una página vacía)
+const calls = [];
+const emptyPage = async () => ({ orders: [], nextCursor: null, prevCursor: null });
+let respond = emptyPage;
+require.cache[require.resolve('../src/shopify')] = {
+  exports: {
+    fetchOrdersPage: async (shop, params) => {
+      calls.push({ shop, params });
+      return respond(shop, params);
+    },
+  },
+};
+
+const { iterateOrderPages, fetchAllShopsPage } = require('../src/orderPages');
+const { validateOrderFilters } = require('../src/utils/orderFilters');
+const { encodeCursor } = require('../src/utils/pagination');
+
+const shops = ['a.myshopify.com', 'b.myshopify.com'];
+const cursorWith = (state) => encodeCursor({
+  l: 3,
+  q: { status: 'any', financial_status: 'paid' },
+  t: { 'a.myshopify.com': { c: null, o: 0 } },
+  ...state,
+});
+
+test('fetchAllShopsPage rechaza cursores con un límite fuera de 1-250', async () => {
+  for (const l of [0, 251, 100000, 2.5]) {
+    await assert.rejects(
+      fetchAllShopsPage(shops, validateOrderFilters({}), { cursor: cursorWith({ l }), limit: 3 }),
+      { code: 'INVALID_CURSOR', status: 400 }
+    );
+  }
+});
+
+test('fetchAllShopsPage valida los filtros del cursor como los de la primera página', async () => {
+  await assert.rejects(
+    fetchAllShopsPage(shops, validateOrderFilters({}), { cursor: cursorWith({ q: { status: 'nope' } }), limit: 3 }),
+    { code: 'INVALID_CURSOR' }
+  );
+  await assert.rejects(
+    fetchAllShopsPage(shops, validateOrderFilters({}), { cursor: cursorWith({ q: null }), limit: 3 }),
+    { code: 'INVALID_CURSOR' }
+  );
+
+  calls.length = 0;
+  await fetchAllShopsPage(shops, validateOrderFilters({}), {
+    cursor: cursorWith({ q: { status: 'any', limit: 100000, page_info: 'x' } }),
+    limit: 3,
+  });
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(calls[0].params.limit, 3);
+  assert.strictEqual(calls[0].params.page_info, undefined);
+});
+
+test('iterateOrderPages corta en maxPages si Shopify tiene más páginas', async (t) => {
+  t.after(() => { respond = emptyPage; });
+  respond = async () => ({ orders: [{ id: 1 }], nextCursor: 'next', prevCursor: null });
+
+  const pages = [];
+  await assert.rejects(async () => {
+    for await (const orders of iterateOrderPages('a.myshopify.com', validateOrderFilters({}), 'live', { maxPages: 3 })) {
+      pages.push(orders);
+    }
+  }, { code: 'PAGE_LIMIT_EXCEEDED' });
+  assert.strictEqual(pages.length, 3);
+
+  respond = async (shop, params) => ({ orders: [], nextCursor: params.page_info ? null : 'next', prevCursor: null });
+  const complete = [];
+  for await (const orders of iterateOrderPages('a.myshopify.com', validateOrderFilters({}), 'live', { maxPages: 2 })) {
+    complete.push(orders);
+  }
+  assert.strictEqual(complete.length, 2);
+});
+
+test('fetchAllShopsPage rechaza cursores con since_id', async () => {
+  await assert.rejects(
+    fetchAllShopsPage(shops, validateOrderFilters({}), { cursor: cursorWith({ q: { status: 'any', since_id: '100' } }), limit: 3 }),
+    { code: 'INVALID_CURSOR' }
+  );
+});
+
+test('fetchAllShopsPage mezcla las tiendas por fecha de creación', async (t) => {
+  t.after(() => { respond = emptyPage; });
+  const pages = {
+    'a.myshopify.com': [{ id: 1, created_at: '2024-01-03T00:00:00Z' }, { id: 2, created_at: '2024-01-01T00:00:00Z' }],
+    'b.myshopify.com': [{ id: 3, created_at: '2024-01-02T00:00:00Z' }],
+  };
+  respond = async (shop) => ({ orders: pages[shop], nextCursor: null, prevCursor: null });
+
+  const page = await fetchAllShopsPage(shops, validateOrderFilters({}), { limit: 10 });
+  assert.deepStrictEqual(page.orders.map(({ order }) => order.id), [1, 3, 2]);
+  assert.strictEqual(page.nextCursor, null);
+});
+
+test('fetchAllShopsPage devuelve cursor mientras una tienda con error tenga posición', async (t) => {
+  t.after(() => { respond = emptyPage; });
+  respond = async (shop) => {
+    if (shop === 'b.myshopify.com') throw Object.assign(new Error('Unauthorized'), { status: 401 });
+    return { orders: [{ id: 1, created_at: '2024-01-01T00:00:00Z' }], nextCursor: null, prevCursor: null };
+  };
+
+  const first = await fetchAllShopsPage(shops, validateOrderFilters({}), { limit: 10 });
+  assert.deepStrictEqual(first.orders.map(({ shop }) => shop), ['a.myshopify.com']);
+  assert.deepStrictEqual(first.errors.map(({ shop }) => shop), ['b.myshopify.com']);
+  assert.ok(first.nextCursor);
+
+  // Solo queda la tienda con error: la página viene vacía pero conserva el cursor
+  const retry = await fetchAllShopsPage(shops, validateOrderFilters({}), { cursor: first.nextCursor, limit: 10 });
+  assert.deepStrictEqual(retry.orders, []);
+  assert.ok(retry.nextCursor);
+
+  respond = async () => ({ orders: [{ id: 2, created_at: '2024-01-02T00:00:00Z' }], nextCursor: null, prevCursor: null });
+  const recovered = await fetchAllShopsPage(shops, validateOrderFilters({}), { cursor: retry.nextCursor, limit: 10 });
+  assert.deepStrictEqual(recovered.orders.map(({ shop, order }) => [shop, order.id]), [['b.myshopify.com', 2]]);
+  assert.strictEqual(recovered.nextCursor, null);
+});
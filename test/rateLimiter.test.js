@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.SHOPIFY_MAX_RETRIES = '1';
+
+const { scheduleRequest } = require('../src/rateLimiter');
+
+// Error de axios de un request que no respondió a tiempo
+const timeoutError = () => Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ETIMEDOUT' });
+
+test('los timeouts se reintentan en requests idempotentes', async () => {
+  let attempts = 0;
+  const response = await scheduleRequest('timeout-a.myshopify.com', {
+    api: 'graphql',
+    idempotent: true,
+    send: async () => {
+      attempts++;
+      if (attempts === 1) throw timeoutError();
+      return { status: 200, data: { data: {} } };
+    },
+  });
+
+  assert.strictEqual(attempts, 2);
+  assert.strictEqual(response.status, 200);
+});
+
+test('los timeouts no se reintentan en mutations', async () => {
+  let attempts = 0;
+  await assert.rejects(
+    scheduleRequest('timeout-b.myshopify.com', {
+      api: 'graphql',
+      idempotent: false,
+      send: async () => {
+        attempts++;
+        throw timeoutError();
+      },
+    }),
+    { code: 'ETIMEDOUT' }
+  );
+
+  assert.strictEqual(attempts, 1);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-routes-'));
+const secret = 'shpss_test';
+Object.assign(process.env, {
+  STORE_BACKEND: 'memory',
+  STORE_DIR: storeDir,
+  TOKEN_ENCRYPTION_KEYS: `k1:${crypto.randomBytes(32).toString('hex')}`,
+  SHOPIFY_API_KEY: 'api-key',
+  SHOPIFY_API_SECRET: secret,
+  SCOPES: 'read_orders,write_orders',
+  HOST: 'https://app.example.com',
+});
+
+// Webhooks y carga inicial de prueba: el callback no debe llamar a Shopify más que para el token
+require.cache[require.resolve('../../src/webhooks')] = {
+  exports: { registerWebhooks: async () => ({ registered: [], failed: [] }) },
+};
+require.cache[require.resolve('../../src/sync')] = {
+  exports: { syncShop: async () => ({}) },
+};
+
+const { getShop } = require('../../src/store/shops');
+const authRouter = require('../../src/routes/auth');
+
+const shop = 'tienda.myshopify.com';
+
+// Querystring firmado como lo firma Shopify (HMAC de los parámetros ordenados)
+function signed(params) {
+  const query = { timestamp: String(Math.floor(Date.now() / 1000)), ...params };
+  const message = Object.keys(query).sort().map((key) => `${key}=${query[key]}`).join('&');
+  const hmac = crypto.createHmac('sha256', secret).update(message).digest('hex');
+  return new URLSearchParams({ ...query, hmac }).toString();
+}
+
+let server;
+let baseUrl;
+let grantedScope = 'read_orders,write_orders';
+const originalAdapter = axios.defaults.adapter;
+
+test.before(async () => {
+  axios.defaults.adapter = async (config) => ({
+    status: 200,
+    statusText: 'OK',
+    headers: {},
+    config,
+    data: { access_token: 'shpat_nuevo', scope: grantedScope },
+  });
+
+  const app = express();
+  app.use('/auth', authRouter);
+  await new Promise((resolve) => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  axios.defaults.adapter = originalAdapter;
+  server.close();
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+const get = (url) => fetch(`${baseUrl}${url}`, { redirect: 'manual' });
+
+// Inicia la autorización y devuelve el state de la redirección a Shopify
+async function startAuth(forShop = shop) {
+  const response = await get(`/auth?${signed({ shop: forShop })}`);
+  assert.strictEqual(response.status, 302);
+  return new URL(response.headers.get('location')).searchParams.get('state');
+}
+
+test('GET /auth sin firma redirige al admin y con firma inválida responde 403', async () => {
+  const unsigned = await get(`/auth?shop=${shop}`);
+  assert.strictEqual(unsigned.status, 302);
+  assert.strictEqual(unsigned.headers.get('location'), `https://${shop}/admin/apps/api-key`);
+
+  const tampered = await get(`/auth?${signed({ shop })}`.replace(`shop=${shop}`, 'shop=otra.myshopify.com'));
+  assert.strictEqual(tampered.status, 403);
+});
+
+test('GET /auth rechaza requests firmados con un timestamp viejo', async () => {
+  const old = String(Math.floor(Date.now() / 1000) - 600);
+  const response = await get(`/auth?${signed({ shop, timestamp: old })}`);
+  assert.strictEqual(response.status, 403);
+  assert.match((await response.json()).message, /timestamp/);
+});
+
+test('el callback instala la tienda y el state solo se puede usar una vez', async () => {
+  const state = await startAuth();
+  const callback = `/auth/callback?${signed({ shop, code: 'codigo', state })}`;
+
+  const first = await get(callback);
+  assert.strictEqual(first.status, 200);
+  assert.deepStrictEqual(getShop(shop).scopes, ['read_orders', 'write_orders']);
+
+  const replay = await get(callback);
+  assert.strictEqual(replay.status, 403);
+  assert.strictEqual((await replay.json()).error, 'Invalid state parameter');
+});
+
+test('el callback rechaza un state de otra tienda', async () => {
+  const state = await startAuth('otra.myshopify.com');
+  const response = await get(`/auth/callback?${signed({ shop, code: 'codigo', state })}`);
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).error, 'Shop mismatch');
+});
+
+test('el callback rechaza instalaciones sin los scopes requeridos', async (t) => {
+  t.after(() => { grantedScope = 'read_orders,write_orders'; });
+  grantedScope = 'read_orders';
+
+  const state = await startAuth('scopes.myshopify.com');
+  const response = await get(`/auth/callback?${signed({ shop: 'scopes.myshopify.com', code: 'codigo', state })}`);
+  const body = await response.json();
+
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(body.error, 'Missing scopes');
+  assert.deepStrictEqual(body.missing, ['write_orders']);
+  assert.strictEqual(getShop('scopes.myshopify.com'), null);
+});
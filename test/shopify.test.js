@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+
+require.cache[require.resolve('../src/store/shops')] = {
+  exports: { getShopToken: () => 'shpat_test' },
+};
+
+const { fetchOrdersPage, cancelOrder } = require('../src/shopify');
+const { ORDERS_PER_REQUEST } = require('../src/graphql/orderQueries');
+
+test('fetchOrdersPage achica el lote solo para la página que pasó del costo máximo', async (t) => {
+  const requested = [];
+  const adapter = axios.defaults.adapter;
+  t.after(() => { axios.defaults.adapter = adapter; });
+
+  axios.defaults.adapter = async (config) => {
+    const { variables } = JSON.parse(config.data);
+    requested.push(variables.first);
+    const data = variables.first > 10 && requested.length === 1
+      ? { errors: [{ message: 'Query cost is too high', extensions: { code: 'MAX_COST_EXCEEDED', cost: 2 * variables.first * 50, maxCost: 1000 } }] }
+      : { data: { shop: { ianaTimezone: 'UTC' }, orders: { nodes: [], pageInfo: { hasNextPage: false, hasPreviousPage: false } } } };
+    return { status: 200, statusText: 'OK', headers: {}, config, data };
+  };
+
+  await fetchOrdersPage('lotes.myshopify.com', { limit: 50 });
+  await fetchOrdersPage('lotes.myshopify.com', { limit: 50 });
+
+  assert.deepStrictEqual(requested, [ORDERS_PER_REQUEST, 10, ORDERS_PER_REQUEST]);
+});
+
+// Adapter de axios que responde cada query GraphQL según su nombre de operación
+function mockGraphQL(t, handlers) {
+  const requests = [];
+  const adapter = axios.defaults.adapter;
+  t.after(() => { axios.defaults.adapter = adapter; });
+
+  axios.defaults.adapter = async (config) => {
+    const { query, variables } = JSON.parse(config.data);
+    const operation = query.match(/^\s*(?:query|mutation)\s+(\w+)/)[1];
+    requests.push({ operation, variables });
+    return { status: 200, statusText: 'OK', headers: {}, config, data: { data: handlers[operation](variables) } };
+  };
+  return requests;
+}
+
+const orderNode = (cancelledAt) => ({
+  order: {
+    id: 'gid://shopify/Order/5',
+    legacyResourceId: '5',
+    name: '#1005',
+    createdAt: '2024-01-01T00:00:00Z',
+    cancelledAt,
+    lineItems: { nodes: [], pageInfo: { hasNextPage: false } },
+  },
+});
+
+test('cancelOrder usa orderCancel y vuelve a leer la orden', async (t) => {
+  let cancelled = null;
+  const requests = mockGraphQL(t, {
+    Order: () => orderNode(cancelled),
+    OrderCancel: () => {
+      cancelled = '2024-01-02T00:00:00Z';
+      return { orderCancel: { job: { id: 'gid://shopify/Job/1', done: true }, orderCancelUserErrors: [] } };
+    },
+  });
+
+  const order = await cancelOrder('cancel.myshopify.com', 5, { reason: 'customer', restock: true, email: false });
+
+  assert.strictEqual(order.cancelled_at, '2024-01-02T00:00:00Z');
+  assert.deepStrictEqual(requests.map((r) => r.operation), ['Order', 'OrderCancel', 'Order']);
+  assert.deepStrictEqual(requests[1].variables, {
+    orderId: 'gid://shopify/Order/5',
+    reason: 'CUSTOMER',
+    refund: false,
+    restock: true,
+    notifyCustomer: false,
+  });
+});
+
+test('cancelOrder devuelve los orderCancelUserErrors como userErrors', async (t) => {
+  mockGraphQL(t, {
+    Order: () => orderNode(null),
+    OrderCancel: () => ({
+      orderCancel: {
+        job: null,
+        orderCancelUserErrors: [{ field: ['orderId'], message: 'Cannot cancel a fulfilled order', code: 'INVALID' }],
+      },
+    }),
+  });
+
+  await assert.rejects(
+    cancelOrder('cancel.myshopify.com', 5, { reason: 'other', restock: false, email: false }),
+    {
+      code: 'USER_ERRORS',
+      status: 422,
+      userErrors: [{ field: 'orderId', message: 'Cannot cancel a fulfilled order', code: 'INVALID' }],
+    }
+  );
+});
+
+test('cancelOrder rechaza órdenes ya canceladas sin llamar a orderCancel', async (t) => {
+  const requests = mockGraphQL(t, { Order: () => orderNode('2024-01-02T00:00:00Z') });
+
+  await assert.rejects(
+    cancelOrder('cancel.myshopify.com', 5, { reason: 'other', restock: false, email: false }),
+    { code: 'NOT_CANCELLABLE' }
+  );
+  assert.deepStrictEqual(requests.map((r) => r.operation), ['Order']);
+});
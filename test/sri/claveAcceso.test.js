@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { modulo11, generarClaveAcceso } = require('../../src/sri/claveAcceso');
+
+const datos = {
+  fechaEmision: '15/03/2024',
+  codDoc: '01',
+  ruc: '1790016919001',
+  ambiente: '1',
+  estab: '001',
+  ptoEmi: '002',
+  secuencial: '000000123',
+  codigoNumerico: '12345678',
+};
+
+test('modulo11 usa pesos 2..7 de derecha a izquierda', () => {
+  // Ejemplo de la ficha técnica del SRI
+  assert.strictEqual(modulo11('41261533'), 6);
+});
+
+test('modulo11 convierte 11 en 0 y 10 en 1', () => {
+  const base = '150320240117900169190011001002000000123';
+  assert.strictEqual(modulo11(`${base}000000081`), 0);
+  assert.strictEqual(modulo11(`${base}000000011`), 1);
+});
+
+test('generarClaveAcceso arma los 49 dígitos en el orden del SRI', () => {
+  const clave = generarClaveAcceso(datos);
+  assert.strictEqual(clave, '1503202401179001691900110010020000001231234567810');
+  assert.strictEqual(clave.length, 49);
+  assert.strictEqual(Number(clave[48]), modulo11(clave.slice(0, 48)));
+});
+
+test('generarClaveAcceso rechaza componentes con otra longitud', () => {
+  assert.throws(() => generarClaveAcceso({ ...datos, ruc: '179001691900' }), /ruc must be 13 digits/);
+  assert.throws(() => generarClaveAcceso({ ...datos, secuencial: '123' }), /secuencial must be 9 digits/);
+  assert.throws(() => generarClaveAcceso({ ...datos, fechaEmision: '2024-03-15' }), /fechaEmision must be 8 digits/);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectarTarifa, desglosarProducto } = require('../../src/sri/factura');
+
+test('detectarTarifa elige la tarifa más cercana en montos pequeños', () => {
+  assert.strictEqual(detectarTarifa(100, 15), 15);
+  assert.strictEqual(detectarTarifa(150, 23), 15);
+  assert.strictEqual(detectarTarifa(200, 30), 15);
+  assert.strictEqual(detectarTarifa(50, 8), 15);
+  assert.strictEqual(detectarTarifa(800, 120), 15);
+});
+
+test('detectarTarifa reconoce las demás tarifas', () => {
+  assert.strictEqual(detectarTarifa(1000, 0), 0);
+  assert.strictEqual(detectarTarifa(1000, 50), 5);
+  assert.strictEqual(detectarTarifa(1000, 120), 12);
+  assert.strictEqual(detectarTarifa(1000, 130), 13);
+  assert.strictEqual(detectarTarifa(1000, 140), 14);
+  assert.strictEqual(detectarTarifa(10000, 1500), 15);
+});
+
+test('detectarTarifa prefiere las tarifas vigentes en empate', () => {
+  // 1 centavo de impuesto sobre 10 centavos coincide con 5, 12, 13 y 14%
+  assert.strictEqual(detectarTarifa(10, 1), 12);
+});
+
+test('detectarTarifa retorna null si el impuesto no coincide con ninguna tarifa', () => {
+  assert.strictEqual(detectarTarifa(1000, 300), null);
+  assert.strictEqual(detectarTarifa(0, 15), null);
+});
+
+test('desglosarProducto detecta 15% en un envío pequeño', () => {
+  const envio = { precioTotal: '1.00', descuento: '0.00', impuesto: '0.15' };
+  assert.deepStrictEqual(desglosarProducto(envio, false), { baseCents: 100, descuentoCents: 0, taxCents: 15, tarifa: 15 });
+
+  const incluido = { precioTotal: '2.30', descuento: '0.00', impuesto: '0.30' };
+  assert.strictEqual(desglosarProducto(incluido, true).tarifa, 15);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+process.env.STORE_BACKEND = 'file';
+process.env.STORE_DIR = storeDir;
+process.env.AUDIT_LOG_MAX_BYTES = '1000';
+process.env.AUDIT_LOG_MAX_FILES = '2';
+
+const { appendAuditEvent, queryAuditEvents } = require('../../src/store/auditLog');
+
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+test('rota el archivo y conserva AUDIT_LOG_MAX_FILES archivos rotados', () => {
+  for (let i = 0; i < 40; i++) {
+    appendAuditEvent('write', { shop: 'tienda.myshopify.com', details: { n: i } });
+  }
+
+  const files = fs.readdirSync(storeDir).sort();
+  assert.deepStrictEqual(files, ['audit.log', 'audit.log.1', 'audit.log.2']);
+  for (const file of files) {
+    assert.ok(fs.statSync(path.join(storeDir, file)).size <= 1000);
+  }
+});
+
+test('pagina del más reciente al más antiguo a través de los archivos rotados', async () => {
+  const seen = [];
+  let before = null;
+  do {
+    const page = await queryAuditEvents({ type: 'write', limit: 3, before });
+    seen.push(...page.events.map((event) => event.details.n));
+    before = page.next;
+  } while (before);
+
+  assert.ok(seen.length > 3);
+  assert.strictEqual(seen[0], 39);
+  assert.deepStrictEqual(seen, [...seen].sort((a, b) => b - a));
+  assert.strictEqual(new Set(seen).size, seen.length);
+  assert.strictEqual(seen[seen.length - 1], 40 - seen.length);
+});
+
+test('filtra por tipo y tienda', async () => {
+  appendAuditEvent('shop.installed', { shop: 'otra.myshopify.com' });
+
+  const page = await queryAuditEvents({ type: 'shop.', shop: 'otra.myshopify.com', limit: 10 });
+  assert.strictEqual(page.events.length, 1);
+  assert.strictEqual(page.next, null);
+
+  const none = await queryAuditEvents({ type: 'shop.', shop: 'tienda.myshopify.com', limit: 10 });
+  assert.deepStrictEqual(none.events, []);
+});
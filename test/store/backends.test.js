@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const createFileBackend = require('../../src/store/backends/file');
+const createMemoryBackend = require('../../src/store/backends/memory');
+const createSqliteBackend = require('../../src/store/backends/sqlite');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-backends-'));
+
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+let hasSqlite = true;
+try {
+  require('better-sqlite3');
+} catch {
+  hasSqlite = false;
+}
+
+const backends = {
+  file: () => createFileBackend({ filePath: path.join(storeDir, 'coleccion', 'a.myshopify.com.json') }),
+  memory: () => createMemoryBackend(),
+  ...(hasSqlite ? {
+    sqlite: () => createSqliteBackend({ filePath: path.join(storeDir, 'store.sqlite'), table: 'coleccion', partition: 'a.myshopify.com' }),
+  } : {}),
+};
+
+for (const [name, create] of Object.entries(backends)) {
+  test(`${name}: update, updateMany y clear`, () => {
+    const backend = create();
+
+    assert.deepStrictEqual(backend.update('1', () => ({ n: 1 })), { n: 1 });
+    assert.strictEqual(backend.update('1', () => undefined).n, 1);
+
+    const changed = backend.updateMany(['1', '2', '3'], (key, current) => {
+      if (key === '3') return undefined;
+      return { n: (current?.n ?? 0) + 10 };
+    });
+    assert.strictEqual(changed, 2);
+    assert.deepStrictEqual(backend.entries(), { 1: { n: 11 }, 2: { n: 10 } });
+
+    // Borrar un registro que no existe no cuenta como cambio
+    assert.strictEqual(backend.updateMany(['1', '9'], () => null), 1);
+    assert.deepStrictEqual(backend.keys(), ['2']);
+
+    assert.strictEqual(backend.clear(), true);
+    assert.deepStrictEqual(backend.entries(), {});
+  });
+}
+
+test('sqlite: las particiones no ven las claves de otras', { skip: !hasSqlite }, () => {
+  const filePath = path.join(storeDir, 'particiones.sqlite');
+  const a = createSqliteBackend({ filePath, table: 'orders', partition: 'a.myshopify.com' });
+  const b = createSqliteBackend({ filePath, table: 'orders', partition: 'a.myshopify.co' });
+  const all = createSqliteBackend({ filePath, table: 'orders' });
+
+  a.set('1', { shop: 'a' });
+  b.set('1', { shop: 'b' });
+  a.clear();
+
+  assert.deepStrictEqual(a.entries(), {});
+  assert.deepStrictEqual(b.entries(), { 1: { shop: 'b' } });
+  assert.deepStrictEqual(all.keys(), ['a.myshopify.co/1']);
+});
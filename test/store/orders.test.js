@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Backend de archivo en un directorio temporal (STORE_DIR)
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'orders-store-'));
+process.env.STORE_BACKEND = 'file';
+process.env.STORE_DIR = storeDir;
+
+const {
+  upsertOrders,
+  getCachedOrders,
+  getCachedOrder,
+  getSyncState,
+  markSynced,
+  removeShopOrders,
+} = require('../../src/store/orders');
+
+const shop = 'tienda.myshopify.com';
+
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+test('el espejo de órdenes se guarda en STORE_DIR, un archivo por tienda', () => {
+  assert.strictEqual(upsertOrders(shop, [
+    { id: 1, created_at: '2024-03-01T10:00:00Z', updated_at: '2024-03-02T10:00:00Z', note: 'nueva' },
+    { id: 2, created_at: '2024-03-03T10:00:00Z', updated_at: '2024-03-03T10:00:00Z' },
+  ]), true);
+  upsertOrders('otra.myshopify.com', [{ id: 9, created_at: '2024-03-01T10:00:00Z', updated_at: '2024-03-01T10:00:00Z' }]);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(storeDir, 'orders', `${shop}.json`), 'utf8'));
+  assert.deepStrictEqual(Object.keys(saved), ['1', '2']);
+  assert.deepStrictEqual(getCachedOrders('otra.myshopify.com').map((order) => order.id), [9]);
+});
+
+test('upsertOrders no reemplaza una orden con una versión más antigua', () => {
+  upsertOrders(shop, [{ id: 1, created_at: '2024-03-01T10:00:00Z', updated_at: '2024-03-01T10:00:00Z', note: 'vieja' }]);
+  assert.strictEqual(getCachedOrder(shop, 1).note, 'nueva');
+  assert.deepStrictEqual(getCachedOrders(shop).map((order) => order.id), [2, 1]);
+});
+
+test('getCachedOrders reutiliza la lista ordenada hasta que cambian las órdenes', () => {
+  const first = getCachedOrders(shop);
+  assert.strictEqual(getCachedOrders(shop), first);
+
+  upsertOrders(shop, [{ id: 3, created_at: '2024-03-04T10:00:00Z', updated_at: '2024-03-04T10:00:00Z' }]);
+  assert.deepStrictEqual(getCachedOrders(shop).map((order) => order.id), [3, 2, 1]);
+});
+
+test('markSynced y removeShopOrders', () => {
+  markSynced(shop, '2024-03-05T00:00:00Z', true);
+  assert.deepStrictEqual(getSyncState(shop), {
+    lastSyncAt: '2024-03-05T00:00:00Z',
+    backfilledAt: '2024-03-05T00:00:00Z',
+    orderCount: 3,
+  });
+
+  assert.strictEqual(removeShopOrders(shop), true);
+  assert.deepStrictEqual(getSyncState(shop), { lastSyncAt: null, backfilledAt: null, orderCount: 0 });
+  assert.deepStrictEqual(getCachedOrders(shop), []);
+  assert.strictEqual(fs.existsSync(path.join(storeDir, 'orders', `${shop}.json`)), false);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Backend de archivo en un directorio temporal (STORE_DIR)
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shops-store-'));
+const shopsFile = path.join(storeDir, 'shops.json');
+const oldKey = `k1:${crypto.randomBytes(32).toString('hex')}`;
+const newKey = `k2:${crypto.randomBytes(32).toString('hex')}`;
+
+process.env.STORE_BACKEND = 'file';
+process.env.STORE_DIR = storeDir;
+process.env.TOKEN_ENCRYPTION_KEYS = oldKey;
+
+// Registro antiguo con el token en texto plano: se cifra en el primer acceso al store
+fs.writeFileSync(shopsFile, JSON.stringify({ 'vieja.myshopify.com': { access_token: 'shpat_viejo' } }));
+
+const { saveShopToken, getShopToken, getShop, rotateTokenKeys } = require('../../src/store/shops');
+
+const readFile = () => JSON.parse(fs.readFileSync(shopsFile, 'utf8'));
+
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+test('los tokens se guardan cifrados y los registros en texto plano se migran', () => {
+  assert.strictEqual(saveShopToken('tienda.myshopify.com', 'shpat_nuevo'), true);
+
+  const stored = readFile();
+  assert.ok(!JSON.stringify(stored).includes('shpat_'));
+  assert.strictEqual(stored['vieja.myshopify.com'].access_token, undefined);
+  assert.strictEqual(stored['tienda.myshopify.com'].key_id, 'k1');
+
+  assert.strictEqual(getShopToken('tienda.myshopify.com'), 'shpat_nuevo');
+  assert.strictEqual(getShopToken('vieja.myshopify.com'), 'shpat_viejo');
+  assert.strictEqual(getShop('tienda.myshopify.com').key_id, 'k1');
+});
+
+test('rotateTokenKeys vuelve a cifrar todas las tiendas con la llave activa', () => {
+  process.env.TOKEN_ENCRYPTION_KEYS = `${newKey},${oldKey}`;
+
+  const { keyId, rotated, failed } = rotateTokenKeys();
+  assert.strictEqual(keyId, 'k2');
+  assert.deepStrictEqual(rotated.sort(), ['tienda.myshopify.com', 'vieja.myshopify.com']);
+  assert.deepStrictEqual(failed, []);
+
+  // Sin la llave anterior los tokens siguen legibles
+  process.env.TOKEN_ENCRYPTION_KEYS = newKey;
+  assert.deepStrictEqual(Object.values(readFile()).map((record) => record.key_id), ['k2', 'k2']);
+  assert.strictEqual(getShopToken('tienda.myshopify.com'), 'shpat_nuevo');
+  assert.strictEqual(getShopToken('vieja.myshopify.com'), 'shpat_viejo');
+});
+
+test('rotateTokenKeys informa las tiendas que no puede descifrar', () => {
+  process.env.TOKEN_ENCRYPTION_KEYS = `k3:${crypto.randomBytes(32).toString('hex')}`;
+
+  const { rotated, failed } = rotateTokenKeys();
+  assert.deepStrictEqual(rotated, []);
+  assert.deepStrictEqual(failed.sort(), ['tienda.myshopify.com', 'vieja.myshopify.com']);
+  assert.strictEqual(getShopToken('tienda.myshopify.com'), null);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  TIPOS,
+  validarCedula,
+  validarRuc,
+  clasificarIdentificacion,
+  extraerIdentificacion,
+} = require('../../src/utils/identificacion');
+
+test('validarCedula verifica provincia, tercer dígito y dígito verificador módulo 10', () => {
+  assert.strictEqual(validarCedula('1710034065'), true);
+  assert.strictEqual(validarCedula('1710034064'), false);
+  assert.strictEqual(validarCedula('2510034065'), false);
+  assert.strictEqual(validarCedula('1770034065'), false);
+  assert.strictEqual(validarCedula('171003406'), false);
+});
+
+test('validarRuc valida personas naturales, sociedades privadas y entidades públicas', () => {
+  assert.deepStrictEqual(validarRuc('1710034065001'), { valido: true, subtipo: 'persona_natural' });
+  assert.deepStrictEqual(validarRuc('1710034065000'), { valido: false, subtipo: 'persona_natural' });
+  assert.deepStrictEqual(validarRuc('1790016919001'), { valido: true, subtipo: 'sociedad_privada' });
+  assert.deepStrictEqual(validarRuc('1790016918001'), { valido: false, subtipo: 'sociedad_privada' });
+  assert.deepStrictEqual(validarRuc('1760001550001'), { valido: true, subtipo: 'entidad_publica' });
+  assert.deepStrictEqual(validarRuc('1760001540001'), { valido: false, subtipo: 'entidad_publica' });
+  assert.deepStrictEqual(validarRuc('1780016919001'), { valido: false, subtipo: null });
+});
+
+test('clasificarIdentificacion reconoce consumidor final y pasaportes', () => {
+  assert.strictEqual(clasificarIdentificacion('9999999999999').tipo, TIPOS.consumidorFinal);
+  assert.deepStrictEqual(clasificarIdentificacion('AB123456', { pasaporte: true }), {
+    numero: 'AB123456',
+    tipo: TIPOS.pasaporte,
+    valida: true,
+    subtipo: null,
+  });
+});
+
+test('extraerIdentificacion toma la identificación de note_attributes con etiqueta', () => {
+  const order = {
+    note_attributes: [
+      { name: 'Instrucciones de entrega', value: 'Dejar en portería' },
+      { name: 'Cédula / RUC', value: '1790016919001' },
+    ],
+  };
+  assert.deepStrictEqual(extraerIdentificacion(order), {
+    numero: '1790016919001',
+    tipo: TIPOS.ruc,
+    valida: true,
+    subtipo: 'sociedad_privada',
+    origen: 'note_attributes.Cédula / RUC',
+  });
+});
+
+test('extraerIdentificacion no confunde atributos cuyo nombre contiene "ruc" o "vat"', () => {
+  for (const name of ['Instrucciones de entrega', 'private note', 'Construcción']) {
+    const result = extraerIdentificacion({ note_attributes: [{ name, value: 'Dejar en portería' }] });
+    assert.strictEqual(result.numero, null, name);
+    assert.strictEqual(result.tipo, TIPOS.consumidorFinal, name);
+  }
+});
+
+test('extraerIdentificacion ignora valores de texto en atributos etiquetados', () => {
+  const result = extraerIdentificacion({
+    note_attributes: [
+      { name: 'RUC', value: 'no tengo' },
+      { name: 'Pasaporte', value: 'pendiente' },
+    ],
+  });
+  assert.strictEqual(result.numero, null);
+
+  const conTexto = extraerIdentificacion({ note_attributes: [{ name: 'Cédula', value: 'La de mi esposa: 1710034065' }] });
+  assert.strictEqual(conTexto.numero, '1710034065');
+  assert.strictEqual(conTexto.valida, true);
+});
+
+test('extraerIdentificacion busca en la nota y en la empresa de facturación', () => {
+  assert.strictEqual(extraerIdentificacion({ note: 'RUC: 1790016919001' }).origen, 'note');
+  const result = extraerIdentificacion({ billing_address: { company: 'ACME 1710034065001' } });
+  assert.strictEqual(result.numero, '1710034065001');
+  assert.strictEqual(result.origen, 'billing_address.company');
+});
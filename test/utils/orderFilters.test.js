@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateOrderFilters, matchesOrderFilters } = require('../../src/utils/orderFilters');
+const { buildOrderSearch } = require('../../src/graphql/orderQueries');
+
+test('source_name acepta canales propios y se envía a Shopify como término de búsqueda', () => {
+  for (const [value, expected] of [['POS', 'pos'], ['294517', '294517'], ['mi-canal.b2b', 'mi-canal.b2b']]) {
+    const filters = validateOrderFilters({ source_name: value });
+    assert.strictEqual(filters.valid, true);
+    assert.strictEqual(filters.params.source_name, expected);
+    assert.match(buildOrderSearch(filters.params).query, new RegExp(`source_name:'${expected}'`));
+  }
+});
+
+test('source_name rechaza valores vacíos o con espacios', () => {
+  for (const value of ['', ' ', 'canal propio', "web' OR status:any"]) {
+    const filters = validateOrderFilters({ source_name: value });
+    assert.strictEqual(filters.valid, false);
+    assert.strictEqual(filters.errors[0].param, 'source_name');
+  }
+});
+
+test('matchesOrderFilters filtra por source_name en el espejo local', () => {
+  const { params } = validateOrderFilters({ source_name: 'web', financial_status: 'any' });
+  assert.strictEqual(matchesOrderFilters({ source_name: 'web' }, params), true);
+  assert.strictEqual(matchesOrderFilters({ source_name: 'pos' }, params), false);
+});
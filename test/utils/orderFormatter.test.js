@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORE_BACKEND = 'memory';
+
+const { formatOrder } = require('../../src/utils/orderFormatter');
+
+const orderWithShipping = (shippingLines) => ({
+  id: 1,
+  name: '#1001',
+  created_at: '2024-03-01T10:00:00Z',
+  line_items: [],
+  tax_lines: [],
+  shipping_lines: shippingLines,
+});
+
+const envio = (order, modo) => formatOrder(order, { envio: { modo } }).productos.filter((p) => p.id === null);
+
+test('el producto de envío grava impuestos solo si la línea tiene impuestos', () => {
+  const gravada = { title: 'Envío', price: '5.00', tax_lines: [{ title: 'IVA', rate: 0.15, price: '0.75' }] };
+  const tarifaCero = { title: 'Envío', price: '5.00', tax_lines: [{ title: 'IVA', rate: 0, price: '0.00' }] };
+  const sinImpuestos = { title: 'Retiro', price: '2.00', tax_lines: [] };
+
+  assert.deepStrictEqual(
+    envio(orderWithShipping([gravada, tarifaCero, sinImpuestos]), 'por_linea').map((p) => p.gravaImpuestos),
+    [true, true, false]
+  );
+  assert.strictEqual(envio(orderWithShipping([sinImpuestos]), 'unificado')[0].gravaImpuestos, false);
+  assert.strictEqual(envio(orderWithShipping([sinImpuestos, gravada]), 'unificado')[0].gravaImpuestos, true);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSalesReport } = require('../../src/utils/salesReport');
+
+const pedido = (fecha, productos) => ({
+  fechaCreacion: `${fecha}T10:00:00-05:00`,
+  impuestosIncluidos: false,
+  totalDescuentos: '0.00',
+  totalEnvio: '0.00',
+  totalImpuestos: '0.00',
+  total: '0.00',
+  productos,
+});
+
+test('el envío de 15% va a la tarifa de 15% y todos los períodos tienen las mismas tarifas', () => {
+  const report = createSalesReport({ from: '2024-03-01', to: '2024-03-02', groupBy: 'day' });
+  report.add(pedido('2024-03-01', [
+    { id: null, precioTotal: '8.00', descuento: '0.00', impuesto: '1.20', gravaImpuestos: true },
+  ]));
+  report.add(pedido('2024-03-02', [
+    { id: 1, precioTotal: '10.00', descuento: '0.00', impuesto: '1.20', gravaImpuestos: true },
+  ]));
+
+  const { totales, periodos } = report.result();
+  const tarifas = (totals) => totals.iva.map((iva) => iva.tarifa);
+
+  assert.deepStrictEqual(tarifas(totales), ['15%', '12%', '0%', 'exento']);
+  for (const periodo of periodos) {
+    assert.deepStrictEqual(tarifas(periodo), tarifas(totales));
+  }
+  assert.deepStrictEqual(periodos[0].iva[0], { tarifa: '15%', base: '8.00', impuesto: '1.20' });
+  assert.deepStrictEqual(periodos[0].iva[1], { tarifa: '12%', base: '0.00', impuesto: '0.00' });
+});
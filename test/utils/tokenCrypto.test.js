@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const {
+  isEncryptionConfigured,
+  getActiveKeyId,
+  encryptToken,
+  decryptToken,
+} = require('../../src/utils/tokenCrypto');
+
+const hexKey = crypto.randomBytes(32).toString('hex');
+const base64Key = crypto.randomBytes(32).toString('base64');
+const shop = 'tienda.myshopify.com';
+
+test.afterEach(() => { delete process.env.TOKEN_ENCRYPTION_KEYS; });
+
+test('encryptToken cifra con la llave activa y decryptToken recupera el token', () => {
+  process.env.TOKEN_ENCRYPTION_KEYS = `k2:${hexKey},k1:${base64Key}`;
+  assert.strictEqual(isEncryptionConfigured(), true);
+  assert.strictEqual(getActiveKeyId(), 'k2');
+
+  const encrypted = encryptToken('shpat_secreto', shop);
+  assert.strictEqual(encrypted.key_id, 'k2');
+  assert.ok(!encrypted.encrypted_token.includes('shpat_secreto'));
+  assert.notStrictEqual(encryptToken('shpat_secreto', shop).encrypted_token, encrypted.encrypted_token);
+  assert.strictEqual(decryptToken(encrypted.key_id, encrypted.encrypted_token, shop), 'shpat_secreto');
+});
+
+test('decryptToken descifra con llaves anteriores mientras sigan configuradas', () => {
+  process.env.TOKEN_ENCRYPTION_KEYS = `k1:${base64Key}`;
+  const old = encryptToken('shpat_viejo', shop);
+
+  process.env.TOKEN_ENCRYPTION_KEYS = `k2:${hexKey},k1:${base64Key}`;
+  assert.strictEqual(decryptToken(old.key_id, old.encrypted_token, shop), 'shpat_viejo');
+
+  process.env.TOKEN_ENCRYPTION_KEYS = `k2:${hexKey}`;
+  assert.throws(() => decryptToken(old.key_id, old.encrypted_token, shop), /Unknown token encryption key id: k1/);
+});
+
+test('decryptToken rechaza tokens alterados o de otra tienda', () => {
+  process.env.TOKEN_ENCRYPTION_KEYS = `k1:${hexKey}`;
+  const { key_id: keyId, encrypted_token: token } = encryptToken('shpat_secreto', shop);
+
+  assert.throws(() => decryptToken(keyId, token, 'otra.myshopify.com'));
+  const [iv, tag, ciphertext] = token.split('.');
+  const flipped = Buffer.from(ciphertext, 'base64');
+  flipped[0] ^= 1;
+  assert.throws(() => decryptToken(keyId, [iv, tag, flipped.toString('base64')].join('.'), shop));
+  assert.throws(() => decryptToken(keyId, 'sin-partes', shop), /Malformed encrypted token/);
+});
+
+test('TOKEN_ENCRYPTION_KEYS inválido o vacío no permite cifrar', () => {
+  for (const value of ['k1:corta', `:${hexKey}`, `k1:${hexKey},k1:${base64Key}`]) {
+    process.env.TOKEN_ENCRYPTION_KEYS = value;
+    assert.strictEqual(isEncryptionConfigured(), false, value);
+    assert.throws(() => encryptToken('shpat', shop), /TOKEN_ENCRYPTION_KEYS/);
+  }
+
+  delete process.env.TOKEN_ENCRYPTION_KEYS;
+  assert.strictEqual(isEncryptionConfigured(), false);
+  assert.throws(() => encryptToken('shpat', shop), /TOKEN_ENCRYPTION_KEYS is not configured/);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { verifyWebhookHmac } = require('../src/webhooks');
+
+const secret = 'shpss_test';
+const body = Buffer.from(JSON.stringify({ id: 1, name: '#1001' }));
+const sign = (payload, key = secret) => crypto.createHmac('sha256', key).update(payload).digest('base64');
+
+test('verifyWebhookHmac acepta el HMAC del body crudo', () => {
+  assert.strictEqual(verifyWebhookHmac(body, sign(body), secret), true);
+  assert.strictEqual(verifyWebhookHmac(body.toString(), sign(body), secret), true);
+});
+
+test('verifyWebhookHmac rechaza bodies modificados u otro secreto', () => {
+  const tampered = Buffer.from(JSON.stringify({ id: 1, name: '#1002' }));
+  assert.strictEqual(verifyWebhookHmac(tampered, sign(body), secret), false);
+  assert.strictEqual(verifyWebhookHmac(body, sign(body, 'otro'), secret), false);
+});
+
+test('verifyWebhookHmac rechaza headers faltantes o mal formados', () => {
+  assert.strictEqual(verifyWebhookHmac(body, undefined, secret), false);
+  assert.strictEqual(verifyWebhookHmac(body, '', secret), false);
+  assert.strictEqual(verifyWebhookHmac(body, 'no-es-base64', secret), false);
+  assert.strictEqual(verifyWebhookHmac(body, sign(body).slice(0, 20), secret), false);
+  assert.strictEqual(verifyWebhookHmac(body, sign(body), ''), false);
+});